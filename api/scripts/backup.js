@@ -0,0 +1,93 @@
+// Usage (MONGO_URL must be set):
+//   node scripts/backup.js create [file|-]              writes an archive (default: BACKUP_DIR or ./)
+//   node scripts/backup.js restore <file> [--mode=merge|replace] [--dry-run]
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const {
+  RESTORE_MODES,
+  backupFileName,
+  createBackup,
+  restoreBackup,
+  validateBackup
+} = require("../src/backup");
+
+const USAGE =
+  "Usage: node scripts/backup.js create [file|-]\n" +
+  "       node scripts/backup.js restore <file> [--mode=merge|replace] [--dry-run]";
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const flags = Object.fromEntries(
+    rest
+      .filter((arg) => arg.startsWith("--"))
+      .map((arg) => {
+        const [key, value = "true"] = arg.slice(2).split("=");
+        return [key, value];
+      })
+  );
+  return { command, file: rest.find((arg) => !arg.startsWith("--")), flags };
+};
+
+const create = async (file) => {
+  const archive = await createBackup();
+  const json = JSON.stringify(archive);
+  if (file === "-") {
+    process.stdout.write(`${json}\n`);
+    return;
+  }
+  const target = file || path.join(process.env.BACKUP_DIR || ".", backupFileName(new Date(archive.createdAt)));
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, json);
+  console.log(
+    `Backup written to ${target} (${archive.counts.collections} collections, ${archive.counts.entries} entries, ` +
+      `${archive.counts.alternatives} alternatives)`
+  );
+};
+
+const restore = async (file, { mode = "merge", "dry-run": dryRun }) => {
+  if (!file) throw new Error(USAGE);
+  if (!RESTORE_MODES.includes(mode)) throw new Error("--mode must be merge or replace");
+  let archive;
+  try {
+    archive = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+  const errors = await validateBackup(archive, { mode });
+  if (errors.length > 0) {
+    throw new Error(`Invalid backup:\n  ${errors.join("\n  ")}`);
+  }
+  if (dryRun) {
+    console.log(
+      `Backup is valid (${archive.collections?.length || 0} collections, ${archive.entries.length} entries, ` +
+        `${archive.alternatives.length} alternatives); nothing written`
+    );
+    return;
+  }
+  const result = await restoreBackup(archive, { mode, backupDir: process.env.BACKUP_DIR });
+  if (result.backupFile) console.log(`Previous data saved as ${result.backupFile}`);
+  console.log(
+    `Restored (${mode}): ${result.collections.restored} collections (${result.collections.skipped} skipped), ` +
+      `${result.entries.restored} entries (${result.entries.skipped} skipped), ` +
+      `${result.alternatives.restored} alternatives (${result.alternatives.skipped} skipped)`
+  );
+};
+
+const main = async () => {
+  const { command, file, flags } = parseArgs(process.argv.slice(2));
+  if (!["create", "restore"].includes(command)) throw new Error(USAGE);
+  if (!process.env.MONGO_URL) throw new Error("MONGO_URL is required");
+  await mongoose.connect(process.env.MONGO_URL);
+  try {
+    if (command === "create") await create(file);
+    else await restore(file, flags);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const OpenAI = require("openai");
+
+// Routes ask for one of these capabilities; the provider decides which model serves it.
+const AI_CAPABILITIES = {
+  completeEntry: { temperature: 0.4 },
+  alternatives: { temperature: 0.8 },
+  spellcheck: { temperature: 0 }
+};
+
+const DEFAULT_MODELS = {
+  openai: {
+    completeEntry: "gpt-4o-mini",
+    alternatives: "gpt-4o",
+    spellcheck: "gpt-4o"
+  },
+  local: {
+    completeEntry: "llama3.1",
+    alternatives: "llama3.1",
+    spellcheck: "llama3.1"
+  }
+};
+
+const parseJsonContent = (raw) => {
+  if (!raw) {
+    throw new Error("Keine Antwort erhalten");
+  }
+  return JSON.parse(raw);
+};
+
+const resolveModels = (provider, { model, models } = {}) =>
+  Object.keys(AI_CAPABILITIES).reduce((acc, capability) => {
+    acc[capability] =
+      models?.[capability] || model || DEFAULT_MODELS[provider]?.[capability] || "";
+    return acc;
+  }, {});
+
+const createChatProvider = (name, client, models) => ({
+  name,
+  models,
+  completeJson: async (capability, { system, user }) => {
+    const settings = AI_CAPABILITIES[capability];
+    if (!settings) {
+      throw new Error(`Unknown AI capability: ${capability}`);
+    }
+    const completion = await client.chat.completions.create({
+      model: models[capability],
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: typeof user === "string" ? user : JSON.stringify(user) }
+      ],
+      response_format: { type: "json_object" },
+      temperature: settings.temperature
+    });
+    return {
+      data: parseJsonContent(completion.choices?.[0]?.message?.content),
+      model: completion.model || models[capability],
+      usage: completion.usage || null
+    };
+  }
+});
+
+const fixtureItem = (user) => {
+  if (typeof user !== "string") return "";
+  const match = user.match(/"(.*)"/);
+  return match ? match[1] : user;
+};
+
+// Used when AI_PROVIDER=fixture and no fixture file is configured. Answers are derived from the
+// input only, so the same request always produces the same response.
+const DEFAULT_FIXTURES = {
+  completeEntry: (user) => ({
+    term: user?.term || "fixture",
+    definition: user?.definition || `Bedeutung von „${user?.term || "fixture"}“ (Fixture)`,
+    example: user?.example || `Ein Beispiel mit „${user?.term || "fixture"}“.`,
+    synonyms: user?.synonyms || "Fixture-Synonym"
+  }),
+  alternatives: (user) => {
+    const item = fixtureItem(user);
+    return {
+      item,
+      results: {
+        arbeit: [`${item} (arbeit)`],
+        schwiegereltern: [`${item} (schwiegereltern)`],
+        philosophie_3uhr: [`${item} (philosophie)`],
+        gasse_betrunken: [`${item} (gasse)`],
+        behoerdlich: [`${item} (behördlich)`]
+      }
+    };
+  },
+  spellcheck: (user) =>
+    Object.keys(user || {}).reduce((acc, field) => {
+      acc[field] = { corrected: null, suggestions: [] };
+      return acc;
+    }, {})
+};
+
+const loadFixtures = (fixturesPath) => {
+  if (!fixturesPath) return DEFAULT_FIXTURES;
+  return JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+};
+
+const createFixtureProvider = (fixtures) => {
+  const calls = {};
+  return {
+    name: "fixture",
+    models: resolveModels("fixture", { model: "fixture" }),
+    completeJson: async (capability, { user }) => {
+      if (!AI_CAPABILITIES[capability]) {
+        throw new Error(`Unknown AI capability: ${capability}`);
+      }
+      const fixture = fixtures[capability];
+      if (fixture === undefined) {
+        throw new Error(`Keine Fixture für ${capability}`);
+      }
+      const index = calls[capability] || 0;
+      calls[capability] = index + 1;
+      // Arrays are replayed in order and start over once exhausted.
+      const entry = Array.isArray(fixture) ? fixture[index % fixture.length] : fixture;
+      const data = typeof entry === "function" ? entry(user) : entry;
+      return {
+        data: JSON.parse(JSON.stringify(data)),
+        model: "fixture",
+        usage: null
+      };
+    }
+  };
+};
+
+const createAiProvider = (config = {}) => {
+  const provider = config.provider || (config.apiKey ? "openai" : "");
+  if (provider === "openai") {
+    if (!config.apiKey) return null;
+    return createChatProvider(
+      "openai",
+      new OpenAI({ apiKey: config.apiKey }),
+      resolveModels("openai", config)
+    );
+  }
+  if (provider === "local") {
+    if (!config.baseUrl) return null;
+    return createChatProvider(
+      "local",
+      new OpenAI({ apiKey: config.apiKey || "local", baseURL: config.baseUrl }),
+      resolveModels("local", config)
+    );
+  }
+  if (provider === "fixture") {
+    return createFixtureProvider(config.fixtures || loadFixtures(config.fixturesPath));
+  }
+  if (provider) {
+    console.error(`Unknown AI provider "${provider}", AI features are disabled`);
+  }
+  return null;
+};
+
+module.exports = {
+  AI_CAPABILITIES,
+  createAiProvider
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { AiCache } = require("./models");
+
+const AI_CACHE_HEADER = "X-AI-Cache";
+const DEFAULT_AI_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Whitespace and Unicode normalization only; case stays, since spelling depends on it.
+const normalizePayload = (value) => {
+  if (typeof value === "string") return value.normalize("NFC").replace(/\s+/g, " ").trim();
+  if (Array.isArray(value)) return value.map(normalizePayload);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        const normalized = normalizePayload(value[key]);
+        if (normalized !== undefined && normalized !== null && normalized !== "") {
+          acc[key] = normalized;
+        }
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+// Changing the system prompt or the model starts a fresh set of cache entries.
+const promptVersion = (prompt, model) => sha256(`${model || ""}\n${prompt || ""}`).slice(0, 16);
+
+const cacheKey = (route, version, payload) =>
+  sha256(JSON.stringify([route, version, normalizePayload(payload)]));
+
+// A TTL of 0 disables the cache. Cache failures are logged and treated as misses.
+const createAiCache = ({ ttlMs = DEFAULT_AI_CACHE_TTL_MS } = {}) => {
+  const enabled = ttlMs > 0;
+
+  const lookup = async (route, { prompt, model, payload }) => {
+    if (!enabled) return null;
+    try {
+      const cached = await AiCache.findOne({
+        key: cacheKey(route, promptVersion(prompt, model), payload),
+        expiresAt: { $gt: new Date() }
+      }).lean();
+      return cached ? cached.response : null;
+    } catch (error) {
+      console.error("AI cache lookup failed", error);
+      return null;
+    }
+  };
+
+  const store = async (route, { prompt, model, payload }, response) => {
+    if (!enabled) return;
+    const version = promptVersion(prompt, model);
+    const now = new Date();
+    try {
+      await AiCache.updateOne(
+        { key: cacheKey(route, version, payload) },
+        {
+          $set: {
+            route,
+            promptVersion: version,
+            response,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + ttlMs)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error("AI cache store failed", error);
+    }
+  };
+
+  return { lookup, store };
+};
+
+module.exports = {
+  AI_CACHE_HEADER,
+  DEFAULT_AI_CACHE_TTL_MS,
+  createAiCache,
+  normalizePayload
+};
@@ -0,0 +1,145 @@
+const { AiUsage } = require("./models");
+
+// USD per million tokens. Versioned model names (gpt-4o-2024-08-06) use the longest matching prefix;
+// unknown models, local servers and fixtures count as free.
+const DEFAULT_MODEL_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 }
+};
+
+const priceFor = (model, prices) => {
+  const name = String(model || "").toLowerCase();
+  const match = Object.keys(prices)
+    .filter((prefix) => name === prefix || name.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+};
+
+const estimateCost = (model, usage, prices = DEFAULT_MODEL_PRICES) => {
+  const price = priceFor(model, prices);
+  if (!price || !usage) return 0;
+  const input = (Number(usage.prompt_tokens) || 0) * (Number(price.input) || 0);
+  const output = (Number(usage.completion_tokens) || 0) * (Number(price.output) || 0);
+  return (input + output) / 1e6;
+};
+
+const startOfMonth = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const monthlySpend = async (now = new Date()) => {
+  const [total] = await AiUsage.aggregate([
+    { $match: { createdAt: { $gte: startOfMonth(now) } } },
+    { $group: { _id: null, cost: { $sum: "$cost" } } }
+  ]);
+  return total ? total.cost : 0;
+};
+
+// Wraps an AI provider so every call lands in the ledger. Routes pass `{ route, user }` as a
+// third argument; failures are recorded and rethrown.
+const createUsageLedger = ({ monthlyBudget = 0, prices = {} } = {}) => {
+  const modelPrices = { ...DEFAULT_MODEL_PRICES, ...prices };
+
+  const record = async (entry) => {
+    try {
+      await AiUsage.create(entry);
+    } catch (error) {
+      console.error("Failed to record AI usage", error);
+    }
+  };
+
+  const track = (ai) => {
+    if (!ai) return null;
+    return {
+      ...ai,
+      completeJson: async (capability, input, { route = capability, user = null } = {}) => {
+        const startedAt = Date.now();
+        const base = { route, capability, provider: ai.name, user };
+        try {
+          const result = await ai.completeJson(capability, input);
+          const model = result.model || ai.models?.[capability] || "";
+          await record({
+            ...base,
+            model,
+            promptTokens: Number(result.usage?.prompt_tokens) || 0,
+            completionTokens: Number(result.usage?.completion_tokens) || 0,
+            cost: estimateCost(model, result.usage, modelPrices),
+            latencyMs: Date.now() - startedAt,
+            success: true
+          });
+          return result;
+        } catch (error) {
+          await record({
+            ...base,
+            model: ai.models?.[capability] || "",
+            latencyMs: Date.now() - startedAt,
+            success: false,
+            error: String(error?.message || error).slice(0, 500)
+          });
+          throw error;
+        }
+      }
+    };
+  };
+
+  // A budget of 0 disables the cap.
+  const budgetStatus = async (now = new Date()) => {
+    const spent = await monthlySpend(now);
+    return {
+      monthly: monthlyBudget > 0 ? monthlyBudget : null,
+      spent,
+      remaining: monthlyBudget > 0 ? Math.max(0, monthlyBudget - spent) : null,
+      exceeded: monthlyBudget > 0 && spent >= monthlyBudget
+    };
+  };
+
+  return { budgetStatus, track };
+};
+
+const summarizeBy = (format, since) =>
+  AiUsage.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format, date: "$createdAt" } },
+          route: "$route"
+        },
+        calls: { $sum: 1 },
+        failures: { $sum: { $cond: ["$success", 0, 1] } },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        cost: { $sum: "$cost" },
+        latencyMs: { $avg: "$latencyMs" }
+      }
+    },
+    { $sort: { "_id.period": -1, "_id.route": 1 } }
+  ]).then((rows) =>
+    rows.map(({ _id, latencyMs, ...totals }) => ({
+      period: _id.period,
+      route: _id.route,
+      ...totals,
+      avgLatencyMs: Math.round(latencyMs || 0)
+    }))
+  );
+
+// Daily totals for the last `days` days and monthly totals for the last `months` months, per route.
+const summarizeUsage = async ({ days = 30, months = 12, now = new Date() } = {}) => {
+  const dayStart = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1))
+  );
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+  const [daily, monthly] = await Promise.all([
+    summarizeBy("%Y-%m-%d", dayStart),
+    summarizeBy("%Y-%m", monthStart)
+  ]);
+  return { daily, monthly };
+};
+
+module.exports = {
+  DEFAULT_MODEL_PRICES,
+  createUsageLedger,
+  estimateCost,
+  summarizeUsage
+};
@@ -0,0 +1,106 @@
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const { AI_CACHE_HEADER, createAiCache } = require("./aiCache");
+const { createUsageLedger } = require("./aiUsage");
+const { createAuth } = require("./auth");
+const { CSRF_HEADER, createCsrfProtection, parseAllowedOrigins } = require("./csrf");
+const { createRateLimits } = require("./rateLimit");
+const createAuthRoutes = require("./routes/auth");
+const createBackupRoutes = require("./routes/backup");
+const createBookRoutes = require("./routes/book");
+const createCardRoutes = require("./routes/cards");
+const createCardTemplateRoutes = require("./routes/cardTemplates");
+const createCollectionRoutes = require("./routes/collections");
+const createAiRoutes = require("./routes/ai");
+const createAiUsageRoutes = require("./routes/aiUsage");
+const createEntryRoutes = require("./routes/entries");
+const createImportRoutes = require("./routes/import");
+const createPermalinkRoutes = require("./routes/permalinks");
+const createRevisionRoutes = require("./routes/revisions");
+const createTagRoutes = require("./routes/tags");
+const createTrashRoutes = require("./routes/trash");
+const createUserRoutes = require("./routes/users");
+
+const IMPORT_BODY_LIMIT = "5mb";
+const BACKUP_BODY_LIMIT = "100mb";
+
+// Builds the Express app without connecting to Mongo or listening, so tests can run it in-process.
+const createApp = ({
+  ai = null,
+  spellReady = Promise.resolve(null),
+  adminPassword,
+  corsOrigin = "*",
+  trashRetentionDays = 30,
+  publicUrl = "",
+  session = {},
+  rateLimit = {},
+  trustProxy = false,
+  aiUsage = {},
+  aiCache = {},
+  backupDir = null
+} = {}) => {
+  const auth = createAuth(session);
+  const usageLedger = createUsageLedger(aiUsage);
+  const siteUrl = publicUrl.replace(/\/+$/, "");
+  const context = {
+    ai: usageLedger.track(ai),
+    aiCache: createAiCache(aiCache),
+    spellReady,
+    adminPassword,
+    auth,
+    backupDir,
+    // Link previews need absolute URLs; PUBLIC_URL wins over the host the request came in on.
+    baseUrl: (req) =>
+      siteUrl || `${req.protocol}://${(req.get("x-forwarded-host") || req.get("host") || "").split(",")[0].trim()}`,
+    rateLimits: createRateLimits(rateLimit),
+    requireAuth: auth.requireAuth,
+    requireRole: auth.requireRole,
+    trashRetentionDays,
+    usageLedger
+  };
+  const allowedOrigins = parseAllowedOrigins(corsOrigin);
+  const app = express();
+  // Behind a reverse proxy, rate limits need the client IP from X-Forwarded-For.
+  app.set("trust proxy", trustProxy);
+  app.use(
+    cors({
+      origin: corsOrigin === "*" ? "*" : allowedOrigins,
+      credentials: true,
+      allowedHeaders: ["Content-Type", CSRF_HEADER],
+      exposedHeaders: ["Retry-After", AI_CACHE_HEADER]
+    })
+  );
+  // Imports and restores carry whole files; everything else keeps the default body limit.
+  app.use("/api/entries/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+  app.use("/api/backup/restore", express.json({ limit: BACKUP_BODY_LIMIT }));
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(createCsrfProtection({ corsOrigin }));
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  app.use(createAuthRoutes(context));
+  app.use(createAiRoutes(context));
+  app.use(createAiUsageRoutes(context));
+  app.use(createBackupRoutes(context));
+  app.use(createBookRoutes(context));
+  app.use(createCardRoutes(context));
+  app.use(createCardTemplateRoutes(context));
+  app.use(createCollectionRoutes(context));
+  app.use(createEntryRoutes(context));
+  app.use(createImportRoutes(context));
+  app.use(createPermalinkRoutes(context));
+  app.use(createRevisionRoutes(context));
+  app.use(createTagRoutes(context));
+  app.use(createTrashRoutes(context));
+  app.use(createUserRoutes(context));
+
+  return app;
+};
+
+module.exports = {
+  createApp
+};
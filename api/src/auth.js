@@ -0,0 +1,85 @@
+const { User } = require("./models");
+const { DEFAULT_SESSION_TTL_MS, deleteSession, findSession, renewSession } = require("./sessions");
+const { hasRole } = require("./users");
+
+const AUTH_COOKIE = "duden_auth";
+const SAME_SITE_VALUES = ["lax", "strict", "none"];
+
+const createAuth = ({ ttlMs = DEFAULT_SESSION_TTL_MS, secure = false, sameSite = "lax" } = {}) => {
+  const normalizedSameSite = SAME_SITE_VALUES.includes(sameSite) ? sameSite : "lax";
+  // Browsers reject SameSite=None cookies without Secure.
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: normalizedSameSite,
+    secure: Boolean(secure) || normalizedSameSite === "none"
+  };
+
+  const setSessionCookie = (res, token, expiresAt) => {
+    res.cookie(AUTH_COOKIE, token, { ...cookieOptions, expires: expiresAt });
+  };
+
+  const clearSessionCookie = (res) => {
+    res.clearCookie(AUTH_COOKIE, cookieOptions);
+  };
+
+  // Resolves the session cookie to `{ session, user, token }`; renews the session unless told not to.
+  const loadSession = async (req, res, { renew = true } = {}) => {
+    const token = req.cookies?.[AUTH_COOKIE];
+    const session = await findSession(token);
+    if (!session) return null;
+    const user = await User.findById(session.userId).lean();
+    if (!user) {
+      await deleteSession(token);
+      return null;
+    }
+    if (renew) {
+      const expiresAt = await renewSession(session, ttlMs);
+      if (expiresAt) {
+        session.expiresAt = expiresAt;
+        setSessionCookie(res, token, expiresAt);
+      }
+    }
+    return { session, user, token };
+  };
+
+  const requireAuth = async (req, res, next) => {
+    try {
+      const current = await loadSession(req, res);
+      if (!current) {
+        res.status(401).json({ error: "unauthorized" });
+        return;
+      }
+      req.authSession = current.session;
+      req.sessionToken = current.token;
+      req.user = current.user;
+      next();
+    } catch (error) {
+      console.error("Failed to load session", error);
+      res.status(500).json({ error: "failed to load session" });
+    }
+  };
+
+  // Roles are ordered viewer < editor < admin; a higher role includes the lower ones.
+  const requireRole = (role) => (req, res, next) =>
+    requireAuth(req, res, () => {
+      if (!hasRole(req.user, role)) {
+        res.status(403).json({ error: "forbidden" });
+        return;
+      }
+      next();
+    });
+
+  return {
+    clearSessionCookie,
+    loadSession,
+    requireAuth,
+    requireRole,
+    setSessionCookie,
+    ttlMs
+  };
+};
+
+module.exports = {
+  AUTH_COOKIE,
+  createAuth
+};
@@ -0,0 +1,317 @@
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Alternative, Collection, Entry } = require("./models");
+const { legacySenses } = require("./senses");
+
+const BACKUP_FORMAT = "warefs-duden-backup";
+// Bump when the stored shape of entries, alternatives or collections changes; restore refuses
+// newer archives. 2: collections, and tags and collections on entries. 3: numbered senses.
+const BACKUP_VERSION = 3;
+const RESTORE_MODES = ["merge", "replace"];
+const MAX_REPORTED_ERRORS = 20;
+const BACKUP_FILE_PATTERN = /^warefs-duden-backup-.+\.json$/;
+
+// Search fields are derived and rebuilt on insert, so they stay out of the archive.
+const createBackup = async () => {
+  const [collections, entries, alternatives] = await Promise.all([
+    Collection.find().sort({ _id: 1 }).select("-__v").lean(),
+    Entry.find().sort({ _id: 1 }).select("-__v").lean(),
+    Alternative.find().sort({ _id: 1 }).select("-__v").lean()
+  ]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    counts: { collections: collections.length, entries: entries.length, alternatives: alternatives.length },
+    collections,
+    entries,
+    alternatives
+  };
+};
+
+const validationErrors = (Model, doc, label) => {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return [`${label}: not an object`];
+  if (doc._id !== undefined && !mongoose.isValidObjectId(doc._id)) return [`${label}: invalid _id`];
+  try {
+    const error = new Model(doc).validateSync();
+    return error ? Object.values(error.errors).map((item) => `${label}.${item.path}: ${item.message}`) : [];
+  } catch (error) {
+    // Values Mongoose cannot even cast, such as objects with a broken toString.
+    return [`${label}: ${error.message}`];
+  }
+};
+
+// Archives from before collections have none.
+const archiveCollections = (archive) => (archive.version < 2 ? [] : archive.collections);
+
+// Brings an entry of an older archive into the current shape: version 1 had neither tags nor
+// collections, and before version 3 the one meaning lived in `definition`, `example` and `synonyms`.
+const upgradeEntry = (entry, version) => {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return entry;
+  const upgraded = { ...entry };
+  if (version < 2) {
+    delete upgraded.tags;
+    delete upgraded.collections;
+  }
+  if (version < 3) upgraded.senses = legacySenses(entry);
+  return upgraded;
+};
+
+const archiveEntries = (archive) => archive.entries.map((entry) => upgradeEntry(entry, archive.version));
+
+const isArchiveId = (value) => typeof value === "string" && mongoose.isObjectIdOrHexString(value);
+
+// Ids, slugs, terms, names and items go into queries, so anything but an id or a text is reported
+// before it gets there.
+const keyErrors = (docs, label, { ids = ["_id"], idLists = [], texts = [] } = {}) =>
+  docs.flatMap((doc, index) => {
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) return [];
+    const given = (field) => doc[field] !== undefined && doc[field] !== null;
+    return [
+      ...ids
+        .filter((field) => given(field) && !isArchiveId(doc[field]))
+        .map((field) => `${label}[${index}].${field}: invalid id`),
+      ...idLists
+        .filter((field) => given(field) && !(Array.isArray(doc[field]) && doc[field].every(isArchiveId)))
+        .map((field) => `${label}[${index}].${field}: must be a list of ids`),
+      ...texts
+        .filter((field) => given(field) && typeof doc[field] !== "string")
+        .map((field) => `${label}[${index}].${field}: must be text`)
+    ];
+  });
+
+// Terms, names, slugs and ids must be unique within the archive, or the insert fails halfway.
+// Only texts and ids are compared; anything else is reported.
+const duplicates = (docs, label, fields) =>
+  fields.flatMap((field) => {
+    const seen = new Set();
+    return docs.flatMap((doc, index) => {
+      const raw = doc && typeof doc === "object" ? doc[field] : undefined;
+      if (raw === undefined || raw === null || raw === "") return [];
+      if (typeof raw !== "string" && !(raw instanceof mongoose.Types.ObjectId)) {
+        return [`${label}[${index}].${field}: must be text`];
+      }
+      const value = String(raw);
+      if (seen.has(value)) return [`${label}[${index}].${field}: duplicate "${value}"`];
+      seen.add(value);
+      return [];
+    });
+  });
+
+// Checks the whole archive before anything is written; returns a list of problems. Entries may
+// only point to collections in the archive or, when merging, to collections already stored.
+const validateBackup = async (archive, { mode = "merge" } = {}) => {
+  if (!archive || typeof archive !== "object" || archive.format !== BACKUP_FORMAT) {
+    return ["not a warefs-duden backup"];
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) return ["missing backup version"];
+  if (archive.version > BACKUP_VERSION) {
+    return [`backup version ${archive.version} is newer than supported version ${BACKUP_VERSION}`];
+  }
+  if (!Array.isArray(archive.entries) || !Array.isArray(archive.alternatives)) {
+    return ["entries and alternatives must be arrays"];
+  }
+  if (!Array.isArray(archiveCollections(archive))) return ["collections must be an array"];
+
+  const collections = archiveCollections(archive);
+  const entries = archiveEntries(archive);
+  const invalidKeys = [
+    ...keyErrors(collections, "collections", { texts: ["name", "slug"] }),
+    ...keyErrors(entries, "entries", { idLists: ["collections"], texts: ["term", "slug"] }),
+    ...keyErrors(archive.alternatives, "alternatives", { texts: ["item"] })
+  ];
+  if (invalidKeys.length) return invalidKeys.slice(0, MAX_REPORTED_ERRORS);
+
+  const errors = [
+    ...collections.flatMap((collection, index) => validationErrors(Collection, collection, `collections[${index}]`)),
+    ...duplicates(collections, "collections", ["_id", "name", "slug"]),
+    ...entries.flatMap((entry, index) => validationErrors(Entry, entry, `entries[${index}]`)),
+    ...duplicates(entries, "entries", ["_id", "term", "slug"]),
+    ...archive.alternatives.flatMap((alternative, index) =>
+      validationErrors(Alternative, alternative, `alternatives[${index}]`)
+    ),
+    ...duplicates(archive.alternatives, "alternatives", ["_id"])
+  ];
+  const collectionIds = new Set(
+    collections.filter((collection) => collection?._id).map((collection) => String(collection._id))
+  );
+
+  const references = entries.flatMap((entry, index) =>
+    Array.isArray(entry?.collections)
+      ? entry.collections.map((id) => ({ id: String(id), label: `entries[${index}].collections` }))
+      : []
+  );
+  const unknown = references.filter((reference) => !collectionIds.has(reference.id));
+  const stored =
+    mode === "merge" && unknown.length
+      ? await Collection.find({ _id: { $in: unknown.map((reference) => reference.id) } })
+          .select("_id")
+          .lean()
+      : [];
+  const storedIds = new Set(stored.map((collection) => String(collection._id)));
+  unknown
+    .filter((reference) => !storedIds.has(reference.id))
+    .forEach((reference) => errors.push(`${reference.label}: unknown collection ${reference.id}`));
+
+  // Restored collections keep their slug, so a merge must not meet another collection using it.
+  // Entries get a free slug on insert.
+  if (mode === "merge") {
+    const slugged = collections.filter((collection) => collection?.slug);
+    const clashes = await Collection.find({ slug: { $in: slugged.map((collection) => collection.slug) } })
+      .select("name slug")
+      .lean();
+    slugged.forEach((collection) => {
+      const clash = clashes.find((stored) => stored.slug === collection.slug);
+      if (clash && clash.name !== collection.name && String(clash._id) !== String(collection._id)) {
+        const label = `collections[${collections.indexOf(collection)}].slug`;
+        errors.push(`${label}: "${collection.slug}" is used by "${clash.name}"`);
+      }
+    });
+  }
+  return errors.slice(0, MAX_REPORTED_ERRORS);
+};
+
+const alternativeKey = (doc) => `${doc.item}\u0000${doc.situation}\u0000${doc.alternative_text}`;
+
+const storedDocs = (archive) => ({
+  collections: archiveCollections(archive).map(({ __v, ...collection }) => collection),
+  entries: archiveEntries(archive).map(({ search, __v, ...entry }) => entry),
+  alternatives: archive.alternatives.map(({ __v, ...alternative }) => alternative)
+});
+
+// Timestamps come from the archive, not from the time of the restore.
+const insertAll = async ({ collections, entries, alternatives }) => {
+  if (collections.length) await Collection.insertMany(collections, { timestamps: false });
+  if (entries.length) await Entry.insertMany(entries, { timestamps: false });
+  if (alternatives.length) await Alternative.insertMany(alternatives);
+};
+
+const deleteAll = () =>
+  Promise.all([Collection.deleteMany({}), Entry.deleteMany({}), Alternative.deleteMany({})]);
+
+// Transactions need a replica set, which the Docker setup does not run. Instead the current data
+// is kept in memory and written back when the insert fails halfway.
+const replaceAll = async (docs, { backupDir }) => {
+  const snapshot = await createBackup();
+  const backupFile = backupDir ? (await writeBackupFile(backupDir, { archive: snapshot })).file : null;
+  await deleteAll();
+  try {
+    await insertAll(docs);
+  } catch (error) {
+    await deleteAll();
+    await insertAll(storedDocs(snapshot));
+    throw error;
+  }
+  return backupFile;
+};
+
+// "replace" empties all three collections first; "merge" only adds entries whose term and id are
+// unknown, collections whose name and id are unknown and alternatives that are not stored yet,
+// existing data always wins. Collections go first so entries never point to a missing one.
+// Replace first writes the current data to `backupDir`, if given.
+const restoreBackup = async (archive, { mode = "merge", backupDir } = {}) => {
+  const { collections, entries, alternatives } = storedDocs(archive);
+  let newCollections = collections;
+  let newEntries = entries;
+  let newAlternatives = alternatives;
+  let backupFile = null;
+
+  if (mode === "replace") {
+    backupFile = await replaceAll({ collections, entries, alternatives }, { backupDir });
+  } else {
+    const existingCollections = await Collection.find({
+      $or: [
+        { name: { $in: collections.map((collection) => collection.name) } },
+        { _id: { $in: collections.filter((collection) => collection._id).map((collection) => collection._id) } }
+      ]
+    })
+      .select("name")
+      .lean();
+    const storedByName = new Map(existingCollections.map((collection) => [collection.name, collection._id]));
+    const knownCollectionIds = new Set(existingCollections.map((collection) => String(collection._id)));
+    newCollections = collections.filter(
+      (collection) => !storedByName.has(collection.name) && !knownCollectionIds.has(String(collection._id))
+    );
+    // A collection that exists under another id keeps its stored one, and restored entries follow it.
+    const renumbered = new Map(
+      collections
+        .filter((collection) => collection._id && storedByName.has(collection.name))
+        .map((collection) => [String(collection._id), storedByName.get(collection.name)])
+    );
+
+    const existingEntries = await Entry.find({
+      $or: [
+        { term: { $in: entries.map((entry) => entry.term) } },
+        { _id: { $in: entries.filter((entry) => entry._id).map((entry) => entry._id) } }
+      ]
+    })
+      .select("term")
+      .lean();
+    const knownTerms = new Set(existingEntries.map((entry) => entry.term));
+    const knownIds = new Set(existingEntries.map((entry) => String(entry._id)));
+    newEntries = entries
+      .filter((entry) => !knownTerms.has(entry.term) && !knownIds.has(String(entry._id)))
+      .map((entry) =>
+        entry.collections
+          ? { ...entry, collections: entry.collections.map((id) => renumbered.get(String(id)) || id) }
+          : entry
+      );
+
+    const existingAlternatives = await Alternative.find({
+      item: { $in: Array.from(new Set(alternatives.map((alternative) => alternative.item))) }
+    }).lean();
+    const knownAlternatives = new Set(existingAlternatives.map(alternativeKey));
+    const knownAlternativeIds = new Set(existingAlternatives.map((alternative) => String(alternative._id)));
+    newAlternatives = alternatives.filter(
+      (alternative) =>
+        !knownAlternatives.has(alternativeKey(alternative)) &&
+        !knownAlternativeIds.has(String(alternative._id))
+    );
+    await insertAll({ collections: newCollections, entries: newEntries, alternatives: newAlternatives });
+  }
+
+  const result = {
+    mode,
+    collections: { restored: newCollections.length, skipped: collections.length - newCollections.length },
+    entries: { restored: newEntries.length, skipped: entries.length - newEntries.length },
+    alternatives: {
+      restored: newAlternatives.length,
+      skipped: alternatives.length - newAlternatives.length
+    }
+  };
+  if (backupFile) result.backupFile = path.basename(backupFile);
+  return result;
+};
+
+const backupFileName = (date = new Date()) =>
+  `${BACKUP_FORMAT}-${date.toISOString().replace(/[:.]/g, "-")}.json`;
+
+// Writes a backup (`archive` or a fresh one) into `dir` and keeps only the newest `keep` backup
+// files there.
+const writeBackupFile = async (dir, { keep = 0, archive: given } = {}) => {
+  const archive = given || (await createBackup());
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, backupFileName(new Date(archive.createdAt)));
+  await fs.writeFile(file, JSON.stringify(archive));
+
+  let removed = 0;
+  if (keep > 0) {
+    const files = (await fs.readdir(dir)).filter((name) => BACKUP_FILE_PATTERN.test(name)).sort();
+    const outdated = files.slice(0, Math.max(0, files.length - keep));
+    await Promise.all(outdated.map((name) => fs.unlink(path.join(dir, name))));
+    removed = outdated.length;
+  }
+  return { file, counts: archive.counts, removed };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  backupFileName,
+  createBackup,
+  restoreBackup,
+  validateBackup,
+  writeBackupFile
+};
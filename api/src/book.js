@@ -0,0 +1,298 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { POS_LABELS } = require("./exporter");
+const { foldGerman } = require("./search");
+const { entrySenses } = require("./senses");
+
+// The API container mounts web/src/img at the same relative path, see docker-compose.yml.
+const DEFAULT_LOGO_PATH = path.join(__dirname, "../../web/src/img/logo_200.png");
+
+const PAGE_SIZES = ["A4", "A5"];
+const MARGIN = { top: 52, bottom: 44, inner: 40, outer: 32 };
+const COLUMN_GAP = 14;
+const ENTRY_SPACING = 3;
+const HANGING_INDENT = 8;
+const LINE_HEIGHT = 1.25;
+const DUDEN_YELLOW = "#ffcc00";
+
+const FONTS = {
+  regular: "Times-Roman",
+  bold: "Times-Bold",
+  italic: "Times-Italic",
+  header: "Helvetica-Bold",
+  running: "Helvetica"
+};
+const BODY_SIZE = { A4: 10, A5: 8.5 };
+const LETTER_SIZE = 16;
+
+const clean = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+// "Ärger" files under A like in the printed Duden; digits and symbols go under "#".
+const letterOf = (term) => {
+  const first = foldGerman(clean(term)).charAt(0).toUpperCase();
+  return /[A-Z]/.test(first) ? first : "#";
+};
+
+// One entry as styled runs: bold lemma, grammar in italics, then meaning, usage and synonyms of
+// each sense, with bold numbers when there are several.
+const entryRuns = (entry, size) => {
+  const grammar = [entry.article, ...(entry.partOfSpeech || []).map((pos) => POS_LABELS[pos] || pos)]
+    .filter(Boolean)
+    .join(", ");
+  const senses = entrySenses(entry);
+  const several = senses.length > 1;
+  const runs = [{ font: FONTS.bold, size, text: clean(entry.term) }];
+  if (grammar) runs.push({ font: FONTS.italic, size, text: ` ${grammar}` });
+  runs.push({ font: FONTS.regular, size, text: " –" });
+  senses.forEach((sense, index) => {
+    const example = several ? sense.examples.join(" ") : entry.example;
+    const synonyms = several ? sense.synonyms.join(", ") : entry.synonyms;
+    if (several) runs.push({ font: FONTS.bold, size, text: ` ${index + 1}.` });
+    if (sense.register) runs.push({ font: FONTS.italic, size, text: ` ${clean(sense.register)}` });
+    runs.push({ font: FONTS.regular, size, text: ` ${clean(sense.definition)}` });
+    if (example) runs.push({ font: FONTS.italic, size, text: ` ${clean(example)}` });
+    if (synonyms) {
+      runs.push({ font: FONTS.bold, size, text: " Syn.:" });
+      runs.push({ font: FONTS.regular, size, text: ` ${clean(synonyms)}` });
+    }
+  });
+  return runs;
+};
+
+// Greedy word wrap over mixed fonts. Follow-up lines are indented so the lemma stands out.
+const wrapRuns = (doc, runs, width) => {
+  const lines = [];
+  let line = { segments: [], width: 0, indent: 0 };
+  const measure = (font, size, text) => doc.font(font).fontSize(size).widthOfString(text);
+  const pushSegment = (run, text, textWidth) => {
+    const last = line.segments[line.segments.length - 1];
+    if (last && last.font === run.font && last.size === run.size) last.text += text;
+    else line.segments.push({ font: run.font, size: run.size, text });
+    line.width += textWidth;
+  };
+  const newLine = () => {
+    lines.push(line);
+    line = { segments: [], width: 0, indent: HANGING_INDENT };
+  };
+
+  runs.forEach((run) => {
+    run.text.split(/(\s+)/).forEach((part) => {
+      if (!part) return;
+      if (/^\s+$/.test(part)) {
+        if (line.segments.length > 0) pushSegment(run, " ", measure(run.font, run.size, " "));
+        return;
+      }
+      let word = part;
+      let wordWidth = measure(run.font, run.size, word);
+      if (line.width + wordWidth > width - line.indent && line.segments.length > 0) {
+        const last = line.segments[line.segments.length - 1];
+        if (last.text.endsWith(" ")) {
+          last.text = last.text.slice(0, -1);
+          line.width -= measure(last.font, last.size, " ");
+        }
+        newLine();
+      }
+      // Words longer than a whole column are split where they overflow.
+      while (wordWidth > width - line.indent) {
+        let cut = word.length - 1;
+        while (cut > 1 && measure(run.font, run.size, word.slice(0, cut)) > width - line.indent) cut -= 1;
+        pushSegment(run, word.slice(0, cut), measure(run.font, run.size, word.slice(0, cut)));
+        newLine();
+        word = word.slice(cut);
+        wordWidth = measure(run.font, run.size, word);
+      }
+      pushSegment(run, word, wordWidth);
+    });
+  });
+  if (line.segments.length > 0) lines.push(line);
+  return lines.map((item) => ({
+    ...item,
+    height: Math.max(...item.segments.map((segment) => segment.size)) * LINE_HEIGHT
+  }));
+};
+
+const pageGeometry = (doc, size) => {
+  const columnWidth = (doc.page.width - MARGIN.inner - MARGIN.outer - COLUMN_GAP) / 2;
+  return {
+    columnWidth,
+    top: MARGIN.top,
+    bottom: doc.page.height - MARGIN.bottom,
+    bodySize: BODY_SIZE[size]
+  };
+};
+
+// Distributes letter headers and entries over two columns per page. Returns pages with the
+// placed blocks plus the first and last lemma for the running header.
+const layoutBook = (doc, entries, size = "A5") => {
+  const { columnWidth, top, bottom, bodySize } = pageGeometry(doc, size);
+  const pages = [];
+  let page = null;
+  let column = 0;
+  let y = top;
+
+  const newPage = () => {
+    page = { columns: [[], []], firstTerm: null, lastTerm: null };
+    pages.push(page);
+    column = 0;
+    y = top;
+  };
+  const nextColumn = () => {
+    if (column === 0) {
+      column = 1;
+      y = top;
+    } else {
+      newPage();
+    }
+  };
+  const fits = (height) => y + height <= bottom;
+  const linesHeight = (lines) => lines.reduce((sum, line) => sum + line.height, 0);
+
+  newPage();
+  let currentLetter = null;
+  entries.forEach((entry) => {
+    const lines = wrapRuns(doc, entryRuns(entry, bodySize), columnWidth);
+    // Short entries are never split; longer ones keep at least two lines together.
+    const keepTogether = linesHeight(lines.slice(0, lines.length <= 3 ? lines.length : 2));
+
+    const letter = letterOf(entry.term);
+    if (letter !== currentLetter) {
+      currentLetter = letter;
+      const headerHeight = LETTER_SIZE * 1.6;
+      const spacing = y === top ? 0 : LETTER_SIZE * 0.6;
+      if (!fits(spacing + headerHeight + keepTogether)) nextColumn();
+      else y += spacing;
+      page.columns[column].push({ type: "letter", letter, y, height: headerHeight });
+      y += headerHeight;
+    } else if (!fits(keepTogether)) {
+      nextColumn();
+    }
+
+    lines.forEach((line) => {
+      if (!fits(line.height)) nextColumn();
+      page.columns[column].push({ type: "line", line, y });
+      page.firstTerm = page.firstTerm || entry.term;
+      page.lastTerm = entry.term;
+      y += line.height;
+    });
+    y += ENTRY_SPACING;
+  });
+  return pages;
+};
+
+const columnX = (pageNumber, column, columnWidth) => {
+  // Odd pages are right-hand pages, so the wider inner margin sits on the left.
+  const left = pageNumber % 2 === 1 ? MARGIN.inner : MARGIN.outer;
+  return left + column * (columnWidth + COLUMN_GAP);
+};
+
+const drawTitlePage = (doc, { logoPath, title, subtitle, count }) => {
+  const { width, height } = doc.page;
+  if (logoPath && fs.existsSync(logoPath)) {
+    const logoWidth = width * 0.6;
+    doc.image(logoPath, (width - logoWidth) / 2, height * 0.18, { width: logoWidth });
+  }
+  doc
+    .font(FONTS.header)
+    .fontSize(26)
+    .fillColor("#111111")
+    .text(title, 0, height * 0.55, { width, align: "center" });
+  doc.rect(width * 0.3, height * 0.55 + 40, width * 0.4, 4).fill(DUDEN_YELLOW);
+  doc
+    .font(FONTS.italic)
+    .fontSize(12)
+    .fillColor("#4d4d4d")
+    .text(subtitle, 0, height * 0.55 + 56, { width, align: "center" });
+  doc
+    .font(FONTS.regular)
+    .fontSize(10)
+    .text(`${count} Stichwörter`, 0, height - MARGIN.bottom - 40, { width, align: "center" });
+};
+
+const drawPage = (doc, page, pageNumber, geometry) => {
+  const { columnWidth } = geometry;
+  const left = columnX(pageNumber, 0, columnWidth);
+  const right = columnX(pageNumber, 1, columnWidth) + columnWidth;
+
+  // Running header like in a printed dictionary: first and last lemma of the page.
+  doc.font(FONTS.running).fontSize(8).fillColor("#111111");
+  if (page.firstTerm) doc.text(page.firstTerm, left, MARGIN.top - 30, { lineBreak: false });
+  if (page.lastTerm) {
+    const lastWidth = doc.widthOfString(page.lastTerm);
+    doc.text(page.lastTerm, right - lastWidth, MARGIN.top - 30, { lineBreak: false });
+  }
+  doc
+    .moveTo(left, MARGIN.top - 18)
+    .lineTo(right, MARGIN.top - 18)
+    .lineWidth(0.5)
+    .strokeColor("#111111")
+    .stroke();
+  const number = String(pageNumber);
+  doc.font(FONTS.running).fontSize(8);
+  doc.text(number, (left + right - doc.widthOfString(number)) / 2, doc.page.height - MARGIN.bottom + 18, {
+    lineBreak: false
+  });
+
+  page.columns.forEach((blocks, column) => {
+    const x = columnX(pageNumber, column, columnWidth);
+    blocks.forEach((block) => {
+      if (block.type === "letter") {
+        doc.rect(x, block.y + 2, LETTER_SIZE * 1.4, LETTER_SIZE * 1.3).fill(DUDEN_YELLOW);
+        doc
+          .font(FONTS.header)
+          .fontSize(LETTER_SIZE)
+          .fillColor("#111111")
+          .text(block.letter, x + LETTER_SIZE * 0.3, block.y + 4, { lineBreak: false });
+        return;
+      }
+      let cursor = x + block.line.indent;
+      block.line.segments.forEach((segment) => {
+        doc.font(segment.font).fontSize(segment.size).fillColor("#111111");
+        doc.text(segment.text, cursor, block.y, { lineBreak: false });
+        cursor += doc.widthOfString(segment.text);
+      });
+    });
+  });
+};
+
+// Renders the print edition as a PDF stream; the caller pipes it somewhere.
+const createBook = (entries, { size = "A5", logoPath = DEFAULT_LOGO_PATH, date = new Date() } = {}) => {
+  const title = "Warefs Duden";
+  const doc = new PDFDocument({
+    size,
+    margin: 0,
+    info: { Title: title, Author: "warefs-duden", CreationDate: date }
+  });
+  drawTitlePage(doc, {
+    logoPath,
+    title,
+    subtitle: `Ausgabe ${date.toLocaleDateString("de-DE", { month: "long", year: "numeric" })}`,
+    count: entries.length
+  });
+
+  // The back of the title page stays empty apart from the imprint, so the dictionary starts on a
+  // right-hand page (page 3).
+  doc.addPage({ size, margin: 0 });
+  doc
+    .font(FONTS.regular)
+    .fontSize(8)
+    .fillColor("#4d4d4d")
+    .text(`warefs-duden.de · Stand ${date.toLocaleDateString("de-DE")}`, MARGIN.outer, doc.page.height - MARGIN.bottom, {
+      lineBreak: false
+    });
+
+  const geometry = pageGeometry(doc, size);
+  const pages = layoutBook(doc, entries, size);
+  pages.forEach((page, index) => {
+    doc.addPage({ size, margin: 0 });
+    drawPage(doc, page, index + 3, geometry);
+  });
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  PAGE_SIZES,
+  createBook,
+  layoutBook
+};
@@ -0,0 +1,268 @@
+const path = require("path");
+const { GlobalFonts, createCanvas, loadImage } = require("@napi-rs/canvas");
+const { POS_LABELS, displayTerm } = require("./exporter");
+const { AI_SITUATION_META, CARD_SECTIONS, DEFAULT_CARD_TEMPLATE } = require("./models");
+const { entrySenses, numberSenses, senseDefinition } = require("./senses");
+
+// The API container mounts web/src/img at the same relative path, see docker-compose.yml.
+const IMG_DIR = path.join(__dirname, "../../web/src/img");
+const LOGO_PATH = path.join(IMG_DIR, "logo_200.png");
+const QR_PATH = path.join(IMG_DIR, "WarefsDuden.svg");
+
+// Geometry of the card the app used to draw in the browser; size, colors, fonts and sections come
+// from the card template.
+const PADDING = 40;
+const BAND_HEIGHT = 92;
+const LINE_HEIGHT = 20;
+const CARD_SCALES = [1, 2];
+
+const FONT_STACKS = {
+  serif: "'Libre Baskerville', serif",
+  sans: "'Source Sans 3', sans-serif"
+};
+
+// The container has no fonts of its own, so the web fonts come from @fontsource. WOFF rather than
+// WOFF2 because PDFKit cannot subset the latter.
+const fontFile = (pkg, weight) => require.resolve(`@fontsource/${pkg}/files/${pkg}-latin-${weight}-normal.woff`);
+const fontWeights = (pkg) =>
+  Object.fromEntries([400, 600, 700].map((weight) => [weight, fontFile(pkg, weight)]));
+const CARD_FONTS = {
+  serif: fontWeights("libre-baskerville"),
+  sans: fontWeights("source-sans-3")
+};
+let fontsRegistered = false;
+const registerFonts = () => {
+  if (fontsRegistered) return;
+  Object.values(CARD_FONTS.serif).forEach((file) => GlobalFonts.registerFromPath(file, "Libre Baskerville"));
+  Object.values(CARD_FONTS.sans).forEach((file) => GlobalFonts.registerFromPath(file, "Source Sans 3"));
+  fontsRegistered = true;
+};
+
+const partLabel = (entry) =>
+  (entry.partOfSpeech || [])
+    .map((pos) => POS_LABELS[pos])
+    .filter(Boolean)
+    .join(" · ");
+
+const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+  let current = "";
+  String(text || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const tentative = current ? `${current} ${word}` : word;
+      if (ctx.measureText(tentative).width > maxWidth && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = tentative;
+      }
+    });
+  if (current) lines.push(current);
+  return lines.length ? lines : ["—"];
+};
+
+// Paragraphs keep their line breaks with a little extra space in between.
+const wrapParagraphs = (ctx, text, maxWidth) => {
+  const paragraphs = String(text || "").split(/\n+/).filter(Boolean);
+  return (paragraphs.length ? paragraphs : ["—"]).map((paragraph) => wrapText(ctx, paragraph, maxWidth));
+};
+
+const paragraphsHeight = (paragraphs) =>
+  paragraphs.reduce((sum, lines) => sum + lines.length * LINE_HEIGHT, 0) +
+  (paragraphs.length - 1) * LINE_HEIGHT * 0.4;
+
+// Shortens paragraphs to `maxHeight` and ends the last line that still fits with an ellipsis.
+const truncateParagraphs = (ctx, paragraphs, maxHeight, maxWidth) => {
+  const withEllipsis = (line) => {
+    const words = line.split(" ");
+    while (words.length > 1 && ctx.measureText(`${words.join(" ")} …`).width > maxWidth) words.pop();
+    return `${words.join(" ")} …`;
+  };
+  const kept = [];
+  let height = 0;
+  for (const lines of paragraphs) {
+    const gap = kept.length ? LINE_HEIGHT * 0.4 : 0;
+    const room = Math.floor((maxHeight - height - gap) / LINE_HEIGHT);
+    if (room < lines.length) {
+      if (room > 0) kept.push([...lines.slice(0, room - 1), withEllipsis(lines[room - 1])]);
+      else if (kept.length) {
+        const last = kept.pop();
+        kept.push([...last.slice(0, -1), withEllipsis(last[last.length - 1])]);
+      }
+      return kept;
+    }
+    kept.push(lines);
+    height += gap + lines.length * LINE_HEIGHT;
+  }
+  return kept;
+};
+
+// Emoji need a font the container does not have, so situations use their short label only.
+const situationLabel = (meta) => meta.label.split(" · ")[0];
+
+// What goes on a card, in the order of the template's `sections`: meaning, usage, synonyms and
+// every chosen situation that has alternatives. `alternatives` is `{ situation: [texts] }`.
+// Entries with several senses get them numbered in each of the first three sections.
+const cardSections = (entry, alternatives = {}, situations = [], sections = CARD_SECTIONS) => {
+  const senses = entrySenses(entry);
+  const several = senses.length > 1;
+  return sections.flatMap((section) => {
+    if (section === "definition") {
+      const label = several ? "Bedeutungen" : "Bedeutung";
+      return [{ key: null, label, content: numberSenses(senses, senseDefinition) }];
+    }
+    if (section === "example") {
+      const content = several ? numberSenses(senses, (sense) => sense.examples.join(" / ")) : entry.example;
+      return content ? [{ key: null, label: "Gebrauch", content }] : [];
+    }
+    if (section === "synonyms") {
+      const content = several ? numberSenses(senses, (sense) => sense.synonyms.join(", ")) : entry.synonyms;
+      return content ? [{ key: null, label: "Synonyme", content }] : [];
+    }
+    return AI_SITUATION_META.filter(
+      ({ key }) => situations.includes(key) && (alternatives[key] || []).length > 0
+    ).map((meta) => ({ key: meta.key, label: situationLabel(meta), content: alternatives[meta.key].join(" · ") }));
+  });
+};
+
+// Places all sections and checks whether they fit above the footer. Meaning, usage and synonyms
+// are shortened to the space that is left, or left out when there is none; only situations can
+// make a card too full.
+const layoutCard = (ctx, entry, alternatives, situations, template) => {
+  const bottom = template.height - 40;
+  const maxWidth = template.width - PADDING * 2;
+  let cursorY = 206;
+  ctx.font = `400 13px ${FONT_STACKS[template.fonts.body]}`;
+  const sections = cardSections(entry, alternatives, situations, template.sections).flatMap((section) => {
+    let paragraphs = wrapParagraphs(ctx, section.content, maxWidth);
+    if (!section.key && cursorY + 18 + paragraphsHeight(paragraphs) + 12 > bottom) {
+      paragraphs = truncateParagraphs(ctx, paragraphs, bottom - cursorY - 18 - 12, maxWidth);
+      if (!paragraphs.length) return [];
+    }
+    const placed = { ...section, paragraphs, y: cursorY };
+    cursorY += 18 + paragraphsHeight(paragraphs) + 12;
+    return [placed];
+  });
+  return {
+    sections,
+    situations: sections.filter((section) => section.key).map((section) => section.key),
+    fits: cursorY <= bottom
+  };
+};
+
+const measureContext = (template) => {
+  registerFonts();
+  return createCanvas(template.width, template.height).getContext("2d");
+};
+
+const checkCardFit = (entry, alternatives, situations, template = DEFAULT_CARD_TEMPLATE) => {
+  const layout = layoutCard(measureContext(template), entry, alternatives, situations, template);
+  return { fits: layout.fits, situations: layout.situations };
+};
+
+const drawHeader = async (ctx, template) => {
+  const { width, height, colors } = template;
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = colors.border;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(10, 10, width - 20, height - 20);
+
+  ctx.fillStyle = colors.band;
+  ctx.fillRect(0, 0, width, BAND_HEIGHT);
+  ctx.fillStyle = colors.text;
+  ctx.fillRect(0, BAND_HEIGHT - 8, width, 8);
+
+  const [logo, qr] = await Promise.all([
+    template.showLogo ? loadImage(LOGO_PATH).catch(() => null) : null,
+    template.showQr ? loadImage(QR_PATH).catch(() => null) : null
+  ]);
+  if (logo) {
+    const logoHeight = 52;
+    ctx.drawImage(logo, PADDING, 24, (logo.width * logoHeight) / logo.height, logoHeight);
+  }
+  const qrSize = 72;
+  if (qr) {
+    ctx.drawImage(qr, width - PADDING - qrSize, Math.max(8, (BAND_HEIGHT - 8 - qrSize) / 2), qrSize, qrSize);
+  }
+  if (template.title) {
+    const titleX = logo ? PADDING + 170 : PADDING;
+    ctx.fillStyle = colors.text;
+    ctx.font = `700 22px ${FONT_STACKS[template.fonts.heading]}`;
+    // Narrow cards drop the title rather than running it into the QR code.
+    if (ctx.measureText(template.title).width <= width - PADDING - (qr ? qrSize + 16 : 0) - titleX) {
+      ctx.fillText(template.title, titleX, 56);
+    }
+  }
+};
+
+// Renders the learning card as PNG. Returns `{ fits: false }` without an image when the chosen
+// situations do not fit; the caller decides how to report that.
+const renderCard = async (entry, alternatives, { situations = [], scale = 1, template = DEFAULT_CARD_TEMPLATE } = {}) => {
+  registerFonts();
+  const { width, height, colors, fonts } = template;
+  const canvas = createCanvas(width * scale, height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  const layout = layoutCard(ctx, entry, alternatives, situations, template);
+  if (!layout.fits) return { fits: false, situations: layout.situations };
+
+  await drawHeader(ctx, template);
+  ctx.fillStyle = colors.text;
+  ctx.font = `700 34px ${FONT_STACKS[fonts.heading]}`;
+  ctx.fillText(displayTerm(entry) || "Unbenannt", PADDING, 150);
+  ctx.fillStyle = colors.muted;
+  ctx.font = `600 12px ${FONT_STACKS[fonts.body]}`;
+  ctx.fillText(partLabel(entry) || "Persönliche Notiz", PADDING, 178);
+
+  ctx.fillStyle = colors.text;
+  layout.sections.forEach((section) => {
+    ctx.font = `700 13px ${FONT_STACKS[fonts.body]}`;
+    ctx.fillText(section.label, PADDING, section.y);
+    ctx.font = `400 13px ${FONT_STACKS[fonts.body]}`;
+    let y = section.y + 18;
+    section.paragraphs.forEach((lines) => {
+      lines.forEach((line) => {
+        ctx.fillText(line, PADDING, y);
+        y += LINE_HEIGHT;
+      });
+      y += LINE_HEIGHT * 0.4;
+    });
+  });
+
+  if (template.footer) {
+    ctx.fillStyle = colors.muted;
+    ctx.font = `600 11px ${FONT_STACKS[fonts.body]}`;
+    ctx.fillText(template.footer, PADDING, height - 26);
+  }
+
+  return { fits: true, situations: layout.situations, png: await canvas.encode("png") };
+};
+
+// PDFKit only embeds PNG and JPEG, so print sheets get the QR code rasterized once.
+let qrCodePng = null;
+const loadQrCodePng = async () => {
+  if (!qrCodePng) {
+    const qr = await loadImage(QR_PATH);
+    const canvas = createCanvas(600, 600);
+    canvas.getContext("2d").drawImage(qr, 0, 0, 600, 600);
+    qrCodePng = await canvas.encode("png");
+  }
+  return qrCodePng;
+};
+
+module.exports = {
+  CARD_FONTS,
+  CARD_SCALES,
+  LOGO_PATH,
+  cardSections,
+  checkCardFit,
+  layoutCard,
+  loadQrCodePng,
+  measureContext,
+  partLabel,
+  renderCard
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { CARD_FONTS, LOGO_PATH, cardSections, loadQrCodePng, partLabel } = require("./card");
+const { displayTerm } = require("./exporter");
+
+const mm = (value) => (value * 72) / 25.4;
+
+// Cards stay in landscape like the PNG; `body` is the text size in pt, everything else follows it.
+const CARD_SIZES = {
+  A6: { width: mm(148), height: mm(105), body: 8 },
+  A7: { width: mm(105), height: mm(74), body: 6.5 },
+  business: { width: mm(85), height: mm(55), body: 5.5 }
+};
+const A4 = { width: mm(210), height: mm(297) };
+// Room around the grid for the printer's unprintable edge and the cut marks.
+const SHEET_MARGIN = mm(8);
+const CUT_MARK_LENGTH = mm(4);
+const CUT_MARK_OFFSET = mm(1);
+const DUDEN_YELLOW = "#ffcc00";
+
+const FONTS = {
+  serifBold: "card-serif-bold",
+  regular: "card-regular",
+  semibold: "card-semibold",
+  bold: "card-bold"
+};
+
+// Tries A4 upright and across and keeps whichever holds more cards; cards touch so one cut
+// separates two of them.
+const sheetGrid = (size) => {
+  const card = CARD_SIZES[size];
+  const grids = ["portrait", "landscape"].map((layout) => {
+    const page = layout === "portrait" ? A4 : { width: A4.height, height: A4.width };
+    const cols = Math.floor((page.width - SHEET_MARGIN * 2) / card.width);
+    const rows = Math.floor((page.height - SHEET_MARGIN * 2) / card.height);
+    return {
+      layout,
+      cols,
+      rows,
+      left: (page.width - cols * card.width) / 2,
+      top: (page.height - rows * card.height) / 2
+    };
+  });
+  return grids.reduce((best, grid) => (grid.cols * grid.rows > best.cols * best.rows ? grid : best));
+};
+
+const drawCutMarks = (doc, grid, card) => {
+  const right = grid.left + grid.cols * card.width;
+  const bottom = grid.top + grid.rows * card.height;
+  doc.lineWidth(0.3).strokeColor("#111111");
+  for (let col = 0; col <= grid.cols; col += 1) {
+    const x = grid.left + col * card.width;
+    doc.moveTo(x, grid.top - CUT_MARK_OFFSET).lineTo(x, grid.top - CUT_MARK_OFFSET - CUT_MARK_LENGTH).stroke();
+    doc.moveTo(x, bottom + CUT_MARK_OFFSET).lineTo(x, bottom + CUT_MARK_OFFSET + CUT_MARK_LENGTH).stroke();
+  }
+  for (let row = 0; row <= grid.rows; row += 1) {
+    const y = grid.top + row * card.height;
+    doc.moveTo(grid.left - CUT_MARK_OFFSET, y).lineTo(grid.left - CUT_MARK_OFFSET - CUT_MARK_LENGTH, y).stroke();
+    doc.moveTo(right + CUT_MARK_OFFSET, y).lineTo(right + CUT_MARK_OFFSET + CUT_MARK_LENGTH, y).stroke();
+  }
+};
+
+// Largest size up to `size` at which `text` stays on one line of `width`.
+const fitFontSize = (doc, text, font, size, width) => {
+  let fitted = size;
+  while (fitted > 4 && doc.font(font).fontSize(fitted).widthOfString(text) > width) fitted -= 0.5;
+  return fitted;
+};
+
+// Yellow band with logo, title and QR code like the top of the PNG card.
+const drawBand = (doc, box, card, images) => {
+  const band = card.height * 0.17;
+  const padding = card.height * 0.074;
+  doc.rect(box.x, box.y, card.width, band).fill(DUDEN_YELLOW);
+  doc.rect(box.x, box.y + band * 0.91, card.width, band * 0.09).fill("#111111");
+
+  const qrSize = band * 0.78;
+  const qrX = box.x + card.width - padding - qrSize;
+  if (images.qr) doc.image(images.qr, qrX, box.y + (band * 0.91 - qrSize) / 2, { width: qrSize, height: qrSize });
+  let titleX = box.x + padding;
+  if (images.logo) {
+    const logoHeight = band * 0.57;
+    const logoWidth = (images.logo.width * logoHeight) / images.logo.height;
+    doc.image(images.logo, titleX, box.y + band * 0.26, { width: logoWidth, height: logoHeight });
+    titleX += logoWidth + padding;
+  }
+  const title = "Situative Synonym Edition";
+  const titleSize = card.body * 1.5;
+  // Business cards have no room for the title next to logo and QR code.
+  if (doc.font(FONTS.serifBold).fontSize(titleSize).widthOfString(title) < qrX - titleX - padding / 2) {
+    doc.fillColor("#111111").text(title, titleX, box.y + band * 0.45 - titleSize / 2, { lineBreak: false });
+  }
+  return box.y + band;
+};
+
+const drawFrame = (doc, box, card) => {
+  doc
+    .lineWidth(0.5)
+    .strokeColor("#d6cfc2")
+    .rect(box.x + mm(1.5), box.y + mm(1.5), card.width - mm(3), card.height - mm(3))
+    .stroke();
+};
+
+const drawFooter = (doc, box, card, padding) => {
+  doc
+    .font(FONTS.semibold)
+    .fontSize(card.body * 0.85)
+    .fillColor("#4d4d4d")
+    .text("warefs-duden.de · Persönliche Lernkarte", box.x + padding, box.y + card.height - padding * 0.9, {
+      lineBreak: false
+    });
+};
+
+// Sections run until the space is used up; the last one that only partly fits ends in "…".
+const drawSections = (doc, sections, { x, y, width, bottom, size }) => {
+  let cursor = y;
+  for (const section of sections) {
+    doc.font(FONTS.bold).fontSize(size);
+    const lineHeight = doc.currentLineHeight(true);
+    if (cursor + lineHeight * 2 > bottom) break;
+    doc.fillColor("#111111").text(section.label, x, cursor, { width, lineBreak: false });
+    cursor += lineHeight;
+    const content = String(section.content || "—");
+    doc.font(FONTS.regular).fontSize(size);
+    const height = Math.min(doc.heightOfString(content, { width }), bottom - cursor);
+    doc.text(content, x, cursor, { width, height, ellipsis: true });
+    cursor += height + size * 0.8;
+  }
+};
+
+const drawTermLines = (doc, entry, card, { x, y, width, size, align }) => {
+  const term = displayTerm(entry) || "Unbenannt";
+  const termSize = fitFontSize(doc, term, FONTS.serifBold, size, width);
+  doc.font(FONTS.serifBold).fontSize(termSize).fillColor("#111111").text(term, x, y, { width, align, lineBreak: false });
+  const labelY = y + termSize * 1.35;
+  doc
+    .font(FONTS.semibold)
+    .fontSize(card.body * 0.92)
+    .fillColor("#4d4d4d")
+    .text(partLabel(entry) || "Persönliche Notiz", x, labelY, { width, align, lineBreak: false });
+  return labelY + card.body * 2;
+};
+
+// Single-sided: the whole card on one side, laid out like the PNG.
+const drawFullCard = (doc, item, box, card, images) => {
+  const padding = card.height * 0.074;
+  const width = card.width - padding * 2;
+  drawFrame(doc, box, card);
+  const bandBottom = drawBand(doc, box, card, images);
+  const sectionsTop = drawTermLines(doc, item.entry, card, {
+    x: box.x + padding,
+    y: bandBottom + padding * 0.8,
+    width,
+    size: card.body * 2.6,
+    align: "left"
+  });
+  drawSections(doc, cardSections(item.entry, item.alternatives, item.situations), {
+    x: box.x + padding,
+    y: sectionsTop,
+    width,
+    bottom: box.y + card.height - padding * 1.2,
+    size: card.body
+  });
+  drawFooter(doc, box, card, padding);
+};
+
+const drawFront = (doc, item, box, card, images) => {
+  const padding = card.height * 0.074;
+  drawFrame(doc, box, card);
+  const bandBottom = drawBand(doc, box, card, images);
+  const size = card.body * 3.4;
+  drawTermLines(doc, item.entry, card, {
+    x: box.x + padding,
+    y: bandBottom + (card.height - (bandBottom - box.y) - size * 2) / 2,
+    width: card.width - padding * 2,
+    size,
+    align: "center"
+  });
+  drawFooter(doc, box, card, padding);
+};
+
+const drawBack = (doc, item, box, card) => {
+  const padding = card.height * 0.074;
+  drawFrame(doc, box, card);
+  drawSections(doc, cardSections(item.entry, item.alternatives, item.situations), {
+    x: box.x + padding,
+    y: box.y + padding,
+    width: card.width - padding * 2,
+    bottom: box.y + card.height - padding,
+    size: card.body
+  });
+};
+
+// `items` are `{ entry, alternatives, situations }` in print order. In duplex mode every sheet
+// of fronts is followed by its backs with the columns mirrored, so they line up when the
+// printer turns the paper over the long edge (upright) or the short edge (across).
+const createCardSheets = async (items, { size = "A6", duplex = false, cutMarks = true } = {}) => {
+  const card = CARD_SIZES[size];
+  const grid = sheetGrid(size);
+  const perPage = grid.cols * grid.rows;
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: grid.layout,
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: "warefs-duden Lernkarten", Author: "warefs-duden" }
+  });
+  doc.registerFont(FONTS.serifBold, CARD_FONTS.serif[700]);
+  doc.registerFont(FONTS.regular, CARD_FONTS.sans[400]);
+  doc.registerFont(FONTS.semibold, CARD_FONTS.sans[600]);
+  doc.registerFont(FONTS.bold, CARD_FONTS.sans[700]);
+  // Opened once so every card on the sheet shares the same embedded image.
+  const images = {
+    qr: await loadQrCodePng()
+      .then((png) => doc.openImage(png))
+      .catch(() => null),
+    logo: fs.existsSync(LOGO_PATH) ? doc.openImage(LOGO_PATH) : null
+  };
+
+  const boxAt = (index, mirrored) => {
+    const row = Math.floor(index / grid.cols);
+    const col = mirrored ? grid.cols - 1 - (index % grid.cols) : index % grid.cols;
+    return { x: grid.left + col * card.width, y: grid.top + row * card.height };
+  };
+
+  for (let start = 0; start < items.length; start += perPage) {
+    const pageItems = items.slice(start, start + perPage);
+    doc.addPage({ size: "A4", layout: grid.layout, margin: 0 });
+    if (cutMarks) drawCutMarks(doc, grid, card);
+    pageItems.forEach((item, index) => {
+      if (duplex) drawFront(doc, item, boxAt(index, false), card, images);
+      else drawFullCard(doc, item, boxAt(index, false), card, images);
+    });
+    if (duplex) {
+      doc.addPage({ size: "A4", layout: grid.layout, margin: 0 });
+      pageItems.forEach((item, index) => drawBack(doc, item, boxAt(index, true), card));
+    }
+  }
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  CARD_SIZES,
+  createCardSheets,
+  sheetGrid
+};
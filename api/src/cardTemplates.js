@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { CardTemplate, DEFAULT_CARD_TEMPLATE } = require("./models");
+
+// The built-in card is not stored; it answers to this id wherever a template id is accepted.
+const STANDARD_TEMPLATE_ID = "standard";
+const TEMPLATE_FIELDS = ["name", "width", "height", "colors", "fonts", "sections", "showLogo", "showQr", "title", "footer"];
+
+// Shown in the live preview when no entry is picked.
+const SAMPLE_CARD = {
+  entry: {
+    term: "Bammel",
+    article: "der",
+    partOfSpeech: ["noun"],
+    definition: "Angst, Furcht vor etwas Bevorstehendem",
+    example: "Vor der Prüfung hatte sie ordentlich Bammel.",
+    synonyms: "Schiss, Manschetten, Lampenfieber"
+  },
+  alternatives: { arbeit: ["Bedenken", "Respekt"], behoerdlich: ["Besorgnis"] },
+  situations: ["arbeit", "behoerdlich"]
+};
+
+const standardTemplate = () => ({ _id: STANDARD_TEMPLATE_ID, builtIn: true, ...DEFAULT_CARD_TEMPLATE });
+
+// Empty or "standard" is the built-in card; unknown ids give null.
+const findCardTemplate = async (id) => {
+  if (!id || id === STANDARD_TEMPLATE_ID) return standardTemplate();
+  if (typeof id !== "string" || !mongoose.isValidObjectId(id)) return null;
+  return CardTemplate.findById(id).lean();
+};
+
+const listCardTemplates = async () => {
+  const templates = await CardTemplate.find().sort({ name: 1 }).collation({ locale: "de", strength: 1 }).lean();
+  return [standardTemplate(), ...templates];
+};
+
+const templateInput = (body = {}) =>
+  TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+const validationDetails = (error) =>
+  Object.entries(error.errors).map(([path, item]) => `${path}: ${item.message}`);
+
+// Unsaved templates for the live preview get the same defaults and checks as stored ones.
+const buildCardTemplate = (body = {}) => {
+  const input = templateInput(body);
+  const template = new CardTemplate({ ...input, name: String(input.name || "").trim() || "Vorschau" });
+  const error = template.validateSync();
+  return error ? { details: validationDetails(error) } : { template: template.toObject() };
+};
+
+module.exports = {
+  SAMPLE_CARD,
+  STANDARD_TEMPLATE_ID,
+  buildCardTemplate,
+  findCardTemplate,
+  listCardTemplates,
+  templateInput,
+  validationDetails
+};
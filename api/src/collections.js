@@ -0,0 +1,64 @@
+const { Collection, Entry, TERM_COLLATION } = require("./models");
+const { normalizeTag } = require("./tags");
+
+const isObjectId = (value) => /^[0-9a-f]{24}$/i.test(value || "");
+
+// Accepts the id, the slug or a slug from before a rename, so old shared links keep working. An
+// old slug that several collections once had leads to the one renamed last.
+const findCollection = async (value) => {
+  const key = String(value ?? "").trim();
+  if (!key) return null;
+  if (isObjectId(key)) {
+    const byId = await Collection.findById(key).lean();
+    if (byId) return byId;
+  }
+  return (
+    (await Collection.findOne({ slug: key }).lean()) ||
+    Collection.findOne({ previousSlugs: key }).sort({ updatedAt: -1 }).lean()
+  );
+};
+
+// Collections in German order with the number of entries in each.
+const listCollections = async () => {
+  const [collections, counts] = await Promise.all([
+    Collection.find().sort({ name: 1 }).collation(TERM_COLLATION).lean(),
+    Entry.aggregate([
+      { $match: { collections: { $exists: true, $ne: [] } } },
+      { $unwind: "$collections" },
+      { $group: { _id: "$collections", count: { $sum: 1 } } }
+    ])
+  ]);
+  const byId = new Map(counts.map((item) => [String(item._id), item.count]));
+  return collections.map((collection) => ({ ...collection, count: byId.get(String(collection._id)) || 0 }));
+};
+
+// Collection ids for an entry; null when one of them does not exist.
+const resolveCollectionIds = async (value) => {
+  const ids = Array.from(new Set((Array.isArray(value) ? value : []).map(String)));
+  if (ids.length === 0) return [];
+  if (!ids.every(isObjectId)) return null;
+  const found = await Collection.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? ids : null;
+};
+
+// Entry filter for `?tag=` and `?collection=` of the list, the search and the export. Returns null
+// when the collection does not exist.
+const resolveEntryFilter = async ({ tag, collection } = {}) => {
+  const filter = {};
+  const normalizedTag = normalizeTag(tag);
+  if (normalizedTag) filter.tags = normalizedTag;
+  let found = null;
+  if (typeof collection === "string" && collection.trim()) {
+    found = await findCollection(collection);
+    if (!found) return null;
+    filter.collections = found._id;
+  }
+  return { filter, collection: found };
+};
+
+module.exports = {
+  findCollection,
+  listCollections,
+  resolveCollectionIds,
+  resolveEntryFilter
+};
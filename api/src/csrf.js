@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const { AUTH_COOKIE } = require("./auth");
+const { findSession } = require("./sessions");
+
+const CSRF_HEADER = "x-csrf-token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Login has no session yet; the origin check is what protects it.
+const TOKENLESS_PATHS = ["/api/auth/login"];
+
+const parseAllowedOrigins = (corsOrigin = "*") =>
+  String(corsOrigin)
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+
+const originHost = (origin) => {
+  try {
+    return new URL(origin).host;
+  } catch (error) {
+    return null;
+  }
+};
+
+const tokensMatch = (expected, actual) => {
+  if (typeof expected !== "string" || typeof actual !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const forbidden = (res, reason) => res.status(403).json({ error: "forbidden", reason });
+
+// With CORS_ORIGIN=* only the API's own host may write; otherwise the listed origins.
+// Requests without an Origin header (curl, scripts) pass unless the browser marks them cross-site.
+const createOriginCheck = (corsOrigin) => {
+  const allowed = parseAllowedOrigins(corsOrigin);
+  const sameHostOnly = allowed.length === 0 || allowed.includes("*");
+  return (req) => {
+    const origin = req.get("origin");
+    if (!origin) return req.get("sec-fetch-site") !== "cross-site";
+    if (!sameHostOnly) return allowed.includes(origin);
+    const host = (req.get("x-forwarded-host") || req.get("host") || "").split(",")[0].trim();
+    return Boolean(host) && originHost(origin) === host;
+  };
+};
+
+const createCsrfProtection = ({ corsOrigin = "*" } = {}) => {
+  const originAllowed = createOriginCheck(corsOrigin);
+
+  return async (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) {
+      next();
+      return;
+    }
+    if (!originAllowed(req)) {
+      forbidden(res, "origin not allowed");
+      return;
+    }
+    const token = req.cookies?.[AUTH_COOKIE];
+    if (!token || TOKENLESS_PATHS.includes(req.path)) {
+      next();
+      return;
+    }
+    try {
+      // Unknown or expired sessions fall through so the route answers with 401 as before.
+      const session = await findSession(token);
+      if (session && !tokensMatch(session.csrfToken, req.get(CSRF_HEADER))) {
+        forbidden(res, "invalid csrf token");
+        return;
+      }
+      next();
+    } catch (error) {
+      console.error("Failed to check csrf token", error);
+      res.status(500).json({ error: "failed to load session" });
+    }
+  };
+};
+
+module.exports = {
+  CSRF_HEADER,
+  createCsrfProtection,
+  parseAllowedOrigins
+};
@@ -0,0 +1,325 @@
+const { AI_SITUATION_KEYS, AI_SITUATION_META, Alternative, Entry, TERM_COLLATION } = require("./models");
+const { allowedPos } = require("./morphology");
+const { searchEntries } = require("./search");
+const { entrySenses, numberSenses, senseDefinition } = require("./senses");
+const { normalizeTag } = require("./tags");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  anki: { contentType: "text/tab-separated-values; charset=utf-8", extension: "anki.txt" },
+  quizlet: { contentType: "text/plain; charset=utf-8", extension: "quizlet.txt" }
+};
+
+// Same field names as the import, so an export can be imported again as it is.
+const EXPORT_FIELDS = [
+  "term",
+  "article",
+  "partOfSpeech",
+  "definition",
+  "example",
+  "synonyms",
+  "senses",
+  "tags",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedAt"
+];
+
+const POS_LABELS = {
+  noun: "Nomen",
+  verb: "Verb",
+  adjective: "Adjektiv",
+  adverb: "Adverb",
+  interjection: "Interjektion",
+  particle: "Partikel",
+  conjunction: "Konjunktion",
+  preposition: "Präposition",
+  phrase: "Redewendung"
+};
+
+const splitList = (value) =>
+  (typeof value === "string" ? value.split(",") : [])
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Reads `format`, `q`, `pos`, `tag`, `collection` and `alternatives`/`situations` from the query
+// string. `alternatives=1` exports every situation, `situations=arbeit,behoerdlich` only those.
+const parseExportOptions = (params = {}) => {
+  const format = typeof params.format === "string" ? params.format : "json";
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` };
+  }
+  const partOfSpeech = splitList(params.pos);
+  if (partOfSpeech.some((pos) => !allowedPos.includes(pos))) {
+    return { error: "unknown part of speech" };
+  }
+  let situations = splitList(params.situations);
+  if (situations.some((key) => !AI_SITUATION_KEYS.includes(key))) {
+    return { error: "unknown situation" };
+  }
+  if (situations.length === 0 && ["1", "true"].includes(String(params.alternatives))) {
+    situations = AI_SITUATION_KEYS;
+  }
+  return {
+    format,
+    query: typeof params.q === "string" ? params.q.trim() : "",
+    partOfSpeech,
+    tag: normalizeTag(params.tag),
+    collection: typeof params.collection === "string" ? params.collection.trim() : "",
+    situations: AI_SITUATION_META.filter(({ key }) => situations.includes(key))
+  };
+};
+
+const compareTerms = (a, b) => (a.term || "").localeCompare(b.term || "", "de", { sensitivity: "base" });
+
+// All entries in dictionary order, or only the hits of the search `query` like the list shows them.
+// `filter` comes from resolveEntryFilter and limits the export to a tag or a collection.
+const loadExportEntries = async (query, partOfSpeech, filter = {}) => {
+  const matchesPos = (entry) =>
+    partOfSpeech.length === 0 || (entry.partOfSpeech || []).some((pos) => partOfSpeech.includes(pos));
+  if (query) {
+    const results = await searchEntries(Entry, query, { limit: Infinity, filter });
+    return results.map(({ entry }) => entry).filter(matchesPos).sort(compareTerms);
+  }
+  const posFilter = partOfSpeech.length ? { partOfSpeech: { $in: partOfSpeech } } : {};
+  return Entry.find({ ...filter, ...posFilter }).sort({ term: 1, _id: 1 }).collation(TERM_COLLATION).lean();
+};
+
+// `{ term: { situation: [texts] } }`, oldest first and without repeats like the alternatives panel.
+const loadAlternatives = async (terms) => {
+  const docs = await Alternative.find({ item: { $in: terms } }).sort({ timestamp: 1 }).lean();
+  return docs.reduce((acc, doc) => {
+    acc[doc.item] = acc[doc.item] || {};
+    const list = acc[doc.item][doc.situation] || [];
+    if (!list.includes(doc.alternative_text)) list.push(doc.alternative_text);
+    acc[doc.item][doc.situation] = list;
+    return acc;
+  }, {});
+};
+
+const toExportEntry = (entry, alternatives, situations) => {
+  const exported = EXPORT_FIELDS.reduce((acc, field) => {
+    const value = field === "senses" ? entrySenses(entry) : entry[field];
+    if (value instanceof Date) acc[field] = value.toISOString();
+    else if (Array.isArray(value)) acc[field] = value;
+    else acc[field] = value ?? null;
+    return acc;
+  }, {});
+  if (situations.length > 0) {
+    exported.alternatives = situations.reduce((acc, { key }) => {
+      acc[key] = alternatives[entry.term]?.[key] || [];
+      return acc;
+    }, {});
+  }
+  return exported;
+};
+
+// Spreadsheets run cells starting with these as formulas.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// A leading ' keeps spreadsheets from running the cell; the import takes it off again.
+const csvCell = (value) => {
+  const raw = Array.isArray(value) ? value.join(", ") : value === null ? "" : String(value);
+  const text = CSV_FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Only filled when the single columns cannot hold the entry: several senses or a register.
+const csvSenses = (senses) =>
+  senses.length > 1 || senses.some((sense) => sense.register) ? JSON.stringify(senses) : "";
+
+const formatCsv = (entries, { situations }) => {
+  const header = [...EXPORT_FIELDS, ...situations.map((meta) => meta.label)];
+  const lines = entries.map((entry) =>
+    [
+      ...EXPORT_FIELDS.map((field) => (field === "senses" ? csvSenses(entry.senses) : entry[field])),
+      ...situations.map(({ key }) => entry.alternatives[key].join(" | "))
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return `${[header.map(csvCell).join(","), ...lines].join("\n")}\n`;
+};
+
+const formatJson = (entries, { query, collection, situations }) => {
+  const payload = {
+    ...(query ? { query } : {}),
+    ...(collection ? { collection: { name: collection.name, description: collection.description || "" } } : {}),
+    ...(situations.length ? { situations: situations.map(({ key, label }) => ({ key, label })) } : {}),
+    entries
+  };
+  return `${JSON.stringify(payload, null, 2)}\n`;
+};
+
+const formatDate = (value) => (value ? value.slice(0, 10) : "");
+
+const markdownDefinition = (sense) => (sense.register ? `*${sense.register}* ${sense.definition}` : sense.definition);
+
+const formatMarkdown = (entries, { query, collection, situations }) => {
+  const lines = [collection ? `# ${collection.name}` : "# warefs-duden", ""];
+  if (collection?.description) lines.push(collection.description, "");
+  const count = `${entries.length} ${entries.length === 1 ? "Eintrag" : "Einträge"}`;
+  lines.push(query ? `${count} für die Suche „${query}“.` : `${count}.`, "");
+  entries.forEach((entry) => {
+    lines.push(`## ${entry.term}`, "");
+    const grammar = [entry.article, ...(entry.partOfSpeech || []).map((pos) => POS_LABELS[pos] || pos)];
+    if (grammar.some(Boolean)) lines.push(`*${grammar.filter(Boolean).join(" · ")}*`, "");
+    if (entry.senses.length > 1) {
+      lines.push("**Bedeutungen:**", "");
+      entry.senses.forEach((sense, index) => {
+        lines.push(`${index + 1}. ${markdownDefinition(sense)}`);
+        if (sense.examples.length) lines.push(`   - Gebrauch: ${sense.examples.join(" / ")}`);
+        if (sense.synonyms.length) lines.push(`   - Synonyme: ${sense.synonyms.join(", ")}`);
+      });
+      lines.push("");
+    } else {
+      lines.push(`**Bedeutung:** ${markdownDefinition(entry.senses[0])}`, "");
+      if (entry.example) lines.push(`**Gebrauch:** ${entry.example}`, "");
+      if (entry.synonyms) lines.push(`**Synonyme:** ${entry.synonyms}`, "");
+    }
+    if (entry.tags?.length) lines.push(`**Tags:** ${entry.tags.join(", ")}`, "");
+    const filled = situations.filter(({ key }) => entry.alternatives[key].length > 0);
+    if (filled.length > 0) {
+      lines.push("**Situative Alternativen:**", "");
+      filled.forEach(({ key, label, icon }) => {
+        lines.push(`- ${icon} ${label}: ${entry.alternatives[key].join(", ")}`);
+      });
+      lines.push("");
+    }
+    const created = [formatDate(entry.createdAt), entry.createdBy].filter(Boolean).join(" von ");
+    const updated = [formatDate(entry.updatedAt), entry.updatedBy].filter(Boolean).join(" von ");
+    lines.push(`<sub>Angelegt ${created || "–"} · geändert ${updated || "–"}</sub>`, "");
+  });
+  return `${lines.join("\n").trimEnd()}\n`;
+};
+
+// Same as the card title in the frontend: nouns carry their article ("Bammel, der").
+const displayTerm = (entry) => {
+  const term = (entry.term || "").trim();
+  return (entry.partOfSpeech || []).includes("noun") && entry.article ? `${term}, ${entry.article}` : term;
+};
+
+const DESCRIPTION_LENGTH = 160;
+
+// Text cut at a word boundary, short enough for the description of link previews.
+const excerpt = (text) => {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= DESCRIPTION_LENGTH) return clean;
+  const cut = clean.slice(0, DESCRIPTION_LENGTH - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${space > 0 ? cut.slice(0, space) : cut}…`;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Anki fields must stay on one line, so line breaks become <br>.
+const htmlField = (value) => escapeHtml(value).replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+
+// One numbered block per sense of an entry with several.
+const htmlSense = (sense, number) => {
+  const register = sense.register ? `<i>${escapeHtml(sense.register)}</i> ` : "";
+  const lines = [`${number}. ${register}${htmlField(sense.definition)}`];
+  if (sense.examples.length) lines.push(`<i>${htmlField(sense.examples.join("\n"))}</i>`);
+  if (sense.synonyms.length) lines.push(`Synonyme: ${htmlField(sense.synonyms.join(", "))}`);
+  return lines.join("<br>");
+};
+
+const cardBack = (entry, situations) => {
+  const parts = entry.senses.length > 1 ? entry.senses.map((sense, index) => htmlSense(sense, index + 1)) : [];
+  if (entry.senses.length === 1) {
+    parts.push(htmlField(senseDefinition(entry.senses[0])));
+    if (entry.example) parts.push(`<i>${htmlField(entry.example)}</i>`);
+    if (entry.synonyms) parts.push(`Synonyme: ${htmlField(entry.synonyms)}`);
+  }
+  situations
+    .filter(({ key }) => entry.alternatives[key].length > 0)
+    .forEach(({ key, label, icon }) => {
+      parts.push(`${icon} <small>${escapeHtml(label)}</small><br>${htmlField(entry.alternatives[key].join(", "))}`);
+    });
+  return parts.join("<br><br>");
+};
+
+const plainField = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+
+// Anki's text import with file headers: tab separated, HTML fields, one note per line.
+const formatAnki = (entries, { collection, situations }) => {
+  // A collection becomes a subdeck, "warefs-duden::Büro".
+  const deck = collection ? `warefs-duden::${plainField(collection.name)}` : "warefs-duden";
+  const header = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    `#deck:${deck}`,
+    "#columns:Front\tBack\tTags",
+    "#tags column:3"
+  ];
+  const lines = entries.map((entry) => {
+    // Anki separates tags by spaces, so "small talk" becomes "small_talk".
+    const tags = ["warefs-duden", ...(entry.partOfSpeech || []), ...(entry.tags || []).map((tag) => tag.replace(/ /g, "_"))];
+    return [htmlField(displayTerm(entry)), cardBack(entry, situations), tags.join(" ")].join("\t");
+  });
+  return `${[...header, ...lines].join("\n")}\n`;
+};
+
+const plainSense = (sense) =>
+  [
+    senseDefinition(sense),
+    sense.examples.length ? `„${sense.examples.join(" / ")}“` : "",
+    sense.synonyms.length ? `Synonyme: ${sense.synonyms.join(", ")}` : ""
+  ]
+    .filter(Boolean)
+    .join(" – ");
+
+// Quizlet imports plain text with a tab between term and definition and one card per line.
+const formatQuizlet = (entries, { situations }) => {
+  const lines = entries.map((entry) => {
+    const back = entry.senses.length > 1 ? [plainField(numberSenses(entry.senses, plainSense))] : [];
+    if (entry.senses.length === 1) {
+      back.push(plainField(senseDefinition(entry.senses[0])));
+      if (entry.example) back.push(`Gebrauch: ${plainField(entry.example)}`);
+      if (entry.synonyms) back.push(`Synonyme: ${plainField(entry.synonyms)}`);
+    }
+    situations
+      .filter(({ key }) => entry.alternatives[key].length > 0)
+      .forEach(({ key, icon }) => back.push(`${icon} ${plainField(entry.alternatives[key].join(", "))}`));
+    return `${plainField(displayTerm(entry))}\t${back.join(" · ")}`;
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+const FORMATTERS = {
+  csv: formatCsv,
+  json: formatJson,
+  md: formatMarkdown,
+  anki: formatAnki,
+  quizlet: formatQuizlet
+};
+
+// Builds the export file body from the options of parseExportOptions; `filter` and `collection`
+// come from resolveEntryFilter.
+const buildExport = async ({ format, query, partOfSpeech, situations, filter = {}, collection = null }) => {
+  const entries = await loadExportEntries(query, partOfSpeech, filter);
+  const alternatives = situations.length ? await loadAlternatives(entries.map((entry) => entry.term)) : null;
+  const exported = entries.map((entry) => toExportEntry(entry, alternatives, situations));
+  return FORMATTERS[format](exported, { query, collection, situations });
+};
+
+module.exports = {
+  CSV_FORMULA_START,
+  EXPORT_FORMATS,
+  POS_LABELS,
+  buildExport,
+  displayTerm,
+  escapeHtml,
+  excerpt,
+  loadAlternatives,
+  parseExportOptions
+};
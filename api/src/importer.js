@@ -0,0 +1,310 @@
+const { CSV_FORMULA_START } = require("./exporter");
+const { Entry } = require("./models");
+const { allowedPos, validateMorphology } = require("./morphology");
+const { recordRevision } = require("./revisions");
+const { normalizeSenses, primaryFields } = require("./senses");
+const { normalizeTags } = require("./tags");
+
+const IMPORT_FIELDS = [
+  "term",
+  "definition",
+  "example",
+  "synonyms",
+  "senses",
+  "partOfSpeech",
+  "article",
+  "tags"
+];
+const MAX_IMPORT_ROWS = 2000;
+
+// Header names from old spreadsheets that map to an entry field without manual mapping.
+const COLUMN_ALIASES = {
+  term: ["term", "lemma", "wort", "begriff", "stichwort"],
+  definition: ["definition", "bedeutung", "erklärung", "erklaerung"],
+  example: ["example", "gebrauch", "beispiel", "beispielsatz"],
+  synonyms: ["synonyms", "synonyme", "synonym", "alternativen"],
+  senses: ["senses", "bedeutungen"],
+  partOfSpeech: ["partofspeech", "wortart", "pos"],
+  article: ["article", "artikel", "genus"],
+  tags: ["tags", "tag", "schlagwörter", "schlagworte", "schlagwort"]
+};
+
+const POS_ALIASES = {
+  nomen: "noun",
+  substantiv: "noun",
+  verb: "verb",
+  adjektiv: "adjective",
+  adverb: "adverb",
+  interjektion: "interjection",
+  partikel: "particle",
+  konjunktion: "conjunction",
+  präposition: "preposition",
+  praeposition: "preposition",
+  redewendung: "phrase"
+};
+
+const detectDelimiter = (headerLine) => {
+  const counts = [";", ",", "\t"].map((delimiter) => [delimiter, headerLine.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180 style: quoted cells may contain delimiters, line breaks and doubled quotes.
+const parseCsv = (text, delimiter) => {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const separator = delimiter || detectDelimiter(source.split(/\r?\n/, 1)[0] || "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else if (char === "\r" && source[i + 1] === "\n") {
+        // Line breaks inside a cell are stored as plain "\n".
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+const normalizeHeader = (value) => String(value || "").trim().toLowerCase().replace(/[\s_-]+/g, "");
+
+// Maps each entry field to a column name, using aliases for fields the caller did not map.
+const resolveMapping = (columns, mapping = {}) =>
+  IMPORT_FIELDS.reduce((acc, field) => {
+    if (Object.prototype.hasOwnProperty.call(mapping, field)) {
+      if (mapping[field] && columns.includes(mapping[field])) acc[field] = mapping[field];
+      return acc;
+    }
+    const match = columns.find((column) => COLUMN_ALIASES[field].includes(normalizeHeader(column)));
+    if (match) acc[field] = match;
+    return acc;
+  }, {});
+
+const asCellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(asCellText).filter(Boolean).join(", ");
+  return String(value).trim();
+};
+
+const normalizeImportedPos = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(/[,;/]/))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean)
+    .map((item) => POS_ALIASES[item] || item)
+    .filter((item) => allowedPos.includes(item));
+
+// Exports carry the senses as a list (JSON) or as JSON text (CSV); null marks a cell that is not.
+const parseImportedSenses = (value) => {
+  if (value === null || value === undefined || value === "") return undefined;
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  const { senses, error } = normalizeSenses(list);
+  return error ? null : senses;
+};
+
+const mapRecord = (record, mapping) =>
+  IMPORT_FIELDS.reduce((acc, field) => {
+    const column = mapping[field];
+    if (!column) return acc;
+    if (field === "partOfSpeech") acc[field] = normalizeImportedPos(record[column]);
+    else if (field === "tags") acc[field] = normalizeTags(record[column]);
+    else if (field === "senses") acc[field] = parseImportedSenses(record[column]);
+    else acc[field] = asCellText(record[column]);
+    return acc;
+  }, {});
+
+// Takes off the ' the CSV export puts in front of cells a spreadsheet would run as formulas.
+const csvText = (cell) =>
+  typeof cell === "string" && cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+// Turns the uploaded file into `{ columns, mapping, rows: [{ row, values }] }`; `row` is the
+// line (CSV, header = 1) or position (JSON, from 1) the user can look up in the file.
+const readImport = ({ format, content, mapping, delimiter }) => {
+  if (format === "csv") {
+    const [header = [], ...lines] = parseCsv(content, delimiter);
+    const columns = header.map((column) => column.trim());
+    const resolved = resolveMapping(columns, mapping);
+    const rows = lines.map((cells, index) => {
+      const record = columns.reduce((acc, column, columnIndex) => {
+        acc[column] = csvText(cells[columnIndex]);
+        return acc;
+      }, {});
+      return { row: index + 2, values: mapRecord(record, resolved) };
+    });
+    return { columns, mapping: resolved, rows };
+  }
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = typeof content === "string" ? JSON.parse(content) : content;
+    } catch (error) {
+      return { error: "invalid JSON" };
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.entries;
+    if (!Array.isArray(items)) return { error: "JSON must be an array of entries" };
+    const columns = Array.from(
+      new Set(items.flatMap((item) => (item && typeof item === "object" ? Object.keys(item) : [])))
+    );
+    const resolved = resolveMapping(columns, mapping);
+    const rows = items.map((item, index) => ({
+      row: index + 1,
+      values: mapRecord(item && typeof item === "object" ? item : {}, resolved)
+    }));
+    return { columns, mapping: resolved, rows };
+  }
+  return { error: "format must be csv or json" };
+};
+
+// The same checks as POST /api/entries; returns the fields to store or an error message. With
+// senses the single columns are taken from the first sense, like the model does.
+const validateImportRow = (values) => {
+  if (values.senses === null) return { error: "invalid senses" };
+  const senses = values.senses?.length ? values.senses : null;
+  if (!values.term || !(senses || values.definition)) return { error: "term and definition are required" };
+  const morph = validateMorphology(values.partOfSpeech, values.article);
+  if (morph.error) return { error: morph.error };
+  return {
+    fields: {
+      term: values.term,
+      ...(senses
+        ? { senses, ...primaryFields(senses) }
+        : {
+            definition: values.definition,
+            example: values.example || undefined,
+            synonyms: values.synonyms || undefined
+          }),
+      partOfSpeech: morph.partOfSpeech.length ? morph.partOfSpeech : undefined,
+      article: morph.article,
+      tags: values.tags?.length ? values.tags : undefined
+    }
+  };
+};
+
+// Only filled cells change an entry; a part of speech other than noun drops the article.
+const buildUpdate = (existing, fields) => {
+  const $set = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) return;
+    const changed = Array.isArray(value)
+      ? JSON.stringify(existing[field] || []) !== JSON.stringify(value)
+      : (existing[field] ?? "") !== value;
+    if (changed) $set[field] = value;
+  });
+  const dropArticle = fields.partOfSpeech && !fields.article && existing.article;
+  return { $set, $unset: dropArticle ? { article: "" } : null };
+};
+
+// Decides per row whether it creates, updates or skips an entry. Existing terms are skipped
+// unless `duplicates` is "update"; empty optional cells never clear stored values.
+// With `dryRun` nothing is written.
+const runImport = async (rows, { duplicates = "skip", dryRun = true, user }) => {
+  const terms = rows.map(({ values }) => values.term).filter(Boolean);
+  const existing = await Entry.find({ term: { $in: terms } }).lean();
+  const existingByTerm = new Map(existing.map((entry) => [entry.term, entry]));
+  const seen = new Set();
+  const results = [];
+
+  for (const { row, values } of rows) {
+    const result = { row, term: values.term || "" };
+    const { error, fields } = validateImportRow(values);
+    if (error) {
+      results.push({ ...result, status: "error", error });
+      continue;
+    }
+    if (seen.has(fields.term)) {
+      results.push({ ...result, status: "skipped", reason: "duplicate in file" });
+      continue;
+    }
+    seen.add(fields.term);
+
+    const current = existingByTerm.get(fields.term);
+    if (current && duplicates !== "update") {
+      results.push({ ...result, status: "skipped", reason: "term already exists", entryId: current._id });
+      continue;
+    }
+    const update = current ? buildUpdate(current, fields) : null;
+    if (update && !Object.keys(update.$set).length && !update.$unset) {
+      results.push({ ...result, status: "skipped", reason: "unchanged", entryId: current._id });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ...result, status: current ? "updated" : "created", entryId: current?._id });
+      continue;
+    }
+
+    try {
+      if (current) {
+        const updated = await Entry.findByIdAndUpdate(
+          current._id,
+          {
+            $set: { ...update.$set, updatedBy: user },
+            ...(update.$unset ? { $unset: update.$unset } : {})
+          },
+          { new: true, runValidators: true }
+        );
+        await recordRevision({
+          entryId: updated._id,
+          action: "update",
+          source: "import",
+          user,
+          previous: current,
+          values: updated
+        });
+        results.push({ ...result, status: "updated", entryId: updated._id });
+      } else {
+        const entry = await Entry.create({ ...fields, createdBy: user, updatedBy: user });
+        await recordRevision({ entryId: entry._id, action: "create", source: "import", user, values: entry });
+        results.push({ ...result, status: "created", entryId: entry._id });
+      }
+    } catch (writeError) {
+      const message = writeError?.code === 11000 ? "term already exists" : "failed to save entry";
+      if (writeError?.code !== 11000) console.error("Failed to import entry", writeError);
+      results.push({ ...result, status: "error", error: message });
+    }
+  }
+
+  const summary = ["created", "updated", "skipped", "error"].reduce((acc, status) => {
+    acc[status] = results.filter((item) => item.status === status).length;
+    return acc;
+  }, {});
+  return { summary, rows: results };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  readImport,
+  runImport
+};
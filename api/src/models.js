@@ -0,0 +1,499 @@
+const mongoose = require("mongoose");
+const { buildSearchFields } = require("./search");
+const { legacySenses, primaryFields } = require("./senses");
+const { nextSlug } = require("./slugs");
+
+// German ordering for the entry list, case- and accent-insensitive like the frontend sort.
+const TERM_COLLATION = { locale: "de", strength: 1 };
+
+const entrySchema = new mongoose.Schema(
+  {
+    term: { type: String, required: true, trim: true, unique: true },
+    definition: { type: String, required: true, trim: true },
+    example: { type: String, trim: true },
+    synonyms: { type: String, trim: true },
+    // Numbered meanings, each with its own examples, synonyms and register such as "umgangssprachlich".
+    // definition, example and synonyms above mirror the first one (see primaryFields in senses.js).
+    senses: {
+      type: [
+        new mongoose.Schema(
+          {
+            definition: { type: String, required: true, trim: true },
+            examples: [String],
+            synonyms: [String],
+            register: { type: String, trim: true, maxlength: 40 }
+          },
+          { _id: false }
+        )
+      ],
+      default: undefined
+    },
+    partOfSpeech: {
+      type: [String],
+      enum: [
+        "noun",
+        "verb",
+        "adjective",
+        "adverb",
+        "interjection",
+        "particle",
+        "conjunction",
+        "preposition",
+        "phrase"
+      ],
+      required: false,
+      default: undefined
+    },
+    article: {
+      type: String,
+      enum: ["der", "die", "das"],
+      required: false
+    },
+    // Free-form keywords, lowercase and without repeats (see normalizeTags in tags.js).
+    tags: { type: [String], default: undefined },
+    // Curated collections the entry belongs to; membership is kept on the entry like the tags.
+    collections: { type: [mongoose.Schema.Types.ObjectId], ref: "Collection", default: undefined },
+    createdBy: { type: String, trim: true },
+    updatedBy: { type: String, trim: true },
+    // Permalink under /wort/:slug, maintained by the hooks below. Slugs from before a rename stay in
+    // previousSlugs so old links redirect.
+    slug: { type: String, trim: true },
+    previousSlugs: { type: [String], default: undefined },
+    // Umlaut-folded copies of the text fields for /api/entries/search, kept in sync by the hooks below.
+    search: {
+      type: new mongoose.Schema(
+        { term: String, synonyms: String, text: String },
+        { _id: false }
+      ),
+      select: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.search;
+        return ret;
+      }
+    }
+  }
+);
+
+entrySchema.index(
+  { "search.term": "text", "search.synonyms": "text", "search.text": "text" },
+  {
+    name: "entry_search",
+    default_language: "german",
+    weights: { "search.term": 10, "search.synonyms": 4, "search.text": 1 }
+  }
+);
+
+entrySchema.index({ term: 1, _id: 1 }, { name: "entry_list", collation: TERM_COLLATION });
+entrySchema.index({ slug: 1 }, { name: "entry_slug", unique: true, sparse: true });
+entrySchema.index({ previousSlugs: 1 }, { name: "entry_previous_slugs" });
+entrySchema.index({ tags: 1 }, { name: "entry_tags" });
+entrySchema.index({ collections: 1 }, { name: "entry_collections" });
+
+// Senses win when both are given; entries written with the single fields get one sense from them.
+const syncedSenseFields = (entry) => {
+  if (entry.senses?.length) return primaryFields(entry.senses);
+  const senses = legacySenses(entry);
+  return senses.length ? { senses } : {};
+};
+
+// Before validation, so an entry can be created from its senses alone.
+entrySchema.pre("validate", function () {
+  if (this.isNew || this.isModified("senses") || !this.senses?.length) this.set(syncedSenseFields(this));
+});
+
+entrySchema.pre("save", async function () {
+  this.search = buildSearchFields(this);
+  if (this.isNew || this.isModified("term") || !this.slug) {
+    const slug = await nextSlug(this.constructor, this);
+    if (slug) this.set(slug);
+  }
+});
+
+entrySchema.pre("insertMany", function (next, docs) {
+  const list = Array.isArray(docs) ? docs : [docs];
+  list.forEach((doc) => {
+    Object.assign(doc, syncedSenseFields(doc));
+    doc.search = buildSearchFields(doc);
+  });
+  // One after the other, so two restored terms with the same slug do not both get it.
+  const assignSlugs = async () => {
+    const reserved = new Set();
+    for (const doc of list) {
+      Object.assign(doc, await nextSlug(this, doc, reserved));
+      reserved.add(doc.slug);
+    }
+  };
+  assignSlugs().then(() => next(), next);
+});
+
+const LEGACY_SENSE_FIELDS = ["definition", "example", "synonyms"];
+
+// Keeps senses and the single fields in step: new senses rewrite the single fields, and a write of
+// only the single fields (older clients, revisions from before senses) replaces the first sense.
+const syncUpdatedSenses = (query, update, current) => {
+  const updated = (field) =>
+    update.$unset && field in update.$unset ? "" : update[field] ?? update.$set?.[field];
+  const senses = updated("senses");
+  let fields = null;
+  if (Array.isArray(senses) && senses.length) fields = primaryFields(senses);
+  else if (LEGACY_SENSE_FIELDS.some((field) => updated(field) !== undefined)) {
+    const merged = LEGACY_SENSE_FIELDS.reduce(
+      (acc, field) => ({ ...acc, [field]: updated(field) ?? current[field] }),
+      {}
+    );
+    fields = { senses: [...legacySenses(merged), ...(current.senses || []).slice(1)] };
+  }
+  if (!fields) return;
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value !== undefined) {
+      query.set(field, value);
+      return;
+    }
+    delete update[field];
+    if (update.$set) delete update.$set[field];
+    update.$unset = { ...update.$unset, [field]: "" };
+  });
+};
+
+entrySchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const term = update.term ?? update.$set?.term;
+  const touchesSenses = ["senses", ...LEGACY_SENSE_FIELDS].some(
+    (field) => field in update || field in (update.$set || {}) || field in (update.$unset || {})
+  );
+  if (term === undefined && !touchesSenses) return;
+  const current = await this.model.findOne(this.getQuery()).lean();
+  if (!current) return;
+  syncUpdatedSenses(this, update, current);
+  if (term === undefined) return;
+  const slug = await nextSlug(this.model, { ...current, term });
+  if (slug) this.set(slug);
+});
+
+entrySchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc) return;
+  const current = await this.model.findById(doc._id).lean();
+  if (!current) return;
+  await this.model.updateOne(
+    { _id: doc._id },
+    { $set: { search: buildSearchFields(current) } },
+    { timestamps: false }
+  );
+});
+
+const Entry = mongoose.model("Entry", entrySchema);
+
+// Entries stored before the search fields existed get them on startup.
+const syncSearchFields = async () => {
+  const stale = await Entry.find({ search: { $exists: false } }).lean();
+  await Promise.all(
+    stale.map((entry) =>
+      Entry.updateOne(
+        { _id: entry._id },
+        { $set: { search: buildSearchFields(entry) } },
+        { timestamps: false }
+      )
+    )
+  );
+  return stale.length;
+};
+
+// Entries stored before permalinks existed get their slug on startup, the oldest first so it keeps
+// the plain one when two terms fold to the same slug.
+const syncSlugs = async () => {
+  const missing = await Entry.find({ slug: { $exists: false } }).sort({ createdAt: 1, _id: 1 }).lean();
+  for (const entry of missing) {
+    await Entry.updateOne({ _id: entry._id }, { $set: await nextSlug(Entry, entry) }, { timestamps: false });
+  }
+  return missing.length;
+};
+
+// Entries stored before senses existed get their definition, example and synonyms as sense 1.
+const syncSenses = async () => {
+  const missing = await Entry.find({ senses: { $exists: false } }).lean();
+  const migrated = missing.filter((entry) => legacySenses(entry).length);
+  await Promise.all(
+    migrated.map((entry) =>
+      Entry.updateOne({ _id: entry._id }, { $set: { senses: legacySenses(entry) } }, { timestamps: false })
+    )
+  );
+  return migrated.length;
+};
+
+// Labels and icons match AI_SITUATION_META in web/src/App.jsx; exports use them as headings.
+const AI_SITUATION_META = [
+  {
+    key: "arbeit",
+    label: "Karrieregefährdend · HR-sensibel · Meeting-ungeeignet · Nicht zitierfähig",
+    icon: "⚠"
+  },
+  {
+    key: "schwiegereltern",
+    label: "Schwiegerelternkritisch · Sonntagsessen-ungeeignet · Erklärungsbedürftig",
+    icon: "❤"
+  },
+  {
+    key: "philosophie_3uhr",
+    label: "3-Uhr-tauglich · Tee & These · Gedankenschwer · Leicht überhöht",
+    icon: "☕"
+  },
+  {
+    key: "gasse_betrunken",
+    label: "Gassentauglich · Promillefest · Freundeskreis erprobt · Grammatik optional",
+    icon: "🍻"
+  },
+  {
+    key: "behoerdlich",
+    label: "Behördlich geprüft · Emotionsfrei · Haftungsarm · Unangreifbar",
+    icon: "🏛️"
+  }
+];
+const AI_SITUATION_KEYS = AI_SITUATION_META.map((meta) => meta.key);
+const emptyAlternativeResults = () =>
+  AI_SITUATION_KEYS.reduce((acc, key) => {
+    acc[key] = [];
+    return acc;
+  }, {});
+const alternativeSchema = new mongoose.Schema(
+  {
+    item: { type: String, required: true, trim: true },
+    situation: { type: String, required: true, enum: AI_SITUATION_KEYS },
+    alternative_text: { type: String, required: true, trim: true },
+    timestamp: { type: Date, required: true },
+    model_version: { type: String, trim: true }
+  },
+  { timestamps: false }
+);
+const Alternative = mongoose.model("Alternative", alternativeSchema);
+
+const REVISION_SOURCES = ["manual", "ai-complete", "spellcheck-suggestion", "import", "restore"];
+const revisionSchema = new mongoose.Schema(
+  {
+    entryId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    action: { type: String, required: true, enum: ["create", "update", "delete"] },
+    source: { type: String, required: true, enum: REVISION_SOURCES, default: "manual" },
+    user: { type: String, trim: true },
+    // Entry fields before and after the change; null for the side that did not exist.
+    previous: { type: mongoose.Schema.Types.Mixed, default: null },
+    values: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+const Revision = mongoose.model("Revision", revisionSchema);
+
+// Deleted entries wait here together with their alternatives until they are restored or purged.
+const trashedEntrySchema = new mongoose.Schema(
+  {
+    entry: { type: mongoose.Schema.Types.Mixed, required: true },
+    alternatives: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    deletedAt: { type: Date, required: true, index: true }
+  },
+  { collection: "trash", minimize: false }
+);
+const TrashedEntry = mongoose.model("TrashedEntry", trashedEntrySchema);
+
+const USER_ROLES = ["viewer", "editor", "admin"];
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, required: true, enum: USER_ROLES, default: "viewer" }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+      }
+    }
+  }
+);
+const User = mongoose.model("User", userSchema);
+
+// Only a hash of the session token is stored, so a database dump cannot be replayed as cookies.
+const sessionSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    csrfToken: { type: String },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model("Session", sessionSchema);
+
+// One document per AI call; costs are estimated in USD when the call is recorded.
+const aiUsageSchema = new mongoose.Schema(
+  {
+    route: { type: String, required: true },
+    capability: { type: String, required: true },
+    provider: { type: String, default: "" },
+    model: { type: String, default: "" },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 },
+    latencyMs: { type: Number, default: 0 },
+    success: { type: Boolean, required: true },
+    error: { type: String, default: null },
+    user: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, index: true }
+  },
+  { collection: "ai_usage", versionKey: false }
+);
+const AiUsage = mongoose.model("AiUsage", aiUsageSchema);
+
+// Cached AI answers; the key hashes route, prompt version and the normalized request payload.
+const aiCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    route: { type: String, required: true },
+    promptVersion: { type: String, required: true },
+    response: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+  },
+  { collection: "ai_cache", minimize: false, versionKey: false }
+);
+aiCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const AiCache = mongoose.model("AiCache", aiCacheSchema);
+
+// Named layouts for the learning card. DEFAULT_CARD_TEMPLATE is the built-in "Standard" card that
+// is used when no template is picked; stored templates start from the same values.
+const CARD_SECTIONS = ["definition", "example", "synonyms", "situations"];
+const CARD_FONT_FAMILIES = ["serif", "sans"];
+const DEFAULT_CARD_TEMPLATE = {
+  name: "Standard",
+  width: 900,
+  height: 540,
+  colors: {
+    background: "#ffffff",
+    band: "#ffcc00",
+    text: "#111111",
+    muted: "#4d4d4d",
+    border: "#d6cfc2"
+  },
+  fonts: { heading: "serif", body: "sans" },
+  sections: CARD_SECTIONS,
+  showLogo: true,
+  showQr: true,
+  title: "Situative Synonym Edition",
+  footer: "warefs-duden.de · Persönliche Lernkarte"
+};
+const hexColor = (value) => ({
+  type: String,
+  default: value,
+  match: [/^#[0-9a-f]{6}$/i, "must be a color like #ffcc00"]
+});
+const cardTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true, maxlength: 60 },
+    width: { type: Number, default: DEFAULT_CARD_TEMPLATE.width, min: 400, max: 1800 },
+    height: { type: Number, default: DEFAULT_CARD_TEMPLATE.height, min: 300, max: 1800 },
+    colors: {
+      type: new mongoose.Schema(
+        Object.fromEntries(
+          Object.entries(DEFAULT_CARD_TEMPLATE.colors).map(([key, value]) => [key, hexColor(value)])
+        ),
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+    fonts: {
+      type: new mongoose.Schema(
+        {
+          heading: { type: String, enum: CARD_FONT_FAMILIES, default: DEFAULT_CARD_TEMPLATE.fonts.heading },
+          body: { type: String, enum: CARD_FONT_FAMILIES, default: DEFAULT_CARD_TEMPLATE.fonts.body }
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+    // Shown in this order; sections that are left out do not appear on the card.
+    sections: {
+      type: [{ type: String, enum: CARD_SECTIONS }],
+      default: () => [...CARD_SECTIONS],
+      validate: {
+        validator: (value) => new Set(value).size === value.length,
+        message: "sections must not repeat"
+      }
+    },
+    showLogo: { type: Boolean, default: true },
+    showQr: { type: Boolean, default: true },
+    title: { type: String, trim: true, maxlength: 80, default: DEFAULT_CARD_TEMPLATE.title },
+    footer: { type: String, trim: true, maxlength: 80, default: DEFAULT_CARD_TEMPLATE.footer },
+    createdBy: { type: String, trim: true },
+    updatedBy: { type: String, trim: true }
+  },
+  { collection: "card_templates", timestamps: true }
+);
+const CardTemplate = mongoose.model("CardTemplate", cardTemplateSchema);
+
+// Thematic collections such as "Jugendsprache" or "Büro", shared under /sammlung/:slug. Renamed
+// collections keep their old slugs so shared links still work.
+const collectionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true, maxlength: 60 },
+    description: { type: String, trim: true, maxlength: 500 },
+    slug: { type: String, trim: true },
+    previousSlugs: { type: [String], default: undefined },
+    createdBy: { type: String, trim: true },
+    updatedBy: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+collectionSchema.index({ slug: 1 }, { name: "collection_slug", unique: true, sparse: true });
+collectionSchema.index({ previousSlugs: 1 }, { name: "collection_previous_slugs" });
+
+collectionSchema.pre("save", async function () {
+  if (this.isNew || this.isModified("name") || !this.slug) {
+    const slug = await nextSlug(this.constructor, this, new Set(), this.name);
+    if (slug) this.set(slug);
+  }
+});
+const Collection = mongoose.model("Collection", collectionSchema);
+
+// Counters of the Mongo-backed rate limit store, shared by all API instances.
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    blockedUntil: { type: Date, default: null },
+    resetAt: { type: Date, required: true }
+  },
+  { versionKey: false }
+);
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = {
+  AI_SITUATION_KEYS,
+  AI_SITUATION_META,
+  AiCache,
+  AiUsage,
+  Alternative,
+  CARD_FONT_FAMILIES,
+  CARD_SECTIONS,
+  CardTemplate,
+  Collection,
+  DEFAULT_CARD_TEMPLATE,
+  Entry,
+  REVISION_SOURCES,
+  RateLimit,
+  Revision,
+  Session,
+  TERM_COLLATION,
+  TrashedEntry,
+  USER_ROLES,
+  User,
+  emptyAlternativeResults,
+  syncSearchFields,
+  syncSenses,
+  syncSlugs
+};
@@ -0,0 +1,56 @@
+const allowedPos = [
+  "noun",
+  "verb",
+  "adjective",
+  "adverb",
+  "interjection",
+  "particle",
+  "conjunction",
+  "preposition",
+  "phrase"
+];
+
+const normalizePartOfSpeech = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const normalized = list
+    .map((item) => String(item).toLowerCase().trim())
+    .filter((item) => allowedPos.includes(item));
+  const unique = Array.from(new Set(normalized));
+  return unique.slice(0, 1); // enforce single primary POS
+};
+
+const capitalizeFirst = (value) => {
+  if (!value || typeof value !== "string") return value;
+  if (value.length === 0) return value;
+  return `${value[0].toUpperCase()}${value.slice(1)}`;
+};
+
+const normalizeArticle = (value) => {
+  if (!value) return undefined;
+  const normalized = String(value).toLowerCase().trim();
+  if (["der", "die", "das"].includes(normalized)) return normalized;
+  return undefined;
+};
+
+const validateMorphology = (partOfSpeech, article) => {
+  const normalizedPos = normalizePartOfSpeech(partOfSpeech);
+  const normalizedArticle = normalizeArticle(article);
+
+  if (normalizedPos.includes("noun")) {
+    if (!normalizedArticle) {
+      return { error: "Artikel ist für Nomen erforderlich." };
+    }
+    return { partOfSpeech: normalizedPos, article: normalizedArticle };
+  }
+
+  return { partOfSpeech: normalizedPos, article: undefined };
+};
+
+module.exports = {
+  allowedPos,
+  capitalizeFirst,
+  normalizeArticle,
+  normalizePartOfSpeech,
+  validateMorphology
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const { AUTH_COOKIE } = require("./auth");
+const { RateLimit } = require("./models");
+
+const DEFAULT_LIMITS = {
+  login: { limit: 20, windowMs: 15 * 60 * 1000 },
+  ai: { limit: 10, windowMs: 60 * 1000 },
+  cards: { limit: 60, windowMs: 60 * 1000 },
+  lockout: { threshold: 5, baseMs: 30 * 1000, maxMs: 60 * 60 * 1000, windowMs: 60 * 60 * 1000 }
+};
+const MEMORY_SWEEP_SIZE = 10000;
+
+// Stores keep fixed-window counters as `{ count, resetAt, blockedUntil }` (times in ms).
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const current = (key, now = Date.now()) => {
+    const record = records.get(key);
+    if (record && record.resetAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    records.forEach((record, key) => {
+      if (record.resetAt <= now) records.delete(key);
+    });
+  };
+
+  return {
+    get: async (key) => {
+      const record = current(key);
+      return record ? { ...record } : null;
+    },
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let record = current(key, now);
+      if (!record) {
+        if (records.size >= MEMORY_SWEEP_SIZE) sweep();
+        record = { count: 0, resetAt: now + windowMs, blockedUntil: 0 };
+        records.set(key, record);
+      }
+      record.count += 1;
+      return { ...record };
+    },
+    block: async (key, blockedUntil) => {
+      const record = current(key);
+      if (!record) return;
+      record.blockedUntil = blockedUntil;
+      record.resetAt = Math.max(record.resetAt, blockedUntil);
+    },
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+const toRecord = (doc) => ({
+  count: doc.count,
+  resetAt: new Date(doc.resetAt).getTime(),
+  blockedUntil: doc.blockedUntil ? new Date(doc.blockedUntil).getTime() : 0
+});
+
+// Shares the counters between several API instances; Mongo's TTL index removes old windows.
+const createMongoStore = (Model = RateLimit) => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const running = await Model.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    ).lean();
+    if (running) return toRecord(running);
+    try {
+      const fresh = await Model.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, blockedUntil: null, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      ).lean();
+      return toRecord(fresh);
+    } catch (error) {
+      // Another instance started the window first; count on top of it.
+      if (error && error.code === 11000) return increment(key, windowMs);
+      throw error;
+    }
+  };
+
+  return {
+    get: async (key) => {
+      const doc = await Model.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return doc ? toRecord(doc) : null;
+    },
+    increment,
+    block: async (key, blockedUntil) => {
+      const until = new Date(blockedUntil);
+      await Model.updateOne({ key }, { $set: { blockedUntil: until }, $max: { resetAt: until } });
+    },
+    reset: async (key) => {
+      await Model.deleteOne({ key });
+    }
+  };
+};
+
+const createRateLimitStore = (type) => (type === "mongo" ? createMongoStore() : createMemoryStore());
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+const tooManyRequests = (res, retryAfter, error = "too many requests") => {
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error, retryAfter });
+};
+
+const hashKey = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || "unknown";
+
+// Counts every request against each key; the first exhausted key answers with 429.
+const createRateLimiter = ({ store, name, limit, windowMs, keys }) => async (req, res, next) => {
+  try {
+    for (const key of keys(req)) {
+      const record = await store.increment(`${name}:${key}`, windowMs);
+      if (record.count > limit) {
+        tooManyRequests(res, secondsUntil(record.resetAt));
+        return;
+      }
+    }
+    next();
+  } catch (error) {
+    // A broken store must not lock everybody out.
+    console.error("Rate limit check failed", error);
+    next();
+  }
+};
+
+// Failed logins per IP and username; from `threshold` failures on, every further failure
+// doubles the lockout, up to `maxMs`. A successful login clears the counter.
+const createLoginThrottle = ({ store, threshold, baseMs, maxMs, windowMs }) => {
+  const keyFor = (req, username) => `login-failures:${clientIp(req)}:${username}`;
+
+  return {
+    retryAfter: async (req, username) => {
+      const record = await store.get(keyFor(req, username));
+      return record && record.blockedUntil > Date.now() ? secondsUntil(record.blockedUntil) : 0;
+    },
+    fail: async (req, username) => {
+      const key = keyFor(req, username);
+      const record = await store.increment(key, windowMs);
+      if (record.count < threshold) return 0;
+      const lockMs = Math.min(maxMs, baseMs * 2 ** (record.count - threshold));
+      await store.block(key, Date.now() + lockMs);
+      return Math.ceil(lockMs / 1000);
+    },
+    succeed: (req, username) => store.reset(keyFor(req, username))
+  };
+};
+
+const createRateLimits = ({ store = createMemoryStore(), login = {}, ai = {}, cards = {}, lockout = {} } = {}) => {
+  const loginOptions = { ...DEFAULT_LIMITS.login, ...login };
+  const aiOptions = { ...DEFAULT_LIMITS.ai, ...ai };
+  const cardOptions = { ...DEFAULT_LIMITS.cards, ...cards };
+  const sessionKey = (req) => {
+    const token = req.cookies?.[AUTH_COOKIE];
+    return token ? [`session:${hashKey(token)}`] : [];
+  };
+
+  return {
+    login: createRateLimiter({
+      store,
+      name: "login",
+      ...loginOptions,
+      keys: (req) => [`ip:${clientIp(req)}`]
+    }),
+    ai: createRateLimiter({
+      store,
+      name: "ai",
+      ...aiOptions,
+      keys: (req) => [`ip:${clientIp(req)}`, ...sessionKey(req)]
+    }),
+    // Card images and share pages are public and drawn on the server.
+    cards: createRateLimiter({
+      store,
+      name: "cards",
+      ...cardOptions,
+      keys: (req) => [`ip:${clientIp(req)}`]
+    }),
+    loginThrottle: createLoginThrottle({ store, ...DEFAULT_LIMITS.lockout, ...lockout })
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createRateLimitStore,
+  createRateLimits,
+  tooManyRequests
+};
@@ -0,0 +1,94 @@
+const { REVISION_SOURCES, Revision } = require("./models");
+
+const REVISION_FIELDS = [
+  "term",
+  "definition",
+  "example",
+  "synonyms",
+  "senses",
+  "partOfSpeech",
+  "article",
+  "tags"
+];
+
+// Senses are subdocuments on a loaded entry; revisions keep them as plain objects.
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.map((item) => item?.toObject?.() ?? item) : null;
+  if (value === undefined || value === "") return null;
+  return value;
+};
+
+const pickRevisionFields = (entry) =>
+  entry
+    ? REVISION_FIELDS.reduce((acc, field) => {
+        acc[field] = normalizeValue(entry[field]);
+        return acc;
+      }, {})
+    : null;
+
+// The first sense is mirrored in definition, example and synonyms, which already show its changes.
+const comparableValue = (field, value) => {
+  if (field !== "senses") return value ?? null;
+  const [first, ...rest] = value || [];
+  return [first?.register ?? null, ...rest];
+};
+
+const diffRevisionFields = (previous, values) =>
+  REVISION_FIELDS.filter(
+    (field) =>
+      JSON.stringify(comparableValue(field, previous?.[field])) !==
+      JSON.stringify(comparableValue(field, values?.[field]))
+  ).map((field) => ({
+    field,
+    from: previous?.[field] ?? null,
+    to: values?.[field] ?? null
+  }));
+
+const normalizeRevisionSource = (value) =>
+  REVISION_SOURCES.includes(value) ? value : "manual";
+
+// History must never break a write that already succeeded, so failures are only logged.
+const recordRevision = async ({
+  entryId,
+  action,
+  source,
+  user,
+  previous = null,
+  values = null
+}) => {
+  const before = pickRevisionFields(previous);
+  const after = pickRevisionFields(values);
+  if (action === "update" && diffRevisionFields(before, after).length === 0) return null;
+  try {
+    return await Revision.create({
+      entryId,
+      action,
+      source: normalizeRevisionSource(source),
+      user,
+      previous: before,
+      values: after
+    });
+  } catch (error) {
+    console.error("Failed to record revision", error);
+    return null;
+  }
+};
+
+const serializeRevision = (revision) => ({
+  _id: revision._id,
+  entryId: revision.entryId,
+  action: revision.action,
+  source: revision.source,
+  user: revision.user || null,
+  createdAt: revision.createdAt,
+  previous: revision.previous,
+  values: revision.values,
+  changes: diffRevisionFields(revision.previous, revision.values)
+});
+
+module.exports = {
+  REVISION_FIELDS,
+  normalizeRevisionSource,
+  recordRevision,
+  serializeRevision
+};
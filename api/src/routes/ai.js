@@ -0,0 +1,495 @@
+const express = require("express");
+const { AI_CACHE_HEADER } = require("../aiCache");
+const { AI_SITUATION_KEYS, Alternative, Entry, emptyAlternativeResults } = require("../models");
+const { capitalizeFirst, normalizePartOfSpeech } = require("../morphology");
+const { MAX_SENSES, normalizeSenses } = require("../senses");
+const { reviewWithHunspell } = require("../spell");
+const { isLoginConfigured } = require("../users");
+
+const AI_ALTERNATIVES_SYSTEM_PROMPT = `
+AGENTENANWEISUNG – Situative Alternativen (geordnet nach Tonalität)
+
+Du agierst als Sprach- und Kontext-Agent.
+
+Deine Aufgabe ist es, situativ passende alternative Formulierungen zu erzeugen und sie innerhalb jeder Situation nach Tonalität zu ordnen.
+
+Wichtig:
+- Die Ausgabe darf freundlich, neutral, verspielt oder kritisch sein.
+- Überheblichkeit ist nicht der Default.
+- Antworte ausschließlich als JSON-Objekt im unten angegebenen Schema.
+
+Zentrale Sortierregel (verbindlich)
+Innerhalb jeder Situation müssen die Alternativen wie folgt sortiert sein:
+1) freundlich / positiv / wohlwollend
+2) neutral / locker / ironisch
+3) kritisch / flapsig / sozial unpassend
+Die Liste geht von sozial akzeptabel zu zunehmend unfreundlich. Nicht alle Stufen müssen extrem sein, aber die Richtung muss erkennbar sein.
+Wenn nur eine Alternative geliefert wird, wähle eine mittlere Tonalität.
+
+Allgemeine Regeln
+- Erzeuge 1–3 Alternativen pro Situation.
+- Alternativen dürfen positiv, neutral oder kritisch sein.
+- Positive Varianten sind ausdrücklich erlaubt.
+- Keine Erklärungen, keine Metakommentare, keine Emojis.
+- Keine Wiederholungen zwischen Situationen.
+- Die emotionale Intensität ist an den Ausgangsbegriff anzupassen; neutrale oder abstrakte Begriffe erfordern mildere Tonlagen.
+
+Situationen & Tonrahmen
+
+1. Karrieregefährdend (Ziel: im Arbeitskontext unprofessionell)
+- freundlich-locker → ironisch → schnippisch
+- darf fehlplatzierte Begeisterung enthalten
+- nicht offen beleidigend
+- Sortierung: zuerst überfreundlich oder zu salopp, zuletzt latent respektlos
+
+2. Schwiegereltern-kritisch (Ziel: gut gemeint, aber irritierend)
+- freundlich → verniedlichend → zu locker
+- positiver Ton ist häufig angemessen
+- Sortierung: von höflich-locker zu sozial unangenehm
+
+3. 3-Uhr-tauglich (Tee & Philosophie) (Ziel: wohlwollende Überhöhung)
+- staunend → poetisch → leicht entrückt
+- Sortierung: von ruhig-wertschätzend zu überhöht-abgehoben
+
+4. Gasse, betrunken (Ziel: emotionale Nähe)
+- herzlich → flapsig → derb
+- Begeisterung ist erlaubt
+- Sortierung: von kumpelhaft zu zunehmend grob
+
+5. Behördlich leer (Ziel: emotionslose Distanz)
+- neutral → abstrakt → maximal entpersonalisiert
+- Sortierung: von sachlich zu zunehmend unpersönlich
+
+Ausgabeformat (zwingend):
+{
+  "item": "<originaler Ausdruck>",
+  "results": {
+    "arbeit": [],
+    "schwiegereltern": [],
+    "philosophie_3uhr": [],
+    "gasse_betrunken": [],
+    "behoerdlich": []
+  }
+}
+
+Qualitätskontrolle
+- Die Reihenfolge innerhalb jeder Liste muss eine klare Eskalation zeigen.
+- Mindestens eine Alternative pro Item darf positiv oder freundlich sein.
+- Wenn alle Alternativen gleich unfreundlich klingen, ist die Aufgabe nicht erfüllt.
+
+Priorität:
+1) Korrekte Sortierung von freundlich → unfreundlich
+2) Situationsangemessene Tonalität
+3) Sprachliche Natürlichkeit
+`;
+
+const buildAlternativesUserPrompt = (itemText) => `Ausdruck: "${itemText}"`;
+
+const normalizeAlternativesResponse = (payload, itemText) => {
+  if (!payload || typeof payload !== "object") {
+    throw new Error("Ungültige KI-Antwort");
+  }
+  const results = payload.results && typeof payload.results === "object" ? payload.results : {};
+  const normalized = emptyAlternativeResults();
+  const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === "string" && value.trim()) return [value];
+    return [];
+  };
+
+  AI_SITUATION_KEYS.forEach((key) => {
+    const values = toList(results[key]);
+    const cleaned = values
+      .map((value) => (typeof value === "string" ? value.trim() : ""))
+      .filter(Boolean)
+      .slice(0, 3);
+    if (cleaned.length === 0) {
+      throw new Error(`Keine Alternativen für ${key}`);
+    }
+    normalized[key] = cleaned;
+  });
+
+  return { item: itemText, results: normalized };
+};
+
+const aggregateAlternatives = async (item) => {
+  const normalizedItem = typeof item === "string" ? item.trim() : "";
+  if (!normalizedItem) {
+    return { item: item || "", results: emptyAlternativeResults() };
+  }
+  const docs = await Alternative.find({ item: normalizedItem }).sort({ timestamp: 1 });
+  const results = emptyAlternativeResults();
+  docs.forEach((doc) => {
+    if (!results[doc.situation]) return;
+    if (!results[doc.situation].includes(doc.alternative_text)) {
+      results[doc.situation].push(doc.alternative_text);
+    }
+  });
+  return { item: normalizedItem, results };
+};
+
+const COMPLETE_ENTRY_SYSTEM_PROMPT = [
+  "Du bist ein hilfsbereiter, sachlicher Duden-Redakteur.",
+  "Ergänze fehlende Felder für einen Lexikon-Eintrag, der trocken und präzise ist.",
+  "Korrigiere bei allen gelieferten Feldern Rechtschreibung/Typografie, ohne den Sinn zu verändern.",
+  "Term (Lemma) nur klein schreiben, außer bei Eigennamen/Abkürzungen; nicht automatisch groß am Satzanfang setzen.",
+  "Struktur: term, definition (Bedeutung), example (Gebrauch), synonyms (Synonyme/Alternativen).",
+  "Hat das Wort weitere, deutlich verschiedene Bedeutungen, schlage sie unter senses vor:",
+  "Array von { definition, examples (Array), synonyms (Array), register } mit register als Stilangabe",
+  "wie umgangssprachlich, salopp, gehoben, veraltet oder fachsprachlich, sonst leer.",
+  "Bedeutungen aus definition und aus senses der Anfrage nicht wiederholen; gibt es keine weiteren, senses = [].",
+  "Gib ausschließlich JSON zurück mit den Schlüsseln: term, definition, example, synonyms, senses."
+].join(" ");
+
+// Suggested senses without those the entry already has, compared without case and spacing.
+const proposedSenses = (value, known) => {
+  const fold = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const seen = new Set(known.map(fold).filter(Boolean));
+  const { senses = [] } = normalizeSenses(Array.isArray(value) ? value.filter((sense) => sense?.definition) : []);
+  return senses
+    .filter((sense) => {
+      const key = fold(sense.definition);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, Math.max(0, MAX_SENSES - known.length));
+};
+
+const SPELLCHECK_SYSTEM_PROMPT = [
+  "Du bist ein deutscher Lektor. Prüfe Rechtschreibung und gib Lemma/Artikel, falls es ein Nomen ist.",
+  "Antworte ausschließlich mit JSON. Keine Fließtexte.",
+  "Schema: { term: { corrected, suggestions, lemma, partOfSpeech, article }, definition: { corrected, suggestions }, example: { corrected, suggestions }, synonyms: { corrected, suggestions } }",
+  "Für nicht gelieferte Felder: keinen Schlüssel ausgeben.",
+  "Für Felder ohne Änderung: corrected = null, suggestions = [].",
+  "suggestions ist ein Array von Objekten { from, to, reason }.",
+  "partOfSpeech: Array mit null bis n Einträgen aus: noun, verb, adjective, adverb, interjection, particle, conjunction, preposition, phrase.",
+  "article: Wenn partOfSpeech ein Nomen enthält, MUSS der beste Artikel (der/die/das) gesetzt werden; sonst null.",
+  "Großschreibung: Wenn partOfSpeech ein Nomen enthält, setze corrected auf die großgeschriebene Form des Lemmas, falls es klein geschrieben wurde.",
+  "Sprache ist immer Deutsch; keine Halluzinationen hinzufügen, Sinn nicht verändern."
+].join(" ");
+
+module.exports = ({
+  ai,
+  aiCache,
+  spellReady,
+  adminPassword,
+  auth,
+  rateLimits,
+  requireRole,
+  usageLedger
+}) => {
+  const router = express.Router();
+
+  // Serves a cached answer unless the client asks for a refresh (`refresh: true` in the body).
+  const respondFromCache = async (req, res, route, cacheInput) => {
+    if (req.body?.refresh === true) return false;
+    const cached = await aiCache.lookup(route, cacheInput);
+    if (!cached) return false;
+    res.set(AI_CACHE_HEADER, "hit");
+    res.json(cached);
+    return true;
+  };
+
+  const respondAndCache = async (req, res, route, cacheInput, response) => {
+    await aiCache.store(route, cacheInput, response);
+    res.set(AI_CACHE_HEADER, req.body?.refresh === true ? "refresh" : "miss");
+    res.json(response);
+  };
+
+  // Once the monthly budget is used up the AI routes stop calling the provider;
+  // `fallback` answers instead of the 402 where a non-AI answer exists.
+  const rejectOverBudget = async (res, fallback = null) => {
+    const budget = await usageLedger.budgetStatus();
+    if (!budget.exceeded) return false;
+    if (fallback) fallback();
+    else res.status(402).json({ error: "Budget erschöpft", budget });
+    return true;
+  };
+
+  router.post("/api/entries/ai-complete", rateLimits.ai, async (req, res) => {
+    if (!(await isLoginConfigured(adminPassword))) {
+      res.status(400).json({ error: "AI login is not configured" });
+      return;
+    }
+    requireRole("editor")(req, res, async () => {
+      if (!ai) {
+        res.status(400).json({ error: "AI completion is not configured" });
+        return;
+      }
+
+      const { term, definition, example, synonyms, partOfSpeech, article } = req.body || {};
+      // The further senses already in the form, so the AI proposes only new ones.
+      const { senses = [] } = normalizeSenses(req.body?.senses ?? []);
+      if (!term && !definition && !example && !synonyms) {
+        res
+          .status(400)
+          .json({ error: "Provide at least term, definition, example, or synonyms" });
+        return;
+      }
+
+      const cacheInput = {
+        prompt: COMPLETE_ENTRY_SYSTEM_PROMPT,
+        model: ai.models?.completeEntry,
+        payload: { term, definition, example, synonyms, senses, partOfSpeech, article }
+      };
+
+      try {
+        if (await respondFromCache(req, res, "ai-complete", cacheInput)) return;
+        if (await rejectOverBudget(res)) return;
+        const { data: parsed } = await ai.completeJson(
+          "completeEntry",
+          { system: COMPLETE_ENTRY_SYSTEM_PROMPT, user: { term, definition, example, synonyms, senses } },
+          { route: "ai-complete", user: req.user.username }
+        );
+        await respondAndCache(req, res, "ai-complete", cacheInput, {
+          term: parsed.term ?? term ?? "",
+          definition: parsed.definition ?? definition ?? "",
+          example: parsed.example ?? example ?? "",
+          synonyms: parsed.synonyms ?? synonyms ?? "",
+          senses: proposedSenses(parsed.senses, [
+            parsed.definition ?? definition,
+            ...senses.map((sense) => sense.definition)
+          ]),
+          partOfSpeech: normalizePartOfSpeech(parsed.partOfSpeech ?? partOfSpeech),
+          article: parsed.article ?? article ?? ""
+        });
+      } catch (error) {
+        console.error("AI completion failed", error);
+        res.status(500).json({ error: "AI completion failed" });
+      }
+    });
+  });
+
+  router.post("/api/entries/ai-alternatives", rateLimits.ai, async (req, res) => {
+    if (!ai) {
+      res.status(400).json({ error: "AI completion is not configured" });
+      return;
+    }
+
+    const itemText = typeof req.body?.item === "string" ? req.body.item : "";
+    if (!itemText.trim()) {
+      res.status(400).json({ error: "item is required" });
+      return;
+    }
+
+    try {
+      if (await rejectOverBudget(res)) return;
+      // The route is public; a logged-in caller is still named in the usage ledger.
+      const current = await auth.loadSession(req, res, { renew: false });
+      const { data: parsed, model: modelVersion } = await ai.completeJson(
+        "alternatives",
+        { system: AI_ALTERNATIVES_SYSTEM_PROMPT, user: buildAlternativesUserPrompt(itemText) },
+        { route: "ai-alternatives", user: current?.user.username || null }
+      );
+      const normalized = normalizeAlternativesResponse(parsed, itemText);
+      const timestamp = new Date();
+      const existingDocs = await Alternative.find({ item: normalized.item });
+      const existingBySituation = existingDocs.reduce((acc, doc) => {
+        const key = doc.situation;
+        const value = (doc.alternative_text || "").toLowerCase();
+        if (!acc[key]) acc[key] = new Set();
+        if (value) acc[key].add(value);
+        return acc;
+      }, {});
+      const docs = AI_SITUATION_KEYS.flatMap((key) =>
+        normalized.results[key].map((text) => ({
+          item: normalized.item,
+          situation: key,
+          alternative_text: text,
+          timestamp,
+          model_version: modelVersion
+        }))
+      );
+
+      const toInsert = docs.filter((doc) => {
+        const key = doc.situation;
+        const value = (doc.alternative_text || "").toLowerCase();
+        if (!value) return false;
+        if (!existingBySituation[key]) existingBySituation[key] = new Set();
+        if (existingBySituation[key].has(value)) return false;
+        existingBySituation[key].add(value);
+        return true;
+      });
+
+      if (toInsert.length > 0) {
+        await Alternative.insertMany(toInsert);
+      }
+      const aggregated = await aggregateAlternatives(normalized.item);
+      res.json(aggregated);
+    } catch (error) {
+      console.error("AI alternatives failed", error);
+      res.status(502).json({ error: error?.message || "AI alternatives failed" });
+    }
+  });
+
+  router.get("/api/entries/:id/ai-alternatives", async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const entry = await Entry.findById(id);
+      if (!entry) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      const aggregated = await aggregateAlternatives(entry.term);
+      res.json(aggregated);
+    } catch (error) {
+      console.error("Failed to load alternatives", error);
+      res.status(500).json({ error: "failed to load alternatives" });
+    }
+  });
+
+  router.delete("/api/entries/:id/ai-alternatives", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const entry = await Entry.findById(id);
+      if (!entry) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      await Alternative.deleteMany({ item: entry.term });
+      res.json({ item: entry.term, results: emptyAlternativeResults() });
+    } catch (error) {
+      console.error("Failed to delete alternatives", error);
+      res.status(500).json({ error: "failed to delete alternatives" });
+    }
+  });
+
+  router.get("/api/entries/ai-alternatives/summary", async (_req, res) => {
+    try {
+      const summary = await Alternative.aggregate([
+        { $group: { _id: "$item", count: { $sum: 1 } } }
+      ]);
+      const normalized = summary.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {});
+      res.json({ summary: normalized });
+    } catch (error) {
+      console.error("Failed to load alternatives summary", error);
+      res.status(500).json({ error: "failed to load alternatives summary" });
+    }
+  });
+
+  router.post("/api/entries/spellcheck", rateLimits.ai, async (req, res) => {
+    if (!(await isLoginConfigured(adminPassword))) {
+      res.status(400).json({ error: "AI login is not configured" });
+      return;
+    }
+    requireRole("editor")(req, res, async () => {
+      const body = req.body || {};
+      const allowedFields = ["term", "definition", "example", "synonyms"];
+      const requestedFields = Array.isArray(body.userFields)
+        ? body.userFields.filter((field) => allowedFields.includes(field))
+        : allowedFields;
+      const userInputMap =
+        body.userInput && typeof body.userInput === "object" ? body.userInput : null;
+      const fieldsToReview = requestedFields.filter((field) => {
+        const value = body[field];
+        if (!value) return false;
+        if (userInputMap) {
+          return Boolean(userInputMap[field]);
+        }
+        return true;
+      });
+
+      if (fieldsToReview.length === 0) {
+        res.status(400).json({ error: "Provide at least one user-entered field to review" });
+        return;
+      }
+
+      const spell = await spellReady;
+      if (!ai && !spell) {
+        res.status(400).json({ error: "Spellcheck is not configured" });
+        return;
+      }
+
+      const respondWithHunspell = () => {
+        const result = {};
+        fieldsToReview.forEach((field) => {
+          result[field] = reviewWithHunspell(spell, field, body[field]);
+        });
+        res.json({ ...result, source: "hunspell" });
+      };
+
+      if (!ai) {
+        respondWithHunspell();
+        return;
+      }
+
+      const payload = {};
+      fieldsToReview.forEach((field) => {
+        payload[field] = body[field];
+      });
+      const cacheInput = {
+        prompt: SPELLCHECK_SYSTEM_PROMPT,
+        model: ai.models?.spellcheck,
+        payload
+      };
+
+      try {
+        if (await respondFromCache(req, res, "spellcheck", cacheInput)) return;
+        if (await rejectOverBudget(res, spell ? respondWithHunspell : null)) return;
+
+        const { data: parsed } = await ai.completeJson(
+          "spellcheck",
+          { system: SPELLCHECK_SYSTEM_PROMPT, user: payload },
+          { route: "spellcheck", user: req.user.username }
+        );
+        const result = {};
+        fieldsToReview.forEach((field) => {
+          const value = parsed[field];
+          if (value && typeof value === "object") {
+            const normalizedPos = normalizePartOfSpeech(value.partOfSpeech || value.pos);
+            const original = body[field];
+            result[field] = {
+              corrected:
+                typeof value.corrected === "string" && value.corrected.trim()
+                  ? value.corrected
+                  : null,
+              suggestions: Array.isArray(value.suggestions) ? value.suggestions : [],
+              lemma:
+                typeof value.lemma === "string" && value.lemma.trim() ? value.lemma.trim() : null,
+              partOfSpeech: normalizedPos.length ? normalizedPos : [],
+              article:
+                typeof value.article === "string" && value.article.trim()
+                  ? value.article.trim().toLowerCase()
+                  : null
+            };
+
+            if (field === "term" && result[field].partOfSpeech.includes("noun")) {
+              const originalTerm = typeof original === "string" ? original : "";
+              const base = result[field].corrected || originalTerm;
+              const capitalized = capitalizeFirst(base);
+              if (capitalized && capitalized !== base) {
+                result[field].corrected = capitalized;
+                result[field].suggestions =
+                  result[field].suggestions && Array.isArray(result[field].suggestions)
+                    ? result[field].suggestions
+                    : [];
+                result[field].suggestions.push({
+                  from: originalTerm || base,
+                  to: capitalized,
+                  reason: "Großschreibung (Nomen)"
+                });
+              }
+            }
+          } else {
+            result[field] = { corrected: null, suggestions: [], partOfSpeech: [], article: null, lemma: null };
+          }
+        });
+
+        await respondAndCache(req, res, "spellcheck", cacheInput, { ...result, source: "llm" });
+      } catch (error) {
+        console.error("Spell review failed", error);
+        if (spell) {
+          respondWithHunspell();
+          return;
+        }
+        res.status(500).json({ error: "Spell review failed" });
+      }
+    });
+  });
+
+  return router;
+};
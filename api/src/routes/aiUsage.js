@@ -0,0 +1,26 @@
+const express = require("express");
+const { AiUsage } = require("../models");
+const { summarizeUsage } = require("../aiUsage");
+
+const MAX_DAYS = 366;
+
+module.exports = ({ requireRole, usageLedger }) => {
+  const router = express.Router();
+
+  router.get("/api/ai-usage", requireRole("admin"), async (req, res) => {
+    const days = Math.min(MAX_DAYS, Math.max(1, Number.parseInt(req.query.days, 10) || 30));
+    try {
+      const [budget, summary, recent] = await Promise.all([
+        usageLedger.budgetStatus(),
+        summarizeUsage({ days }),
+        AiUsage.find().sort({ createdAt: -1 }).limit(20).lean()
+      ]);
+      res.json({ days, budget, ...summary, recent });
+    } catch (error) {
+      console.error("Failed to load AI usage", error);
+      res.status(500).json({ error: "failed to load AI usage" });
+    }
+  });
+
+  return router;
+};
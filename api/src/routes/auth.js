@@ -0,0 +1,107 @@
+const express = require("express");
+const { AUTH_COOKIE } = require("../auth");
+const { User } = require("../models");
+const { tooManyRequests } = require("../rateLimit");
+const {
+  createSession,
+  deleteSession,
+  deleteUserSessions,
+  ensureCsrfToken,
+  renewSession
+} = require("../sessions");
+const {
+  BOOTSTRAP_USERNAME,
+  ensureBootstrapAdmin,
+  publicUser,
+  verifyPassword
+} = require("../users");
+
+module.exports = ({ adminPassword, auth, rateLimits, requireAuth }) => {
+  const router = express.Router();
+  const { loginThrottle } = rateLimits;
+
+  router.post("/api/auth/login", rateLimits.login, async (req, res) => {
+    const { password } = req.body || {};
+    // Clients from before user accounts only send the password.
+    const username = String(req.body?.username || BOOTSTRAP_USERNAME).trim().toLowerCase();
+    try {
+      const lockedFor = await loginThrottle.retryAfter(req, username);
+      if (lockedFor) {
+        tooManyRequests(res, lockedFor, "too many login attempts");
+        return;
+      }
+      await ensureBootstrapAdmin(adminPassword);
+      const user = await User.findOne({ username }).lean();
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        const retryAfter = await loginThrottle.fail(req, username);
+        if (retryAfter) tooManyRequests(res, retryAfter, "too many login attempts");
+        else res.status(401).json({ error: "unauthorized" });
+        return;
+      }
+      await loginThrottle.succeed(req, username);
+      const { token, session } = await createSession(user._id, auth.ttlMs);
+      auth.setSessionCookie(res, token, session.expiresAt);
+      res.json({
+        ok: true,
+        user: publicUser(user),
+        expiresAt: session.expiresAt,
+        csrfToken: session.csrfToken
+      });
+    } catch (error) {
+      console.error("Login failed", error);
+      res.status(500).json({ error: "login failed" });
+    }
+  });
+
+  router.post("/api/auth/logout", async (req, res) => {
+    try {
+      const token = req.cookies?.[AUTH_COOKIE];
+      if (token) await deleteSession(token);
+      auth.clearSessionCookie(res);
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Logout failed", error);
+      res.status(500).json({ error: "logout failed" });
+    }
+  });
+
+  router.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+    try {
+      const { deletedCount } = await deleteUserSessions(req.user._id);
+      auth.clearSessionCookie(res);
+      res.json({ ok: true, sessions: deletedCount || 0 });
+    } catch (error) {
+      console.error("Logout everywhere failed", error);
+      res.status(500).json({ error: "logout failed" });
+    }
+  });
+
+  router.post("/api/auth/renew", requireAuth, async (req, res) => {
+    try {
+      const expiresAt = await renewSession(req.authSession, auth.ttlMs, { force: true });
+      auth.setSessionCookie(res, req.sessionToken, expiresAt);
+      res.json({ ok: true, expiresAt });
+    } catch (error) {
+      console.error("Session renewal failed", error);
+      res.status(500).json({ error: "session renewal failed" });
+    }
+  });
+
+  // Does not renew the session, so polling it cannot keep an idle session alive.
+  router.get("/api/auth/status", async (req, res) => {
+    try {
+      const current = await auth.loadSession(req, res, { renew: false });
+      res.json({
+        loggedIn: Boolean(current),
+        user: publicUser(current?.user),
+        expiresAt: current ? current.session.expiresAt : null,
+        csrfToken: current ? await ensureCsrfToken(current.session) : null
+      });
+    } catch (error) {
+      console.error("Failed to load auth status", error);
+      res.status(500).json({ error: "failed to load auth status" });
+    }
+  });
+
+  return router;
+};
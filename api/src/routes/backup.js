@@ -0,0 +1,52 @@
+const express = require("express");
+const { RESTORE_MODES, backupFileName, createBackup, restoreBackup, validateBackup } = require("../backup");
+
+module.exports = ({ requireRole, backupDir }) => {
+  const router = express.Router();
+
+  router.get("/api/backup", requireRole("admin"), async (_req, res) => {
+    try {
+      const archive = await createBackup();
+      res.attachment(backupFileName(new Date(archive.createdAt)));
+      res.json(archive);
+    } catch (error) {
+      console.error("Backup failed", error);
+      res.status(500).json({ error: "backup failed" });
+    }
+  });
+
+  // Body: the archive from GET /api/backup. ?mode=merge|replace, ?dryRun=1 only validates. With
+  // BACKUP_DIR set, replace first saves the current data there.
+  router.post("/api/backup/restore", requireRole("admin"), async (req, res) => {
+    const mode = typeof req.query.mode === "string" ? req.query.mode : "merge";
+    if (!RESTORE_MODES.includes(mode)) {
+      res.status(400).json({ error: "mode must be merge or replace" });
+      return;
+    }
+    try {
+      const errors = await validateBackup(req.body, { mode });
+      if (errors.length > 0) {
+        res.status(400).json({ error: "invalid backup", details: errors });
+        return;
+      }
+      if (["1", "true"].includes(String(req.query.dryRun))) {
+        res.json({
+          mode,
+          dryRun: true,
+          counts: {
+            collections: req.body.version < 2 ? 0 : req.body.collections.length,
+            entries: req.body.entries.length,
+            alternatives: req.body.alternatives.length
+          }
+        });
+        return;
+      }
+      res.json(await restoreBackup(req.body, { mode, backupDir }));
+    } catch (error) {
+      console.error("Restore failed", error);
+      res.status(500).json({ error: "restore failed" });
+    }
+  });
+
+  return router;
+};
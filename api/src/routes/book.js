@@ -0,0 +1,27 @@
+const express = require("express");
+const { PAGE_SIZES, createBook } = require("../book");
+const { Entry, TERM_COLLATION } = require("../models");
+
+module.exports = ({ requireAuth }) => {
+  const router = express.Router();
+
+  // Print edition of the whole collection; ?size=A5 (default) or A4.
+  router.get("/api/book.pdf", requireAuth, async (req, res) => {
+    const size = typeof req.query.size === "string" ? req.query.size.toUpperCase() : "A5";
+    if (!PAGE_SIZES.includes(size)) {
+      res.status(400).json({ error: "size must be A4 or A5" });
+      return;
+    }
+    try {
+      const entries = await Entry.find().sort({ term: 1, _id: 1 }).collation(TERM_COLLATION).lean();
+      const book = createBook(entries, { size });
+      res.attachment(`warefs-duden-${new Date().toISOString().slice(0, 10)}.pdf`);
+      book.pipe(res);
+    } catch (error) {
+      console.error("Book export failed", error);
+      res.status(500).json({ error: "book export failed" });
+    }
+  });
+
+  return router;
+};
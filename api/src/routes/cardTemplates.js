@@ -0,0 +1,117 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { renderCard } = require("../card");
+const {
+  SAMPLE_CARD,
+  buildCardTemplate,
+  listCardTemplates,
+  templateInput,
+  validationDetails
+} = require("../cardTemplates");
+const { loadAlternatives } = require("../exporter");
+const { AI_SITUATION_KEYS, CardTemplate, Entry } = require("../models");
+
+const findStoredTemplate = (id) => (mongoose.isValidObjectId(id) ? CardTemplate.findById(id) : null);
+
+const saveError = (res, error, fallback) => {
+  if (error && error.name === "ValidationError") {
+    res.status(400).json({ error: "invalid template", details: validationDetails(error) });
+    return;
+  }
+  if (error && error.code === 11000) {
+    res.status(409).json({ error: "template name already exists" });
+    return;
+  }
+  console.error(`Failed to ${fallback}`, error);
+  res.status(500).json({ error: `failed to ${fallback}` });
+};
+
+module.exports = ({ requireRole }) => {
+  const router = express.Router();
+
+  // Public, because everyone may download cards and pick a template for them.
+  router.get("/api/card-templates", async (_req, res) => {
+    try {
+      res.json({ templates: await listCardTemplates() });
+    } catch (error) {
+      console.error("Failed to list card templates", error);
+      res.status(500).json({ error: "failed to list card templates" });
+    }
+  });
+
+  // Live preview of an unsaved template: `{ template, entryId?, situations? }`, without an
+  // entry a sample card is shown.
+  router.post("/api/card-templates/preview", requireRole("editor"), async (req, res) => {
+    const { template, details } = buildCardTemplate(req.body?.template);
+    if (details) {
+      res.status(400).json({ error: "invalid template", details });
+      return;
+    }
+    const situations = Array.isArray(req.body?.situations) ? req.body.situations : AI_SITUATION_KEYS;
+    try {
+      let card = SAMPLE_CARD;
+      if (req.body?.entryId) {
+        const entry = mongoose.isValidObjectId(req.body.entryId) ? await Entry.findById(req.body.entryId).lean() : null;
+        if (!entry) {
+          res.status(404).json({ error: "entry not found" });
+          return;
+        }
+        card = { entry, alternatives: (await loadAlternatives([entry.term]))[entry.term] || {}, situations };
+      }
+      const rendered = await renderCard(card.entry, card.alternatives, { situations: card.situations, template });
+      if (!rendered.fits) {
+        res.status(422).json({ error: "too many alternatives for the card", situations: rendered.situations });
+        return;
+      }
+      res.type("png").send(rendered.png);
+    } catch (error) {
+      console.error("Card preview failed", error);
+      res.status(500).json({ error: "card preview failed" });
+    }
+  });
+
+  router.post("/api/card-templates", requireRole("editor"), async (req, res) => {
+    try {
+      const template = await CardTemplate.create({
+        ...templateInput(req.body),
+        createdBy: req.user.username,
+        updatedBy: req.user.username
+      });
+      res.status(201).json(template);
+    } catch (error) {
+      saveError(res, error, "create card template");
+    }
+  });
+
+  router.put("/api/card-templates/:id", requireRole("editor"), async (req, res) => {
+    try {
+      const template = await findStoredTemplate(req.params.id);
+      if (!template) {
+        res.status(404).json({ error: "template not found" });
+        return;
+      }
+      template.set({ ...templateInput(req.body), updatedBy: req.user.username });
+      await template.save();
+      res.json(template);
+    } catch (error) {
+      saveError(res, error, "update card template");
+    }
+  });
+
+  router.delete("/api/card-templates/:id", requireRole("admin"), async (req, res) => {
+    try {
+      const template = await findStoredTemplate(req.params.id);
+      if (!template) {
+        res.status(404).json({ error: "template not found" });
+        return;
+      }
+      await template.deleteOne();
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Failed to delete card template", error);
+      res.status(500).json({ error: "failed to delete card template" });
+    }
+  });
+
+  return router;
+};
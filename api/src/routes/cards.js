@@ -0,0 +1,260 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const { CARD_SCALES, checkCardFit, renderCard } = require("../card");
+const { CARD_SIZES, createCardSheets } = require("../cardSheets");
+const { STANDARD_TEMPLATE_ID, findCardTemplate } = require("../cardTemplates");
+const { displayTerm, escapeHtml, loadAlternatives } = require("../exporter");
+const { AI_SITUATION_KEYS, Entry } = require("../models");
+
+const MAX_SHEET_CARDS = 200;
+const CARD_CACHE_SIZE = 200;
+
+// Cards change whenever the entry or its alternatives do, so caches only keep them briefly.
+const CARD_CACHE_CONTROL = "public, max-age=300";
+
+const parseSituations = (value) => {
+  const situations = (typeof value === "string" ? value.split(",") : [])
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return situations.every((key) => AI_SITUATION_KEYS.includes(key)) ? situations : null;
+};
+
+// The standard template stays out of the URL so links from before templates keep working.
+const cardQuery = (situations, template) => {
+  const params = [];
+  if (situations.length) params.push(`situations=${situations.map(encodeURIComponent).join(",")}`);
+  if (template && String(template._id) !== STANDARD_TEMPLATE_ID) params.push(`template=${template._id}`);
+  return params.length ? `?${params.join("&")}` : "";
+};
+
+// Loads the entry plus its alternatives and the ?template= to draw it with; answers 404/400
+// itself and returns null then.
+const loadCard = async (req, res) => {
+  const situations = parseSituations(req.query.situations);
+  if (!situations) {
+    res.status(400).json({ error: "unknown situation" });
+    return null;
+  }
+  const template = await findCardTemplate(req.query.template);
+  if (!template) {
+    res.status(404).json({ error: "template not found" });
+    return null;
+  }
+  const entry = await Entry.findById(req.params.id)
+    .lean()
+    .catch((error) => {
+      if (error && error.name === "CastError") return null;
+      throw error;
+    });
+  if (!entry) {
+    res.status(404).json({ error: "entry not found" });
+    return null;
+  }
+  const alternatives = situations.length ? (await loadAlternatives([entry.term]))[entry.term] || {} : {};
+  return { entry, alternatives, situations, template };
+};
+
+const sharePage = ({ entry, template, imageUrl, shareUrl, appUrl }) => {
+  const title = escapeHtml(displayTerm(entry) || "Unbenannt");
+  const description = escapeHtml(String(entry.definition || "").replace(/\s+/g, " ").trim());
+  return `<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title} · warefs-duden</title>
+<meta name="description" content="${description}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="warefs-duden">
+<meta property="og:locale" content="de_DE">
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+<meta property="og:url" content="${escapeHtml(shareUrl)}">
+<meta property="og:image" content="${escapeHtml(imageUrl)}">
+<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${template.width}">
+<meta property="og:image:height" content="${template.height}">
+<meta property="og:image:alt" content="Lernkarte: ${title}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+<style>
+body { margin: 0; padding: 24px; background: #f4f1ea; font-family: "Source Sans 3", sans-serif; text-align: center; }
+img { max-width: 100%; height: auto; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.15); }
+a { color: #111111; }
+</style>
+</head>
+<body>
+<img src="${escapeHtml(imageUrl)}" width="${template.width}" height="${template.height}" alt="Lernkarte: ${title}">
+<p><a href="${escapeHtml(appUrl)}">Im warefs-duden nachschlagen</a></p>
+</body>
+</html>
+`;
+};
+
+// Changes with everything the image is drawn from: the entry, its shown alternatives, the template
+// and the scale.
+const cardEtag = ({ entry, alternatives, situations, template }, scale) => {
+  const shown = situations.map((key) => alternatives[key] || null);
+  const source = JSON.stringify([entry._id, entry.updatedAt, situations, shown, template, scale]);
+  return `"${crypto.createHash("sha1").update(source).digest("base64url")}"`;
+};
+
+// The most recently drawn cards by ETag; the oldest ones go first.
+const createCardCache = (size = CARD_CACHE_SIZE) => {
+  const cards = new Map();
+  return {
+    get: (key) => {
+      const card = cards.get(key);
+      if (card) {
+        cards.delete(key);
+        cards.set(key, card);
+      }
+      return card;
+    },
+    set: (key, card) => {
+      cards.set(key, card);
+      if (cards.size > size) cards.delete(cards.keys().next().value);
+    }
+  };
+};
+
+// `{ entries: [{ id, situations }], size, duplex, cutMarks }` from the print dialog.
+const parseSheetRequest = (body = {}) => {
+  const size = body.size === undefined ? "A6" : body.size;
+  if (!CARD_SIZES[size]) return { error: `size must be one of ${Object.keys(CARD_SIZES).join(", ")}` };
+  const cards = Array.isArray(body.entries) ? body.entries : [];
+  if (cards.length === 0 || cards.length > MAX_SHEET_CARDS) {
+    return { error: `entries must list 1 to ${MAX_SHEET_CARDS} cards` };
+  }
+  const situations = cards.map((card) =>
+    Array.isArray(card?.situations) ? card.situations.filter((key) => typeof key === "string") : []
+  );
+  if (situations.some((keys) => keys.some((key) => !AI_SITUATION_KEYS.includes(key)))) {
+    return { error: "unknown situation" };
+  }
+  return {
+    size,
+    duplex: body.duplex === true,
+    cutMarks: body.cutMarks !== false,
+    cards: cards.map((card, index) => ({ id: String(card?.id || ""), situations: situations[index] }))
+  };
+};
+
+module.exports = ({ baseUrl, rateLimits, requireAuth }) => {
+  const router = express.Router();
+  const cardCache = createCardCache();
+
+  const cardUrls = (req, entry, situations, template) => {
+    const base = baseUrl(req);
+    const query = cardQuery(situations, template);
+    return {
+      imageUrl: `${base}/api/entries/${entry._id}/card.png${query}`,
+      shareUrl: `${base}/karte/${entry._id}${query}`
+    };
+  };
+
+  // ?situations=arbeit,behoerdlich adds those alternatives, ?template=<id> picks the card template
+  // and ?scale=2 gives a sharper download.
+  router.get("/api/entries/:id/card.png", rateLimits.cards, async (req, res) => {
+    const scale = req.query.scale === undefined ? 1 : Number(req.query.scale);
+    if (!CARD_SCALES.includes(scale)) {
+      res.status(400).json({ error: "scale must be 1 or 2" });
+      return;
+    }
+    try {
+      const card = await loadCard(req, res);
+      if (!card) return;
+      // Unchanged cards are neither drawn again nor sent again.
+      const etag = cardEtag(card, scale);
+      res.set({ "Cache-Control": CARD_CACHE_CONTROL, ETag: etag });
+      if (req.fresh) {
+        res.status(304).end();
+        return;
+      }
+      let rendered = cardCache.get(etag);
+      if (!rendered) {
+        rendered = await renderCard(card.entry, card.alternatives, {
+          situations: card.situations,
+          scale,
+          template: card.template
+        });
+        cardCache.set(etag, rendered);
+      }
+      if (!rendered.fits) {
+        res.removeHeader("ETag");
+        res.removeHeader("Cache-Control");
+        res.status(422).json({ error: "too many alternatives for the card", situations: rendered.situations });
+        return;
+      }
+      res.type("png").send(rendered.png);
+    } catch (error) {
+      console.error("Card rendering failed", error);
+      res.status(500).json({ error: "card rendering failed" });
+    }
+  });
+
+  // Fit check plus the image and share URLs for the chosen situations.
+  router.get("/api/entries/:id/card", async (req, res) => {
+    try {
+      const card = await loadCard(req, res);
+      if (!card) return;
+      const fit = checkCardFit(card.entry, card.alternatives, card.situations, card.template);
+      res.json({ ...fit, ...cardUrls(req, card.entry, fit.situations, card.template) });
+    } catch (error) {
+      console.error("Card check failed", error);
+      res.status(500).json({ error: "card check failed" });
+    }
+  });
+
+  // Public page for chats and social networks: OpenGraph tags point at the card image.
+  router.get("/karte/:id", rateLimits.cards, async (req, res) => {
+    try {
+      const card = await loadCard(req, res);
+      if (!card) return;
+      // A link shared before more alternatives were added still shows the card without them.
+      const fit = checkCardFit(card.entry, card.alternatives, card.situations, card.template);
+      const situations = fit.fits ? fit.situations : [];
+      const { imageUrl } = cardUrls(req, card.entry, situations, card.template);
+      const { shareUrl } = cardUrls(req, card.entry, card.situations, card.template);
+      const appUrl = `${baseUrl(req)}/wort/${card.entry.slug}`;
+      res.set("Cache-Control", CARD_CACHE_CONTROL);
+      res.type("html").send(sharePage({ entry: card.entry, template: card.template, imageUrl, shareUrl, appUrl }));
+    } catch (error) {
+      console.error("Card page failed", error);
+      res.status(500).json({ error: "card page failed" });
+    }
+  });
+
+  // Many cards on A4 sheets for printing and cutting, in the order they were selected.
+  router.post("/api/cards/sheets.pdf", requireAuth, async (req, res) => {
+    const options = parseSheetRequest(req.body);
+    if (options.error) {
+      res.status(400).json({ error: options.error });
+      return;
+    }
+    try {
+      const ids = options.cards.map((card) => card.id);
+      const entries = await Entry.find({ _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) } }).lean();
+      const byId = new Map(entries.map((entry) => [String(entry._id), entry]));
+      const missing = ids.filter((id) => !byId.has(id));
+      if (missing.length) {
+        res.status(404).json({ error: "entry not found", ids: missing });
+        return;
+      }
+      const alternatives = await loadAlternatives(entries.map((entry) => entry.term));
+      const items = options.cards.map((card) => {
+        const entry = byId.get(card.id);
+        return { entry, alternatives: alternatives[entry.term] || {}, situations: card.situations };
+      });
+      const doc = await createCardSheets(items, options);
+      res.attachment(`warefs-duden-karten-${new Date().toISOString().slice(0, 10)}.pdf`);
+      doc.pipe(res);
+    } catch (error) {
+      console.error("Card sheets failed", error);
+      res.status(500).json({ error: "card sheets failed" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,129 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { validationDetails } = require("../cardTemplates");
+const { findCollection, listCollections } = require("../collections");
+const { excerpt } = require("../exporter");
+const { Collection, Entry, TERM_COLLATION } = require("../models");
+
+const findStoredCollection = (id) => (mongoose.isValidObjectId(id) ? Collection.findById(id) : null);
+
+const collectionInput = (body = {}) => {
+  const input = {};
+  if (body.name !== undefined) input.name = body.name;
+  if (body.description !== undefined) input.description = body.description;
+  return input;
+};
+
+const saveError = (res, error, fallback) => {
+  if (error && error.name === "ValidationError") {
+    res.status(400).json({ error: "invalid collection", details: validationDetails(error) });
+    return;
+  }
+  if (error && error.code === 11000) {
+    res.status(409).json({ error: "collection name already exists" });
+    return;
+  }
+  console.error(`Failed to ${fallback}`, error);
+  res.status(500).json({ error: `failed to ${fallback}` });
+};
+
+const countLabel = (count) => `${count} ${count === 1 ? "Eintrag" : "Einträge"}`;
+
+module.exports = ({ baseUrl, requireRole }) => {
+  const router = express.Router();
+
+  router.get("/api/collections", async (_req, res) => {
+    try {
+      res.json({ collections: await listCollections() });
+    } catch (error) {
+      console.error("Failed to list collections", error);
+      res.status(500).json({ error: "failed to list collections" });
+    }
+  });
+
+  // The collection behind /sammlung/:slug with its entries and what link previews show; old slugs
+  // redirect to the current one.
+  router.get("/api/collections/:slug", async (req, res) => {
+    try {
+      const collection = await findCollection(req.params.slug);
+      if (!collection) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      if (collection.slug !== req.params.slug) {
+        res.redirect(301, `/api/collections/${collection.slug}`);
+        return;
+      }
+      const entries = await Entry.find({ collections: collection._id })
+        .sort({ term: 1, _id: 1 })
+        .collation(TERM_COLLATION)
+        .lean();
+      const terms = entries.slice(0, 5).map((entry) => entry.term);
+      res.json({
+        collection: { ...collection, count: entries.length },
+        entries,
+        meta: {
+          title: collection.name,
+          description:
+            excerpt(collection.description) ||
+            `${countLabel(entries.length)}${terms.length ? `: ${terms.join(", ")}` : ""}`,
+          url: `${baseUrl(req)}/sammlung/${collection.slug}`
+        }
+      });
+    } catch (error) {
+      console.error("Failed to load collection", error);
+      res.status(500).json({ error: "failed to load collection" });
+    }
+  });
+
+  router.post("/api/collections", requireRole("editor"), async (req, res) => {
+    try {
+      const collection = await Collection.create({
+        ...collectionInput(req.body),
+        createdBy: req.user.username,
+        updatedBy: req.user.username
+      });
+      res.status(201).json(collection);
+    } catch (error) {
+      saveError(res, error, "create collection");
+    }
+  });
+
+  router.put("/api/collections/:id", requireRole("editor"), async (req, res) => {
+    try {
+      const collection = await findStoredCollection(req.params.id);
+      if (!collection) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      collection.set({ ...collectionInput(req.body), updatedBy: req.user.username });
+      await collection.save();
+      res.json(collection);
+    } catch (error) {
+      saveError(res, error, "update collection");
+    }
+  });
+
+  // The entries stay; they only leave the collection.
+  router.delete("/api/collections/:id", requireRole("admin"), async (req, res) => {
+    try {
+      const collection = await findStoredCollection(req.params.id);
+      if (!collection) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      await Entry.updateMany(
+        { collections: collection._id },
+        { $pull: { collections: collection._id } },
+        { timestamps: false }
+      );
+      await collection.deleteOne();
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Failed to delete collection", error);
+      res.status(500).json({ error: "failed to delete collection" });
+    }
+  });
+
+  return router;
+};
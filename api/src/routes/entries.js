@@ -0,0 +1,317 @@
+const express = require("express");
+const { resolveCollectionIds, resolveEntryFilter } = require("../collections");
+const { EXPORT_FORMATS, buildExport, parseExportOptions } = require("../exporter");
+const { Alternative, Entry, TERM_COLLATION } = require("../models");
+const { validateMorphology } = require("../morphology");
+const { recordRevision } = require("../revisions");
+const { searchEntries, suggestTerms } = require("../search");
+const { normalizeSenses } = require("../senses");
+const { normalizeTags } = require("../tags");
+const { moveEntryToTrash } = require("../trash");
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const LIST_FIELDS = "term slug article partOfSpeech definition example synonyms senses tags collections";
+
+const parseLimit = (value) => {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// The cursor is the sort key of the last item of a page; clients treat it as opaque.
+const encodeCursor = (entry) =>
+  Buffer.from(JSON.stringify({ term: entry.term, id: String(entry._id) })).toString("base64url");
+
+const decodeCursor = (value) => {
+  try {
+    const { term, id } = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    if (typeof term !== "string" || !/^[0-9a-f]{24}$/i.test(id || "")) return null;
+    return { term, id };
+  } catch {
+    return null;
+  }
+};
+
+// Tags and collections are optional on writes, so clients that leave them out keep the stored ones.
+const groupingFields = async ({ tags, collections }) => {
+  const fields = {};
+  if (tags !== undefined) fields.tags = normalizeTags(tags);
+  if (collections !== undefined) {
+    const ids = await resolveCollectionIds(collections);
+    if (!ids) return { error: "unknown collection" };
+    fields.collections = ids;
+  }
+  return { fields };
+};
+
+// Clients send either `senses` or the single fields of the first meaning; the model hooks fill in
+// the other side.
+const meaningFields = ({ senses, definition, example, synonyms }) => {
+  if (senses !== undefined) {
+    const normalized = normalizeSenses(senses);
+    if (normalized.error) return { error: normalized.error };
+    if (normalized.senses.length) return { fields: { senses: normalized.senses } };
+  }
+  if (!definition) return { error: "term and definition are required" };
+  return { fields: { definition, example, synonyms } };
+};
+
+const countAlternatives = async (terms) => {
+  if (terms.length === 0) return {};
+  const counts = await Alternative.aggregate([
+    { $match: { item: { $in: terms } } },
+    { $group: { _id: "$item", count: { $sum: 1 } } }
+  ]);
+  return counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
+};
+
+module.exports = ({ requireRole, spellReady }) => {
+  const router = express.Router();
+
+  // ?tag=büro and ?collection=<slug> narrow the list, the search and the export.
+  router.get("/api/entries", async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    let filter = {};
+    if (req.query.cursor) {
+      const cursor = decodeCursor(String(req.query.cursor));
+      if (!cursor) {
+        res.status(400).json({ error: "invalid cursor" });
+        return;
+      }
+      filter = {
+        $or: [{ term: { $gt: cursor.term } }, { term: cursor.term, _id: { $gt: cursor.id } }]
+      };
+    }
+
+    try {
+      const scope = await resolveEntryFilter(req.query);
+      if (!scope) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      // One extra document tells whether another page exists.
+      const entries = await Entry.find({ ...scope.filter, ...filter })
+        .select(LIST_FIELDS)
+        .sort({ term: 1, _id: 1 })
+        .collation(TERM_COLLATION)
+        .limit(limit + 1)
+        .lean();
+      const page = entries.slice(0, limit);
+      const counts = await countAlternatives(page.map((entry) => entry.term));
+      res.json({
+        items: page.map((entry) => ({ ...entry, alternativesCount: counts[entry.term] || 0 })),
+        nextCursor: entries.length > limit ? encodeCursor(page[page.length - 1]) : null
+      });
+    } catch (error) {
+      console.error("Failed to list entries", error);
+      res.status(500).json({ error: "failed to list entries" });
+    }
+  });
+
+  router.get("/api/entries/search", async (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      res.json({ query, results: [] });
+      return;
+    }
+    try {
+      const scope = await resolveEntryFilter(req.query);
+      if (!scope) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      const results = await searchEntries(Entry, query, { filter: scope.filter });
+      if (results.length > 0) {
+        res.json({ query, results });
+        return;
+      }
+      const { suggestions, correction } = await suggestTerms(Entry, query, await spellReady);
+      res.json({ query, results, suggestions, correction });
+    } catch (error) {
+      console.error("Search failed", error);
+      res.status(500).json({ error: "search failed" });
+    }
+  });
+
+  // ?format=csv|json|md|anki|quizlet&q=<search>&pos=noun,verb&tag=…&collection=…&alternatives=1
+  // (or situations=a,b) downloads the whole dictionary, a tag, a collection or the search hits.
+  router.get("/api/entries/export", async (req, res) => {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      res.status(400).json({ error: options.error });
+      return;
+    }
+    try {
+      const scope = await resolveEntryFilter(options);
+      if (!scope) {
+        res.status(404).json({ error: "collection not found" });
+        return;
+      }
+      const body = await buildExport({ ...options, ...scope });
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`warefs-duden-${date}.${EXPORT_FORMATS[options.format].extension}`);
+      res.set("Content-Type", EXPORT_FORMATS[options.format].contentType);
+      res.send(body);
+    } catch (error) {
+      console.error("Export failed", error);
+      res.status(500).json({ error: "export failed" });
+    }
+  });
+
+  router.get("/api/entries/:id", async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const entry = await Entry.findById(id);
+      if (!entry) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      const counts = await countAlternatives([entry.term]);
+      res.json({ ...entry.toJSON(), alternativesCount: counts[entry.term] || 0 });
+    } catch (error) {
+      if (error && error.name === "CastError") {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      console.error("Failed to load entry", error);
+      res.status(500).json({ error: "failed to load entry" });
+    }
+  });
+
+  router.post("/api/entries", requireRole("editor"), async (req, res) => {
+    const { term, partOfSpeech, article, tags, collections, source } = req.body || {};
+    const meaning = meaningFields(req.body || {});
+
+    if (!term || meaning.error) {
+      res.status(400).json({ error: meaning.error || "term and definition are required" });
+      return;
+    }
+
+    const morph = validateMorphology(partOfSpeech, article);
+    if (morph.error) {
+      res.status(400).json({ error: morph.error });
+      return;
+    }
+
+    try {
+      const grouping = await groupingFields({ tags, collections });
+      if (grouping.error) {
+        res.status(400).json({ error: grouping.error });
+        return;
+      }
+      const entry = await Entry.create({
+        term,
+        ...meaning.fields,
+        partOfSpeech: morph.partOfSpeech,
+        article: morph.article,
+        ...grouping.fields,
+        createdBy: req.user.username,
+        updatedBy: req.user.username
+      });
+      await recordRevision({
+        entryId: entry._id,
+        action: "create",
+        source,
+        user: req.user.username,
+        values: entry
+      });
+      res.status(201).json(entry);
+    } catch (error) {
+      if (error && error.code === 11000) {
+        res.status(409).json({ error: "term already exists" });
+        return;
+      }
+
+      console.error("Failed to create entry", error);
+      res.status(500).json({ error: "failed to create entry" });
+    }
+  });
+
+  router.put("/api/entries/:id", requireRole("editor"), async (req, res) => {
+    const { term, partOfSpeech, article, tags, collections, source } = req.body || {};
+    const { id } = req.params || {};
+    const meaning = meaningFields(req.body || {});
+
+    if (!term || meaning.error) {
+      res.status(400).json({ error: meaning.error || "term and definition are required" });
+      return;
+    }
+
+    const morph = validateMorphology(partOfSpeech, article);
+    if (morph.error) {
+      res.status(400).json({ error: morph.error });
+      return;
+    }
+
+    try {
+      const grouping = await groupingFields({ tags, collections });
+      if (grouping.error) {
+        res.status(400).json({ error: grouping.error });
+        return;
+      }
+      const previous = await Entry.findById(id).lean();
+      const updated = await Entry.findByIdAndUpdate(
+        id,
+        {
+          term,
+          ...meaning.fields,
+          partOfSpeech: morph.partOfSpeech,
+          article: morph.article,
+          ...grouping.fields,
+          updatedBy: req.user.username
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+
+      await recordRevision({
+        entryId: updated._id,
+        action: "update",
+        source,
+        user: req.user.username,
+        previous,
+        values: updated
+      });
+      res.json(updated);
+    } catch (error) {
+      if (error && error.code === 11000) {
+        res.status(409).json({ error: "term already exists" });
+        return;
+      }
+      console.error("Failed to update entry", error);
+      res.status(500).json({ error: "failed to update entry" });
+    }
+  });
+
+  router.delete("/api/entries/:id", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const deleted = await Entry.findById(id).lean();
+      if (!deleted) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      const trashed = await moveEntryToTrash(deleted);
+      await recordRevision({
+        entryId: deleted._id,
+        action: "delete",
+        user: req.user.username,
+        previous: deleted
+      });
+      res.json({ ok: true, trashId: trashed._id });
+    } catch (error) {
+      console.error("Failed to delete entry", error);
+      res.status(500).json({ error: "failed to delete entry" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,50 @@
+const express = require("express");
+const { MAX_IMPORT_ROWS, readImport, runImport } = require("../importer");
+
+const DUPLICATE_MODES = ["skip", "update"];
+
+module.exports = ({ requireRole }) => {
+  const router = express.Router();
+
+  // Body: { format: "csv" | "json", content, mapping?, delimiter?, duplicates?, dryRun? }.
+  // Dry runs are the default so the client always sees the report before anything is written.
+  router.post("/api/entries/import", requireRole("editor"), async (req, res) => {
+    const { format, content, mapping, delimiter, duplicates = "skip" } = req.body || {};
+    const dryRun = req.body?.dryRun !== false;
+    if (typeof content !== "string" || !content.trim()) {
+      res.status(400).json({ error: "content is required" });
+      return;
+    }
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      res.status(400).json({ error: "duplicates must be skip or update" });
+      return;
+    }
+    const parsed = readImport({
+      format,
+      content,
+      mapping: mapping && typeof mapping === "object" ? mapping : undefined,
+      delimiter: typeof delimiter === "string" && delimiter ? delimiter : undefined
+    });
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} rows per import` });
+      return;
+    }
+    try {
+      const report = await runImport(parsed.rows, {
+        duplicates,
+        dryRun,
+        user: req.user.username
+      });
+      res.json({ dryRun, columns: parsed.columns, mapping: parsed.mapping, ...report });
+    } catch (error) {
+      console.error("Import failed", error);
+      res.status(500).json({ error: "import failed" });
+    }
+  });
+
+  return router;
+};
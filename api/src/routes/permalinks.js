@@ -0,0 +1,49 @@
+const express = require("express");
+const { displayTerm, excerpt } = require("../exporter");
+const { DEFAULT_CARD_TEMPLATE, Entry } = require("../models");
+
+// Current slugs win over old ones; an old slug that several entries once had leads to the one
+// renamed last.
+const findBySlug = async (slug) => {
+  const entry = await Entry.findOne({ slug }).lean();
+  if (entry) return { entry, moved: false };
+  const renamed = await Entry.findOne({ previousSlugs: slug }).sort({ updatedAt: -1 }).lean();
+  return renamed ? { entry: renamed, moved: true } : null;
+};
+
+module.exports = ({ baseUrl }) => {
+  const router = express.Router();
+
+  // The entry behind /wort/:slug plus what link previews show; old slugs redirect to the current one.
+  router.get("/api/permalinks/:slug", async (req, res) => {
+    try {
+      const found = await findBySlug(req.params.slug);
+      if (!found) {
+        res.status(404).json({ error: "entry not found" });
+        return;
+      }
+      const { entry } = found;
+      if (found.moved) {
+        res.redirect(301, `/api/permalinks/${entry.slug}`);
+        return;
+      }
+      const base = baseUrl(req);
+      res.json({
+        entry,
+        meta: {
+          title: displayTerm(entry),
+          description: excerpt(entry.definition),
+          url: `${base}/wort/${entry.slug}`,
+          image: `${base}/api/entries/${entry._id}/card.png`,
+          imageWidth: DEFAULT_CARD_TEMPLATE.width,
+          imageHeight: DEFAULT_CARD_TEMPLATE.height
+        }
+      });
+    } catch (error) {
+      console.error("Failed to load permalink", error);
+      res.status(500).json({ error: "failed to load permalink" });
+    }
+  });
+
+  return router;
+};
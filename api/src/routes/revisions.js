@@ -0,0 +1,115 @@
+const express = require("express");
+const { Entry, Revision, TrashedEntry } = require("../models");
+const { REVISION_FIELDS, recordRevision, serializeRevision } = require("../revisions");
+const { restoreTrashedEntry } = require("../trash");
+
+const isObjectId = (value) => /^[0-9a-f]{24}$/i.test(value || "");
+
+module.exports = ({ requireAuth, requireRole }) => {
+  const router = express.Router();
+
+  router.get("/api/entries/:id/revisions", requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    if (!isObjectId(id)) {
+      res.status(404).json({ error: "entry not found" });
+      return;
+    }
+    try {
+      const revisions = await Revision.find({ entryId: id }).sort({ createdAt: -1, _id: -1 }).lean();
+      res.json({ revisions: revisions.map(serializeRevision) });
+    } catch (error) {
+      console.error("Failed to load revisions", error);
+      res.status(500).json({ error: "failed to load revisions" });
+    }
+  });
+
+  // Restoring a revision brings back the field values from before that change.
+  router.post("/api/entries/:id/revisions/:revisionId/restore", requireRole("editor"), async (req, res) => {
+    const { id, revisionId } = req.params || {};
+    if (!isObjectId(id) || !isObjectId(revisionId)) {
+      res.status(404).json({ error: "revision not found" });
+      return;
+    }
+    try {
+      const revision = await Revision.findOne({ _id: revisionId, entryId: id }).lean();
+      if (!revision) {
+        res.status(404).json({ error: "revision not found" });
+        return;
+      }
+      if (!revision.previous) {
+        res.status(400).json({ error: "revision has no previous state" });
+        return;
+      }
+
+      const $set = {};
+      const $unset = {};
+      REVISION_FIELDS.forEach((field) => {
+        // Revisions from before a field existed leave it as it is.
+        if (!(field in revision.previous)) return;
+        const value = revision.previous[field];
+        if (value === null || value === undefined) $unset[field] = "";
+        else $set[field] = value;
+      });
+
+      let current = await Entry.findById(id).lean();
+      if (!current) {
+        // A deleted entry comes back from the trash first, so its alternatives return with it.
+        const trashed = await TrashedEntry.findOne({ "entry._id": revision.entryId }).lean();
+        if (trashed) {
+          current = (await restoreTrashedEntry(trashed)).toObject();
+          await recordRevision({
+            entryId: id,
+            action: "create",
+            source: "restore",
+            user: req.user.username,
+            values: current
+          });
+        }
+      }
+      if (!current) {
+        const restored = await Entry.create({
+          _id: id,
+          ...$set,
+          createdBy: req.user.username,
+          updatedBy: req.user.username
+        });
+        await recordRevision({
+          entryId: id,
+          action: "create",
+          source: "restore",
+          user: req.user.username,
+          values: restored
+        });
+        res.status(201).json(restored);
+        return;
+      }
+
+      const restored = await Entry.findByIdAndUpdate(
+        id,
+        {
+          $set: { ...$set, updatedBy: req.user.username },
+          ...(Object.keys($unset).length ? { $unset } : {})
+        },
+        { new: true, runValidators: true }
+      );
+      await recordRevision({
+        entryId: id,
+        action: "update",
+        source: "restore",
+        user: req.user.username,
+        previous: current,
+        values: restored
+      });
+      res.json(restored);
+    } catch (error) {
+      if (error && error.code === 11000) {
+        res.status(409).json({ error: "term already exists" });
+        return;
+      }
+      console.error("Failed to restore revision", error);
+      res.status(500).json({ error: "failed to restore revision" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,61 @@
+const express = require("express");
+const { listTags, normalizeTag, retagEntries } = require("../tags");
+
+const MAX_TAG_SUGGESTIONS = 200;
+
+const parseLimit = (value) => {
+  const limit = Number.parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_TAG_SUGGESTIONS) : MAX_TAG_SUGGESTIONS;
+};
+
+module.exports = ({ requireRole }) => {
+  const router = express.Router();
+
+  // ?q=bü&limit=10 for the autocomplete of the tag field and the tag filter of the list.
+  router.get("/api/tags", async (req, res) => {
+    try {
+      const q = typeof req.query.q === "string" ? req.query.q : "";
+      res.json({ tags: await listTags({ q, limit: parseLimit(req.query.limit) }) });
+    } catch (error) {
+      console.error("Failed to list tags", error);
+      res.status(500).json({ error: "failed to list tags" });
+    }
+  });
+
+  // Renaming to a tag that already exists merges both.
+  router.put("/api/tags/:tag", requireRole("editor"), async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body?.name);
+    if (!name) {
+      res.status(400).json({ error: "name is required" });
+      return;
+    }
+    try {
+      const updated = await retagEntries(tag, name, req.user.username);
+      if (updated === 0) {
+        res.status(404).json({ error: "tag not found" });
+        return;
+      }
+      res.json({ tag: name, updated });
+    } catch (error) {
+      console.error("Failed to rename tag", error);
+      res.status(500).json({ error: "failed to rename tag" });
+    }
+  });
+
+  router.delete("/api/tags/:tag", requireRole("admin"), async (req, res) => {
+    try {
+      const updated = await retagEntries(normalizeTag(req.params.tag), "", req.user.username);
+      if (updated === 0) {
+        res.status(404).json({ error: "tag not found" });
+        return;
+      }
+      res.json({ ok: true, updated });
+    } catch (error) {
+      console.error("Failed to delete tag", error);
+      res.status(500).json({ error: "failed to delete tag" });
+    }
+  });
+
+  return router;
+};
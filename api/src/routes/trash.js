@@ -0,0 +1,76 @@
+const express = require("express");
+const { TrashedEntry } = require("../models");
+const { recordRevision } = require("../revisions");
+const { purgeDate, restoreTrashedEntry } = require("../trash");
+
+const isObjectId = (value) => /^[0-9a-f]{24}$/i.test(value || "");
+
+module.exports = ({ requireRole, trashRetentionDays }) => {
+  const router = express.Router();
+
+  router.get("/api/trash", requireRole("admin"), async (_req, res) => {
+    try {
+      const trashed = await TrashedEntry.find().sort({ deletedAt: -1 }).lean();
+      res.json({
+        retentionDays: trashRetentionDays > 0 ? trashRetentionDays : null,
+        items: trashed.map((item) => ({
+          _id: item._id,
+          entryId: item.entry._id,
+          term: item.entry.term,
+          article: item.entry.article,
+          definition: item.entry.definition,
+          alternativesCount: item.alternatives.length,
+          deletedAt: item.deletedAt,
+          purgeAt: purgeDate(item.deletedAt, trashRetentionDays)
+        }))
+      });
+    } catch (error) {
+      console.error("Failed to load trash", error);
+      res.status(500).json({ error: "failed to load trash" });
+    }
+  });
+
+  router.post("/api/trash/:id/restore", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const trashed = isObjectId(id) ? await TrashedEntry.findById(id).lean() : null;
+      if (!trashed) {
+        res.status(404).json({ error: "trash item not found" });
+        return;
+      }
+      const entry = await restoreTrashedEntry(trashed);
+      await recordRevision({
+        entryId: entry._id,
+        action: "create",
+        source: "restore",
+        user: req.user.username,
+        values: entry
+      });
+      res.json(entry);
+    } catch (error) {
+      if (error && error.code === 11000) {
+        res.status(409).json({ error: "term already exists" });
+        return;
+      }
+      console.error("Failed to restore trash item", error);
+      res.status(500).json({ error: "failed to restore trash item" });
+    }
+  });
+
+  router.delete("/api/trash/:id", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const purged = isObjectId(id) ? await TrashedEntry.findByIdAndDelete(id) : null;
+      if (!purged) {
+        res.status(404).json({ error: "trash item not found" });
+        return;
+      }
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Failed to purge trash item", error);
+      res.status(500).json({ error: "failed to purge trash item" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,108 @@
+const express = require("express");
+const { User } = require("../models");
+const { deleteUserSessions } = require("../sessions");
+const { hashPassword, publicUser, validateUserInput } = require("../users");
+
+const isObjectId = (value) => /^[0-9a-f]{24}$/i.test(value || "");
+
+// Refuses changes that would leave nobody able to manage users.
+const removesLastAdmin = async (user, nextRole) => {
+  if (user.role !== "admin" || nextRole === "admin") return false;
+  return (await User.countDocuments({ role: "admin" })) <= 1;
+};
+
+module.exports = ({ requireRole }) => {
+  const router = express.Router();
+
+  router.get("/api/users", requireRole("admin"), async (_req, res) => {
+    try {
+      const users = await User.find().sort({ username: 1 }).lean();
+      res.json({
+        users: users.map((user) => ({
+          ...publicUser(user),
+          createdAt: user.createdAt
+        }))
+      });
+    } catch (error) {
+      console.error("Failed to list users", error);
+      res.status(500).json({ error: "failed to list users" });
+    }
+  });
+
+  router.post("/api/users", requireRole("admin"), async (req, res) => {
+    const { username, password, role = "editor" } = req.body || {};
+    const invalid = validateUserInput({ username, password, role });
+    if (invalid) {
+      res.status(400).json({ error: invalid });
+      return;
+    }
+    try {
+      const user = await User.create({
+        username,
+        passwordHash: await hashPassword(password),
+        role
+      });
+      res.status(201).json(publicUser(user));
+    } catch (error) {
+      if (error && error.code === 11000) {
+        res.status(409).json({ error: "username already exists" });
+        return;
+      }
+      console.error("Failed to create user", error);
+      res.status(500).json({ error: "failed to create user" });
+    }
+  });
+
+  router.put("/api/users/:id", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    const { password, role } = req.body || {};
+    const invalid = validateUserInput({ password, role }, { partial: true });
+    if (invalid) {
+      res.status(400).json({ error: invalid });
+      return;
+    }
+    try {
+      const user = isObjectId(id) ? await User.findById(id) : null;
+      if (!user) {
+        res.status(404).json({ error: "user not found" });
+        return;
+      }
+      if (role !== undefined && (await removesLastAdmin(user, role))) {
+        res.status(400).json({ error: "at least one admin is required" });
+        return;
+      }
+      if (role !== undefined) user.role = role;
+      if (password !== undefined) user.passwordHash = await hashPassword(password);
+      await user.save();
+      // A new password ends all sessions that were opened with the old one.
+      if (password !== undefined) await deleteUserSessions(user._id);
+      res.json(publicUser(user));
+    } catch (error) {
+      console.error("Failed to update user", error);
+      res.status(500).json({ error: "failed to update user" });
+    }
+  });
+
+  router.delete("/api/users/:id", requireRole("admin"), async (req, res) => {
+    const { id } = req.params || {};
+    try {
+      const user = isObjectId(id) ? await User.findById(id).lean() : null;
+      if (!user) {
+        res.status(404).json({ error: "user not found" });
+        return;
+      }
+      if (await removesLastAdmin(user, null)) {
+        res.status(400).json({ error: "at least one admin is required" });
+        return;
+      }
+      await User.deleteOne({ _id: user._id });
+      await deleteUserSessions(user._id);
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Failed to delete user", error);
+      res.status(500).json({ error: "failed to delete user" });
+    }
+  });
+
+  return router;
+};
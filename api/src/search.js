@@ -0,0 +1,214 @@
+const { entrySenses } = require("./senses");
+const { reviewWithHunspell } = require("./spell");
+
+const GERMAN_FOLDS = { ä: "ae", ö: "oe", ü: "ue", ß: "ss" };
+const SNIPPET_RADIUS = 40;
+const MAX_RESULTS = 50;
+const MAX_SUGGESTIONS = 5;
+
+// Folds text for matching and remembers which original character every folded character came
+// from, so matches found in folded text can be highlighted in the original.
+const foldWithMap = (value) => {
+  const source = typeof value === "string" ? value : "";
+  let folded = "";
+  const map = [];
+  Array.from(source).forEach((char, index) => {
+    const lower = char.toLowerCase();
+    const replacement =
+      GERMAN_FOLDS[lower] ?? lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    for (let i = 0; i < replacement.length; i += 1) {
+      map.push(index);
+    }
+    folded += replacement;
+  });
+  return { folded, map, chars: Array.from(source) };
+};
+
+const foldGerman = (value) => foldWithMap(value).folded;
+
+// Stored words are separated by single spaces, which keeps the prefix regex in searchEntries
+// simple enough to behave the same in JavaScript and in MongoDB.
+const toSearchWords = (value) =>
+  foldGerman(value)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Synonyms, meanings and usage of every sense; an entry with one sense reads its own fields.
+const senseTexts = (entry) => {
+  const senses = entrySenses(entry);
+  if (senses.length <= 1) return { synonyms: entry?.synonyms, definition: entry?.definition, example: entry?.example };
+  return {
+    synonyms: senses.flatMap((sense) => sense.synonyms).join(", "),
+    definition: senses.map((sense) => sense.definition).join(" · "),
+    example: senses.flatMap((sense) => sense.examples).join(" · ")
+  };
+};
+
+const buildSearchFields = (entry) => {
+  const texts = senseTexts(entry);
+  return {
+    term: toSearchWords(entry?.term),
+    synonyms: toSearchWords(texts.synonyms),
+    text: toSearchWords([texts.definition, texts.example].filter(Boolean).join(" "))
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const queryTokens = (query) =>
+  Array.from(new Set(foldGerman(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean)));
+
+// Word-prefix matches, so results appear while the last word is still being typed.
+const findMatches = (folded, tokens) => {
+  const ranges = [];
+  tokens.forEach((token) => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(token)}`, "gu");
+    for (const match of folded.matchAll(pattern)) {
+      ranges.push([match.index, match.index + token.length]);
+    }
+  });
+  return ranges.sort((a, b) => a[0] - b[0]);
+};
+
+const buildSnippet = (field, value, tokens) => {
+  const { folded, map, chars } = foldWithMap(value);
+  const matches = findMatches(folded, tokens);
+  if (matches.length === 0) return null;
+
+  const original = matches.map(([start, end]) => [map[start], map[end - 1] + 1]);
+  const from = field === "term" ? 0 : Math.max(0, original[0][0] - SNIPPET_RADIUS);
+  const to = field === "term" ? chars.length : Math.min(chars.length, original[0][1] + SNIPPET_RADIUS);
+  const prefix = from > 0 ? "… " : "";
+  const suffix = to < chars.length ? " …" : "";
+  const offset = prefix.length - from;
+  const highlights = original
+    .filter(([start, end]) => start >= from && end <= to)
+    .map(([start, end]) => [start + offset, end + offset]);
+
+  return {
+    field,
+    text: `${prefix}${chars.slice(from, to).join("")}${suffix}`,
+    highlights
+  };
+};
+
+// Term matches always outrank matches in synonyms, which outrank definition/example matches.
+const rankEntry = (entry, tokens, textScore) => {
+  const term = toSearchWords(entry.term);
+  const query = tokens.join(" ");
+  const texts = senseTexts(entry);
+  let score = textScore || 0;
+  if (term === query) score += 100;
+  else if (term.startsWith(query)) score += 50;
+  else if (findMatches(term, tokens).length) score += 30;
+  if (findMatches(foldGerman(texts.synonyms), tokens).length) score += 8;
+  if (findMatches(foldGerman([texts.definition, texts.example].join(" ")), tokens).length) {
+    score += 2;
+  }
+  return score;
+};
+
+// `filter` narrows the hits further, e.g. to a tag or a collection.
+const searchEntries = async (Entry, query, { limit = MAX_RESULTS, filter = {} } = {}) => {
+  const tokens = queryTokens(query);
+  if (tokens.length === 0) return [];
+
+  const prefixPatterns = tokens.map((token) => new RegExp(`(^| )${escapeRegExp(token)}`));
+  const [textHits, prefixHits] = await Promise.all([
+    Entry.find(
+      { ...filter, $text: { $search: tokens.join(" ") } },
+      { score: { $meta: "textScore" } }
+    ).lean(),
+    Entry.find({
+      ...filter,
+      $or: ["search.term", "search.synonyms", "search.text"].flatMap((field) =>
+        prefixPatterns.map((pattern) => ({ [field]: pattern }))
+      )
+    }).lean()
+  ]);
+
+  const byId = new Map();
+  [...textHits, ...prefixHits].forEach((doc) => {
+    const id = String(doc._id);
+    const { score, ...entry } = doc;
+    const current = byId.get(id);
+    byId.set(id, { entry, textScore: Math.max(current?.textScore || 0, score || 0) });
+  });
+
+  return Array.from(byId.values())
+    .map(({ entry, textScore }) => {
+      const texts = { term: entry.term, ...senseTexts(entry) };
+      return {
+        entry,
+        score: rankEntry(entry, tokens, textScore),
+        snippets: ["term", "synonyms", "definition", "example"]
+          .map((field) => buildSnippet(field, texts[field], tokens))
+          .filter(Boolean)
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.entry.term || "").localeCompare(b.entry.term || "", "de", { sensitivity: "base" })
+    )
+    .slice(0, limit);
+};
+
+// Optimal string alignment distance: Levenshtein plus swapped neighbours, the most common typo.
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const allowedDistance = (length) => (length <= 4 ? 1 : length <= 8 ? 2 : 3);
+
+// Close existing terms for a query without hits, plus the dictionary spelling of the query so the
+// UI can offer to create the entry.
+const suggestTerms = async (Entry, query, spell) => {
+  const folded = toSearchWords(query);
+  if (!folded) return { suggestions: [], correction: null };
+
+  const correction = spell ? reviewWithHunspell(spell, "term", query.trim()).corrected : null;
+  const candidates = [folded, correction && toSearchWords(correction)].filter(Boolean);
+  const maxDistance = allowedDistance(folded.length);
+  const entries = await Entry.find({}, { term: 1 }).lean();
+
+  const suggestions = entries
+    .map((entry) => {
+      const term = toSearchWords(entry.term);
+      const distance = Math.min(
+        ...candidates.map((candidate) =>
+          Math.abs(candidate.length - term.length) > maxDistance
+            ? Infinity
+            : editDistance(candidate, term)
+        )
+      );
+      return { _id: entry._id, term: entry.term, distance };
+    })
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort(
+      (a, b) =>
+        a.distance - b.distance ||
+        (a.term || "").localeCompare(b.term || "", "de", { sensitivity: "base" })
+    )
+    .slice(0, MAX_SUGGESTIONS);
+
+  return { suggestions, correction };
+};
+
+module.exports = {
+  buildSearchFields,
+  foldGerman,
+  searchEntries,
+  suggestTerms
+};
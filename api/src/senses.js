@@ -0,0 +1,79 @@
+const MAX_SENSES = 10;
+const MAX_REGISTER_LENGTH = 40;
+
+const cleanText = (value) => (typeof value === "string" || typeof value === "number" ? String(value).trim() : "");
+
+// Examples go one per line, synonyms are separated by commas or semicolons, the same way the
+// single fields of older entries were written.
+const listItems = (value, separator) =>
+  (Array.isArray(value) ? value : cleanText(value).split(separator)).map(cleanText).filter(Boolean);
+
+const splitExamples = (value) => listItems(value, /\r?\n/);
+const splitSynonyms = (value) => listItems(value, /[,;]/);
+
+const normalizeSense = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const sense = {
+    definition: cleanText(source.definition),
+    examples: splitExamples(source.examples ?? source.example),
+    synonyms: splitSynonyms(source.synonyms)
+  };
+  const register = cleanText(source.register).replace(/\s+/g, " ").slice(0, MAX_REGISTER_LENGTH).trim();
+  if (register) sense.register = register;
+  return sense;
+};
+
+// `{ senses }` in the stored shape, or `{ error }`. Senses left completely empty are dropped, so
+// a form can send a blank row.
+const normalizeSenses = (value) => {
+  if (!Array.isArray(value)) return { error: "senses must be a list" };
+  const senses = value
+    .map(normalizeSense)
+    .filter((sense) => sense.definition || sense.examples.length || sense.synonyms.length || sense.register);
+  if (senses.some((sense) => !sense.definition)) return { error: "every sense needs a definition" };
+  if (senses.length > MAX_SENSES) return { error: `at most ${MAX_SENSES} senses per entry` };
+  return { senses };
+};
+
+// The one sense of an entry that only has `definition`, `example` and `synonyms`.
+const legacySenses = (entry) => {
+  const definition = cleanText(entry?.definition);
+  if (!definition) return [];
+  return [{ definition, examples: splitExamples(entry.example), synonyms: splitSynonyms(entry.synonyms) }];
+};
+
+// `definition`, `example` and `synonyms` mirror the first sense, so the list, the search, the
+// import and older clients keep working with them.
+const primaryFields = (senses) => {
+  const [first] = senses;
+  return {
+    definition: first.definition,
+    example: first.examples.join("\n") || undefined,
+    synonyms: first.synonyms.join(", ") || undefined
+  };
+};
+
+const entrySenses = (entry) => (entry?.senses?.length ? entry.senses : legacySenses(entry));
+
+const senseDefinition = (sense) => (sense.register ? `(${sense.register}) ${sense.definition}` : sense.definition);
+
+// One line per sense, "1. …", "2. …", like the numbered meanings in the Duden; senses without a
+// value for `pick` keep their number but are left out. A single sense is not numbered.
+const numberSenses = (senses, pick) => {
+  if (senses.length === 1) return pick(senses[0]) || "";
+  return senses
+    .map((sense, index) => [index + 1, pick(sense)])
+    .filter(([, text]) => text)
+    .map(([number, text]) => `${number}. ${text}`)
+    .join("\n");
+};
+
+module.exports = {
+  MAX_SENSES,
+  entrySenses,
+  legacySenses,
+  normalizeSenses,
+  numberSenses,
+  primaryFields,
+  senseDefinition
+};
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const { Session } = require("./models");
+
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const createSession = async (userId, ttlMs) => {
+  const token = randomToken();
+  const session = await Session.create({
+    tokenHash: hashToken(token),
+    userId,
+    csrfToken: randomToken(),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return { token, session };
+};
+
+const findSession = async (token) => {
+  if (typeof token !== "string" || !token) return null;
+  return Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+};
+
+// Sliding expiry: once less than half of the lifetime is left, the session is extended again.
+const renewSession = async (session, ttlMs, { force = false } = {}) => {
+  const remaining = new Date(session.expiresAt).getTime() - Date.now();
+  if (!force && remaining > ttlMs / 2) return null;
+  const expiresAt = new Date(Date.now() + ttlMs);
+  await Session.updateOne({ _id: session._id }, { $set: { expiresAt } });
+  return expiresAt;
+};
+
+// Sessions created before CSRF tokens existed get one the next time the client asks for its status.
+const ensureCsrfToken = async (session) => {
+  if (session.csrfToken) return session.csrfToken;
+  const csrfToken = randomToken();
+  await Session.updateOne({ _id: session._id }, { $set: { csrfToken } });
+  session.csrfToken = csrfToken;
+  return csrfToken;
+};
+
+const deleteSession = (token) => Session.deleteOne({ tokenHash: hashToken(token) });
+
+const deleteUserSessions = (userId) => Session.deleteMany({ userId });
+
+module.exports = {
+  DEFAULT_SESSION_TTL_MS,
+  createSession,
+  deleteSession,
+  deleteUserSessions,
+  ensureCsrfToken,
+  findSession,
+  renewSession
+};
@@ -0,0 +1,41 @@
+const { foldGerman } = require("./search");
+
+const MAX_SLUG_LENGTH = 80;
+
+// "Straße" → "strasse", "Hals über Kopf" → "hals-ueber-kopf"; umlauts are folded like in the search.
+const slugify = (term) =>
+  foldGerman(term)
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "") || "eintrag";
+
+// Terms that fold to the same slug ("Bank", "bank") are told apart by -2, -3, …
+const slugFitsTerm = (slug, term) => {
+  const base = slugify(term);
+  return slug === base || new RegExp(`^${base}-\\d+$`).test(slug || "");
+};
+
+// Picks the slug for an entry that is new or whose term changed and keeps the old one so links
+// to it still redirect. Returns null when the current slug still fits. `reserved` holds slugs
+// handed out earlier in the same batch; `source` is the text the slug is made from, which is the
+// name for collections.
+const nextSlug = async (Model, entry, reserved = new Set(), source = entry.term) => {
+  const takenBy = (slug) => Model.exists({ slug, _id: { $ne: entry._id } });
+  if (entry.slug && slugFitsTerm(entry.slug, source) && !reserved.has(entry.slug) && !(await takenBy(entry.slug))) {
+    return null;
+  }
+  const base = slugify(source);
+  let slug = base;
+  for (let counter = 2; reserved.has(slug) || (await takenBy(slug)); counter += 1) {
+    slug = `${base}-${counter}`;
+  }
+  const previousSlugs = Array.from(new Set([...(entry.previousSlugs || []), entry.slug])).filter(
+    (item) => item && item !== slug
+  );
+  return { slug, previousSlugs };
+};
+
+module.exports = {
+  nextSlug,
+  slugify
+};
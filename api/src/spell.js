@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const nspell = require("nspell");
+const { capitalizeFirst } = require("./morphology");
+
+const loadSpeller = async () => {
+  try {
+    const dictRoot = path.dirname(require.resolve("hunspell-dict-de-de/package.json"));
+    const [aff, dic] = await Promise.all([
+      fs.promises.readFile(path.join(dictRoot, "de-de.aff"), "utf8"),
+      fs.promises.readFile(path.join(dictRoot, "de-de.dic"), "utf8")
+    ]);
+    return nspell(aff, dic);
+  } catch (error) {
+    console.error("Failed to load dictionary", error);
+    return null;
+  }
+};
+
+const SPELL_TOKEN_PATTERN = /\p{L}+/gu;
+
+const reviewWithHunspell = (spell, field, value) => {
+  const original = typeof value === "string" ? value : "";
+  const replacements = new Map();
+  const suggestions = [];
+  const tokens = original.match(SPELL_TOKEN_PATTERN) || [];
+  tokens.forEach((token) => {
+    if (replacements.has(token) || spell.correct(token)) return;
+    const capitalized = capitalizeFirst(token);
+    const [best] = spell.correct(capitalized) ? [capitalized] : spell.suggest(token);
+    replacements.set(token, best || null);
+    if (!best) return;
+    suggestions.push({
+      from: token,
+      to: best,
+      reason: best === capitalized ? "Großschreibung (Nomen)" : "Rechtschreibung (Wörterbuch)"
+    });
+  });
+
+  const corrected = original.replace(
+    SPELL_TOKEN_PATTERN,
+    (token) => replacements.get(token) || token
+  );
+  const result = {
+    corrected: corrected !== original ? corrected : null,
+    suggestions,
+    lemma: null,
+    partOfSpeech: [],
+    article: null
+  };
+
+  // The dictionary only knows nouns in their capitalized form, which is all we can infer offline.
+  if (field === "term" && tokens.length === 1) {
+    const base = result.corrected || original.trim();
+    if (base === capitalizeFirst(base) && spell.correct(base) && !spell.correct(base.toLowerCase())) {
+      result.partOfSpeech = ["noun"];
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  loadSpeller,
+  reviewWithHunspell
+};
@@ -0,0 +1,58 @@
+const { Entry } = require("./models");
+const { recordRevision } = require("./revisions");
+const { foldGerman } = require("./search");
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+
+// "#Büro, Small Talk" → ["büro", "small talk"]: tags are lowercase so "Büro" and "büro" are the
+// same tag, a leading # is dropped and repeats are removed.
+const normalizeTag = (value) =>
+  String(value ?? "")
+    .replace(/^\s*#+/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLocaleLowerCase("de")
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+
+const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[,;]/);
+  return Array.from(new Set(list.map(normalizeTag).filter(Boolean))).slice(0, MAX_TAGS);
+};
+
+// Tags with the number of entries that carry them, the most used first. `q` narrows the list to
+// tags that start with it, folded like the search so "bu" finds "büro".
+const listTags = async ({ q = "", limit = 0 } = {}) => {
+  const counts = await Entry.aggregate([
+    { $match: { tags: { $exists: true, $ne: [] } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } }
+  ]);
+  const prefix = foldGerman(normalizeTag(q));
+  const tags = counts
+    .map((item) => ({ tag: item._id, count: item.count }))
+    .filter((item) => !prefix || foldGerman(item.tag).startsWith(prefix))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, "de"));
+  return limit > 0 ? tags.slice(0, limit) : tags;
+};
+
+// Renames `tag` to `replacement` on every entry, or removes it when there is no replacement. Each
+// changed entry gets a revision like an edit in the form. Returns the number of entries.
+const retagEntries = async (tag, replacement, user) => {
+  const entries = await Entry.find({ tags: tag }).lean();
+  for (const entry of entries) {
+    const tags = normalizeTags(entry.tags.map((item) => (item === tag ? replacement : item)));
+    const updated = await Entry.findByIdAndUpdate(entry._id, { tags, updatedBy: user }, { new: true });
+    await recordRevision({ entryId: entry._id, action: "update", user, previous: entry, values: updated });
+  }
+  return entries.length;
+};
+
+module.exports = {
+  MAX_TAGS,
+  listTags,
+  normalizeTag,
+  normalizeTags,
+  retagEntries
+};
@@ -0,0 +1,41 @@
+const { Alternative, Entry, TrashedEntry } = require("./models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeDate = (deletedAt, retentionDays) =>
+  retentionDays > 0 ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS) : null;
+
+const moveEntryToTrash = async (entry) => {
+  const alternatives = await Alternative.find({ item: entry.term }).lean();
+  const trashed = await TrashedEntry.create({ entry, alternatives, deletedAt: new Date() });
+  await Entry.deleteOne({ _id: entry._id });
+  if (alternatives.length > 0) {
+    await Alternative.deleteMany({ _id: { $in: alternatives.map((item) => item._id) } });
+  }
+  return trashed;
+};
+
+// Recreates the entry under its old id; the search fields are rebuilt by the save hook.
+const restoreTrashedEntry = async (trashed) => {
+  const { search, ...fields } = trashed.entry;
+  const entry = await Entry.create(fields);
+  if (trashed.alternatives.length > 0) {
+    await Alternative.insertMany(trashed.alternatives);
+  }
+  await TrashedEntry.deleteOne({ _id: trashed._id });
+  return entry;
+};
+
+const purgeExpiredTrash = async (retentionDays, now = new Date()) => {
+  if (!(retentionDays > 0)) return 0;
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const result = await TrashedEntry.deleteMany({ deletedAt: { $lte: cutoff } });
+  return result.deletedCount || 0;
+};
+
+module.exports = {
+  moveEntryToTrash,
+  purgeDate,
+  purgeExpiredTrash,
+  restoreTrashedEntry
+};
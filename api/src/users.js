@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { USER_ROLES, User } = require("./models");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const BOOTSTRAP_USERNAME = "admin";
+
+const ROLE_RANK = USER_ROLES.reduce((acc, role, index) => {
+  acc[role] = index + 1;
+  return acc;
+}, {});
+
+const hasRole = (user, role) => Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash || typeof password !== "string") return false;
+  const expected = Buffer.from(hash, "hex");
+  const key = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+};
+
+// Returns an error key for invalid input, or null.
+const validateUserInput = ({ username, password, role }, { partial = false } = {}) => {
+  if (!partial || username !== undefined) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+      return "invalid username";
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return "password too short";
+    }
+  }
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return "invalid role";
+  }
+  return null;
+};
+
+// Until the first account exists, ADMIN_PASSWORD logs in as the "admin" user, which is then
+// created with that password.
+const ensureBootstrapAdmin = async (adminPassword) => {
+  if (!adminPassword || (await User.exists({}))) return null;
+  try {
+    return await User.create({
+      username: BOOTSTRAP_USERNAME,
+      passwordHash: await hashPassword(adminPassword),
+      role: "admin"
+    });
+  } catch (error) {
+    if (error && error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const isLoginConfigured = async (adminPassword) =>
+  Boolean(adminPassword) || Boolean(await User.exists({}));
+
+const publicUser = (user) =>
+  user ? { _id: user._id, username: user.username, role: user.role } : null;
+
+module.exports = {
+  BOOTSTRAP_USERNAME,
+  ensureBootstrapAdmin,
+  hasRole,
+  hashPassword,
+  isLoginConfigured,
+  publicUser,
+  validateUserInput,
+  verifyPassword
+};
@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAiProvider } = require("../src/ai");
+
+describe("createAiProvider", () => {
+  it("is disabled without configuration", () => {
+    assert.equal(createAiProvider({}), null);
+    assert.equal(createAiProvider({ provider: "local" }), null);
+  });
+
+  it("picks models per capability", () => {
+    assert.deepEqual(createAiProvider({ apiKey: "key" }).models, {
+      completeEntry: "gpt-4o-mini",
+      alternatives: "gpt-4o",
+      spellcheck: "gpt-4o"
+    });
+    const local = createAiProvider({
+      provider: "local",
+      baseUrl: "http://localhost:11434/v1",
+      model: "mistral",
+      models: { spellcheck: "llama3.1" }
+    });
+    assert.equal(local.name, "local");
+    assert.deepEqual(local.models, {
+      completeEntry: "mistral",
+      alternatives: "mistral",
+      spellcheck: "llama3.1"
+    });
+  });
+
+  it("replays fixtures in order", async () => {
+    const ai = createAiProvider({
+      provider: "fixture",
+      fixtures: { alternatives: [{ n: 1 }, { n: 2 }], spellcheck: (user) => ({ echo: user }) }
+    });
+    const ask = (capability, user) => ai.completeJson(capability, { system: "", user });
+
+    assert.deepEqual((await ask("alternatives")).data, { n: 1 });
+    assert.deepEqual((await ask("alternatives")).data, { n: 2 });
+    assert.deepEqual((await ask("alternatives")).data, { n: 1 });
+    assert.deepEqual((await ask("spellcheck", { term: "x" })).data, { echo: { term: "x" } });
+    await assert.rejects(ask("completeEntry"), /Keine Fixture für completeEntry/);
+    await assert.rejects(ask("translate"), /Unknown AI capability/);
+  });
+
+  it("derives default fixture answers from the input", async () => {
+    const ai = createAiProvider({ provider: "fixture" });
+    const { data, model } = await ai.completeJson("alternatives", {
+      system: "",
+      user: 'Ausdruck: "geil"'
+    });
+
+    assert.equal(model, "fixture");
+    assert.equal(data.item, "geil");
+    assert.equal(Object.keys(data.results).length, 5);
+  });
+});
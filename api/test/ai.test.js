@@ -0,0 +1,283 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, loadFixture, startApp } = require("./helpers");
+const { loadSpeller } = require("../src/spell");
+
+describe("AI routes", () => {
+  let disconnect;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+  });
+
+  after(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  // Starts an app whose fake AI backend replays the given fixtures, runs the test and shuts down.
+  const withApp = async (options, run) => {
+    const api = await startApp(options);
+    try {
+      await run(api, await api.login());
+    } finally {
+      await api.close();
+    }
+  };
+
+  describe("ai-complete", () => {
+    it("merges the AI answer with the submitted fields", async () => {
+      await withApp({ fixtures: { completeEntry: loadFixture("complete-entry") } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/ai-complete", {
+          body: { term: "geil", article: "das" },
+          cookie
+        });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, {
+          term: "geil",
+          definition: "umgangssprachlich für großartig, hervorragend",
+          example: "Das Konzert gestern war richtig geil.",
+          synonyms: "toll, super, klasse",
+          senses: [
+            {
+              definition: "von sexueller Begierde erfüllt",
+              examples: ["Er war geil auf sie."],
+              synonyms: ["begierig", "lüstern"],
+              register: "salopp"
+            },
+            { definition: "(von Pflanzen) üppig wuchernd", examples: [], synonyms: [], register: "fachsprachlich" }
+          ],
+          partOfSpeech: ["adjective"],
+          article: "das"
+        });
+      });
+    });
+
+    it("proposes only senses the entry does not have yet", async () => {
+      await withApp({ fixtures: { completeEntry: loadFixture("complete-entry") } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/ai-complete", {
+          body: { term: "geil", senses: [{ definition: "von sexueller  Begierde erfüllt" }] },
+          cookie
+        });
+
+        assert.deepEqual(
+          response.body.senses.map((sense) => sense.definition),
+          ["(von Pflanzen) üppig wuchernd"]
+        );
+      });
+    });
+
+    it("requires login and at least one field", async () => {
+      await withApp({ fixtures: { completeEntry: {} } }, async (api, cookie) => {
+        const anonymous = await api.request("POST", "/api/entries/ai-complete", {
+          body: { term: "geil" }
+        });
+        const empty = await api.request("POST", "/api/entries/ai-complete", { body: {}, cookie });
+
+        assert.equal(anonymous.status, 401);
+        assert.equal(empty.status, 400);
+      });
+    });
+
+    it("reports a missing provider and failed completions", async () => {
+      await withApp({}, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/ai-complete", {
+          body: { term: "geil" },
+          cookie
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, "AI completion is not configured");
+      });
+      await withApp({ fixtures: { spellcheck: {} } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/ai-complete", {
+          body: { term: "geil" },
+          cookie
+        });
+        assert.equal(response.status, 500);
+        assert.equal(response.body.error, "AI completion failed");
+      });
+    });
+  });
+
+  describe("ai-alternatives", () => {
+    it("validates the item and the provider", async () => {
+      await withApp({}, async (api) => {
+        const response = await api.request("POST", "/api/entries/ai-alternatives", {
+          body: { item: "geil" }
+        });
+        assert.equal(response.status, 400);
+      });
+      await withApp({ fixtures: { alternatives: {} } }, async (api) => {
+        const response = await api.request("POST", "/api/entries/ai-alternatives", {
+          body: { item: "  " }
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, "item is required");
+      });
+    });
+
+    it("normalizes, trims and caps the alternatives per situation", async () => {
+      await withApp({ fixtures: { alternatives: loadFixture("alternatives") } }, async (api) => {
+        const response = await api.request("POST", "/api/entries/ai-alternatives", {
+          body: { item: "geil" }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.item, "geil");
+        assert.deepEqual(response.body.results.arbeit, [
+          "außerordentlich begeisternd",
+          "mega",
+          "voll fett"
+        ]);
+        assert.deepEqual(response.body.results.behoerdlich, ["den Anforderungen entsprechend"]);
+      });
+    });
+
+    it("rejects invalid AI payloads", async () => {
+      const cases = [
+        ["Ungültige KI-Antwort", "keine Alternativen"],
+        ["Keine Alternativen für arbeit", { item: "geil", results: null }],
+        ["Keine Alternativen für behoerdlich", loadFixture("alternatives-missing-situation")]
+      ];
+      for (const [error, payload] of cases) {
+        await withApp({ fixtures: { alternatives: payload } }, async (api) => {
+          const response = await api.request("POST", "/api/entries/ai-alternatives", {
+            body: { item: "geil" }
+          });
+          assert.equal(response.status, 502);
+          assert.equal(response.body.error, error);
+        });
+      }
+    });
+
+    it("stores alternatives without case-insensitive duplicates", async () => {
+      const fixtures = {
+        alternatives: [loadFixture("alternatives"), loadFixture("alternatives-repeat")]
+      };
+      await withApp({ fixtures }, async (api, cookie) => {
+        await api.request("POST", "/api/entries/ai-alternatives", { body: { item: "geil" } });
+        const response = await api.request("POST", "/api/entries/ai-alternatives", {
+          body: { item: "geil" }
+        });
+
+        assert.deepEqual(response.body.results.arbeit, [
+          "außerordentlich begeisternd",
+          "mega",
+          "voll fett",
+          "bemerkenswert"
+        ]);
+        assert.deepEqual(response.body.results.schwiegereltern, ["ganz wunderbar"]);
+
+        const summary = await api.request("GET", "/api/entries/ai-alternatives/summary");
+        assert.deepEqual(summary.body, { summary: { geil: 10 } });
+
+        const entry = await api.request("POST", "/api/entries", {
+          body: { term: "geil", definition: "großartig" },
+          cookie
+        });
+        const stored = await api.request("GET", `/api/entries/${entry.body._id}/ai-alternatives`);
+        assert.deepEqual(stored.body, response.body);
+
+        const anonymous = await api.request(
+          "DELETE",
+          `/api/entries/${entry.body._id}/ai-alternatives`
+        );
+        assert.equal(anonymous.status, 401);
+        const cleared = await api.request("DELETE", `/api/entries/${entry.body._id}/ai-alternatives`, {
+          cookie
+        });
+        assert.deepEqual(cleared.body.results.arbeit, []);
+        const emptySummary = await api.request("GET", "/api/entries/ai-alternatives/summary");
+        assert.deepEqual(emptySummary.body, { summary: {} });
+      });
+    });
+  });
+
+  describe("spellcheck", () => {
+    it("capitalizes nouns in the term review", async () => {
+      await withApp({ fixtures: { spellcheck: loadFixture("spellcheck-noun") } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/spellcheck", {
+          body: { term: "schreibtisck", definition: "Möbel zum arbeiten" },
+          cookie
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.source, "llm");
+        assert.equal(response.body.term.corrected, "Schreibtisch");
+        assert.equal(response.body.term.article, "der");
+        assert.deepEqual(response.body.term.partOfSpeech, ["noun"]);
+        assert.deepEqual(response.body.term.suggestions.at(-1), {
+          from: "schreibtisck",
+          to: "Schreibtisch",
+          reason: "Großschreibung (Nomen)"
+        });
+        assert.deepEqual(response.body.definition, {
+          corrected: null,
+          suggestions: [],
+          partOfSpeech: [],
+          article: null,
+          lemma: null
+        });
+      });
+    });
+
+    it("only reviews requested user fields", async () => {
+      await withApp({ fixtures: { spellcheck: loadFixture("spellcheck-noun") } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/spellcheck", {
+          body: {
+            term: "schreibtisck",
+            definition: "Möbel",
+            userFields: ["definition"],
+            userInput: { definition: false }
+          },
+          cookie
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, "Provide at least one user-entered field to review");
+      });
+    });
+
+    it("fails without provider and dictionary", async () => {
+      await withApp({}, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/spellcheck", {
+          body: { term: "haus" },
+          cookie
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, "Spellcheck is not configured");
+      });
+      await withApp({ fixtures: { completeEntry: {} } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/spellcheck", {
+          body: { term: "haus" },
+          cookie
+        });
+        assert.equal(response.status, 500);
+      });
+    });
+
+    it("falls back to the hunspell dictionary", async (t) => {
+      const spell = await loadSpeller();
+      if (!spell) {
+        t.skip("hunspell-dict-de-de is not installed");
+        return;
+      }
+      await withApp({ spell, fixtures: { completeEntry: {} } }, async (api, cookie) => {
+        const response = await api.request("POST", "/api/entries/spellcheck", {
+          body: { term: "haus" },
+          cookie
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.source, "hunspell");
+        assert.equal(response.body.term.corrected, "Haus");
+        assert.deepEqual(response.body.term.partOfSpeech, ["noun"]);
+        assert.equal(response.body.term.suggestions[0].reason, "Großschreibung (Nomen)");
+      });
+    });
+  });
+});
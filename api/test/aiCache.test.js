@@ -0,0 +1,149 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, loadFixture, startApp } = require("./helpers");
+const { AiCache, AiUsage } = require("../src/models");
+
+// Counts the calls that actually reach the provider.
+const countingProvider = (answers, models = {}) => {
+  const provider = {
+    name: "fixture",
+    calls: 0,
+    models: { completeEntry: "fixture", alternatives: "fixture", spellcheck: "fixture", ...models },
+    completeJson: async (capability) => {
+      provider.calls += 1;
+      return { data: JSON.parse(JSON.stringify(answers[capability])), model: "fixture", usage: null };
+    }
+  };
+  return provider;
+};
+
+describe("AI response cache", () => {
+  let disconnect;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+  });
+
+  after(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  const withApp = async (options, run) => {
+    const api = await startApp(options);
+    try {
+      await run(api, await api.login());
+    } finally {
+      await api.close();
+    }
+  };
+
+  const answers = {
+    completeEntry: loadFixture("complete-entry"),
+    spellcheck: loadFixture("spellcheck-noun")
+  };
+
+  it("answers repeated completions from the cache", async () => {
+    const ai = countingProvider(answers);
+    await withApp({ ai }, async (api, cookie) => {
+      const complete = (body) => api.request("POST", "/api/entries/ai-complete", { body, cookie });
+
+      const first = await complete({ term: "geil", article: "das" });
+      const second = await complete({ term: "  geil ", article: "das" });
+      const refreshed = await complete({ term: "geil", article: "das", refresh: true });
+      const other = await complete({ term: "Geil", article: "das" });
+
+      assert.equal(first.headers.get("x-ai-cache"), "miss");
+      assert.equal(second.headers.get("x-ai-cache"), "hit");
+      assert.deepEqual(second.body, first.body);
+      assert.equal(refreshed.headers.get("x-ai-cache"), "refresh");
+      assert.equal(other.headers.get("x-ai-cache"), "miss");
+      assert.equal(ai.calls, 3);
+      assert.equal(await AiUsage.countDocuments(), 3);
+    });
+  });
+
+  it("caches spellcheck answers", async () => {
+    const ai = countingProvider(answers);
+    await withApp({ ai }, async (api, cookie) => {
+      const review = () =>
+        api.request("POST", "/api/entries/spellcheck", { body: { term: "fenster" }, cookie });
+
+      const first = await review();
+      const second = await review();
+
+      assert.equal(first.headers.get("x-ai-cache"), "miss");
+      assert.equal(second.headers.get("x-ai-cache"), "hit");
+      assert.deepEqual(second.body, first.body);
+      assert.equal(second.body.source, "llm");
+      assert.equal(ai.calls, 1);
+    });
+  });
+
+  it("starts over when the model changes", async () => {
+    await withApp({ ai: countingProvider(answers) }, async (api, cookie) => {
+      await api.request("POST", "/api/entries/ai-complete", { body: { term: "geil" }, cookie });
+    });
+    const ai = countingProvider(answers, { completeEntry: "gpt-4o" });
+    await withApp({ ai }, async (api, cookie) => {
+      const response = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+
+      assert.equal(response.headers.get("x-ai-cache"), "miss");
+      assert.equal(ai.calls, 1);
+    });
+  });
+
+  it("serves cached answers even when the budget is spent", async () => {
+    const ai = countingProvider(answers);
+    await withApp({ ai }, async (api, cookie) => {
+      await api.request("POST", "/api/entries/ai-complete", { body: { term: "geil" }, cookie });
+    });
+    await AiUsage.create({ route: "ai-complete", capability: "completeEntry", cost: 2, success: true });
+
+    await withApp({ ai, aiUsage: { monthlyBudget: 1 } }, async (api, cookie) => {
+      const cached = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+      const fresh = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil", refresh: true },
+        cookie
+      });
+
+      assert.equal(cached.status, 200);
+      assert.equal(cached.headers.get("x-ai-cache"), "hit");
+      assert.equal(fresh.status, 402);
+    });
+  });
+
+  it("ignores expired entries and can be switched off", async () => {
+    const ai = countingProvider(answers);
+    await withApp({ ai }, async (api, cookie) => {
+      await api.request("POST", "/api/entries/ai-complete", { body: { term: "geil" }, cookie });
+      await AiCache.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+      const expired = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+      assert.equal(expired.headers.get("x-ai-cache"), "miss");
+    });
+
+    await clearDatabase();
+    await withApp({ ai, aiCache: { ttlMs: 0 } }, async (api, cookie) => {
+      await api.request("POST", "/api/entries/ai-complete", { body: { term: "geil" }, cookie });
+      const second = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+
+      assert.equal(second.headers.get("x-ai-cache"), "miss");
+      assert.equal(await AiCache.countDocuments(), 0);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, loadFixture, startApp } = require("./helpers");
+const { estimateCost } = require("../src/aiUsage");
+const { AiUsage, User } = require("../src/models");
+const { hashPassword } = require("../src/users");
+
+// Answers like the OpenAI provider, including the token usage of the completion.
+const pricedProvider = (data, { fail = false } = {}) => ({
+  name: "openai",
+  models: { completeEntry: "gpt-4o-mini", alternatives: "gpt-4o", spellcheck: "gpt-4o" },
+  completeJson: async () => {
+    if (fail) throw new Error("rate limited upstream");
+    return {
+      data,
+      model: "gpt-4o-2024-08-06",
+      usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }
+    };
+  }
+});
+
+describe("AI usage", () => {
+  let disconnect;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+  });
+
+  after(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  const withApp = async (options, run) => {
+    const api = await startApp(options);
+    try {
+      await run(api, await api.login());
+    } finally {
+      await api.close();
+    }
+  };
+
+  it("estimates costs from model prices", () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 500 };
+
+    assert.equal(estimateCost("gpt-4o-2024-08-06", usage), 0.0075);
+    assert.equal(estimateCost("gpt-4o-mini", usage), 0.00045);
+    assert.equal(estimateCost("llama3.1", usage), 0);
+    assert.equal(estimateCost("custom", usage, { custom: { input: 1, output: 2 } }), 0.002);
+  });
+
+  it("records every call with tokens, cost, latency and user", async () => {
+    const ai = pricedProvider(loadFixture("complete-entry"));
+    await withApp({ ai }, async (api, cookie) => {
+      await api.request("POST", "/api/entries/ai-complete", { body: { term: "geil" }, cookie });
+      await api.request("POST", "/api/entries/ai-alternatives", { body: { item: "geil" } });
+
+      const [complete, alternatives] = await AiUsage.find().sort({ createdAt: 1, _id: 1 }).lean();
+      assert.equal(complete.route, "ai-complete");
+      assert.equal(complete.model, "gpt-4o-2024-08-06");
+      assert.equal(complete.promptTokens, 1000);
+      assert.equal(complete.completionTokens, 500);
+      assert.equal(complete.cost, 0.0075);
+      assert.equal(complete.success, true);
+      assert.equal(complete.user, "admin");
+      assert.ok(complete.latencyMs >= 0);
+      assert.equal(alternatives.route, "ai-alternatives");
+      assert.equal(alternatives.user, null);
+    });
+  });
+
+  it("records failed calls", async () => {
+    await withApp({ ai: pricedProvider({}, { fail: true }) }, async (api, cookie) => {
+      const response = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+      const [usage] = await AiUsage.find().lean();
+
+      assert.equal(response.status, 500);
+      assert.equal(usage.success, false);
+      assert.equal(usage.error, "rate limited upstream");
+      assert.equal(usage.cost, 0);
+    });
+  });
+
+  it("reports daily and monthly totals per route to admins", async () => {
+    const ai = pricedProvider(loadFixture("complete-entry"));
+    await withApp({ ai, aiUsage: { monthlyBudget: 5 } }, async (api, cookie) => {
+      for (const term of ["geil", "zack"]) {
+        await api.request("POST", "/api/entries/ai-complete", { body: { term }, cookie });
+      }
+      await User.create({ username: "leser", passwordHash: await hashPassword("leser-pass"), role: "viewer" });
+      const viewer = await api.login({ username: "leser", password: "leser-pass" });
+
+      const response = await api.request("GET", "/api/ai-usage?days=7", { cookie });
+      const forbidden = await api.request("GET", "/api/ai-usage", { cookie: viewer });
+      const today = new Date().toISOString().slice(0, 10);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.days, 7);
+      assert.deepEqual(
+        response.body.daily.map(({ period, route, calls, failures, promptTokens }) => ({
+          period,
+          route,
+          calls,
+          failures,
+          promptTokens
+        })),
+        [{ period: today, route: "ai-complete", calls: 2, failures: 0, promptTokens: 2000 }]
+      );
+      assert.equal(response.body.monthly[0].period, today.slice(0, 7));
+      assert.equal(response.body.monthly[0].cost, 0.015);
+      assert.deepEqual(response.body.budget, {
+        monthly: 5,
+        spent: 0.015,
+        remaining: 4.985,
+        exceeded: false
+      });
+      assert.equal(response.body.recent.length, 2);
+      assert.equal(forbidden.status, 403);
+    });
+  });
+
+  it("refuses AI calls once the monthly budget is spent", async () => {
+    const lastMonth = new Date();
+    lastMonth.setUTCMonth(lastMonth.getUTCMonth() - 1, 15);
+    await AiUsage.create([
+      { route: "ai-complete", capability: "completeEntry", cost: 3, success: true, createdAt: lastMonth },
+      { route: "ai-complete", capability: "completeEntry", cost: 0.5, success: true }
+    ]);
+    const ai = pricedProvider(loadFixture("complete-entry"));
+
+    await withApp({ ai, aiUsage: { monthlyBudget: 1 } }, async (api, cookie) => {
+      const allowed = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "geil" },
+        cookie
+      });
+      assert.equal(allowed.status, 200);
+    });
+
+    await AiUsage.create({ route: "ai-complete", capability: "completeEntry", cost: 0.5, success: true });
+    await withApp({ ai, aiUsage: { monthlyBudget: 1 } }, async (api, cookie) => {
+      const complete = await api.request("POST", "/api/entries/ai-complete", {
+        body: { term: "zack" },
+        cookie
+      });
+      const alternatives = await api.request("POST", "/api/entries/ai-alternatives", {
+        body: { item: "geil" }
+      });
+      const spellcheck = await api.request("POST", "/api/entries/spellcheck", {
+        body: { term: "geil" },
+        cookie
+      });
+
+      assert.equal(complete.status, 402);
+      assert.equal(complete.body.error, "Budget erschöpft");
+      assert.equal(complete.body.budget.exceeded, true);
+      assert.equal(alternatives.status, 402);
+      assert.equal(spellcheck.status, 402);
+      assert.equal(await AiUsage.countDocuments(), 4);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { after, before, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_PASSWORD, clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Session, User } = require("../src/models");
+
+describe("auth", () => {
+  let disconnect;
+  let api;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  it("rejects a wrong or missing password", async () => {
+    const wrong = await api.request("POST", "/api/auth/login", { body: { password: "nope" } });
+    const missing = await api.request("POST", "/api/auth/login", { body: {} });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.headers.get("set-cookie"), null);
+  });
+
+  it("sets an http-only cookie on login", async () => {
+    const response = await api.request("POST", "/api/auth/login", {
+      body: { password: ADMIN_PASSWORD }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("set-cookie"), /^duden_auth=.+HttpOnly/);
+  });
+
+  it("reports the login status", async () => {
+    const cookie = await api.login();
+    const anonymous = await api.request("GET", "/api/auth/status");
+    const loggedIn = await api.request("GET", "/api/auth/status", { cookie });
+
+    assert.deepEqual(anonymous.body, { loggedIn: false, user: null, expiresAt: null, csrfToken: null });
+    assert.equal(loggedIn.body.loggedIn, true);
+    assert.equal(loggedIn.body.user.username, "admin");
+    assert.equal(loggedIn.body.user.role, "admin");
+    assert.ok(new Date(loggedIn.body.expiresAt) > new Date());
+  });
+
+  it("rejects hand-made cookies", async () => {
+    const cookie = await api.login();
+    const [user] = await User.find().lean();
+
+    const literal = await api.request("GET", "/api/trash", { cookie: "duden_auth=1" });
+    const userId = await api.request("GET", "/api/trash", { cookie: `duden_auth=${user._id}` });
+    const real = await api.request("GET", "/api/trash", { cookie });
+
+    assert.equal(literal.status, 401);
+    assert.equal(userId.status, 401);
+    assert.equal(real.status, 200);
+  });
+
+  it("sets an expiring cookie with the configured flags", async () => {
+    const strict = await startApp({
+      session: { ttlMs: 60 * 60 * 1000, secure: true, sameSite: "strict" }
+    });
+    try {
+      const response = await strict.request("POST", "/api/auth/login", {
+        body: { password: ADMIN_PASSWORD }
+      });
+      const header = response.headers.get("set-cookie");
+
+      assert.match(header, /Expires=/);
+      assert.match(header, /Secure/);
+      assert.match(header, /SameSite=Strict/);
+      assert.ok(new Date(response.body.expiresAt) - Date.now() <= 60 * 60 * 1000);
+    } finally {
+      await strict.close();
+    }
+  });
+
+  it("invalidates the session on logout", async () => {
+    const cookie = await api.login();
+    await api.request("POST", "/api/auth/logout", { cookie });
+
+    const status = await api.request("GET", "/api/auth/status", { cookie });
+    const write = await api.request("GET", "/api/trash", { cookie });
+
+    assert.equal(status.body.loggedIn, false);
+    assert.equal(write.status, 401);
+  });
+
+  it("logs out everywhere", async () => {
+    const laptop = await api.login();
+    const phone = await api.login();
+
+    const response = await api.request("POST", "/api/auth/logout-all", { cookie: laptop });
+    const phoneStatus = await api.request("GET", "/api/auth/status", { cookie: phone });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.sessions >= 2);
+    assert.equal(phoneStatus.body.loggedIn, false);
+  });
+
+  it("expires sessions and renews them while in use", async () => {
+    const cookie = await api.login();
+    const session = await Session.findOne().sort({ createdAt: -1 });
+
+    session.expiresAt = new Date(Date.now() + 60 * 1000);
+    await session.save();
+    const renewed = await api.request("GET", "/api/trash", { cookie });
+    const afterRenewal = await Session.findById(session._id).lean();
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    await session.save();
+    const expired = await api.request("GET", "/api/trash", { cookie });
+
+    assert.equal(renewed.status, 200);
+    assert.match(renewed.headers.get("set-cookie"), /^duden_auth=.+Expires=/);
+    assert.ok(afterRenewal.expiresAt - Date.now() > 60 * 60 * 1000);
+    assert.equal(expired.status, 401);
+  });
+
+  it("clears the cookie on logout", async () => {
+    const cookie = await api.login();
+    const response = await api.request("POST", "/api/auth/logout", { cookie });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("set-cookie"), /^duden_auth=;/);
+  });
+
+  it("disables AI routes without an admin password or accounts", async () => {
+    await clearDatabase();
+    const unconfigured = await startApp({ adminPassword: undefined });
+    try {
+      const complete = await unconfigured.request("POST", "/api/entries/ai-complete", {
+        body: { term: "zack" }
+      });
+      const spellcheck = await unconfigured.request("POST", "/api/entries/spellcheck", {
+        body: { term: "zack" }
+      });
+
+      assert.equal(complete.status, 400);
+      assert.equal(complete.body.error, "AI login is not configured");
+      assert.equal(spellcheck.status, 400);
+    } finally {
+      await unconfigured.close();
+    }
+  });
+});
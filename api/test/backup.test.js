@@ -0,0 +1,339 @@
+const { after, before, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { validateBackup, writeBackupFile } = require("../src/backup");
+const { Alternative, Collection, Entry, User } = require("../src/models");
+const { hashPassword } = require("../src/users");
+
+describe("backup and restore", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+    const office = await Collection.create({ name: "Büro", description: "Wörter aus dem Arbeitsalltag" });
+    await Entry.create([
+      {
+        term: "Bammel",
+        senses: [
+          { definition: "Angst", examples: ["Vor der Prüfung hatte er Bammel."], synonyms: ["Schiss"] },
+          { definition: "leichte Unruhe", register: "umgangssprachlich" }
+        ],
+        partOfSpeech: ["noun"],
+        article: "der",
+        tags: ["gefühl"],
+        collections: [office._id],
+        createdBy: "admin"
+      },
+      { term: "zack", definition: "schnell" }
+    ]);
+    await Alternative.create([
+      { item: "Bammel", situation: "arbeit", alternative_text: "Bedenken", timestamp: new Date(1000) },
+      { item: "zack", situation: "behoerdlich", alternative_text: "umgehend", timestamp: new Date(2000) }
+    ]);
+  });
+
+  const download = async () => (await api.request("GET", "/api/backup", { cookie })).body;
+  const restore = (archive, query = "") =>
+    api.request("POST", `/api/backup/restore${query}`, { body: archive, cookie });
+
+  it("downloads a versioned archive for admins only", async () => {
+    await User.create({ username: "leser", passwordHash: await hashPassword("leser-pass"), role: "viewer" });
+    const viewer = await api.login({ username: "leser", password: "leser-pass" });
+
+    const response = await api.request("GET", "/api/backup", { cookie });
+    const forbidden = await api.request("GET", "/api/backup", { cookie: viewer });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-disposition"), /warefs-duden-backup-.+\.json/);
+    assert.equal(response.body.format, "warefs-duden-backup");
+    assert.equal(response.body.version, 3);
+    assert.deepEqual(response.body.counts, { collections: 1, entries: 2, alternatives: 2 });
+    assert.equal(response.body.collections[0].slug, "buero");
+    assert.equal(response.body.entries[0].search, undefined);
+    assert.equal(forbidden.status, 403);
+  });
+
+  it("replaces entries, alternatives and collections with the archive", async () => {
+    const archive = await download();
+    const original = await Entry.findOne({ term: "Bammel" }).lean();
+    await Entry.deleteOne({ term: "Bammel" });
+    await Collection.deleteMany({});
+    await Collection.create({ name: "Schule" });
+    await Entry.create({ term: "neu", definition: "nach dem Backup" });
+    await Alternative.deleteMany({});
+
+    const response = await restore(archive, "?mode=replace");
+    const restored = await Entry.findOne({ term: "Bammel" }).lean();
+    const search = await api.request("GET", "/api/entries/search?q=bammel");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.collections, { restored: 1, skipped: 0 });
+    assert.deepEqual(response.body.entries, { restored: 2, skipped: 0 });
+    assert.equal(await Entry.countDocuments({ term: "neu" }), 0);
+    assert.deepEqual((await Collection.find().lean()).map((collection) => collection.name), ["Büro"]);
+    assert.deepEqual(restored.collections.map(String), original.collections.map(String));
+    assert.equal(await Alternative.countDocuments(), 2);
+    assert.equal(String(restored._id), String(original._id));
+    assert.equal(restored.createdAt.toISOString(), original.createdAt.toISOString());
+    assert.equal(search.body.results[0].entry.term, "Bammel");
+  });
+
+  it("restores senses, tags and collections unchanged", async () => {
+    const before = await Entry.find().sort({ term: 1 }).lean();
+    const archive = await download();
+    await Promise.all([Collection.deleteMany({}), Entry.deleteMany({}), Alternative.deleteMany({})]);
+
+    const response = await restore(archive, "?mode=replace");
+    const after = await Entry.find().sort({ term: 1 }).lean();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(after, before);
+    assert.equal(after[0].senses.length, 2);
+    assert.deepEqual(after[0].tags, ["gefühl"]);
+    assert.equal(String(after[0].collections[0]), String((await Collection.findOne({ name: "Büro" }))._id));
+  });
+
+  it("reads archives from before collections and senses", async () => {
+    const legacy = {
+      format: "warefs-duden-backup",
+      version: 1,
+      createdAt: "2024-01-01T00:00:00.000Z",
+      counts: { entries: 1, alternatives: 0 },
+      entries: [
+        {
+          term: "Feierabend",
+          definition: "Ende der Arbeitszeit",
+          example: "Endlich Feierabend!\nSchönen Feierabend.",
+          synonyms: "Dienstschluss; Arbeitsende",
+          collections: ["64b000000000000000000000"]
+        }
+      ],
+      alternatives: []
+    };
+
+    const dryRun = await restore(legacy, "?mode=replace&dryRun=1");
+    const response = await restore(legacy, "?mode=replace");
+    const restored = await Entry.findOne({ term: "Feierabend" }).lean();
+
+    assert.deepEqual(dryRun.body.counts, { collections: 0, entries: 1, alternatives: 0 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(restored.senses, [
+      {
+        definition: "Ende der Arbeitszeit",
+        examples: ["Endlich Feierabend!", "Schönen Feierabend."],
+        synonyms: ["Dienstschluss", "Arbeitsende"]
+      }
+    ]);
+    assert.equal(restored.tags, undefined);
+    assert.equal(restored.collections, undefined);
+    assert.equal(await Collection.countDocuments(), 0);
+  });
+
+  it("merges without touching existing data", async () => {
+    const archive = await download();
+    await Entry.updateOne({ term: "zack" }, { $set: { definition: "geändert" } });
+    await Entry.deleteOne({ term: "Bammel" });
+    await Alternative.deleteMany({ item: "Bammel" });
+    await Entry.create({ term: "neu", definition: "nach dem Backup" });
+    await Collection.deleteMany({});
+    const office = await Collection.create({ name: "Büro" });
+
+    const response = await restore(archive);
+    const bammel = await Entry.findOne({ term: "Bammel" }).lean();
+
+    assert.deepEqual(response.body, {
+      mode: "merge",
+      collections: { restored: 0, skipped: 1 },
+      entries: { restored: 1, skipped: 1 },
+      alternatives: { restored: 1, skipped: 1 }
+    });
+    assert.equal((await Entry.findOne({ term: "zack" }).lean()).definition, "geändert");
+    assert.equal(await Entry.countDocuments(), 3);
+    assert.equal(await Alternative.countDocuments(), 2);
+    assert.deepEqual(bammel.collections.map(String), [String(office._id)]);
+  });
+
+  it("validates the archive before writing", async () => {
+    const archive = await download();
+    const broken = {
+      ...archive,
+      collections: [...archive.collections, { ...archive.collections[0], name: "Büroalltag" }],
+      entries: [
+        ...archive.entries,
+        { term: "leer" },
+        { ...archive.entries[1], _id: undefined },
+        { term: "Zugzwang", definition: "Zwang zu handeln", collections: ["64b000000000000000000000"] }
+      ],
+      alternatives: [
+        { item: "zack", situation: "kneipe", alternative_text: "zack", timestamp: new Date() },
+        archive.alternatives[1],
+        { ...archive.alternatives[1], alternative_text: "sofort" }
+      ]
+    };
+
+    const invalid = await restore(broken, "?mode=replace");
+    const foreign = await restore({ entries: [], alternatives: [] });
+    const unknownCollection = await restore({ ...archive, collections: [] }, "?mode=replace");
+    const newer = await restore({ ...archive, version: 4 });
+    const mode = await restore(archive, "?mode=overwrite");
+    const dryRun = await restore(archive, "?mode=replace&dryRun=1");
+    await Collection.deleteMany({});
+    await Collection.collection.insertOne({ name: "Büroalltag", slug: "buero" });
+    const slugTaken = await restore(archive);
+
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [
+      `collections[1]._id: duplicate "${archive.collections[0]._id}"`,
+      'collections[1].slug: duplicate "buero"',
+      "entries[2].definition: Path `definition` is required.",
+      'entries[3].term: duplicate "zack"',
+      'entries[3].slug: duplicate "zack"',
+      "alternatives[0].situation: `kneipe` is not a valid enum value for path `situation`.",
+      `alternatives[2]._id: duplicate "${archive.alternatives[1]._id}"`,
+      "entries[4].collections: unknown collection 64b000000000000000000000"
+    ]);
+    assert.equal(await Entry.countDocuments(), 2);
+    assert.deepEqual(foreign.body.details, ["not a warefs-duden backup"]);
+    assert.deepEqual(unknownCollection.body.details, [
+      `entries[0].collections: unknown collection ${archive.collections[0]._id}`
+    ]);
+    assert.deepEqual(newer.body.details, ["backup version 4 is newer than supported version 3"]);
+    assert.equal(mode.status, 400);
+    assert.deepEqual(dryRun.body.counts, { collections: 1, entries: 2, alternatives: 2 });
+    assert.deepEqual(slugTaken.body.details, ['collections[0].slug: "buero" is used by "Büroalltag"']);
+    assert.equal(await Alternative.countDocuments(), 2);
+  });
+
+  it("reports ids and slugs that are not text before querying, and database errors as 500", async () => {
+    const archive = await download();
+    const [bammel, zack] = archive.entries;
+    const tampered = {
+      ...archive,
+      collections: [{ ...archive.collections[0], slug: { $gt: "" } }, { name: "Schule", _id: "abc" }],
+      entries: [{ ...bammel, collections: ["nope"] }, { ...zack, _id: 42 }]
+    };
+    const find = mock.method(Collection, "find");
+    find.mock.mockImplementationOnce(() => {
+      throw new Error("connection lost");
+    });
+
+    try {
+      const failing = await restore(archive);
+      const invalid = await restore(tampered);
+
+      assert.equal(failing.status, 500);
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.details, [
+        "collections[0].slug: must be text",
+        "collections[1]._id: invalid id",
+        "entries[0].collections: must be a list of ids",
+        "entries[1]._id: invalid id"
+      ]);
+      assert.equal(find.mock.callCount(), 1);
+    } finally {
+      find.mock.restore();
+    }
+  });
+
+  it("reports terms and slugs that are not text instead of throwing", async () => {
+    const archive = await download();
+    const [bammel, zack] = archive.entries;
+    const broken = {
+      ...archive,
+      entries: [
+        { ...bammel, term: { toString: 1 } },
+        { ...zack, slug: { toString: 1 } }
+      ],
+      alternatives: [{ ...archive.alternatives[0], item: ["Bammel"] }]
+    };
+    const details = [
+      "entries[0].term: must be text",
+      "entries[1].slug: must be text",
+      "alternatives[0].item: must be text"
+    ];
+
+    const response = await restore(broken);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, details);
+    assert.deepEqual(await validateBackup(broken, { mode: "replace" }), details);
+    assert.deepEqual(await validateBackup({ ...archive, entries: [null, 7] }), [
+      "entries[0]: not an object",
+      "entries[1]: not an object"
+    ]);
+  });
+
+  it("saves the current data before replacing and puts it back when the restore fails", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "duden-backup-"));
+    const saving = await startApp({ backupDir: dir });
+    const insert = mock.method(Alternative, "insertMany");
+    try {
+      const adminCookie = await saving.login();
+      const archive = (await saving.request("GET", "/api/backup", { cookie: adminCookie })).body;
+      const replace = (body) =>
+        saving.request("POST", "/api/backup/restore?mode=replace", { body, cookie: adminCookie });
+      await Entry.create({ term: "neu", definition: "nach dem Backup" });
+      const before = await Entry.find().sort({ term: 1 }).lean();
+
+      insert.mock.mockImplementationOnce(async () => {
+        throw new Error("disk full");
+      });
+      const failed = await replace(archive);
+      const afterFailure = await Entry.find().sort({ term: 1 }).lean();
+      const replaced = await replace(archive);
+      const saved = JSON.parse(await fs.readFile(path.join(dir, replaced.body.backupFile), "utf8"));
+
+      assert.equal(failed.status, 500);
+      assert.deepEqual(afterFailure, before);
+      assert.equal(await Collection.countDocuments(), 1);
+      assert.equal(await Alternative.countDocuments(), 2);
+      assert.equal(replaced.status, 200);
+      assert.equal(await Entry.countDocuments({ term: "neu" }), 0);
+      assert.deepEqual(saved.counts, { collections: 1, entries: 3, alternatives: 2 });
+      assert.equal((await fs.readdir(dir)).length, 2);
+    } finally {
+      insert.mock.restore();
+      await saving.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("writes scheduled backups and keeps only the newest files", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "duden-backup-"));
+    try {
+      await fs.writeFile(path.join(dir, "warefs-duden-backup-2020-01-01T00-00-00-000Z.json"), "{}");
+      await fs.writeFile(path.join(dir, "warefs-duden-backup-2021-01-01T00-00-00-000Z.json"), "{}");
+      await fs.writeFile(path.join(dir, "notes.txt"), "bleibt");
+
+      const result = await writeBackupFile(dir, { keep: 2 });
+      const files = (await fs.readdir(dir)).sort();
+      const written = JSON.parse(await fs.readFile(result.file, "utf8"));
+
+      assert.equal(result.removed, 1);
+      assert.deepEqual(files, [
+        "notes.txt",
+        "warefs-duden-backup-2021-01-01T00-00-00-000Z.json",
+        path.basename(result.file)
+      ]);
+      assert.deepEqual(written.counts, { collections: 1, entries: 2, alternatives: 2 });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,75 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const PDFDocument = require("pdfkit");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { layoutBook } = require("../src/book");
+const { Entry } = require("../src/models");
+
+const entry = (term, extra = {}) => ({
+  term,
+  definition: "eine Bedeutung, die lang genug ist, um in einer schmalen Spalte umzubrechen",
+  ...extra
+});
+
+describe("print edition", () => {
+  let disconnect;
+  let api;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  it("groups entries under letter headers with running header terms", () => {
+    const doc = new PDFDocument({ size: "A5", margin: 0 });
+    const entries = [
+      entry("3-Uhr-Gedanke"),
+      entry("Ärger", { article: "der", partOfSpeech: ["noun"] }),
+      ...Array.from({ length: 60 }, (_, index) => entry(`Bammel${String(index).padStart(2, "0")}`)),
+      entry("Zugzwang", { example: "Er war im Zugzwang.", synonyms: "Druck" })
+    ];
+
+    const pages = layoutBook(doc, entries);
+    const letters = pages.flatMap((page) =>
+      page.columns.flat().filter((block) => block.type === "letter").map((block) => block.letter)
+    );
+
+    assert.deepEqual(letters, ["#", "A", "B", "Z"]);
+    assert.ok(pages.length > 1);
+    assert.equal(pages[0].firstTerm, "3-Uhr-Gedanke");
+    assert.equal(pages[pages.length - 1].lastTerm, "Zugzwang");
+    pages.slice(1).forEach((page, index) => {
+      assert.ok(page.firstTerm.localeCompare(pages[index].lastTerm, "de") >= 0);
+    });
+    pages.forEach((page) =>
+      page.columns.flat().forEach((block) => {
+        assert.ok(block.y >= 0 && block.y < doc.page.height - 40);
+      })
+    );
+  });
+
+  it("serves the book as a PDF to signed-in users", async () => {
+    await Entry.create([entry("Bammel", { article: "der", partOfSpeech: ["noun"] }), entry("zack")]);
+    const cookie = await api.login();
+
+    const book = await api.request("GET", "/api/book.pdf?size=a4", { cookie });
+    const anonymous = await api.request("GET", "/api/book.pdf");
+    const size = await api.request("GET", "/api/book.pdf?size=letter", { cookie });
+
+    assert.equal(book.status, 200);
+    assert.equal(book.headers.get("content-type"), "application/pdf");
+    assert.match(book.headers.get("content-disposition"), /warefs-duden-\d{4}-\d{2}-\d{2}\.pdf/);
+    assert.ok(book.body.startsWith("%PDF-"));
+    assert.equal(anonymous.status, 401);
+    assert.equal(size.body.error, "size must be A4 or A5");
+  });
+});
@@ -0,0 +1,205 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { sheetGrid } = require("../src/cardSheets");
+const { Alternative, Entry } = require("../src/models");
+
+const PNG_SIGNATURE = "89504e470d0a1a0a";
+
+const pageCount = (pdf) => (pdf.match(/\/Type \/Page\b/g) || []).length;
+
+describe("learning cards", () => {
+  let disconnect;
+  let api;
+  let shared;
+  let entry;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+    shared = await startApp({ publicUrl: "https://warefs-duden.de/" });
+  });
+
+  after(async () => {
+    await api.close();
+    await shared.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    entry = await Entry.create({
+      term: "Bammel",
+      article: "der",
+      partOfSpeech: ["noun"],
+      definition: 'Angst vor "großen" Dingen <script>',
+      synonyms: "Schiss"
+    });
+    await Alternative.create([
+      { item: "Bammel", situation: "arbeit", alternative_text: "Bedenken", timestamp: new Date(1000) },
+      { item: "Bammel", situation: "arbeit", alternative_text: "Respekt", timestamp: new Date(2000) }
+    ]);
+  });
+
+  const fetchPng = async (url) => {
+    const response = await fetch(`${api.baseUrl}${url}`);
+    return { response, bytes: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  it("renders the card as PNG with the chosen situations", async () => {
+    const { response, bytes } = await fetchPng(`/api/entries/${entry._id}/card.png?situations=arbeit&scale=2`);
+    const check = await api.request("GET", `/api/entries/${entry._id}/card?situations=arbeit,behoerdlich`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "image/png");
+    assert.equal(bytes.subarray(0, 8).toString("hex"), PNG_SIGNATURE);
+    assert.deepEqual([bytes.readUInt32BE(16), bytes.readUInt32BE(20)], [1800, 1080]);
+    assert.deepEqual(check.body, {
+      fits: true,
+      situations: ["arbeit"],
+      imageUrl: `${api.baseUrl}/api/entries/${entry._id}/card.png?situations=arbeit`,
+      shareUrl: `${api.baseUrl}/karte/${entry._id}?situations=arbeit`
+    });
+  });
+
+  it("refuses situations that do not fit on the card", async () => {
+    await Alternative.create(
+      Array.from({ length: 120 }, (_, index) => ({
+        item: "Bammel",
+        situation: "behoerdlich",
+        alternative_text: `Besorgnis Nummer ${index}`,
+        timestamp: new Date(3000 + index)
+      }))
+    );
+
+    const check = await api.request("GET", `/api/entries/${entry._id}/card?situations=arbeit,behoerdlich`);
+    const png = await api.request("GET", `/api/entries/${entry._id}/card.png?situations=behoerdlich`);
+    const page = await api.request("GET", `/karte/${entry._id}?situations=behoerdlich`);
+
+    assert.equal(check.body.fits, false);
+    assert.equal(png.status, 422);
+    assert.equal(png.body.error, "too many alternatives for the card");
+    assert.equal(page.status, 200);
+    assert.match(page.body, new RegExp(`og:image" content="${api.baseUrl}/api/entries/${entry._id}/card.png"`));
+  });
+
+  it("serves a share page with OpenGraph tags for link previews", async () => {
+    const page = await shared.request("GET", `/karte/${entry._id}?situations=arbeit`);
+
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-type"), /^text\/html/);
+    assert.match(page.body, /<meta property="og:title" content="Bammel, der">/);
+    assert.match(
+      page.body,
+      new RegExp(`<meta property="og:image" content="https://warefs-duden.de/api/entries/${entry._id}/card.png\\?situations=arbeit">`)
+    );
+    assert.match(page.body, new RegExp(`og:url" content="https://warefs-duden.de/karte/${entry._id}\\?situations=arbeit"`));
+    assert.match(page.body, /og:description" content="Angst vor &quot;großen&quot; Dingen &lt;script&gt;"/);
+    assert.match(page.body, /twitter:card" content="summary_large_image"/);
+    assert.match(page.body, /href="https:\/\/warefs-duden.de\/wort\/bammel"/);
+  });
+
+  it("answers unchanged cards with 304 and a new ETag once the card changes", async () => {
+    const url = `/api/entries/${entry._id}/card.png?situations=arbeit`;
+    // Like a browser revalidating; fetch() alone adds "Cache-Control: no-cache" to conditional requests.
+    const revalidate = (etag) =>
+      fetch(`${api.baseUrl}${url}`, { headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" } });
+    const first = await fetchPng(url);
+    const etag = first.response.headers.get("etag");
+    const cached = await revalidate(etag);
+    await Alternative.create({
+      item: "Bammel",
+      situation: "arbeit",
+      alternative_text: "Sorge",
+      timestamp: new Date(3000)
+    });
+    const withAlternative = await revalidate(etag);
+    await Entry.updateOne({ _id: entry._id }, { $set: { definition: "Angst" } });
+    const edited = await fetch(`${api.baseUrl}${url}`);
+    const other = await fetch(`${api.baseUrl}/api/entries/${entry._id}/card.png?situations=arbeit&scale=2`);
+
+    assert.match(etag, /^"[\w-]+"$/);
+    assert.equal(first.response.headers.get("cache-control"), "public, max-age=300");
+    assert.equal(cached.status, 304);
+    assert.equal(withAlternative.status, 200);
+    const etags = [etag, withAlternative.headers.get("etag"), edited.headers.get("etag"), other.headers.get("etag")];
+    assert.equal(new Set(etags).size, 4);
+  });
+
+  it("limits card images and share pages per IP", async () => {
+    const limited = await startApp({ rateLimit: { cards: { limit: 2, windowMs: 60 * 1000 } } });
+    try {
+      const png = await limited.request("GET", `/api/entries/${entry._id}/card.png`);
+      const page = await limited.request("GET", `/karte/${entry._id}`);
+      const blocked = await limited.request("GET", `/api/entries/${entry._id}/card.png`);
+
+      assert.deepEqual([png.status, page.status, blocked.status], [200, 200, 429]);
+      assert.equal(blocked.body.error, "too many requests");
+    } finally {
+      await limited.close();
+    }
+  });
+
+  it("rejects unknown entries, situations and scales", async () => {
+    const missing = await api.request("GET", "/api/entries/000000000000000000000000/card.png");
+    const invalidId = await api.request("GET", "/karte/kein-eintrag");
+    const situation = await api.request("GET", `/api/entries/${entry._id}/card?situations=kneipe`);
+    const scale = await api.request("GET", `/api/entries/${entry._id}/card.png?scale=3`);
+
+    assert.equal(missing.status, 404);
+    assert.equal(invalidId.status, 404);
+    assert.equal(situation.body.error, "unknown situation");
+    assert.equal(scale.body.error, "scale must be 1 or 2");
+  });
+
+  it("prints selected cards on A4 sheets, optionally with backs", async () => {
+    const cookie = await api.login();
+    const more = await Entry.create([
+      { term: "zack", definition: "schnell" },
+      { term: "Zugzwang", definition: "Zwang, einen Zug zu machen" }
+    ]);
+    const cards = [entry, ...more].map((item) => ({ id: String(item._id), situations: ["arbeit"] }));
+    const sheet = (body, options = { cookie }) =>
+      api.request("POST", "/api/cards/sheets.pdf", { body, ...options });
+
+    const single = await sheet({ entries: cards, size: "A6" });
+    const duplex = await sheet({ entries: cards, size: "business", duplex: true, cutMarks: false });
+
+    assert.equal(single.status, 200);
+    assert.equal(single.headers.get("content-type"), "application/pdf");
+    assert.match(single.headers.get("content-disposition"), /warefs-duden-karten-\d{4}-\d{2}-\d{2}\.pdf/);
+    assert.equal(pageCount(single.body), 2);
+    assert.equal(pageCount(duplex.body), 2);
+    assert.deepEqual(
+      ["A6", "A7", "business"].map((size) => {
+        const { layout, cols, rows } = sheetGrid(size);
+        return [layout, cols * rows];
+      }),
+      [
+        ["portrait", 2],
+        ["landscape", 4],
+        ["portrait", 10]
+      ]
+    );
+  });
+
+  it("validates print sheet requests", async () => {
+    const cookie = await api.login();
+    const anonymous = await api.request("POST", "/api/cards/sheets.pdf", { body: { entries: [{ id: String(entry._id) }] } });
+    const size = await api.request("POST", "/api/cards/sheets.pdf", {
+      body: { entries: [{ id: String(entry._id) }], size: "A5" },
+      cookie
+    });
+    const empty = await api.request("POST", "/api/cards/sheets.pdf", { body: { entries: [] }, cookie });
+    const missing = await api.request("POST", "/api/cards/sheets.pdf", {
+      body: { entries: [{ id: String(entry._id) }, { id: "000000000000000000000000" }, { id: "kaputt" }] },
+      cookie
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(size.body.error, "size must be one of A6, A7, business");
+    assert.equal(empty.body.error, "entries must list 1 to 200 cards");
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body.ids, ["000000000000000000000000", "kaputt"]);
+  });
+});
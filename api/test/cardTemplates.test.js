@@ -0,0 +1,167 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { layoutCard, measureContext } = require("../src/card");
+const { Alternative, CardTemplate, Entry, User } = require("../src/models");
+const { hashPassword } = require("../src/users");
+
+const TEMPLATE = {
+  name: "Nachtblau",
+  width: 600,
+  height: 600,
+  colors: { background: "#10213a", band: "#3a6ea5", text: "#ffffff", muted: "#c8d3e0", border: "#3a6ea5" },
+  fonts: { heading: "sans", body: "serif" },
+  sections: ["synonyms", "definition"],
+  showLogo: false,
+  showQr: true,
+  title: "Lernkarte",
+  footer: ""
+};
+
+const pngSize = (bytes) => [bytes.readUInt32BE(16), bytes.readUInt32BE(20)];
+
+describe("card templates", () => {
+  let disconnect;
+  let api;
+  let admin;
+  let entry;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    admin = await api.login();
+    entry = await Entry.create({ term: "Bammel", partOfSpeech: ["noun"], definition: "Angst", synonyms: "Schiss" });
+  });
+
+  it("stores templates next to the built-in standard card", async () => {
+    const created = await api.request("POST", "/api/card-templates", { body: TEMPLATE, cookie: admin });
+    const duplicate = await api.request("POST", "/api/card-templates", { body: TEMPLATE, cookie: admin });
+    const updated = await api.request("PUT", `/api/card-templates/${created.body._id}`, {
+      body: { title: "Abendkarte" },
+      cookie: admin
+    });
+    const list = await api.request("GET", "/api/card-templates");
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.createdBy, "admin");
+    assert.equal(duplicate.status, 409);
+    assert.equal(updated.body.title, "Abendkarte");
+    assert.deepEqual(
+      list.body.templates.map((template) => [template._id === "standard" ? "standard" : "stored", template.name]),
+      [
+        ["standard", "Standard"],
+        ["stored", "Nachtblau"]
+      ]
+    );
+    assert.equal(list.body.templates[0].builtIn, true);
+    assert.deepEqual(list.body.templates[1].sections, ["synonyms", "definition"]);
+  });
+
+  it("rejects invalid templates with the offending fields", async () => {
+    const response = await api.request("POST", "/api/card-templates", {
+      body: { ...TEMPLATE, width: 100, colors: { band: "gelb" }, sections: ["definition", "definition"] },
+      cookie: admin
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "invalid template");
+    assert.deepEqual(response.body.details.map((detail) => detail.split(":")[0]).sort(), [
+      "colors.band",
+      "sections",
+      "width"
+    ]);
+    assert.equal(await CardTemplate.countDocuments(), 0);
+  });
+
+  it("draws cards and share links with the chosen template", async () => {
+    const template = await CardTemplate.create(TEMPLATE);
+
+    const response = await fetch(`${api.baseUrl}/api/entries/${entry._id}/card.png?template=${template._id}`);
+    const bytes = Buffer.from(await response.arrayBuffer());
+    const check = await api.request("GET", `/api/entries/${entry._id}/card?template=${template._id}`);
+    const page = await api.request("GET", `/karte/${entry._id}?template=${template._id}`);
+    const standard = await api.request("GET", `/api/entries/${entry._id}/card?template=standard`);
+    const unknown = await api.request("GET", `/api/entries/${entry._id}/card.png?template=${entry._id}`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(pngSize(bytes), [600, 600]);
+    assert.equal(check.body.shareUrl, `${api.baseUrl}/karte/${entry._id}?template=${template._id}`);
+    assert.match(page.body, /<meta property="og:image:width" content="600">/);
+    assert.match(page.body, new RegExp(`card\\.png\\?template=${template._id}`));
+    assert.equal(standard.body.shareUrl, `${api.baseUrl}/karte/${entry._id}`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "template not found");
+  });
+
+  it("shortens long texts to fit small templates", async () => {
+    const template = await CardTemplate.create({
+      ...TEMPLATE,
+      height: 300,
+      sections: ["definition", "synonyms", "situations"]
+    });
+    const long = await Entry.create({
+      term: "Amtsschimmel",
+      definition: Array(40).fill("übertriebene Bürokratie").join(" "),
+      synonyms: "Bürokratismus, Paragrafenreiterei"
+    });
+    await Alternative.create({
+      item: "Amtsschimmel",
+      situation: "arbeit",
+      alternative_text: "Vorschriften",
+      timestamp: new Date()
+    });
+
+    const layout = layoutCard(measureContext(template), long.toObject(), {}, [], template);
+    const [definition] = layout.sections;
+    const lastLine = definition.paragraphs.at(-1).at(-1);
+    const png = await fetch(`${api.baseUrl}/api/entries/${long._id}/card.png?template=${template._id}`);
+    const crowded = await api.request(
+      "GET",
+      `/api/entries/${long._id}/card?template=${template._id}&situations=arbeit`
+    );
+
+    assert.equal(layout.fits, true);
+    assert.deepEqual(layout.sections.map((section) => section.label), ["Bedeutung"]);
+    assert.ok(definition.y + 18 + definition.paragraphs.flat().length * 20 + 12 <= template.height - 40);
+    assert.match(lastLine, / …$/);
+    assert.equal(png.status, 200);
+    assert.equal(crowded.body.fits, false);
+  });
+
+  it("previews unsaved templates for editors only", async () => {
+    await User.create({ username: "leser", passwordHash: await hashPassword("leser-pass"), role: "viewer" });
+    const viewer = await api.login({ username: "leser", password: "leser-pass" });
+
+    const preview = await api.request("POST", "/api/card-templates/preview", {
+      body: { template: { ...TEMPLATE, name: "" }, entryId: String(entry._id) },
+      cookie: admin
+    });
+    const sample = await api.request("POST", "/api/card-templates/preview", { body: { template: {} }, cookie: admin });
+    const invalid = await api.request("POST", "/api/card-templates/preview", {
+      body: { template: { fonts: { heading: "comic" } } },
+      cookie: admin
+    });
+    const forbidden = await api.request("POST", "/api/card-templates/preview", {
+      body: { template: TEMPLATE },
+      cookie: viewer
+    });
+    const deleted = await api.request("DELETE", `/api/card-templates/${entry._id}`, { cookie: admin });
+
+    assert.equal(preview.status, 200);
+    assert.equal(preview.headers.get("content-type"), "image/png");
+    assert.equal(sample.status, 200);
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.details.join("\n"), /^fonts\.heading: /);
+    assert.equal(forbidden.status, 403);
+    assert.equal(deleted.status, 404);
+  });
+});
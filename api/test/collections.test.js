@@ -0,0 +1,157 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Entry, Revision, User } = require("../src/models");
+const { parseCsv, readImport } = require("../src/importer");
+const { hashPassword } = require("../src/users");
+
+describe("tags and collections", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp({ publicUrl: "https://warefs-duden.de" });
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+  const createCollection = (body) => api.request("POST", "/api/collections", { body, cookie });
+  const terms = (items) => items.map((item) => item.term ?? item.entry.term);
+
+  it("normalizes tags and filters the list by them", async () => {
+    const bammel = await createEntry({
+      term: "Bammel",
+      definition: "Angst",
+      tags: ["#Gefühle", "gefühle", "  Small   Talk ", ""]
+    });
+    await createEntry({ term: "Feierabend", definition: "Ende der Arbeitszeit", tags: "Büro, small talk" });
+    await createEntry({ term: "Zugzwang", definition: "Zwang, einen Zug zu machen" });
+
+    const kept = await api.request("PUT", `/api/entries/${bammel.body._id}`, {
+      body: { term: "Bammel", definition: "große Angst" },
+      cookie
+    });
+    const all = await api.request("GET", "/api/tags");
+    const suggested = await api.request("GET", "/api/tags?q=bu");
+    const tagged = await api.request("GET", `/api/entries?tag=${encodeURIComponent("Small Talk")}`);
+    const found = await api.request("GET", "/api/entries/search?q=angst&tag=b%C3%BCro");
+
+    assert.deepEqual(bammel.body.tags, ["gefühle", "small talk"]);
+    assert.deepEqual(kept.body.tags, ["gefühle", "small talk"]);
+    assert.deepEqual(all.body.tags, [
+      { tag: "small talk", count: 2 },
+      { tag: "büro", count: 1 },
+      { tag: "gefühle", count: 1 }
+    ]);
+    assert.deepEqual(suggested.body.tags, [{ tag: "büro", count: 1 }]);
+    assert.deepEqual(terms(tagged.body.items), ["Bammel", "Feierabend"]);
+    assert.deepEqual(found.body.results, []);
+  });
+
+  it("renames, merges and removes tags with a revision per entry", async () => {
+    await User.create({ username: "leser", passwordHash: await hashPassword("leser-pass"), role: "viewer" });
+    const viewer = await api.login({ username: "leser", password: "leser-pass" });
+    const bammel = await createEntry({ term: "Bammel", definition: "Angst", tags: ["gefühl", "gefühle"] });
+    await createEntry({ term: "Feierabend", definition: "Ende der Arbeitszeit", tags: ["büro"] });
+
+    const forbidden = await api.request("PUT", "/api/tags/gefühl", { body: { name: "gefühle" }, cookie: viewer });
+    const merged = await api.request("PUT", `/api/tags/${encodeURIComponent("gefühl")}`, {
+      body: { name: "Gefühle" },
+      cookie
+    });
+    const removed = await api.request("DELETE", "/api/tags/b%C3%BCro", { cookie });
+    const missing = await api.request("DELETE", "/api/tags/b%C3%BCro", { cookie });
+    const history = await Revision.find({ entryId: bammel.body._id, action: "update" }).lean();
+
+    assert.equal(forbidden.status, 403);
+    assert.deepEqual(merged.body, { tag: "gefühle", updated: 1 });
+    assert.deepEqual((await Entry.findById(bammel.body._id).lean()).tags, ["gefühle"]);
+    assert.equal(removed.body.updated, 1);
+    assert.deepEqual((await Entry.findOne({ term: "Feierabend" }).lean()).tags, []);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(history[0].previous.tags, ["gefühl", "gefühle"]);
+    assert.deepEqual(history[0].values.tags, ["gefühle"]);
+  });
+
+  it("shares collections under their slug with the entries in them", async () => {
+    const created = await createCollection({ name: "Büro", description: "Wörter für den Arbeitsalltag." });
+    const duplicate = await createCollection({ name: "Büro" });
+    const invalid = await createCollection({ description: "ohne Namen" });
+    const office = created.body._id;
+    await createEntry({ term: "Feierabend", definition: "Ende der Arbeitszeit", collections: [office] });
+    await createEntry({ term: "Deadline", definition: "Frist", collections: [office] });
+    await createEntry({ term: "Bammel", definition: "Angst" });
+    const unknown = await createEntry({ term: "Zugzwang", definition: "Zwang", collections: ["0".repeat(24)] });
+
+    const list = await api.request("GET", "/api/collections");
+    const shared = await api.request("GET", "/api/collections/buero");
+    const filtered = await api.request("GET", "/api/entries?collection=buero");
+    const missing = await api.request("GET", "/api/entries?collection=sport");
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.slug, "buero");
+    assert.equal(duplicate.status, 409);
+    assert.equal(invalid.status, 400);
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "unknown collection");
+    assert.deepEqual(
+      list.body.collections.map((collection) => [collection.name, collection.count]),
+      [["Büro", 2]]
+    );
+    assert.deepEqual(terms(shared.body.entries), ["Deadline", "Feierabend"]);
+    assert.deepEqual(shared.body.meta, {
+      title: "Büro",
+      description: "Wörter für den Arbeitsalltag.",
+      url: "https://warefs-duden.de/sammlung/buero"
+    });
+    assert.deepEqual(terms(filtered.body.items), ["Deadline", "Feierabend"]);
+    assert.equal(missing.status, 404);
+
+    const renamed = await api.request("PUT", `/api/collections/${office}`, { body: { name: "Arbeit" }, cookie });
+    const moved = await fetch(`${api.baseUrl}/api/collections/buero`, { redirect: "manual" });
+    const deleted = await api.request("DELETE", `/api/collections/${office}`, { cookie });
+
+    assert.equal(renamed.body.slug, "arbeit");
+    assert.equal(moved.status, 301);
+    assert.equal(moved.headers.get("location"), "/api/collections/arbeit");
+    assert.equal(deleted.status, 200);
+    assert.equal(await Entry.countDocuments({ collections: office }), 0);
+    assert.equal(await Entry.countDocuments(), 3);
+  });
+
+  it("exports a collection on its own and reads tags back in", async () => {
+    const family = await createCollection({ name: "Familie", description: "Beim Sonntagsessen." });
+    await createEntry({
+      term: "Schwiegermutter",
+      definition: "Mutter des Ehepartners",
+      tags: ["familie", "small talk"],
+      collections: [family.body._id]
+    });
+    await createEntry({ term: "Bammel", definition: "Angst", tags: ["gefühle"] });
+
+    const markdown = await api.request("GET", "/api/entries/export?format=md&collection=familie");
+    const csv = await api.request("GET", "/api/entries/export?format=csv&tag=gef%C3%BChle");
+    const anki = await api.request("GET", "/api/entries/export?format=anki&collection=familie");
+    const [header, row] = parseCsv(csv.body, ",");
+    const reimported = readImport({ format: "csv", content: csv.body });
+
+    assert.match(markdown.body, /^# Familie\n\nBeim Sonntagsessen\.\n\n1 Eintrag\./);
+    assert.match(markdown.body, /\*\*Tags:\*\* familie, small talk/);
+    assert.doesNotMatch(markdown.body, /Bammel/);
+    assert.equal(row[header.indexOf("tags")], "gefühle");
+    assert.deepEqual(reimported.rows[0].values.tags, ["gefühle"]);
+    assert.match(anki.body, /#deck:warefs-duden::Familie\n/);
+    assert.match(anki.body, /\twarefs-duden familie small_talk\n$/);
+  });
+});
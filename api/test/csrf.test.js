@@ -0,0 +1,116 @@
+const { after, before, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_PASSWORD, clearDatabase, connectDatabase, startApp } = require("./helpers");
+
+describe("csrf protection", () => {
+  let disconnect;
+  let api;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    await clearDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  const rawLogin = async (app = api) => {
+    const response = await app.request("POST", "/api/auth/login", {
+      body: { password: ADMIN_PASSWORD }
+    });
+    return {
+      cookie: response.headers.get("set-cookie").split(";")[0],
+      csrfToken: response.body.csrfToken
+    };
+  };
+
+  it("hands out the token on login and in the status", async () => {
+    const { cookie, csrfToken } = await rawLogin();
+    const status = await api.request("GET", "/api/auth/status", { cookie });
+
+    assert.equal(typeof csrfToken, "string");
+    assert.ok(csrfToken.length >= 32);
+    assert.equal(status.body.csrfToken, csrfToken);
+  });
+
+  it("rejects cookie-authenticated writes without a matching token", async () => {
+    const { cookie, csrfToken } = await rawLogin();
+    const body = { term: "Zugzwang", definition: "Zwang zum Zug" };
+
+    const missing = await api.request("POST", "/api/entries", { cookie, body });
+    const wrong = await api.request("POST", "/api/entries", {
+      cookie,
+      body,
+      headers: { "X-CSRF-Token": "nope" }
+    });
+    const valid = await api.request("POST", "/api/entries", {
+      cookie,
+      body,
+      headers: { "X-CSRF-Token": csrfToken }
+    });
+
+    assert.equal(missing.status, 403);
+    assert.deepEqual(missing.body, { error: "forbidden", reason: "invalid csrf token" });
+    assert.equal(wrong.status, 403);
+    assert.equal(valid.status, 201);
+  });
+
+  it("keeps reads and unauthenticated requests working", async () => {
+    const { cookie } = await rawLogin();
+    const read = await api.request("GET", "/api/trash", { cookie });
+    const anonymous = await api.request("POST", "/api/entries", {
+      body: { term: "Anonym", definition: "ohne Namen" }
+    });
+
+    assert.equal(read.status, 200);
+    assert.equal(anonymous.status, 401);
+  });
+
+  it("rejects foreign origins when CORS_ORIGIN is a wildcard", async () => {
+    const cookie = await api.login();
+    const body = { term: "Fremd", definition: "nicht von hier" };
+
+    const foreign = await api.request("POST", "/api/entries", {
+      cookie,
+      body,
+      headers: { Origin: "https://evil.example" }
+    });
+    const crossSite = await api.request("POST", "/api/auth/login", {
+      body: { password: ADMIN_PASSWORD },
+      headers: { "Sec-Fetch-Site": "cross-site" }
+    });
+    const proxied = await api.request("POST", "/api/entries", {
+      cookie,
+      body,
+      headers: { Origin: "http://duden.local:5173", "X-Forwarded-Host": "duden.local:5173" }
+    });
+
+    assert.equal(foreign.status, 403);
+    assert.deepEqual(foreign.body, { error: "forbidden", reason: "origin not allowed" });
+    assert.equal(crossSite.status, 403);
+    assert.equal(proxied.status, 201);
+  });
+
+  it("only accepts the configured origins", async () => {
+    const strict = await startApp({ corsOrigin: "https://duden.example, https://admin.duden.example" });
+    try {
+      const listed = await strict.request("POST", "/api/auth/login", {
+        body: { password: ADMIN_PASSWORD },
+        headers: { Origin: "https://admin.duden.example" }
+      });
+      const other = await strict.request("POST", "/api/auth/login", {
+        body: { password: ADMIN_PASSWORD },
+        headers: { Origin: "https://duden.example.evil" }
+      });
+
+      assert.equal(listed.status, 200);
+      assert.equal(listed.headers.get("access-control-allow-origin"), "https://admin.duden.example");
+      assert.equal(other.status, 403);
+    } finally {
+      await strict.close();
+    }
+  });
+});
@@ -0,0 +1,212 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Alternative } = require("../src/models");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+
+describe("entries", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+
+  it("lists entries sorted by term", async () => {
+    await createEntry({ term: "zack", definition: "schnell" });
+    await createEntry({ term: "abgefahren", definition: "ungewöhnlich" });
+
+    const response = await api.request("GET", "/api/entries");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.items.map((entry) => entry.term),
+      ["abgefahren", "zack"]
+    );
+    assert.equal(response.body.nextCursor, null);
+  });
+
+  it("pages through entries in German order with a cursor", async () => {
+    for (const term of ["Zwiebel", "äffisch", "Bammel", "abgefahren", "Übermut", "Ulk"]) {
+      await createEntry({ term, definition: "x" });
+    }
+
+    const terms = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = cursor ? `?limit=2&cursor=${encodeURIComponent(cursor)}` : "?limit=2";
+      const response = await api.request("GET", `/api/entries${query}`);
+      assert.equal(response.status, 200);
+      assert.ok(response.body.items.length <= 2);
+      terms.push(...response.body.items.map((entry) => entry.term));
+      cursor = response.body.nextCursor;
+      pages += 1;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.deepEqual(terms, ["abgefahren", "äffisch", "Bammel", "Übermut", "Ulk", "Zwiebel"]);
+  });
+
+  it("lists a compact projection with the alternatives count", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell", example: "Zack, weg." });
+    await Alternative.create([
+      { item: "zack", situation: "arbeit", alternative_text: "zügig", timestamp: new Date() },
+      { item: "zack", situation: "behoerdlich", alternative_text: "umgehend", timestamp: new Date() }
+    ]);
+
+    const list = await api.request("GET", "/api/entries");
+    const detail = await api.request("GET", `/api/entries/${created.body._id}`);
+
+    const [item] = list.body.items;
+    assert.equal(item.alternativesCount, 2);
+    assert.equal(item.example, "Zack, weg.");
+    assert.equal(item.createdAt, undefined);
+    assert.equal(item.search, undefined);
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.term, "zack");
+    assert.equal(detail.body.alternativesCount, 2);
+    assert.ok(detail.body.createdAt);
+  });
+
+  it("rejects malformed cursors and unknown ids", async () => {
+    const badCursor = await api.request("GET", "/api/entries?cursor=nope");
+    const missing = await api.request("GET", "/api/entries/000000000000000000000000");
+    const malformed = await api.request("GET", "/api/entries/not-an-id");
+
+    assert.equal(badCursor.status, 400);
+    assert.deepEqual(badCursor.body, { error: "invalid cursor" });
+    assert.equal(missing.status, 404);
+    assert.equal(malformed.status, 404);
+  });
+
+  it("rejects writes without the auth cookie", async () => {
+    const created = await api.request("POST", "/api/entries", {
+      body: { term: "zack", definition: "schnell" }
+    });
+    const forged = await api.request("POST", "/api/entries", {
+      body: { term: "zack", definition: "schnell" },
+      cookie: "duden_auth=0"
+    });
+
+    assert.equal(created.status, 401);
+    assert.equal(forged.status, 401);
+    assert.deepEqual(created.body, { error: "unauthorized" });
+  });
+
+  it("requires term and definition", async () => {
+    const response = await createEntry({ term: "zack" });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "term and definition are required");
+  });
+
+  it("requires an article for nouns", async () => {
+    const response = await createEntry({
+      term: "Schreibtisch",
+      definition: "Möbelstück",
+      partOfSpeech: ["noun"]
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Artikel ist für Nomen erforderlich.");
+  });
+
+  it("normalizes part of speech and article", async () => {
+    const noun = await createEntry({
+      term: "Schreibtisch",
+      definition: "Möbelstück",
+      partOfSpeech: [" NOUN ", "verb", "unknown"],
+      article: " Der "
+    });
+    const verb = await createEntry({
+      term: "zocken",
+      definition: "spielen",
+      partOfSpeech: "verb",
+      article: "das"
+    });
+
+    assert.equal(noun.status, 201);
+    assert.deepEqual(noun.body.partOfSpeech, ["noun"]);
+    assert.equal(noun.body.article, "der");
+    assert.equal(verb.status, 201);
+    assert.deepEqual(verb.body.partOfSpeech, ["verb"]);
+    assert.equal(verb.body.article, undefined);
+  });
+
+  it("rejects duplicate terms", async () => {
+    await createEntry({ term: "zack", definition: "schnell" });
+    const response = await createEntry({ term: "zack", definition: "flott" });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, "term already exists");
+  });
+
+  it("updates an entry", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    const response = await api.request("PUT", `/api/entries/${created.body._id}`, {
+      body: { term: "zackig", definition: "schneidig", partOfSpeech: ["adjective"] },
+      cookie
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.term, "zackig");
+    assert.deepEqual(response.body.partOfSpeech, ["adjective"]);
+  });
+
+  it("validates updates like creates", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    await createEntry({ term: "zackig", definition: "schneidig" });
+    const url = `/api/entries/${created.body._id}`;
+
+    const missing = await api.request("PUT", url, { body: { term: "zack" }, cookie });
+    const noun = await api.request("PUT", url, {
+      body: { term: "Zack", definition: "Tempo", partOfSpeech: ["noun"] },
+      cookie
+    });
+    const duplicate = await api.request("PUT", url, {
+      body: { term: "zackig", definition: "schnell" },
+      cookie
+    });
+
+    assert.equal(missing.status, 400);
+    assert.equal(noun.status, 400);
+    assert.equal(duplicate.status, 409);
+  });
+
+  it("returns 404 for unknown entries", async () => {
+    const url = "/api/entries/000000000000000000000000";
+    const updated = await api.request("PUT", url, {
+      body: { term: "zack", definition: "schnell" },
+      cookie
+    });
+    const deleted = await api.request("DELETE", url, { cookie });
+
+    assert.equal(updated.status, 404);
+    assert.equal(deleted.status, 404);
+  });
+
+  it("deletes an entry", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    const response = await api.request("DELETE", `/api/entries/${created.body._id}`, { cookie });
+    const list = await api.request("GET", "/api/entries");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ok, true);
+    assert.ok(response.body.trashId);
+    assert.deepEqual(list.body.items, []);
+  });
+});
@@ -0,0 +1,183 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Alternative, Entry } = require("../src/models");
+const { parseCsv, readImport } = require("../src/importer");
+
+describe("entry export", () => {
+  let disconnect;
+  let api;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await Entry.create([
+      {
+        term: "Zugzwang",
+        definition: "Zwang, einen Zug zu machen",
+        example: 'Er sagte: "Ich bin im Zugzwang."',
+        partOfSpeech: ["noun"],
+        article: "der",
+        createdBy: "admin"
+      },
+      { term: "äffisch", definition: "albern", partOfSpeech: ["adjective"] },
+      { term: "Bammel", definition: "Angst", synonyms: "Schiss, Manschetten", partOfSpeech: ["noun"], article: "der" }
+    ]);
+    await Alternative.create([
+      { item: "Bammel", situation: "arbeit", alternative_text: "Bedenken", timestamp: new Date(1000) },
+      { item: "Bammel", situation: "arbeit", alternative_text: "Respekt", timestamp: new Date(2000) },
+      { item: "Bammel", situation: "arbeit", alternative_text: "Bedenken", timestamp: new Date(3000) },
+      { item: "Bammel", situation: "behoerdlich", alternative_text: "Besorgnis", timestamp: new Date(1000) }
+    ]);
+  });
+
+  const download = (query) => api.request("GET", `/api/entries/export?${query}`);
+
+  it("exports JSON in dictionary order that the import reads back", async () => {
+    const response = await download("format=json");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-disposition"), /attachment; filename="warefs-duden-\d{4}-\d{2}-\d{2}\.json"/);
+    assert.deepEqual(
+      response.body.entries.map((entry) => entry.term),
+      ["äffisch", "Bammel", "Zugzwang"]
+    );
+    const [, bammel, zugzwang] = response.body.entries;
+    assert.deepEqual(bammel.partOfSpeech, ["noun"]);
+    assert.equal(bammel.article, "der");
+    assert.equal(zugzwang.createdBy, "admin");
+    assert.ok(!Number.isNaN(Date.parse(zugzwang.createdAt)));
+    assert.equal(bammel.alternatives, undefined);
+    assert.equal(response.body.situations, undefined);
+
+    const reimported = readImport({ format: "json", content: JSON.stringify(response.body) });
+    assert.equal(reimported.rows[1].values.synonyms, "Schiss, Manschetten");
+  });
+
+  it("groups stored alternatives by situation with German labels", async () => {
+    const response = await download("format=json&alternatives=1");
+    const bammel = response.body.entries.find((entry) => entry.term === "Bammel");
+
+    assert.deepEqual(bammel.alternatives, {
+      arbeit: ["Bedenken", "Respekt"],
+      schwiegereltern: [],
+      philosophie_3uhr: [],
+      gasse_betrunken: [],
+      behoerdlich: ["Besorgnis"]
+    });
+    assert.deepEqual(response.body.situations[4], {
+      key: "behoerdlich",
+      label: "Behördlich geprüft · Emotionsfrei · Haftungsarm · Unangreifbar"
+    });
+  });
+
+  it("exports CSV with quoted cells and alternative columns", async () => {
+    const response = await download("format=csv&alternatives=true");
+    const [header, , bammel, zugzwang] = parseCsv(response.body, ",");
+
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    assert.deepEqual(header.slice(0, 8), [
+      "term",
+      "article",
+      "partOfSpeech",
+      "definition",
+      "example",
+      "synonyms",
+      "senses",
+      "tags"
+    ]);
+    assert.equal(header.length, 17);
+    assert.equal(header[12], "Karrieregefährdend · HR-sensibel · Meeting-ungeeignet · Nicht zitierfähig");
+    assert.equal(bammel[5], "Schiss, Manschetten");
+    assert.equal(bammel[12], "Bedenken | Respekt");
+    assert.equal(zugzwang[4], 'Er sagte: "Ich bin im Zugzwang."');
+  });
+
+  it("keeps spreadsheets from running cells as formulas", async () => {
+    await Entry.create([
+      { term: "=HYPERLINK(\"http://example.com\")", definition: "+1 Punkt", example: "-minus", synonyms: "@home" },
+      { term: "-ismus", definition: "Endung für Lehren und Haltungen" }
+    ]);
+
+    const response = await download("format=csv");
+    const [header, ...rows] = parseCsv(response.body, ",");
+    const formula = rows.find((row) => row[0].startsWith("'="));
+    const reimported = readImport({ format: "csv", content: response.body });
+    const values = reimported.rows.map((row) => row.values);
+    const imported = values.find((value) => value.term.startsWith("="));
+
+    assert.deepEqual(
+      ["term", "definition", "example", "synonyms"].map((field) => formula[header.indexOf(field)]),
+      ["'=HYPERLINK(\"http://example.com\")", "'+1 Punkt", "'-minus", "'@home"]
+    );
+    assert.ok(rows.some((row) => row[0] === "'-ismus"));
+    assert.ok(values.some((value) => value.term === "-ismus"));
+    assert.deepEqual(
+      [imported.term, imported.definition, imported.example, imported.synonyms],
+      ['=HYPERLINK("http://example.com")', "+1 Punkt", "-minus", "@home"]
+    );
+  });
+
+  it("exports Markdown and respects the search query", async () => {
+    const response = await download(`format=md&alternatives=1&q=${encodeURIComponent("bammel")}`);
+
+    assert.match(response.headers.get("content-type"), /^text\/markdown/);
+    assert.match(response.body, /^# warefs-duden\n\n1 Eintrag für die Suche „bammel“\./);
+    assert.match(response.body, /## Bammel\n\n\*der · Nomen\*\n\n\*\*Bedeutung:\*\* Angst/);
+    assert.match(response.body, /- 🏛️ Behördlich geprüft · Emotionsfrei · Haftungsarm · Unangreifbar: Besorgnis/);
+    assert.doesNotMatch(response.body, /Zugzwang/);
+  });
+
+  it("exports an Anki deck with HTML fields and selected situations", async () => {
+    const response = await download("format=anki&situations=behoerdlich");
+    const lines = response.body.trimEnd().split("\n");
+    const notes = lines.filter((line) => !line.startsWith("#"));
+    const [front, back, tags] = notes[2].split("\t");
+
+    assert.match(response.headers.get("content-disposition"), /\.anki\.txt"/);
+    assert.ok(lines.includes("#separator:tab"));
+    assert.ok(lines.includes("#html:true"));
+    assert.deepEqual(
+      notes.map((line) => line.split("\t")[0]),
+      ["äffisch", "Bammel, der", "Zugzwang, der"]
+    );
+    assert.equal(front, "Zugzwang, der");
+    assert.equal(back, "Zwang, einen Zug zu machen<br><br><i>Er sagte: &quot;Ich bin im Zugzwang.&quot;</i>");
+    assert.equal(tags, "warefs-duden noun");
+    assert.match(notes[1], /🏛️ <small>Behördlich geprüft[^<]*<\/small><br>Besorgnis/);
+    assert.doesNotMatch(notes[1], /Bedenken/);
+  });
+
+  it("exports Quizlet cards filtered by part of speech", async () => {
+    const response = await download("format=quizlet&pos=noun&alternatives=1");
+
+    assert.equal(
+      response.body,
+      [
+        "Bammel, der\tAngst · Synonyme: Schiss, Manschetten · ⚠ Bedenken, Respekt · 🏛️ Besorgnis",
+        'Zugzwang, der\tZwang, einen Zug zu machen · Gebrauch: Er sagte: "Ich bin im Zugzwang."',
+        ""
+      ].join("\n")
+    );
+  });
+
+  it("rejects unknown formats and filters", async () => {
+    const format = await download("format=xml");
+    const pos = await download("format=csv&pos=noun,pronoun");
+    const situation = await download("format=anki&situations=kneipe");
+
+    assert.equal(format.status, 400);
+    assert.equal(format.body.error, "format must be one of csv, json, md, anki, quizlet");
+    assert.equal(pos.body.error, "unknown part of speech");
+    assert.equal(situation.body.error, "unknown situation");
+  });
+});
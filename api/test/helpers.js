@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { createAiProvider } = require("../src/ai");
+const { createApp } = require("../src/app");
+
+const ADMIN_PASSWORD = "test-admin";
+
+// Uses MONGO_TEST_URL when set (e.g. the compose Mongo), otherwise an in-memory server.
+// Every test process gets its own database so files can run in parallel.
+const connectDatabase = async () => {
+  let memoryServer = null;
+  let url = process.env.MONGO_TEST_URL;
+  if (!url) {
+    memoryServer = await MongoMemoryServer.create();
+    url = memoryServer.getUri();
+  }
+  await mongoose.connect(url, { dbName: `duden_test_${process.pid}` });
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+
+  return async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    if (memoryServer) {
+      await memoryServer.stop();
+    }
+  };
+};
+
+const clearDatabase = () =>
+  Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `${name}.json`), "utf8"));
+
+// Starts the app on a random port. `fixtures` scripts the fake AI backend per capability;
+// without it the app behaves as if no AI provider was configured.
+const startApp = async ({ fixtures, spell = null, ...options } = {}) => {
+  const ai = fixtures ? createAiProvider({ provider: "fixture", fixtures }) : null;
+  const app = createApp({
+    ai,
+    spellReady: Promise.resolve(spell),
+    adminPassword: ADMIN_PASSWORD,
+    ...options
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Like the web app, writes send the CSRF token that came with the session cookie.
+  const csrfTokens = new Map();
+
+  const request = async (method, url, { body, cookie, headers: extraHeaders = {} } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (cookie) headers.Cookie = cookie;
+    if (cookie && method !== "GET" && csrfTokens.has(cookie)) {
+      headers["X-CSRF-Token"] = csrfTokens.get(cookie);
+    }
+    Object.assign(headers, extraHeaders);
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = /json/.test(response.headers.get("content-type") || "");
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? (isJson ? JSON.parse(text) : text) : null
+    };
+  };
+
+  // Without credentials this logs in as the bootstrap admin created from ADMIN_PASSWORD.
+  const login = async ({ username, password = ADMIN_PASSWORD } = {}) => {
+    const response = await request("POST", "/api/auth/login", {
+      body: { username, password }
+    });
+    if (response.status !== 200) {
+      throw new Error(`Login failed with ${response.status}`);
+    }
+    const cookie = response.headers.get("set-cookie").split(";")[0];
+    csrfTokens.set(cookie, response.body.csrfToken);
+    return cookie;
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { baseUrl, request, login, close };
+};
+
+module.exports = {
+  ADMIN_PASSWORD,
+  clearDatabase,
+  connectDatabase,
+  loadFixture,
+  startApp
+};
@@ -0,0 +1,153 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Entry, Revision } = require("../src/models");
+const { parseCsv } = require("../src/importer");
+
+const SPREADSHEET = [
+  "﻿Wort;Bedeutung;Beispiel;Wortart;Artikel",
+  'Zugzwang;"Zwang, einen Zug zu machen";"Er war im Zugzwang; ""leider""";Nomen;der',
+  "Fernweh;Sehnsucht nach der Ferne;;Nomen;",
+  "Kladderadatsch;;;;",
+  'schnabulieren;"genüsslich essen,',
+  'mit Appetit";;Verb;',
+  "Zugzwang;doppelt;;;"
+].join("\r\n");
+
+describe("entry import", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const runImport = (body) => api.request("POST", "/api/entries/import", { body, cookie });
+
+  it("parses quoted CSV cells", () => {
+    assert.deepEqual(parseCsv('a,b\n"x, ""y""","line\nbreak"\n'), [
+      ["a", "b"],
+      ['x, "y"', "line\nbreak"]
+    ]);
+  });
+
+  it("reports every row in a dry run without writing", async () => {
+    const response = await runImport({ format: "csv", content: SPREADSHEET });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.deepEqual(response.body.columns, ["Wort", "Bedeutung", "Beispiel", "Wortart", "Artikel"]);
+    assert.deepEqual(response.body.mapping, {
+      term: "Wort",
+      definition: "Bedeutung",
+      example: "Beispiel",
+      partOfSpeech: "Wortart",
+      article: "Artikel"
+    });
+    assert.deepEqual(
+      response.body.rows.map(({ row, term, status, error, reason }) => ({ row, term, status, error, reason })),
+      [
+        { row: 2, term: "Zugzwang", status: "created", error: undefined, reason: undefined },
+        { row: 3, term: "Fernweh", status: "error", error: "Artikel ist für Nomen erforderlich.", reason: undefined },
+        { row: 4, term: "Kladderadatsch", status: "error", error: "term and definition are required", reason: undefined },
+        { row: 5, term: "schnabulieren", status: "created", error: undefined, reason: undefined },
+        { row: 6, term: "Zugzwang", status: "skipped", error: undefined, reason: "duplicate in file" }
+      ]
+    );
+    assert.deepEqual(response.body.summary, { created: 2, updated: 0, skipped: 1, error: 2 });
+    assert.equal(await Entry.countDocuments(), 0);
+  });
+
+  it("creates entries with import revisions when committed", async () => {
+    const response = await runImport({ format: "csv", content: SPREADSHEET, dryRun: false });
+    const zugzwang = await Entry.findOne({ term: "Zugzwang" }).lean();
+    const verb = await Entry.findOne({ term: "schnabulieren" }).lean();
+    const revisions = await Revision.find().lean();
+
+    assert.equal(response.body.dryRun, false);
+    assert.deepEqual(response.body.summary, { created: 2, updated: 0, skipped: 1, error: 2 });
+    assert.equal(zugzwang.example, 'Er war im Zugzwang; "leider"');
+    assert.deepEqual(zugzwang.partOfSpeech, ["noun"]);
+    assert.equal(zugzwang.article, "der");
+    assert.equal(zugzwang.createdBy, "admin");
+    assert.equal(verb.definition, "genüsslich essen,\nmit Appetit");
+    assert.equal(revisions.length, 2);
+    assert.ok(revisions.every((revision) => revision.source === "import" && revision.action === "create"));
+  });
+
+  it("skips existing terms unless asked to update them", async () => {
+    await Entry.create({ term: "Zugzwang", definition: "alt", example: "bleibt", partOfSpeech: ["noun"], article: "der" });
+    const content = "term,definition,example\nZugzwang,neu,\n";
+
+    const skipped = await runImport({ format: "csv", content, dryRun: false });
+    const updated = await runImport({ format: "csv", content, duplicates: "update", dryRun: false });
+    const unchanged = await runImport({ format: "csv", content, duplicates: "update", dryRun: false });
+    const entry = await Entry.findOne({ term: "Zugzwang" }).lean();
+    const revision = await Revision.findOne({ action: "update" }).lean();
+
+    assert.equal(skipped.body.rows[0].status, "skipped");
+    assert.equal(skipped.body.rows[0].reason, "term already exists");
+    assert.equal(updated.body.rows[0].status, "updated");
+    assert.equal(unchanged.body.rows[0].reason, "unchanged");
+    assert.equal(entry.definition, "neu");
+    assert.equal(entry.example, "bleibt");
+    assert.equal(revision.source, "import");
+  });
+
+  it("applies a column mapping chosen by the user", async () => {
+    const content = "Spalte A\tSpalte B\tNotiz\nKuddelmuddel\tDurcheinander\tegal\n";
+    const response = await runImport({
+      format: "csv",
+      content,
+      mapping: { term: "Spalte A", definition: "Spalte B", example: "" },
+      dryRun: false
+    });
+    const entry = await Entry.findOne({ term: "Kuddelmuddel" }).lean();
+
+    assert.deepEqual(response.body.mapping, { term: "Spalte A", definition: "Spalte B" });
+    assert.equal(entry.definition, "Durcheinander");
+    assert.equal(entry.example, undefined);
+  });
+
+  it("imports JSON arrays and exported entry lists", async () => {
+    const content = JSON.stringify({
+      entries: [
+        { term: "Weltschmerz", definition: "Leiden an der Welt", synonyms: ["Melancholie", "Trübsinn"], partOfSpeech: ["Nomen"], article: "Der" },
+        { term: "", definition: "ohne Lemma" }
+      ]
+    });
+    const response = await runImport({ format: "json", content, dryRun: false });
+    const entry = await Entry.findOne({ term: "Weltschmerz" }).lean();
+
+    assert.deepEqual(response.body.summary, { created: 1, updated: 0, skipped: 0, error: 1 });
+    assert.equal(response.body.rows[1].row, 2);
+    assert.equal(entry.synonyms, "Melancholie, Trübsinn");
+    assert.equal(entry.article, "der");
+  });
+
+  it("rejects invalid requests", async () => {
+    const anonymous = await api.request("POST", "/api/entries/import", {
+      body: { format: "csv", content: "term\nx" }
+    });
+    const format = await runImport({ format: "xlsx", content: "x" });
+    const json = await runImport({ format: "json", content: "{" });
+    const empty = await runImport({ format: "csv", content: "" });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(format.status, 400);
+    assert.equal(json.body.error, "invalid JSON");
+    assert.equal(empty.body.error, "content is required");
+  });
+});
@@ -0,0 +1,113 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Entry, syncSlugs } = require("../src/models");
+
+describe("permalinks", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp({ publicUrl: "https://warefs-duden.de" });
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+  const updateEntry = (entry, changes) =>
+    api.request("PUT", `/api/entries/${entry._id}`, {
+      body: { term: entry.term, definition: entry.definition, ...changes },
+      cookie
+    });
+
+  it("gives every entry a readable slug with link preview data", async () => {
+    const long = "Angst vor etwas, das bevorsteht, ".repeat(8);
+    const created = await createEntry({
+      term: "Großmaul",
+      article: "das",
+      partOfSpeech: ["noun"],
+      definition: long
+    });
+    const twin = await createEntry({ term: "grossmaul", definition: "klein geschrieben" });
+
+    const response = await api.request("GET", "/api/permalinks/grossmaul");
+    const list = await api.request("GET", "/api/entries");
+
+    assert.equal(created.body.slug, "grossmaul");
+    assert.equal(twin.body.slug, "grossmaul-2");
+    assert.deepEqual(
+      list.body.items.map((entry) => entry.slug),
+      ["grossmaul", "grossmaul-2"]
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.body.entry.term, "Großmaul");
+    assert.equal(response.body.meta.title, "Großmaul, das");
+    assert.equal(response.body.meta.url, "https://warefs-duden.de/wort/grossmaul");
+    assert.equal(response.body.meta.image, `https://warefs-duden.de/api/entries/${created.body._id}/card.png`);
+    assert.ok(response.body.meta.description.length <= 160);
+    assert.match(response.body.meta.description, /^Angst vor etwas, das bevorsteht, .*[^ ]…$/);
+  });
+
+  it("redirects old slugs after a rename", async () => {
+    const created = await createEntry({ term: "Hals über Kopf", definition: "überstürzt" });
+
+    const renamed = await updateEntry(created.body, { term: "Holterdiepolter" });
+    const moved = await fetch(`${api.baseUrl}/api/permalinks/hals-ueber-kopf`, { redirect: "manual" });
+    const followed = await api.request("GET", "/api/permalinks/hals-ueber-kopf");
+    const unchanged = await updateEntry(renamed.body, { definition: "hastig" });
+    const back = await updateEntry(renamed.body, { term: "Hals über Kopf" });
+
+    assert.equal(created.body.slug, "hals-ueber-kopf");
+    assert.equal(renamed.body.slug, "holterdiepolter");
+    assert.deepEqual(renamed.body.previousSlugs, ["hals-ueber-kopf"]);
+    assert.equal(moved.status, 301);
+    assert.equal(moved.headers.get("location"), "/api/permalinks/holterdiepolter");
+    assert.equal(followed.body.entry.term, "Holterdiepolter");
+    assert.equal(unchanged.body.slug, "holterdiepolter");
+    assert.equal(back.body.slug, "hals-ueber-kopf");
+    assert.deepEqual(back.body.previousSlugs, ["holterdiepolter"]);
+  });
+
+  it("hands a freed slug to a new entry before redirecting", async () => {
+    const created = await createEntry({ term: "Bank", definition: "Sitzgelegenheit" });
+    await updateEntry(created.body, { term: "Parkbank" });
+    await createEntry({ term: "Bank", definition: "Geldinstitut" });
+
+    const response = await api.request("GET", "/api/permalinks/bank");
+    const missing = await api.request("GET", "/api/permalinks/gibt-es-nicht");
+
+    assert.equal(response.body.entry.definition, "Geldinstitut");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "entry not found");
+  });
+
+  it("adds slugs to restored and older entries", async () => {
+    const restored = await Entry.insertMany([
+      { term: "Mumpitz", definition: "Unsinn" },
+      { term: "mumpitz", definition: "auch Unsinn" }
+    ]);
+    const legacyId = new mongoose.Types.ObjectId();
+    await Entry.collection.insertOne({ _id: legacyId, term: "Kokolores", definition: "Unsinn" });
+
+    const synced = await syncSlugs();
+    const legacy = await Entry.findById(legacyId).lean();
+
+    assert.deepEqual(
+      restored.map((entry) => entry.slug),
+      ["mumpitz", "mumpitz-2"]
+    );
+    assert.equal(synced, 1);
+    assert.equal(legacy.slug, "kokolores");
+  });
+});
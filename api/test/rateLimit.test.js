@@ -0,0 +1,150 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_PASSWORD, clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { RateLimit } = require("../src/models");
+const { createMongoStore } = require("../src/rateLimit");
+
+describe("rate limits", () => {
+  let disconnect;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+  });
+
+  after(async () => {
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  const withApp = async (options, run) => {
+    const api = await startApp(options);
+    try {
+      await run(api);
+    } finally {
+      await api.close();
+    }
+  };
+
+  const askForAlternatives = (api, options = {}) =>
+    api.request("POST", "/api/entries/ai-alternatives", { body: { item: "geil" }, ...options });
+
+  it("limits AI requests per IP and sends Retry-After", async () => {
+    await withApp({ rateLimit: { ai: { limit: 2, windowMs: 60 * 1000 } } }, async (api) => {
+      const statuses = [];
+      for (let i = 0; i < 2; i += 1) statuses.push((await askForAlternatives(api)).status);
+      const limited = await askForAlternatives(api);
+
+      assert.deepEqual(statuses, [400, 400]);
+      assert.equal(limited.status, 429);
+      assert.equal(limited.body.error, "too many requests");
+      assert.ok(limited.body.retryAfter > 0 && limited.body.retryAfter <= 60);
+      assert.equal(limited.headers.get("retry-after"), String(limited.body.retryAfter));
+    });
+  });
+
+  it("limits AI requests per session across addresses", async () => {
+    const options = { rateLimit: { ai: { limit: 2, windowMs: 60 * 1000 } }, trustProxy: true };
+    await withApp(options, async (api) => {
+      const cookie = await api.login();
+      const from = (ip) => askForAlternatives(api, { cookie, headers: { "X-Forwarded-For": ip } });
+
+      const first = await from("10.0.0.1");
+      const second = await from("10.0.0.2");
+      const third = await from("10.0.0.3");
+      const otherClient = await askForAlternatives(api, { headers: { "X-Forwarded-For": "10.0.0.4" } });
+
+      assert.equal(first.status, 400);
+      assert.equal(second.status, 400);
+      assert.equal(third.status, 429);
+      assert.equal(otherClient.status, 400);
+    });
+  });
+
+  it("tells clients apart behind Nginx Proxy Manager and the Vite proxy", async () => {
+    // The Vite proxy connects from loopback and appends the address of Nginx Proxy Manager.
+    const viaProxies = (api, client) =>
+      askForAlternatives(api, { headers: { "X-Forwarded-For": `${client}, 172.18.0.5` } });
+    const statuses = async (trustProxy) => {
+      const result = [];
+      await withApp({ rateLimit: { ai: { limit: 1, windowMs: 60 * 1000 } }, trustProxy }, async (api) => {
+        result.push((await viaProxies(api, "203.0.113.1")).status);
+        result.push((await viaProxies(api, "203.0.113.2")).status);
+        result.push((await viaProxies(api, "203.0.113.1")).status);
+      });
+      return result;
+    };
+
+    assert.deepEqual(await statuses(2), [400, 400, 429]);
+    assert.deepEqual(await statuses(1), [400, 429, 429]);
+  });
+
+  it("limits login attempts per IP", async () => {
+    await withApp({ rateLimit: { login: { limit: 2, windowMs: 60 * 1000 } } }, async (api) => {
+      await api.login();
+      await api.login();
+      const limited = await api.request("POST", "/api/auth/login", {
+        body: { password: ADMIN_PASSWORD }
+      });
+
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    });
+  });
+
+  it("locks out failed logins with a growing delay", async () => {
+    const options = {
+      rateLimit: {
+        store: createMongoStore(),
+        lockout: { threshold: 2, baseMs: 10 * 1000, maxMs: 60 * 1000, windowMs: 60 * 60 * 1000 }
+      }
+    };
+    await withApp(options, async (api) => {
+      const attempt = (password, username = "admin") =>
+        api.request("POST", "/api/auth/login", { body: { username, password } });
+      const expireLock = () =>
+        RateLimit.updateOne(
+          { key: /^login-failures:.*:admin$/ },
+          { $set: { blockedUntil: new Date(Date.now() - 1000) } }
+        );
+
+      const first = await attempt("falsch");
+      const second = await attempt("falsch");
+      const whileLocked = await attempt(ADMIN_PASSWORD);
+      const otherUser = await attempt("falsch", "someone");
+
+      assert.equal(first.status, 401);
+      assert.equal(second.status, 429);
+      assert.equal(second.body.error, "too many login attempts");
+      assert.equal(second.body.retryAfter, 10);
+      assert.equal(whileLocked.status, 429);
+      assert.equal(otherUser.status, 401);
+
+      await expireLock();
+      const third = await attempt("falsch");
+      assert.equal(third.status, 429);
+      assert.equal(third.body.retryAfter, 20);
+
+      await expireLock();
+      const success = await attempt(ADMIN_PASSWORD);
+      const remaining = await RateLimit.countDocuments({ key: /^login-failures:.*:admin$/ });
+      assert.equal(success.status, 200);
+      assert.equal(remaining, 0);
+    });
+  });
+
+  it("shares counters between instances through the Mongo store", async () => {
+    const options = { rateLimit: { store: createMongoStore(), ai: { limit: 1, windowMs: 60 * 1000 } } };
+    await withApp(options, async (first) => {
+      await withApp(options, async (second) => {
+        const allowed = await askForAlternatives(first);
+        const limited = await askForAlternatives(second);
+
+        assert.equal(allowed.status, 400);
+        assert.equal(limited.status, 429);
+      });
+    });
+  });
+});
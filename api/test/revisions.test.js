@@ -0,0 +1,132 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+
+describe("entry revisions", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+  const updateEntry = (id, body) => api.request("PUT", `/api/entries/${id}`, { body, cookie });
+  const listRevisions = (id) => api.request("GET", `/api/entries/${id}/revisions`, { cookie });
+  const restore = (id, revisionId) =>
+    api.request("POST", `/api/entries/${id}/revisions/${revisionId}/restore`, { cookie });
+
+  it("records creates and updates with source and previous values", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    await updateEntry(created.body._id, {
+      term: "zack",
+      definition: "sehr schnell",
+      example: "Zack, weg.",
+      source: "ai-complete"
+    });
+
+    const response = await listRevisions(created.body._id);
+
+    assert.equal(response.status, 200);
+    const [update, create] = response.body.revisions;
+    assert.equal(update.action, "update");
+    assert.equal(update.source, "ai-complete");
+    assert.equal(update.previous.definition, "schnell");
+    assert.deepEqual(update.changes, [
+      { field: "definition", from: "schnell", to: "sehr schnell" },
+      { field: "example", from: null, to: "Zack, weg." }
+    ]);
+    assert.equal(create.action, "create");
+    assert.equal(create.source, "manual");
+    assert.equal(create.previous, null);
+    assert.ok(create.createdAt);
+  });
+
+  it("skips updates that change nothing and ignores unknown sources", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell", source: "magic" });
+    await updateEntry(created.body._id, { term: "zack", definition: "schnell" });
+
+    const response = await listRevisions(created.body._id);
+
+    assert.equal(response.body.revisions.length, 1);
+    assert.equal(response.body.revisions[0].source, "manual");
+  });
+
+  it("restores the values from before a change", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    await updateEntry(created.body._id, {
+      term: "zack",
+      definition: "falsch übernommen",
+      example: "KI-Beispiel",
+      source: "ai-complete"
+    });
+    const [update] = (await listRevisions(created.body._id)).body.revisions;
+
+    const response = await restore(created.body._id, update._id);
+    const detail = await api.request("GET", `/api/entries/${created.body._id}`);
+    const [restoreRevision] = (await listRevisions(created.body._id)).body.revisions;
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.body.definition, "schnell");
+    assert.equal(detail.body.example, undefined);
+    assert.equal(restoreRevision.source, "restore");
+    assert.deepEqual(
+      restoreRevision.changes.map((change) => change.field),
+      ["definition", "example"]
+    );
+  });
+
+  it("brings back a deleted entry from the trash", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    await api.request("DELETE", `/api/entries/${created.body._id}`, { cookie });
+    const [deletion] = (await listRevisions(created.body._id)).body.revisions;
+
+    const response = await restore(created.body._id, deletion._id);
+    const detail = await api.request("GET", `/api/entries/${created.body._id}`);
+    const trash = await api.request("GET", "/api/trash", { cookie });
+
+    assert.equal(deletion.action, "delete");
+    assert.equal(response.status, 200);
+    assert.equal(detail.body.term, "zack");
+    assert.deepEqual(trash.body.items, []);
+  });
+
+  it("recreates a purged entry under its id", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    const deleted = await api.request("DELETE", `/api/entries/${created.body._id}`, { cookie });
+    await api.request("DELETE", `/api/trash/${deleted.body.trashId}`, { cookie });
+    const [deletion] = (await listRevisions(created.body._id)).body.revisions;
+
+    const response = await restore(created.body._id, deletion._id);
+    const detail = await api.request("GET", `/api/entries/${created.body._id}`);
+
+    assert.equal(response.status, 201);
+    assert.equal(detail.body.term, "zack");
+  });
+
+  it("rejects restores without a previous state, unknown ids and anonymous access", async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    const [creation] = (await listRevisions(created.body._id)).body.revisions;
+
+    const noPrevious = await restore(created.body._id, creation._id);
+    const unknown = await restore(created.body._id, "000000000000000000000000");
+    const anonymous = await api.request("GET", `/api/entries/${created.body._id}/revisions`);
+
+    assert.equal(noPrevious.status, 400);
+    assert.deepEqual(noPrevious.body, { error: "revision has no previous state" });
+    assert.equal(unknown.status, 404);
+    assert.equal(anonymous.status, 401);
+  });
+});
@@ -0,0 +1,155 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Entry, syncSearchFields } = require("../src/models");
+
+describe("entry search", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+  const search = (q) => api.request("GET", `/api/entries/search?q=${encodeURIComponent(q)}`);
+
+  it("returns nothing for an empty query", async () => {
+    const response = await search("  ");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { query: "", results: [] });
+  });
+
+  it("folds umlauts and ß", async () => {
+    await createEntry({
+      term: "Straße",
+      definition: "Verkehrsweg",
+      partOfSpeech: ["noun"],
+      article: "die"
+    });
+    await createEntry({ term: "müde", definition: "erschöpft" });
+
+    const strasse = await search("strasse");
+    const muede = await search("Muede");
+    const folded = await search("MÜDE");
+
+    assert.deepEqual(strasse.body.results.map((result) => result.entry.term), ["Straße"]);
+    assert.deepEqual(muede.body.results.map((result) => result.entry.term), ["müde"]);
+    assert.deepEqual(folded.body.results.map((result) => result.entry.term), ["müde"]);
+  });
+
+  it("ranks term matches above synonym and definition matches", async () => {
+    await createEntry({ term: "Lauch", definition: "Gemüse, auch als Schimpfwort für Hänfling" });
+    await createEntry({ term: "Hänfling", definition: "schmächtiger Mensch" });
+    await createEntry({ term: "Spargeltarzan", definition: "dünner Mensch", synonyms: "Hänfling" });
+
+    const response = await search("hänfling");
+
+    assert.deepEqual(
+      response.body.results.map((result) => result.entry.term),
+      ["Hänfling", "Spargeltarzan", "Lauch"]
+    );
+  });
+
+  it("matches word prefixes while typing", async () => {
+    await createEntry({ term: "Feierabendbier", definition: "Bier nach der Arbeit" });
+
+    const response = await search("feiera");
+
+    assert.equal(response.body.results.length, 1);
+  });
+
+  it("returns highlighted snippets for the original text", async () => {
+    await createEntry({
+      term: "Straßenköter",
+      definition: `${"Sehr langer einleitender Text ".repeat(3)}über einen Hund von der Straße ohne Stammbaum.`
+    });
+
+    const [result] = (await search("strasse")).body.results;
+    const term = result.snippets.find((snippet) => snippet.field === "term");
+    const definition = result.snippets.find((snippet) => snippet.field === "definition");
+
+    assert.deepEqual(term, { field: "term", text: "Straßenköter", highlights: [[0, 6]] });
+    assert.ok(definition.text.startsWith("… "));
+    const [[start, end]] = definition.highlights;
+    assert.equal(definition.text.slice(start, end), "Straße");
+  });
+
+  it("keeps search fields in sync on updates and hides them", async () => {
+    const created = await createEntry({ term: "Schnitzel", definition: "Fleischgericht" });
+    await api.request("PUT", `/api/entries/${created.body._id}`, {
+      body: { term: "Schnitzel", definition: "paniertes Kotelett" },
+      cookie
+    });
+
+    const old = await search("fleischgericht");
+    const updated = await search("kotelett");
+
+    assert.equal(old.body.results.length, 0);
+    assert.equal(updated.body.results.length, 1);
+    assert.equal(created.body.search, undefined);
+    assert.equal(updated.body.results[0].entry.search, undefined);
+  });
+
+  it("backfills search fields for existing entries", async () => {
+    await Entry.collection.insertOne({ term: "Öko", definition: "umweltbewusst" });
+
+    const synced = await syncSearchFields();
+    const response = await search("oeko");
+
+    assert.equal(synced, 1);
+    assert.equal(response.body.results.length, 1);
+  });
+
+  it("suggests close terms when nothing matches", async () => {
+    await createEntry({ term: "Straße", definition: "Verkehrsweg" });
+    await createEntry({ term: "Kladderadatsch", definition: "Durcheinander" });
+
+    const typo = await search("strsase");
+    const hit = await search("strasse");
+
+    assert.deepEqual(typo.body.results, []);
+    assert.deepEqual(
+      typo.body.suggestions.map((suggestion) => suggestion.term),
+      ["Straße"]
+    );
+    assert.equal(typo.body.correction, null);
+    assert.equal(hit.body.suggestions, undefined);
+  });
+
+  it("adds the dictionary spelling for unknown words", async () => {
+    const spell = {
+      correct: (word) => ["Straße", "Kladderadatsch"].includes(word),
+      suggest: (word) => (word.toLowerCase() === "kladeradatsch" ? ["Kladderadatsch"] : [])
+    };
+    const withSpeller = await startApp({ spell });
+    try {
+      const login = await withSpeller.login();
+      await withSpeller.request("POST", "/api/entries", {
+        body: { term: "Straße", definition: "Verkehrsweg" },
+        cookie: login
+      });
+
+      const response = await withSpeller.request("GET", "/api/entries/search?q=kladeradatsch");
+
+      assert.deepEqual(response.body.results, []);
+      assert.deepEqual(response.body.suggestions, []);
+      assert.equal(response.body.correction, "Kladderadatsch");
+    } finally {
+      await withSpeller.close();
+    }
+  });
+});
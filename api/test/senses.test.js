@@ -0,0 +1,133 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { cardSections } = require("../src/card");
+const { parseCsv, readImport } = require("../src/importer");
+const { Entry, syncSenses } = require("../src/models");
+
+describe("senses", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const bammelSenses = [
+    { definition: "Angst", examples: ["Vor der Prüfung hatte er Bammel."], synonyms: ["Schiss", "Manschetten"] },
+    { definition: "leichte Unruhe", examples: "", synonyms: "Nervosität", register: "umgangssprachlich" },
+    { definition: "", examples: [], synonyms: [] }
+  ];
+
+  it("stores numbered senses and mirrors the first one in the single fields", async () => {
+    const created = await api.request("POST", "/api/entries", {
+      body: { term: "Bammel", senses: bammelSenses },
+      cookie
+    });
+    const invalid = await api.request("POST", "/api/entries", {
+      body: { term: "Zugzwang", senses: [{ examples: ["ohne Bedeutung"] }] },
+      cookie
+    });
+    const list = await api.request("GET", "/api/entries");
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.definition, "Angst");
+    assert.equal(created.body.example, "Vor der Prüfung hatte er Bammel.");
+    assert.equal(created.body.synonyms, "Schiss, Manschetten");
+    assert.deepEqual(created.body.senses[1], {
+      definition: "leichte Unruhe",
+      examples: [],
+      synonyms: ["Nervosität"],
+      register: "umgangssprachlich"
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "every sense needs a definition");
+    assert.equal(list.body.items[0].senses.length, 2);
+  });
+
+  it("keeps the further senses when a client only sends the single fields", async () => {
+    const created = await api.request("POST", "/api/entries", {
+      body: { term: "Bammel", senses: bammelSenses },
+      cookie
+    });
+    const id = created.body._id;
+
+    const legacy = await api.request("PUT", `/api/entries/${id}`, {
+      body: { term: "Bammel", definition: "große Angst", example: "", synonyms: "Schiss" },
+      cookie
+    });
+    const reduced = await api.request("PUT", `/api/entries/${id}`, {
+      body: { term: "Bammel", senses: [{ definition: "Furcht" }] },
+      cookie
+    });
+    const stored = await Entry.findById(id).lean();
+
+    assert.deepEqual(legacy.body.senses[0], { definition: "große Angst", examples: [], synonyms: ["Schiss"] });
+    assert.equal(legacy.body.senses[1].definition, "leichte Unruhe");
+    assert.deepEqual(reduced.body.senses, [{ definition: "Furcht", examples: [], synonyms: [] }]);
+    assert.equal(stored.definition, "Furcht");
+    assert.equal(stored.example, undefined);
+    assert.equal(stored.synonyms, undefined);
+  });
+
+  it("turns single-definition entries into one sense on startup", async () => {
+    await Entry.collection.insertOne({
+      term: "Feierabend",
+      definition: "Ende der Arbeitszeit",
+      example: "Endlich Feierabend!\nSchönen Feierabend.",
+      synonyms: "Dienstschluss; Arbeitsende"
+    });
+    await Entry.create({ term: "Bammel", senses: [{ definition: "Angst" }] });
+
+    assert.equal(await syncSenses(), 1);
+    assert.equal(await syncSenses(), 0);
+    assert.deepEqual((await Entry.findOne({ term: "Feierabend" }).lean()).senses, [
+      {
+        definition: "Ende der Arbeitszeit",
+        examples: ["Endlich Feierabend!", "Schönen Feierabend."],
+        synonyms: ["Dienstschluss", "Arbeitsende"]
+      }
+    ]);
+  });
+
+  it("searches, exports and prints every sense", async () => {
+    await api.request("POST", "/api/entries", { body: { term: "Bammel", senses: bammelSenses }, cookie });
+    await api.request("POST", "/api/entries", { body: { term: "Zugzwang", definition: "Zwang zu handeln" }, cookie });
+    const bammel = await Entry.findOne({ term: "Bammel" }).lean();
+
+    const found = await api.request("GET", "/api/entries/search?q=nervositaet");
+    const markdown = await api.request("GET", "/api/entries/export?format=md");
+    const csv = await api.request("GET", "/api/entries/export?format=csv");
+    const [header, ...rows] = parseCsv(csv.body, ",");
+    const reimported = readImport({ format: "csv", content: csv.body });
+    const sections = cardSections(bammel, {}, [], ["definition", "example", "synonyms"]);
+
+    assert.deepEqual(found.body.results.map((result) => result.entry.term), ["Bammel"]);
+    assert.equal(found.body.results[0].snippets[0].field, "synonyms");
+    assert.match(markdown.body, /\*\*Bedeutungen:\*\*\n\n1\. Angst\n {3}- Gebrauch: Vor der Prüfung hatte er Bammel\./);
+    assert.match(markdown.body, /\n2\. \*umgangssprachlich\* leichte Unruhe\n {3}- Synonyme: Nervosität\n/);
+    assert.match(markdown.body, /\*\*Bedeutung:\*\* Zwang zu handeln/);
+    assert.equal(rows[1][header.indexOf("senses")], "");
+    assert.deepEqual(reimported.rows[0].values.senses, bammel.senses);
+    assert.deepEqual(
+      sections.map((section) => [section.label, section.content]),
+      [
+        ["Bedeutungen", "1. Angst\n2. (umgangssprachlich) leichte Unruhe"],
+        ["Gebrauch", "1. Vor der Prüfung hatte er Bammel."],
+        ["Synonyme", "1. Schiss, Manschetten\n2. Nervosität"]
+      ]
+    );
+  });
+});
@@ -0,0 +1,123 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { Alternative, TrashedEntry } = require("../src/models");
+const { purgeExpiredTrash } = require("../src/trash");
+
+describe("trash", () => {
+  let disconnect;
+  let api;
+  let cookie;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp({ trashRetentionDays: 14 });
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    cookie = await api.login();
+  });
+
+  const createEntry = (body) => api.request("POST", "/api/entries", { body, cookie });
+  const deleteEntry = (id) => api.request("DELETE", `/api/entries/${id}`, { cookie });
+  const listTrash = () => api.request("GET", "/api/trash", { cookie });
+
+  const createWithAlternatives = async () => {
+    const created = await createEntry({ term: "zack", definition: "schnell" });
+    await Alternative.create([
+      { item: "zack", situation: "arbeit", alternative_text: "zügig", timestamp: new Date() },
+      { item: "zack", situation: "behoerdlich", alternative_text: "umgehend", timestamp: new Date() }
+    ]);
+    return created.body;
+  };
+
+  it("moves deleted entries to the trash together with their alternatives", async () => {
+    const entry = await createWithAlternatives();
+
+    await deleteEntry(entry._id);
+    const trash = await listTrash();
+
+    assert.equal(trash.status, 200);
+    assert.equal(trash.body.retentionDays, 14);
+    const [item] = trash.body.items;
+    assert.equal(item.entryId, entry._id);
+    assert.equal(item.term, "zack");
+    assert.equal(item.alternativesCount, 2);
+    assert.equal(
+      new Date(item.purgeAt) - new Date(item.deletedAt),
+      14 * 24 * 60 * 60 * 1000
+    );
+    assert.equal(await Alternative.countDocuments(), 0);
+  });
+
+  it("restores an entry with its id and alternatives", async () => {
+    const entry = await createWithAlternatives();
+    const deleted = await deleteEntry(entry._id);
+
+    const response = await api.request("POST", `/api/trash/${deleted.body.trashId}/restore`, { cookie });
+    const detail = await api.request("GET", `/api/entries/${entry._id}`);
+    const trash = await listTrash();
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.body.term, "zack");
+    assert.equal(detail.body.alternativesCount, 2);
+    assert.deepEqual(trash.body.items, []);
+  });
+
+  it("refuses to restore over a newer entry with the same term", async () => {
+    const entry = await createWithAlternatives();
+    const deleted = await deleteEntry(entry._id);
+    await createEntry({ term: "zack", definition: "neu" });
+
+    const response = await api.request("POST", `/api/trash/${deleted.body.trashId}/restore`, { cookie });
+
+    assert.equal(response.status, 409);
+    assert.equal((await listTrash()).body.items.length, 1);
+  });
+
+  it("purges items permanently", async () => {
+    const entry = await createWithAlternatives();
+    const deleted = await deleteEntry(entry._id);
+
+    const response = await api.request("DELETE", `/api/trash/${deleted.body.trashId}`, { cookie });
+    const again = await api.request("DELETE", `/api/trash/${deleted.body.trashId}`, { cookie });
+
+    assert.equal(response.status, 200);
+    assert.equal(again.status, 404);
+    assert.equal(await TrashedEntry.countDocuments(), 0);
+  });
+
+  it("purges items older than the retention period", async () => {
+    const old = await createEntry({ term: "alt", definition: "x" });
+    const fresh = await createEntry({ term: "neu", definition: "x" });
+    await deleteEntry(old.body._id);
+    await deleteEntry(fresh.body._id);
+    await TrashedEntry.updateOne(
+      { "entry.term": "alt" },
+      { $set: { deletedAt: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000) } }
+    );
+
+    const purged = await purgeExpiredTrash(14);
+    const disabled = await purgeExpiredTrash(0);
+    const trash = await listTrash();
+
+    assert.equal(purged, 1);
+    assert.equal(disabled, 0);
+    assert.deepEqual(
+      trash.body.items.map((item) => item.term),
+      ["neu"]
+    );
+  });
+
+  it("requires login", async () => {
+    const response = await api.request("GET", "/api/trash");
+
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,139 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_PASSWORD, clearDatabase, connectDatabase, startApp } = require("./helpers");
+const { User } = require("../src/models");
+
+describe("users and roles", () => {
+  let disconnect;
+  let api;
+  let admin;
+
+  before(async () => {
+    disconnect = await connectDatabase();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    admin = await api.login();
+  });
+
+  const createUser = (body, cookie = admin) => api.request("POST", "/api/users", { body, cookie });
+  const loginAs = async (username, role) => {
+    await createUser({ username, password: "geheim123", role });
+    return api.login({ username, password: "geheim123" });
+  };
+
+  it("bootstraps the admin account from ADMIN_PASSWORD with a hashed password", async () => {
+    const stored = await User.findOne({ username: "admin" }).lean();
+    const users = await api.request("GET", "/api/users", { cookie: admin });
+
+    assert.equal(stored.role, "admin");
+    assert.notEqual(stored.passwordHash, ADMIN_PASSWORD);
+    assert.match(stored.passwordHash, /^scrypt\$/);
+    assert.deepEqual(
+      users.body.users.map((user) => [user.username, user.role]),
+      [["admin", "admin"]]
+    );
+    assert.equal(users.body.users[0].passwordHash, undefined);
+  });
+
+  it("logs in with username and password", async () => {
+    await createUser({ username: "Lena", password: "geheim123", role: "editor" });
+
+    const wrong = await api.request("POST", "/api/auth/login", {
+      body: { username: "lena", password: "falsch123" }
+    });
+    const right = await api.request("POST", "/api/auth/login", {
+      body: { username: "lena", password: "geheim123" }
+    });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(right.status, 200);
+    assert.deepEqual(
+      { username: right.body.user.username, role: right.body.user.role },
+      { username: "lena", role: "editor" }
+    );
+  });
+
+  it("validates new accounts", async () => {
+    const badName = await createUser({ username: "x", password: "geheim123" });
+    const shortPassword = await createUser({ username: "lena", password: "kurz" });
+    const badRole = await createUser({ username: "lena", password: "geheim123", role: "boss" });
+    await createUser({ username: "lena", password: "geheim123" });
+    const duplicate = await createUser({ username: "LENA", password: "geheim123" });
+
+    assert.deepEqual(badName.body, { error: "invalid username" });
+    assert.deepEqual(shortPassword.body, { error: "password too short" });
+    assert.deepEqual(badRole.body, { error: "invalid role" });
+    assert.equal(duplicate.status, 409);
+  });
+
+  it("limits writes by role and records who changed an entry", async () => {
+    const viewer = await loginAs("vera", "viewer");
+    const editor = await loginAs("ede", "editor");
+
+    const viewerCreate = await api.request("POST", "/api/entries", {
+      body: { term: "zack", definition: "schnell" },
+      cookie: viewer
+    });
+    const created = await api.request("POST", "/api/entries", {
+      body: { term: "zack", definition: "schnell" },
+      cookie: editor
+    });
+    await api.request("PUT", `/api/entries/${created.body._id}`, {
+      body: { term: "zack", definition: "sehr schnell" },
+      cookie: admin
+    });
+    const editorDelete = await api.request("DELETE", `/api/entries/${created.body._id}`, {
+      cookie: editor
+    });
+    const editorUsers = await api.request("GET", "/api/users", { cookie: editor });
+    const detail = await api.request("GET", `/api/entries/${created.body._id}`);
+    const revisions = await api.request("GET", `/api/entries/${created.body._id}/revisions`, {
+      cookie: viewer
+    });
+
+    assert.equal(viewerCreate.status, 403);
+    assert.deepEqual(viewerCreate.body, { error: "forbidden" });
+    assert.equal(created.status, 201);
+    assert.equal(editorDelete.status, 403);
+    assert.equal(editorUsers.status, 403);
+    assert.equal(detail.body.createdBy, "ede");
+    assert.equal(detail.body.updatedBy, "admin");
+    assert.deepEqual(
+      revisions.body.revisions.map((revision) => revision.user),
+      ["admin", "ede"]
+    );
+  });
+
+  it("changes roles and passwords but keeps one admin", async () => {
+    const created = await createUser({ username: "lena", password: "geheim123", role: "viewer" });
+    const [bootstrap] = (await api.request("GET", "/api/users", { cookie: admin })).body.users;
+
+    const promoted = await api.request("PUT", `/api/users/${created.body._id}`, {
+      body: { role: "editor", password: "neuesPasswort" },
+      cookie: admin
+    });
+    const demoteLast = await api.request("PUT", `/api/users/${bootstrap._id}`, {
+      body: { role: "editor" },
+      cookie: admin
+    });
+    const deleteLast = await api.request("DELETE", `/api/users/${bootstrap._id}`, { cookie: admin });
+    const removed = await api.request("DELETE", `/api/users/${created.body._id}`, { cookie: admin });
+    const oldLogin = await api.request("POST", "/api/auth/login", {
+      body: { username: "lena", password: "neuesPasswort" }
+    });
+
+    assert.equal(promoted.body.role, "editor");
+    assert.deepEqual(demoteLast.body, { error: "at least one admin is required" });
+    assert.equal(deleteLast.status, 400);
+    assert.equal(removed.status, 200);
+    assert.equal(oldLogin.status, 401);
+  });
+});
@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+
+const ROUTE_LABELS = {
+  "ai-complete": "Vervollständigen",
+  "ai-alternatives": "Alternativen",
+  spellcheck: "Rechtschreibung"
+};
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+const formatCost = (value) =>
+  (Number(value) || 0).toLocaleString("de-DE", {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 4
+  });
+
+const formatNumber = (value) => (Number(value) || 0).toLocaleString("de-DE");
+
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("de-DE", { dateStyle: "short", timeStyle: "short" });
+};
+
+const UsageTable = ({ title, rows }) => (
+  <div className="duden-usage-table">
+    <h3>{title}</h3>
+    {rows.length === 0 ? (
+      <p className="duden-status">Keine KI-Aufrufe in diesem Zeitraum.</p>
+    ) : (
+      <table>
+        <thead>
+          <tr>
+            <th>Zeitraum</th>
+            <th>Route</th>
+            <th>Aufrufe</th>
+            <th>Fehler</th>
+            <th>Tokens (Prompt/Antwort)</th>
+            <th>Ø Latenz</th>
+            <th>Kosten</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={`${row.period}-${row.route}`}>
+              <td>{row.period}</td>
+              <td>{ROUTE_LABELS[row.route] || row.route}</td>
+              <td>{formatNumber(row.calls)}</td>
+              <td>{formatNumber(row.failures)}</td>
+              <td>
+                {formatNumber(row.promptTokens)} / {formatNumber(row.completionTokens)}
+              </td>
+              <td>{formatNumber(row.avgLatencyMs)} ms</td>
+              <td>{formatCost(row.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+export default function AiUsagePanel({ onClose }) {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      setStatus("loading");
+      setMessage("");
+      try {
+        const response = await fetch(`/api/ai-usage?days=${days}`, { credentials: "include" });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.error || "KI-Nutzung konnte nicht geladen werden");
+        }
+        setUsage(payload);
+        setStatus("idle");
+      } catch (err) {
+        setMessage(err.message || "KI-Nutzung konnte nicht geladen werden");
+        setStatus("error");
+      }
+    };
+    loadUsage();
+  }, [days]);
+
+  const budget = usage?.budget;
+
+  return (
+    <div className="duden-usage">
+      <div className="duden-form-header">
+        <h2>KI-Nutzung</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      {budget ? (
+        <p className={budget.exceeded ? "duden-error" : "duden-status"}>
+          Dieser Monat: {formatCost(budget.spent)}
+          {budget.monthly
+            ? ` von ${formatCost(budget.monthly)} Budget${budget.exceeded ? " – Budget erschöpft, die KI ist bis Monatsende gesperrt." : ""}`
+            : " (kein Budget gesetzt)"}
+        </p>
+      ) : null}
+      <label className="duden-usage-range">
+        Zeitraum
+        <select value={days} onChange={(event) => setDays(Number(event.target.value))}>
+          {RANGE_OPTIONS.map((option) => (
+            <option key={option} value={option}>
+              letzte {option} Tage
+            </option>
+          ))}
+        </select>
+      </label>
+      {status === "loading" ? <p className="duden-status">KI-Nutzung wird geladen ...</p> : null}
+      {message ? <p className="duden-error">{message}</p> : null}
+      {usage ? (
+        <>
+          <UsageTable title="Pro Tag" rows={usage.daily || []} />
+          <UsageTable title="Pro Monat" rows={usage.monthly || []} />
+          {usage.recent?.length ? (
+            <div className="duden-usage-table">
+              <h3>Letzte Aufrufe</h3>
+              <ul className="duden-usage-recent">
+                {usage.recent.map((call) => (
+                  <li key={call._id} className={call.success ? "" : "duden-error"}>
+                    {formatDateTime(call.createdAt)} · {ROUTE_LABELS[call.route] || call.route} ·{" "}
+                    {call.model || "?"} · {call.user || "anonym"} · {formatCost(call.cost)}
+                    {call.success ? "" : ` · ${call.error || "fehlgeschlagen"}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -1,16 +1,29 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import dudenLogo from "./img/logo_200.png";
 import testimonialImage from "./img/Testimonial.png";
-import qrCode from "./img/WarefsDuden.svg";
 import dIcon from "./img/link_zu_duden.svg";
+import { apiFetch, setCsrfToken } from "./api.js";
+import AiUsagePanel from "./AiUsagePanel.jsx";
+import ImportDialog from "./ImportDialog.jsx";
+import RevisionHistory from "./RevisionHistory.jsx";
+import TrashPanel from "./TrashPanel.jsx";
+import UserManagement from "./UserManagement.jsx";
+import CardTemplates from "./CardTemplates.jsx";
+import CollectionsPanel from "./CollectionsPanel.jsx";
+import SenseEditor from "./SenseEditor.jsx";
+import TagInput from "./TagInput.jsx";
 
 const emptyForm = {
   term: "",
   definition: "",
   example: "",
   synonyms: "",
+  register: "",
+  senses: [],
   partOfSpeech: [],
-  article: ""
+  article: "",
+  tags: [],
+  collections: []
 };
 const asText = (value) => (typeof value === "string" ? value : value ? String(value) : "");
 const asArray = (value) => {
@@ -68,6 +81,19 @@ const countResults = (results) =>
     return sum + (Array.isArray(list) ? list.length : 0);
   }, 0);
 const defaultVisibleSituations = () => AI_SITUATION_META.map((meta) => meta.key);
+const EXPORT_FORMATS = [
+  { format: "csv", label: "CSV" },
+  { format: "json", label: "JSON" },
+  { format: "md", label: "Markdown" },
+  { format: "anki", label: "Anki" },
+  { format: "quizlet", label: "Quizlet" }
+];
+
+const PRINT_SIZES = [
+  { value: "A6", label: "A6" },
+  { value: "A7", label: "A7" },
+  { value: "business", label: "Visitenkarte" }
+];
 
 const partLabel = (entry) => {
   const parts = asArray(entry?.partOfSpeech).map((p) => p.toLowerCase());
@@ -95,6 +121,69 @@ const dudenLink = (entry) => {
   return `https://www.duden.de/suchen/dudenonline/${encodeURIComponent(term)}`;
 };
 
+const ENTRY_PAGE_SIZE = 30;
+const APP_TITLE = "OG German MASTERCLASS - Waref's Synonyme Edition";
+
+// Permalinks of single entries; the dev server in vite.config.js adds their link preview tags.
+const PERMALINK_PATTERN = /^\/wort\/([^/]+)\/?$/;
+const permalinkSlug = () => {
+  const match = PERMALINK_PATTERN.exec(window.location.pathname);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// /sammlung/:slug opens the list filtered to one collection.
+const COLLECTION_PATTERN = /^\/sammlung\/([^/]+)\/?$/;
+const collectionSlug = () => {
+  const match = COLLECTION_PATTERN.exec(window.location.pathname);
+  return match ? decodeURIComponent(match[1]) : "";
+};
+
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+const ROLE_LABELS = { viewer: "Leser", editor: "Editor", admin: "Admin" };
+const hasRole = (user, role) => Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+const SESSION_WARNING_MS = 5 * 60 * 1000;
+const SESSION_POLL_MS = 60 * 1000;
+
+// Countdown after a 429 from the API, e.g. "0:45".
+const formatWait = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+const RATE_LIMIT_MESSAGES = {
+  login: "Zu viele Anmeldeversuche.",
+  ai: "Zu viele KI-Anfragen."
+};
+// A sense as the form edits it: examples one per line, synonyms as comma separated text.
+const toFormSense = (sense) => ({
+  definition: asText(sense?.definition),
+  examples: asArray(sense?.examples).join("\n"),
+  synonyms: asArray(sense?.synonyms).join(", "),
+  register: asText(sense?.register)
+});
+const rateLimitMessage = (scope, seconds) =>
+  `${RATE_LIMIT_MESSAGES[scope]} Bitte in ${formatWait(seconds)} Min. erneut versuchen.`;
+
+// Saved with each revision; AI content outweighs a spelling fix applied afterwards.
+const FORM_SOURCE_RANK = { manual: 0, "spellcheck-suggestion": 1, "ai-complete": 2 };
+
+const SEARCH_FIELD_LABELS = {
+  synonyms: "Synonyme",
+  definition: "Bedeutung",
+  example: "Gebrauch"
+};
+
+const Highlighted = ({ snippet }) => {
+  const text = asText(snippet?.text);
+  const ranges = Array.isArray(snippet?.highlights) ? snippet.highlights : [];
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start < cursor) return;
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={`hl-${index}`}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
 const findLowercaseIssues = () => [];
 const applyLowercaseFixes = (text) => text || "";
 
@@ -109,53 +198,34 @@ const sanitizeFilename = (value) => {
     .slice(0, 48) || "karte";
 };
 
-const wrapText = (ctx, text, maxWidth) => {
-  const normalized = (text || "").split(/\s+/).filter(Boolean);
-  const lines = [];
-  let current = "";
-  normalized.forEach((word) => {
-    const tentative = current ? `${current} ${word}` : word;
-    if (ctx.measureText(tentative).width > maxWidth && current) {
-      lines.push(current);
-      current = word;
-    } else {
-      current = tentative;
-    }
-  });
-  if (current) lines.push(current);
-  return lines.length ? lines : ["—"];
-};
-
-const drawWrappedText = (ctx, text, x, y, maxWidth, lineHeight) => {
-  const segments = (text || "").split(/\n+/).filter(Boolean);
-  const lines = segments.length > 0 ? segments : [text || "—"];
-  let cursor = y;
-  lines.forEach((segment, idx) => {
-    const wrapped = wrapText(ctx, segment, maxWidth);
-    wrapped.forEach((line, lineIndex) => {
-      ctx.fillText(line, x, cursor);
-      cursor += lineHeight;
-    });
-    if (idx < lines.length - 1) {
-      cursor += lineHeight * 0.4;
-    }
-  });
-  return cursor;
-};
-
 export default function App() {
   const [entries, setEntries] = useState([]);
   const [form, setForm] = useState(emptyForm);
+  const [formSource, setFormSource] = useState("manual");
   const [lemmaSuggestions, setLemmaSuggestions] = useState([]);
   const [status, setStatus] = useState("idle");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState("");
-  const [query, setQuery] = useState("");
+  // Share pages link back with ?q=<term>.
+  const [query, setQuery] = useState(() => new URLSearchParams(window.location.search).get("q") || "");
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchHints, setSearchHints] = useState({ suggestions: [], correction: null });
   const [editingId, setEditingId] = useState(null);
   const [aiStatus, setAiStatus] = useState("idle");
   const [aiMessage, setAiMessage] = useState("");
+  const [aiFromCache, setAiFromCache] = useState(false);
   const [aiPassword, setAiPassword] = useState("");
+  const [loginName, setLoginName] = useState("");
   const [reviewResult, setReviewResult] = useState(null);
   const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [sessionNow, setSessionNow] = useState(() => Date.now());
+  const [sessionNotice, setSessionNotice] = useState("");
+  const [retryUntil, setRetryUntil] = useState({});
+  const [retryNow, setRetryNow] = useState(() => Date.now());
+  const [showUsers, setShowUsers] = useState(false);
   const [showOverlay, setShowOverlay] = useState(false);
   const [showHelp, setShowHelp] = useState(false);
   const [showImprint, setShowImprint] = useState(false);
@@ -163,6 +233,27 @@ export default function App() {
   const [synonymPanels, setSynonymPanels] = useState({});
   const [openSynonymId, setOpenSynonymId] = useState(null);
   const [editorMode, setEditorMode] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [exportPos, setExportPos] = useState("");
+  const [exportSituations, setExportSituations] = useState([]);
+  const [printSelection, setPrintSelection] = useState([]);
+  const [printSize, setPrintSize] = useState("A6");
+  const [printDuplex, setPrintDuplex] = useState(false);
+  const [printCutMarks, setPrintCutMarks] = useState(true);
+  const [printStatus, setPrintStatus] = useState("idle");
+  const [cardTemplates, setCardTemplates] = useState([]);
+  const [cardTemplateId, setCardTemplateId] = useState("standard");
+  const [cardMenuId, setCardMenuId] = useState(null);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [permalinkEntry, setPermalinkEntry] = useState(null);
+  const [knownTags, setKnownTags] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [tagFilter, setTagFilter] = useState("");
+  const [collectionFilter, setCollectionFilter] = useState(collectionSlug);
+  const [showCollections, setShowCollections] = useState(false);
+  const [collectionLinkCopied, setCollectionLinkCopied] = useState(false);
   const [focusedFieldState, setFocusedFieldState] = useState(null);
   const loginFormRef = useRef(null);
   const loginInputRef = useRef(null);
@@ -171,19 +262,53 @@ export default function App() {
   const exampleRef = useRef(null);
   const synonymsRef = useRef(null);
   const lastFocusedField = useRef(null);
+  const listEndRef = useRef(null);
+  // The requests for the current list; a new tag or collection filter aborts them.
+  const entryListRequest = useRef(null);
 
   const filteredEntries = useMemo(() => {
     const normalized = query.trim().toLowerCase();
+    if (permalinkEntry && !normalized) {
+      return [entries.find((entry) => entry._id === permalinkEntry._id) || permalinkEntry];
+    }
+    if (normalized && searchResults) {
+      return searchResults.map((result) => result.entry);
+    }
     const sorted = [...entries].sort((a, b) =>
       (a.term || "").localeCompare(b.term || "", "de", { sensitivity: "base" })
     );
     if (!normalized) return sorted;
+    // Fallback while the server search is pending or unavailable
     return sorted.filter((entry) =>
       [entry.term, entry.definition, entry.example, entry.synonyms]
         .filter(Boolean)
         .some((value) => value.toLowerCase().includes(normalized))
     );
-  }, [entries, query]);
+  }, [entries, query, searchResults, permalinkEntry]);
+
+  const exportUrl = (format) => {
+    const params = new URLSearchParams({ format });
+    if (query.trim()) params.set("q", query.trim());
+    if (tagFilter) params.set("tag", tagFilter);
+    if (collectionFilter) params.set("collection", collectionFilter);
+    if (exportPos) params.set("pos", exportPos);
+    if (exportSituations.length) params.set("situations", exportSituations.join(","));
+    return `/api/entries/export?${params}`;
+  };
+
+  const toggleExportSituation = (key) => {
+    setExportSituations((current) =>
+      current.includes(key) ? current.filter((item) => item !== key) : [...current, key]
+    );
+  };
+
+  const searchSnippets = useMemo(() => {
+    if (!query.trim() || !searchResults) return {};
+    return searchResults.reduce((acc, result) => {
+      acc[result.entry._id] = Array.isArray(result.snippets) ? result.snippets : [];
+      return acc;
+    }, {});
+  }, [query, searchResults]);
 
   const lowercaseWarnings = useMemo(
     () => ({
@@ -194,6 +319,33 @@ export default function App() {
     [form.definition, form.example, form.synonyms]
   );
 
+  const markFormSource = (source) => {
+    setFormSource((current) =>
+      FORM_SOURCE_RANK[source] > FORM_SOURCE_RANK[current] ? source : current
+    );
+  };
+
+  const retrySeconds = (scope) =>
+    Math.max(0, Math.ceil(((retryUntil[scope] || 0) - retryNow) / 1000));
+  const retryPending = Object.values(retryUntil).some((until) => until > retryNow);
+
+  useEffect(() => {
+    if (!retryPending) return undefined;
+    const timer = setInterval(() => setRetryNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryPending]);
+
+  // Starts the countdown for a 429 answer; returns false for any other response.
+  const noteRateLimit = (scope, response, payload) => {
+    if (response.status !== 429) return false;
+    const seconds =
+      Number(response.headers.get("Retry-After")) || Number(payload?.retryAfter) || 60;
+    const now = Date.now();
+    setRetryNow(now);
+    setRetryUntil((current) => ({ ...current, [scope]: now + seconds * 1000 }));
+    return true;
+  };
+
   const safeJson = async (response) => {
     const text = await response.text();
     if (!text) return {};
@@ -212,35 +364,304 @@ export default function App() {
     }
   }, [showLogin]);
 
+  const fetchEntryPage = async (cursor, signal) => {
+    const params = new URLSearchParams({ limit: String(ENTRY_PAGE_SIZE) });
+    if (cursor) params.set("cursor", cursor);
+    if (tagFilter) params.set("tag", tagFilter);
+    if (collectionFilter) params.set("collection", collectionFilter);
+    const response = await fetch(`/api/entries?${params}`, { signal });
+    if (!response.ok) {
+      throw new Error(
+        response.status === 404 ? "Diese Sammlung gibt es nicht (mehr)." : "Einträge konnten nicht geladen werden"
+      );
+    }
+    const data = await safeJson(response);
+    return {
+      items: Array.isArray(data.items) ? data.items : [],
+      nextCursor: data.nextCursor || null
+    };
+  };
+
   const loadEntries = async () => {
+    entryListRequest.current?.abort();
+    const controller = new AbortController();
+    entryListRequest.current = controller;
     setStatus("loading");
     setError("");
+    setNextCursor(null);
     try {
-      const response = await fetch("/api/entries");
-      if (!response.ok) {
-        throw new Error("Einträge konnten nicht geladen werden");
-      }
-      const data = await safeJson(response);
-      const sorted = (Array.isArray(data) ? data : []).sort((a, b) =>
-        (a.term || "").localeCompare(b.term || "", "de", { sensitivity: "base" })
-      );
-      setEntries(sorted);
+      const page = await fetchEntryPage(null, controller.signal);
+      if (controller.signal.aborted) return;
+      setEntries(page.items);
+      setNextCursor(page.nextCursor);
       setStatus("idle");
-      fetchAlternativeSummary(sorted);
+      applyAlternativeCounts(page.items);
     } catch (err) {
+      if (controller.signal.aborted) return;
       setError(err.message || "Einträge konnten nicht geladen werden");
       setStatus("error");
     }
   };
 
+  const loadMoreEntries = async () => {
+    const controller = entryListRequest.current;
+    if (!nextCursor || loadingMore || !controller) return;
+    setLoadingMore(true);
+    try {
+      const page = await fetchEntryPage(nextCursor, controller.signal);
+      if (controller.signal.aborted) return;
+      setEntries((current) => {
+        const known = new Set(current.map((entry) => entry._id));
+        return [...current, ...page.items.filter((entry) => !known.has(entry._id))];
+      });
+      setNextCursor(page.nextCursor);
+      applyAlternativeCounts(page.items);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError(err.message || "Einträge konnten nicht geladen werden");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   useEffect(() => {
-    loadEntries();
+    const target = listEndRef.current;
+    if (!target || !nextCursor || query.trim() || permalinkEntry || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+    const observer = new IntersectionObserver(
+      (observed) => {
+        if (observed.some((item) => item.isIntersecting)) loadMoreEntries();
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, query, permalinkEntry]);
+
+  const applyAuthState = (payload) => {
+    setIsLoggedIn(Boolean(payload?.loggedIn));
+    setCurrentUser(payload?.user || null);
+    setSessionExpiresAt(payload?.expiresAt || null);
+    setCsrfToken(payload?.csrfToken);
+  };
+
+  // The status endpoint does not extend the session, so polling only keeps the expiry accurate.
+  const refreshAuthStatus = () =>
     fetch("/api/auth/status", { credentials: "include" })
       .then((response) => response.json())
-      .then((payload) => setIsLoggedIn(Boolean(payload.loggedIn)))
-      .catch(() => setIsLoggedIn(false));
+      .then(applyAuthState)
+      .catch(() => applyAuthState(null));
+
+  // The standard card always comes first; a deleted template falls back to it.
+  const loadCardTemplates = () =>
+    fetch("/api/card-templates")
+      .then((response) => response.json())
+      .then((payload) => {
+        const templates = Array.isArray(payload.templates) ? payload.templates : [];
+        setCardTemplates(templates);
+        setCardTemplateId((current) =>
+          templates.some((template) => template._id === current) ? current : "standard"
+        );
+      })
+      .catch(() => setCardTemplates([]));
+
+  const loadTags = () =>
+    fetch("/api/tags")
+      .then((response) => response.json())
+      .then((payload) => setKnownTags(Array.isArray(payload.tags) ? payload.tags : []))
+      .catch(() => setKnownTags([]));
+
+  const loadCollections = () =>
+    fetch("/api/collections")
+      .then((response) => response.json())
+      .then((payload) => setCollections(Array.isArray(payload.collections) ? payload.collections : []))
+      .catch(() => setCollections([]));
+
+  // Old slugs of renamed collections still filter; the address bar gets the current one below.
+  const activeCollection = collections.find(
+    (collection) =>
+      collection.slug === collectionFilter || asArray(collection.previousSlugs).includes(collectionFilter)
+  );
+
+  const selectCollection = (slug) => {
+    window.history.pushState(null, "", slug ? `/sammlung/${slug}` : "/");
+    setPermalinkEntry(null);
+    setCollectionFilter(slug);
+  };
+
+  const selectTag = (tag) => {
+    if (permalinkEntry) closePermalink();
+    setTagFilter(tag);
+  };
+
+  const copyCollectionLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/sammlung/${activeCollection.slug}`);
+      setCollectionLinkCopied(true);
+      setTimeout(() => setCollectionLinkCopied(false), 2000);
+    } catch (err) {
+      console.error("Sammlungslink konnte nicht kopiert werden", err);
+      setError("Link zur Sammlung konnte nicht kopiert werden.");
+      setTimeout(() => setError(""), 3000);
+    }
+  };
+
+  // /wort/:slug shows just that entry; an old slug puts the current one into the address bar.
+  const openPermalink = async (slug) => {
+    try {
+      const response = await fetch(`/api/permalinks/${encodeURIComponent(slug)}`);
+      const payload = await safeJson(response);
+      if (!response.ok) {
+        throw new Error(
+          response.status === 404 ? "Diesen Eintrag gibt es nicht (mehr)." : payload.error || "Eintrag konnte nicht geladen werden"
+        );
+      }
+      setPermalinkEntry(payload.entry);
+      if (payload.entry.slug !== slug) {
+        window.history.replaceState(null, "", `/wort/${payload.entry.slug}`);
+      }
+    } catch (err) {
+      setPermalinkEntry(null);
+      setError(err.message);
+      window.history.replaceState(null, "", "/");
+    }
+  };
+
+  const showPermalink = (entry) => {
+    window.history.pushState(null, "", `/wort/${entry.slug}`);
+    setPermalinkEntry(entry);
+    setQuery("");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  // Plain clicks stay in the app; with a modifier key the browser opens the link as usual.
+  const followPermalink = (event, entry) => {
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    showPermalink(entry);
+  };
+
+  const closePermalink = () => {
+    if (!permalinkEntry) return;
+    window.history.pushState(null, "", collectionFilter ? `/sammlung/${collectionFilter}` : "/");
+    setPermalinkEntry(null);
+  };
+
+  useEffect(() => {
+    refreshAuthStatus();
+    loadCardTemplates();
+    loadTags();
+    loadCollections();
+    const slug = permalinkSlug();
+    if (slug) openPermalink(slug);
   }, []);
 
+  useEffect(() => {
+    loadEntries();
+  }, [tagFilter, collectionFilter]);
+
+  useEffect(() => {
+    if (!activeCollection || activeCollection.slug === collectionFilter) return;
+    if (collectionSlug()) window.history.replaceState(null, "", `/sammlung/${activeCollection.slug}`);
+    setCollectionFilter(activeCollection.slug);
+  }, [activeCollection, collectionFilter]);
+
+  useEffect(() => {
+    const followHistory = () => {
+      const slug = permalinkSlug();
+      if (slug) openPermalink(slug);
+      else {
+        setPermalinkEntry(null);
+        setCollectionFilter(collectionSlug());
+      }
+    };
+    window.addEventListener("popstate", followHistory);
+    return () => window.removeEventListener("popstate", followHistory);
+  }, []);
+
+  useEffect(() => {
+    if (permalinkEntry) document.title = `${displayTerm(permalinkEntry)} · warefs-duden`;
+    else if (activeCollection) document.title = `${activeCollection.name} · warefs-duden`;
+    else document.title = APP_TITLE;
+  }, [permalinkEntry, activeCollection]);
+
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const tick = setInterval(() => setSessionNow(Date.now()), 15 * 1000);
+    const poll = setInterval(refreshAuthStatus, SESSION_POLL_MS);
+    return () => {
+      clearInterval(tick);
+      clearInterval(poll);
+    };
+  }, [isLoggedIn]);
+
+  const sessionRemainingMs = sessionExpiresAt
+    ? new Date(sessionExpiresAt).getTime() - sessionNow
+    : null;
+
+  useEffect(() => {
+    if (!isLoggedIn || sessionRemainingMs === null || sessionRemainingMs > 0) return;
+    refreshAuthStatus().then(() => {
+      setSessionNotice("Deine Sitzung ist abgelaufen. Bitte erneut anmelden.");
+    });
+  }, [isLoggedIn, sessionRemainingMs]);
+
+  const renewSession = async () => {
+    try {
+      const response = await apiFetch("/api/auth/renew", { method: "POST", credentials: "include" });
+      const payload = await safeJson(response);
+      if (!response.ok) {
+        throw new Error(payload.error || "Sitzung konnte nicht verlängert werden");
+      }
+      setSessionExpiresAt(payload.expiresAt || null);
+      setSessionNow(Date.now());
+    } catch (err) {
+      setSessionNotice(err.message || "Sitzung konnte nicht verlängert werden");
+      refreshAuthStatus();
+    }
+  };
+
+  const canEdit = hasRole(currentUser, "editor");
+  const isAdmin = hasRole(currentUser, "admin");
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      setSearchResults(null);
+      setSearchHints({ suggestions: [], correction: null });
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: trimmed });
+        if (tagFilter) params.set("tag", tagFilter);
+        if (collectionFilter) params.set("collection", collectionFilter);
+        const response = await fetch(`/api/entries/search?${params}`, {
+          signal: controller.signal
+        });
+        const payload = await safeJson(response);
+        if (!response.ok) {
+          throw new Error(payload.error || "Suche fehlgeschlagen");
+        }
+        setSearchResults(Array.isArray(payload.results) ? payload.results : []);
+        setSearchHints({
+          suggestions: Array.isArray(payload.suggestions) ? payload.suggestions : [],
+          correction: payload.correction || null
+        });
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        setSearchResults(null);
+        setSearchHints({ suggestions: [], correction: null });
+      }
+    }, 200);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, tagFilter, collectionFilter]);
+
   useEffect(() => {
     const seen = localStorage.getItem("dudenOverlaySeen");
     if (!seen) {
@@ -276,27 +697,19 @@ export default function App() {
       setLemmaSuggestions([]);
     }
   };
-  const fetchAlternativeSummary = async (list) => {
-    try {
-      const response = await fetch("/api/entries/ai-alternatives/summary");
-      const payload = await safeJson(response);
-      if (!response.ok) return;
-      const summary = payload.summary || {};
-      setSynonymPanels((current) => {
-        const next = { ...current };
-        (Array.isArray(list) ? list : []).forEach((entry) => {
-          const count = Number(summary[entry.term]) || 0;
-          next[entry._id] = {
-            ...(next[entry._id] || {}),
-            hasStored: count > 0,
-            count
-          };
-        });
-        return next;
+  const applyAlternativeCounts = (list) => {
+    setSynonymPanels((current) => {
+      const next = { ...current };
+      (Array.isArray(list) ? list : []).forEach((entry) => {
+        const count = Number(entry.alternativesCount) || 0;
+        next[entry._id] = {
+          ...(next[entry._id] || {}),
+          hasStored: count > 0,
+          count
+        };
       });
-    } catch {
-      /* ignore summary errors */
-    }
+      return next;
+    });
   };
   const togglePartOfSpeech = (value) => () => {
     setForm((current) => {
@@ -364,166 +777,133 @@ export default function App() {
     }));
   };
 
-  const downloadCard = async (entry) => {
-    try {
-      if (document.fonts?.ready) {
-        await document.fonts.ready.catch(() => null);
-      }
+  // Situations only go on the card once their alternatives are loaded in the panel.
+  const cardSituations = (entryId) => {
+    const panel = synonymPanels[entryId];
+    if (!panel?.results) return [];
+    return Array.isArray(panel.visibleSituations) ? panel.visibleSituations : defaultVisibleSituations();
+  };
 
-      setError("");
-      // Reset situative status for this entry
-      setSynonymPanels((current) => ({
-        ...current,
-        [entry._id]: { ...(current[entry._id] || {}), statusMessage: "" }
-      }));
+  const cardUrl = (entryId, path, extra = {}, templateId = cardTemplateId) => {
+    const situations = cardSituations(entryId);
+    const params = new URLSearchParams(extra);
+    if (situations.length) params.set("situations", situations.join(","));
+    if (templateId !== "standard") params.set("template", templateId);
+    const search = params.toString();
+    return `/api/entries/${entryId}/${path}${search ? `?${search}` : ""}`;
+  };
 
-      const panel = synonymPanels[entry._id];
-      const visibleSituations = Array.isArray(panel?.visibleSituations)
-        ? panel.visibleSituations
-        : defaultVisibleSituations();
-      const situativeResults = panel?.results || {};
-
-      const loadImage = (src) =>
-        new Promise((resolve, reject) => {
-          const img = new Image();
-          img.onload = () => resolve(img);
-          img.onerror = reject;
-          img.src = src;
-        });
+  const setCardStatus = (entryId, statusMessage, statusOk = false) => {
+    setSynonymPanels((current) => ({
+      ...current,
+      [entryId]: { ...(current[entryId] || {}), statusMessage, statusOk }
+    }));
+  };
 
-      const [logoImg, qrImg] = await Promise.all([
-        loadImage(dudenLogo).catch(() => null),
-        loadImage(qrCode).catch(() => null)
-      ]);
-
-      const width = 900;
-      const height = 540;
-      const padding = 40;
-      const scale = Math.min(2, window.devicePixelRatio || 1);
-      const canvas = document.createElement("canvas");
-      canvas.width = width * scale;
-      canvas.height = height * scale;
-      const ctx = canvas.getContext("2d");
-      ctx.scale(scale, scale);
-
-      ctx.fillStyle = "#ffffff";
-      ctx.fillRect(0, 0, width, height);
-      ctx.strokeStyle = "#d6cfc2";
-      ctx.lineWidth = 2;
-      ctx.strokeRect(10, 10, width - 20, height - 20);
-
-      ctx.fillStyle = "#ffcc00";
-      ctx.fillRect(0, 0, width, 92);
-      ctx.fillStyle = "#111111";
-      ctx.fillRect(0, 84, width, 8);
-
-      if (logoImg) {
-        const logoHeight = 52;
-        const ratio = logoImg.width ? logoHeight / logoImg.height : 1;
-        const logoWidth = logoImg.width ? logoImg.width * ratio : 140;
-        ctx.drawImage(logoImg, padding, 24, logoWidth, logoHeight);
-      }
+  const tooManySituationsMessage =
+    "Zu viele situative Synonyme für die Karte. Bitte Situationen filtern und erneut versuchen.";
 
-      ctx.fillStyle = "#111111";
-      ctx.font = "700 22px 'Libre Baskerville', serif";
-      const titleX = logoImg ? padding + 170 : padding;
-      ctx.fillText("Situative Synonym Edition", titleX, 56);
-      const qrSize = 72;
-      const qrY = Math.max(8, (84 - qrSize) / 2);
-      const qrX = qrImg ? width - padding - qrSize : width - padding;
-      if (qrImg) {
-        ctx.drawImage(qrImg, qrX, qrY, qrSize, qrSize);
+  // The API renders the card, so it looks the same as the image behind the share link. The
+  // template picked here is remembered for the next download and for sharing.
+  const downloadCard = async (entry, templateId = cardTemplateId) => {
+    setCardMenuId(null);
+    setCardTemplateId(templateId);
+    try {
+      setError("");
+      setCardStatus(entry._id, "");
+      const response = await apiFetch(cardUrl(entry._id, "card.png", { scale: "2" }, templateId));
+      if (response.status === 422) {
+        setCardStatus(entry._id, tooManySituationsMessage);
+        return;
       }
-
-      let cursorY = 150;
-      const cardTerm = displayTerm(entry) || "Unbenannt";
-      ctx.font = "700 34px 'Libre Baskerville', serif";
-      ctx.fillText(cardTerm, padding, cursorY);
-      cursorY += 28;
-
-      ctx.font = "600 12px 'Source Sans 3','Segoe UI',sans-serif";
-      ctx.fillStyle = "#4d4d4d";
-      const descriptor = partLabel(entry) || "Persönliche Notiz";
-      ctx.fillText(descriptor, padding, cursorY);
-      cursorY += 28;
-
-      const maxWidth = width - padding * 2;
-      const estimateSectionHeight = (label, content) => {
-        const labelHeight = 18;
-        ctx.font = "400 13px 'Source Sans 3','Segoe UI',sans-serif";
-        const lines = wrapText(ctx, content || "—", maxWidth);
-        const contentHeight = lines.length * 20;
-        return labelHeight + contentHeight + 12;
-      };
-
-      const addSection = (label, content) => {
-        ctx.fillStyle = "#111111";
-        ctx.font = "700 13px 'Source Sans 3','Segoe UI',sans-serif";
-        ctx.fillText(label, padding, cursorY);
-        cursorY += 18;
-        ctx.font = "400 13px 'Source Sans 3','Segoe UI',sans-serif";
-        ctx.fillStyle = "#111111";
-        cursorY = drawWrappedText(ctx, content || "—", padding, cursorY, maxWidth, 20);
-        cursorY += 12;
-      };
-
-      addSection("Bedeutung", entry.definition);
-      if (entry.example) {
-        addSection("Gebrauch", entry.example);
+      if (!response.ok) {
+        throw new Error(`Karte: ${response.status}`);
       }
-      if (entry.synonyms) {
-        addSection("Synonyme", entry.synonyms);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${sanitizeFilename(entry.term)}-karte.png`;
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Karte konnte nicht exportiert werden", err);
+      setError("Karte konnte nicht erstellt werden.");
+      setTimeout(() => setError(""), 3000);
+    }
+  };
+
+  const shareCard = async (entry) => {
+    try {
+      const response = await apiFetch(cardUrl(entry._id, "card"));
+      const payload = await safeJson(response);
+      if (!response.ok) {
+        throw new Error(payload.error || "Karte konnte nicht geteilt werden");
       }
-      const situativeItems = AI_SITUATION_META.filter((meta) => visibleSituations.includes(meta.key))
-        .filter((meta) => (situativeResults?.[meta.key] || []).length > 0);
-      if (situativeItems.length > 0) {
-        const availableSpace = height - cursorY - 40;
-        const neededSpace = situativeItems.reduce((sum, meta) => {
-          const list = (situativeResults?.[meta.key] || []).join(" · ");
-          return sum + estimateSectionHeight(`${meta.icon} ${meta.label.split(" · ")[0]}`, list);
-        }, 0);
-        if (neededSpace > availableSpace) {
-          setSynonymPanels((current) => ({
-            ...current,
-            [entry._id]: {
-              ...(current[entry._id] || {}),
-              statusMessage:
-                "Zu viele situative Synonyme für die Karte. Bitte Situationen filtern und erneut versuchen."
-            }
-          }));
-          return;
-        }
-        setSynonymPanels((current) => ({
-          ...current,
-          [entry._id]: { ...(current[entry._id] || {}), statusMessage: "Situative Synonyme passen jetzt auf die Karte." }
-        }));
-        situativeItems.forEach((meta) => {
-          const list = (situativeResults?.[meta.key] || []).join(" · ");
-          addSection(`${meta.icon} ${meta.label.split(" · ")[0]}`, list);
-        });
+      if (!payload.fits) {
+        setCardStatus(entry._id, tooManySituationsMessage);
+        return;
       }
+      await navigator.clipboard.writeText(payload.shareUrl);
+      setCardStatus(entry._id, "Link zur Karte kopiert.", true);
+    } catch (err) {
+      console.error("Kartenlink konnte nicht kopiert werden", err);
+      setError("Link zur Karte konnte nicht kopiert werden.");
+      setTimeout(() => setError(""), 3000);
+    }
+  };
 
-      ctx.fillStyle = "#4d4d4d";
-      ctx.font = "600 11px 'Source Sans 3','Segoe UI',sans-serif";
-      ctx.fillText("warefs-duden.de · Persönliche Lernkarte", padding, height - 26);
+  const togglePrintSelection = (entryId) => {
+    setPrintSelection((current) =>
+      current.includes(entryId) ? current.filter((id) => id !== entryId) : [...current, entryId]
+    );
+  };
+
+  const selectAllForPrint = () => {
+    setPrintSelection((current) => [
+      ...current,
+      ...filteredEntries.map((entry) => entry._id).filter((id) => !current.includes(id))
+    ]);
+  };
 
-      const filename = `${sanitizeFilename(entry.term)}-karte.png`;
+  const downloadPrintSheets = async () => {
+    setPrintStatus("loading");
+    setError("");
+    try {
+      const response = await apiFetch("/api/cards/sheets.pdf", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          entries: printSelection.map((id) => ({ id, situations: cardSituations(id) })),
+          size: printSize,
+          duplex: printDuplex,
+          cutMarks: printCutMarks
+        })
+      });
+      if (!response.ok) {
+        const payload = await safeJson(response);
+        throw new Error(payload.error || `Druckbogen: ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
       const link = document.createElement("a");
-      link.href = canvas.toDataURL("image/png");
-      link.download = filename;
+      link.href = url;
+      link.download = "warefs-duden-karten.pdf";
       link.click();
       link.remove();
+      URL.revokeObjectURL(url);
     } catch (err) {
-      console.error("Karte konnte nicht exportiert werden", err);
-      setError("Karte konnte nicht erstellt werden.");
-      setTimeout(() => setError(""), 3000);
+      console.error("Druckbogen konnte nicht erstellt werden", err);
+      setError("Druckbogen konnte nicht erstellt werden.");
+    } finally {
+      setPrintStatus("idle");
     }
   };
 
   const submitEntry = async (event) => {
     event.preventDefault();
-    if (!isLoggedIn) {
-      setError("Bitte zuerst anmelden, um Einträge zu speichern.");
+    if (!canEdit) {
+      setError("Bitte als Editor anmelden, um Einträge zu speichern.");
       return;
     }
 
@@ -542,25 +922,36 @@ export default function App() {
         return;
       }
 
+      // The fields above the sense editor are the first sense.
+      const senses = [
+        {
+          definition: asText(form.definition).trim(),
+          examples: asText(form.example).trim(),
+          synonyms: asText(form.synonyms).trim(),
+          register: asText(form.register).trim()
+        },
+        ...asArray(form.senses)
+      ];
       const payload = {
         term: asText(form.term).trim(),
-        definition: asText(form.definition).trim(),
-        example: asText(form.example).trim(),
-        synonyms: asText(form.synonyms).trim(),
+        senses,
         partOfSpeech: primaryPos.length ? primaryPos : undefined,
-        article: primaryPos.includes("noun") ? normalizedArticle : undefined
+        article: primaryPos.includes("noun") ? normalizedArticle : undefined,
+        tags: asArray(form.tags),
+        collections: asArray(form.collections),
+        source: formSource
       };
 
       let response;
       if (editingId) {
-        response = await fetch(`/api/entries/${editingId}`, {
+        response = await apiFetch(`/api/entries/${editingId}`, {
           method: "PUT",
           headers: { "Content-Type": "application/json" },
           credentials: "include",
           body: JSON.stringify(payload)
         });
       } else {
-        response = await fetch("/api/entries", {
+        response = await apiFetch("/api/entries", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           credentials: "include",
@@ -572,10 +963,16 @@ export default function App() {
         const payload = await safeJson(response).catch(() => ({}));
         throw new Error(payload.error || "Eintrag konnte nicht gespeichert werden");
       }
+      const saved = await safeJson(response);
+      if (permalinkEntry && saved._id === permalinkEntry._id) {
+        setPermalinkEntry(saved);
+        window.history.replaceState(null, "", `/wort/${saved.slug}`);
+      }
 
       setForm(emptyForm);
+      setFormSource("manual");
       setEditingId(null);
-      await loadEntries();
+      await Promise.all([loadEntries(), loadTags(), loadCollections()]);
       setStatus("idle");
     } catch (err) {
       setError(err.message || "Eintrag konnte nicht gespeichert werden");
@@ -589,9 +986,14 @@ export default function App() {
       definition: asText(entry.definition),
       example: asText(entry.example),
       synonyms: asText(entry.synonyms),
+      register: asText(asArray(entry.senses)[0]?.register),
+      senses: asArray(entry.senses).slice(1).map(toFormSense),
       partOfSpeech: asArray(entry.partOfSpeech),
-      article: asText(entry.article)
+      article: asText(entry.article),
+      tags: asArray(entry.tags),
+      collections: asArray(entry.collections)
     });
+    setFormSource("manual");
     setEditingId(entry._id);
     requestAnimationFrame(() => {
       const formAnchor = document.getElementById("duden-form");
@@ -604,17 +1006,40 @@ export default function App() {
   const cancelEdit = () => {
     setEditingId(null);
     setForm(emptyForm);
+    setFormSource("manual");
+    setError("");
+  };
+
+  const startCreate = (term) => {
+    setEditingId(null);
+    setForm({ ...emptyForm, term });
+    setFormSource("manual");
     setError("");
+    setEditorMode(true);
+    requestAnimationFrame(() => {
+      termRef.current?.focus();
+    });
   };
 
-  const reviewFocusedField = async (field, value) => {
+  // Offered when the search has no hits: the dictionary spelling, or the query as typed.
+  const createCandidate = (() => {
+    const candidate = (searchHints.correction || query).trim();
+    if (!candidate) return "";
+    const known = searchHints.suggestions.some(
+      (suggestion) =>
+        asText(suggestion.term).localeCompare(candidate, "de", { sensitivity: "base" }) === 0
+    );
+    return known ? "" : candidate;
+  })();
+
+  const reviewFocusedField = async (field, value, { refresh = false } = {}) => {
     if (!field || !value) {
       setReviewResult(null);
       return null;
     }
     try {
-      const payload = { [field]: value };
-      const response = await fetch("/api/entries/spellcheck", {
+      const payload = refresh ? { [field]: value, refresh } : { [field]: value };
+      const response = await apiFetch("/api/entries/spellcheck", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         credentials: "include",
@@ -641,10 +1066,12 @@ export default function App() {
         .includes("noun");
       const nextTerm = hasNoun ? capitalizeFirst(suggestion) : suggestion;
       setForm((current) => ({ ...current, term: nextTerm }));
+      markFormSource("spellcheck-suggestion");
       setLemmaSuggestions([]);
       return;
     }
     setForm((current) => ({ ...current, [field]: value }));
+    markFormSource("spellcheck-suggestion");
     setReviewResult(null);
   };
 
@@ -667,12 +1094,19 @@ export default function App() {
     }));
 
     try {
-      const response = await fetch("/api/entries/ai-alternatives", {
+      const response = await apiFetch("/api/entries/ai-alternatives", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ item: itemText })
       });
       const payload = await safeJson(response);
+      if (noteRateLimit("ai", response, payload)) {
+        setSynonymPanels((current) => ({
+          ...current,
+          [entryId]: { ...current[entryId], status: "error", error: "", rateLimited: true }
+        }));
+        return;
+      }
       if (!response.ok) {
         throw new Error(payload.error || "KI-Abfrage fehlgeschlagen");
       }
@@ -697,7 +1131,8 @@ export default function App() {
         [entryId]: {
           ...current[entryId],
           status: "error",
-          error: err.message || "KI-Abfrage fehlgeschlagen"
+          error: err.message || "KI-Abfrage fehlgeschlagen",
+          rateLimited: false
         }
       }));
     }
@@ -773,7 +1208,10 @@ export default function App() {
       }
     }));
     try {
-      const response = await fetch(`/api/entries/${entryId}/ai-alternatives`, { method: "DELETE" });
+      const response = await apiFetch(`/api/entries/${entryId}/ai-alternatives`, {
+        method: "DELETE",
+        credentials: "include"
+      });
       const payload = await safeJson(response);
       if (!response.ok) {
         throw new Error(payload.error || "Synonyme konnten nicht gelöscht werden");
@@ -809,56 +1247,28 @@ export default function App() {
     toggleSynonymPanel(entry);
   };
 
-  const toggleSituationVisibility = (entryId, key) => {
-    setSynonymPanels((current) => {
-      const panel = current[entryId] || {};
-      const currentList = Array.isArray(panel.visibleSituations)
-        ? panel.visibleSituations
-        : defaultVisibleSituations();
-      const has = currentList.includes(key);
-      const next = has ? currentList.filter((item) => item !== key) : [...currentList, key];
-
-      let statusMessage = panel.statusMessage || "";
-      // Direkt nach dem Toggle prüfen, ob die Karte wieder passt
-      if (panel?.results) {
-        const situativeItems = AI_SITUATION_META.filter((meta) => next.includes(meta.key)).filter(
-          (meta) => (panel.results?.[meta.key] || []).length > 0
-        );
-        if (situativeItems.length === 0) {
-          statusMessage = "";
-        } else {
-          const width = 900;
-          const padding = 40;
-          const maxWidth = width - padding * 2;
-          const ctx = document.createElement("canvas").getContext("2d");
-          ctx.font = "400 13px 'Source Sans 3','Segoe UI',sans-serif";
-          const estimateSectionHeight = (label, content) => {
-            const labelHeight = 18;
-            const lines = wrapText(ctx, content || "—", maxWidth);
-            const contentHeight = lines.length * 20;
-            return labelHeight + contentHeight + 12;
-          };
-          const neededSpace = situativeItems.reduce((sum, meta) => {
-            const list = (panel.results?.[meta.key] || []).join(" · ");
-            return sum + estimateSectionHeight(`${meta.icon} ${meta.label.split(" · ")[0]}`, list);
-          }, 0);
-          const availableSpace = 540 - 150;
-          statusMessage =
-            neededSpace <= availableSpace
-              ? "Situative Synonyme passen jetzt auf die Karte."
-              : "Zu viele situative Synonyme für die Karte. Bitte weiter filtern.";
-        }
-      }
-
-      return {
-        ...current,
-        [entryId]: {
-          ...panel,
-          visibleSituations: next,
-          statusMessage
-        }
-      };
-    });
+  const toggleSituationVisibility = async (entryId, key) => {
+    const panel = synonymPanels[entryId] || {};
+    const currentList = Array.isArray(panel.visibleSituations)
+      ? panel.visibleSituations
+      : defaultVisibleSituations();
+    const next = currentList.includes(key)
+      ? currentList.filter((item) => item !== key)
+      : [...currentList, key];
+    setSynonymPanels((current) => ({
+      ...current,
+      [entryId]: { ...(current[entryId] || {}), visibleSituations: next }
+    }));
+    // Direkt nach dem Toggle prüfen, ob die Karte wieder passt
+    if (!panel.results) return;
+    const params = new URLSearchParams();
+    if (next.length) params.set("situations", next.join(","));
+    const response = await apiFetch(`/api/entries/${entryId}/card?${params}`).catch(() => null);
+    const payload = response?.ok ? await safeJson(response) : null;
+    if (!payload) return;
+    if (payload.situations.length === 0) setCardStatus(entryId, "");
+    else if (payload.fits) setCardStatus(entryId, "Situative Synonyme passen jetzt auf die Karte.", true);
+    else setCardStatus(entryId, "Zu viele situative Synonyme für die Karte. Bitte weiter filtern.");
   };
 
   const applyLemmaSuggestion = (value) => {
@@ -875,8 +1285,12 @@ export default function App() {
       definition: "",
       example: "",
       synonyms: "",
+      register: "",
+      senses: [],
       partOfSpeech: [],
-      article: ""
+      article: "",
+      tags: [],
+      collections: []
     });
     requestAnimationFrame(() => {
       termRef.current?.focus();
@@ -886,6 +1300,7 @@ export default function App() {
 
   const resetAllFields = () => {
     setForm(emptyForm);
+    setFormSource("manual");
     setLemmaSuggestions([]);
     setReviewResult(null);
     setError("");
@@ -895,17 +1310,17 @@ export default function App() {
   };
 
   const deleteEntry = async (entry) => {
-    if (!isLoggedIn) {
-      setError("Bitte zuerst anmelden, um Einträge zu löschen.");
+    if (!isAdmin) {
+      setError("Nur Admins können Einträge löschen.");
       return;
     }
-    if (!window.confirm(`Eintrag "${entry.term}" wirklich löschen?`)) {
+    if (!window.confirm(`Eintrag "${entry.term}" in den Papierkorb verschieben?`)) {
       return;
     }
     setStatus("saving");
     setError("");
     try {
-      const response = await fetch(`/api/entries/${entry._id}`, {
+      const response = await apiFetch(`/api/entries/${entry._id}`, {
         method: "DELETE",
         credentials: "include"
       });
@@ -913,17 +1328,19 @@ export default function App() {
       if (!response.ok) {
         throw new Error(payload.error || "Eintrag konnte nicht gelöscht werden");
       }
-      await loadEntries();
+      if (permalinkEntry?._id === entry._id) closePermalink();
+      await Promise.all([loadEntries(), loadTags(), loadCollections()]);
       setStatus("idle");
     } catch (err) {
       setError(err.message || "Eintrag konnte nicht gelöscht werden");
       setStatus("error");
     }
   };
-  const completeWithAi = async () => {
-    if (!isLoggedIn) {
+  // `refresh` bypasses the server-side AI cache for the spellcheck and the completion.
+  const completeWithAi = async ({ refresh = false } = {}) => {
+    if (!canEdit) {
       setAiStatus("error");
-      setAiMessage("Bitte zuerst anmelden, um KI zu verwenden.");
+      setAiMessage("Bitte als Editor anmelden, um KI zu verwenden.");
       return;
     }
 
@@ -965,12 +1382,13 @@ export default function App() {
 
     setAiStatus("loading");
     setAiMessage("");
+    setAiFromCache(false);
     setError("");
     setReviewResult(null);
     const reviewFieldValue = focusedField ? asText(form[focusedField]).trim() : "";
     try {
       if (focusedField === "term" && reviewFieldValue) {
-        const reviewData = await reviewFocusedField(focusedField, reviewFieldValue);
+        const reviewData = await reviewFocusedField(focusedField, reviewFieldValue, { refresh });
         applyMorphologyFromReview(reviewData);
       }
 
@@ -985,7 +1403,8 @@ export default function App() {
               term: hasTerm || undefined,
               definition: hasDefinition || undefined,
               example: hasExample || undefined,
-              synonyms: hasSynonyms || undefined
+              synonyms: hasSynonyms || undefined,
+              senses: asArray(form.senses).filter((sense) => asText(sense.definition).trim())
             }
           : {
               term: undefined,
@@ -995,19 +1414,20 @@ export default function App() {
             };
       focusedPayload.partOfSpeech = primaryPos.length ? primaryPos : undefined;
       focusedPayload.article = primaryPos.includes("noun") ? normalizedArticle : undefined;
-      const response = await fetch("/api/entries/ai-complete", {
+      const response = await apiFetch("/api/entries/ai-complete", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
         credentials: "include",
-        body: JSON.stringify(focusedPayload)
+        body: JSON.stringify(refresh ? { ...focusedPayload, refresh } : focusedPayload)
       });
 
       const payload = await safeJson(response);
       if (!response.ok) {
         throw new Error(payload.error || "KI-Vervollständigung fehlgeschlagen");
       }
+      setAiFromCache(response.headers.get("X-AI-Cache") === "hit");
 
       if (focusedField === "definition") {
         const lemma = asText(payload.term).trim();
@@ -1021,6 +1441,8 @@ export default function App() {
         }
       } else {
         setLemmaSuggestions([]);
+        markFormSource("ai-complete");
+        const proposed = asArray(payload.senses).map(toFormSense);
         setForm((current) => {
           const payloadPos = asArray(payload.partOfSpeech)
             .map((p) => asText(p).trim().toLowerCase())
@@ -1041,12 +1463,22 @@ export default function App() {
             definition: asText(payload.definition) || current.definition,
             example: asText(payload.example) || current.example,
             synonyms: asText(payload.synonyms) || current.synonyms,
+            senses: [
+              ...asArray(current.senses),
+              ...proposed.filter(
+                (sense) => !asArray(current.senses).some((known) => known.definition === sense.definition)
+              )
+            ],
             partOfSpeech: nextPos,
             article: nextArticle
           };
         });
         setAiStatus("success");
-        setAiMessage("Felder wurden ergänzt.");
+        setAiMessage(
+          proposed.length
+            ? `Felder wurden ergänzt, dazu ${proposed.length === 1 ? "eine weitere Bedeutung" : `${proposed.length} weitere Bedeutungen`} zum Prüfen.`
+            : "Felder wurden ergänzt."
+        );
         if (focusedField && reviewFieldValue) {
           await reviewFocusedField(focusedField, reviewFieldValue);
         }
@@ -1075,17 +1507,28 @@ export default function App() {
     setAiStatus("loading");
     setAiMessage("");
     try {
-      const response = await fetch("/api/auth/login", {
+      const response = await apiFetch("/api/auth/login", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ password: aiPassword }),
+        body: JSON.stringify({ username: loginName.trim(), password: aiPassword }),
         credentials: "include"
       });
       const payload = await safeJson(response);
+      if (noteRateLimit("login", response, payload)) {
+        setAiStatus("idle");
+        return;
+      }
       if (!response.ok) {
         throw new Error(payload.error || "Login fehlgeschlagen");
       }
-      setIsLoggedIn(true);
+      applyAuthState({
+        loggedIn: true,
+        user: payload.user,
+        expiresAt: payload.expiresAt,
+        csrfToken: payload.csrfToken
+      });
+      setSessionNow(Date.now());
+      setSessionNotice("");
       setAiPassword("");
       setAiStatus("success");
       setAiMessage("KI-Zugang aktiv.");
@@ -1095,12 +1538,18 @@ export default function App() {
     }
   };
 
-  const logoutAi = async () => {
-    await fetch("/api/auth/logout", { method: "POST", credentials: "include" }).catch(
-      () => null
-    );
-    setIsLoggedIn(false);
+  const logoutAi = async ({ everywhere = false } = {}) => {
+    if (everywhere && !window.confirm("Alle Sitzungen auf allen Geräten beenden?")) {
+      return;
+    }
+    const url = everywhere ? "/api/auth/logout-all" : "/api/auth/logout";
+    await apiFetch(url, { method: "POST", credentials: "include" }).catch(() => null);
+    applyAuthState(null);
     setShowLogin(false);
+    setShowTrash(false);
+    setShowUsers(false);
+    setShowUsage(false);
+    setShowTemplates(false);
   };
 
   return (
@@ -1146,21 +1595,100 @@ export default function App() {
           <div className="duden-brand-actions">
             {isLoggedIn ? (
               <>
+                {currentUser ? (
+                  <span className="duden-pill" title="Angemeldet">
+                    {currentUser.username} · {ROLE_LABELS[currentUser.role] || currentUser.role}
+                  </span>
+                ) : null}
+                {canEdit ? (
+                  <button
+                    type="button"
+                    className="duden-secondary"
+                    onClick={() => setEditorMode((prev) => !prev)}
+                    aria-pressed={editorMode}
+                    title="Editor-Modus umschalten"
+                  >
+                    ✎ Editor-Modus {editorMode ? "an" : "aus"}
+                  </button>
+                ) : null}
+                {canEdit ? (
+                  <button
+                    type="button"
+                    className="duden-secondary"
+                    onClick={() => setShowImport((prev) => !prev)}
+                    aria-pressed={showImport}
+                    title="Einträge aus CSV oder JSON importieren"
+                  >
+                    Import
+                  </button>
+                ) : null}
+                {canEdit ? (
+                  <button
+                    type="button"
+                    className="duden-secondary"
+                    onClick={() => setShowTemplates((prev) => !prev)}
+                    aria-pressed={showTemplates}
+                    title="Aussehen der Lernkarten festlegen"
+                  >
+                    Kartenvorlagen
+                  </button>
+                ) : null}
+                {canEdit ? (
+                  <button
+                    type="button"
+                    className="duden-secondary"
+                    onClick={() => setShowCollections((prev) => !prev)}
+                    aria-pressed={showCollections}
+                    title="Thematische Sammlungen anlegen und beschreiben"
+                  >
+                    Sammlungen
+                  </button>
+                ) : null}
+                {isAdmin ? (
+                  <>
+                    <button
+                      type="button"
+                      className="duden-secondary"
+                      onClick={() => setShowTrash((prev) => !prev)}
+                      aria-pressed={showTrash}
+                      title="Gelöschte Einträge anzeigen"
+                    >
+                      🗑 Papierkorb
+                    </button>
+                    <button
+                      type="button"
+                      className="duden-secondary"
+                      onClick={() => setShowUsers((prev) => !prev)}
+                      aria-pressed={showUsers}
+                      title="Benutzer verwalten"
+                    >
+                      Benutzer
+                    </button>
+                    <button
+                      type="button"
+                      className="duden-secondary"
+                      onClick={() => setShowUsage((prev) => !prev)}
+                      aria-pressed={showUsage}
+                      title="KI-Aufrufe, Kosten und Budget anzeigen"
+                    >
+                      KI-Nutzung
+                    </button>
+                  </>
+                ) : null}
                 <button
                   type="button"
-                  className="duden-secondary"
-                  onClick={() => setEditorMode((prev) => !prev)}
-                  aria-pressed={editorMode}
-                  title="Editor-Modus umschalten"
+                  className="duden-logout"
+                  onClick={() => logoutAi()}
                 >
-                  ✎ Editor-Modus {editorMode ? "an" : "aus"}
+                  Abmelden
                 </button>
                 <button
                   type="button"
-                  className="duden-logout"
-                  onClick={logoutAi}
+                  className="duden-link-button"
+                  onClick={() => logoutAi({ everywhere: true })}
+                  title="Alle Sitzungen auf allen Geräten beenden"
                 >
-                  Abmelden
+                  Überall abmelden
                 </button>
               </>
             ) : (
@@ -1183,23 +1711,43 @@ export default function App() {
                       <h2>Editor freischalten</h2>
                       <span className="duden-pill">Login</span>
                     </div>
+                    <label htmlFor="duden-login-name">
+                      Benutzername
+                      <input
+                        id="duden-login-name"
+                        type="text"
+                        autoComplete="username"
+                        value={loginName}
+                        onChange={(event) => setLoginName(event.target.value)}
+                        placeholder="admin"
+                      />
+                    </label>
                     <label htmlFor="duden-login-input">
                       Passwort
                       <div className="duden-header-login-row">
                         <input
                           id="duden-login-input"
                           type="password"
+                          autoComplete="current-password"
                           value={aiPassword}
                           onChange={(event) => setAiPassword(event.target.value)}
                           placeholder="Passwort eingeben"
                           ref={loginInputRef}
                         />
-                        <button type="submit" className="duden-secondary">
+                        <button
+                          type="submit"
+                          className="duden-secondary"
+                          disabled={retrySeconds("login") > 0}
+                        >
                           Anmelden
                         </button>
                       </div>
                     </label>
-                    {aiMessage ? (
+                    {retrySeconds("login") > 0 ? (
+                      <p className="duden-error">
+                        {rateLimitMessage("login", retrySeconds("login"))}
+                      </p>
+                    ) : aiMessage ? (
                       <p className={aiStatus === "error" ? "duden-error" : "duden-status"}>
                         {aiMessage}
                       </p>
@@ -1210,6 +1758,24 @@ export default function App() {
             )}
           </div>
         </header>
+        {isLoggedIn && sessionRemainingMs !== null && sessionRemainingMs < SESSION_WARNING_MS ? (
+          <div className="duden-session-warning" role="status">
+            <span>
+              Deine Sitzung läuft in {Math.max(1, Math.ceil(sessionRemainingMs / 60000))} Min. ab.
+            </span>
+            <button type="button" className="duden-secondary" onClick={renewSession}>
+              Angemeldet bleiben
+            </button>
+          </div>
+        ) : null}
+        {!isLoggedIn && sessionNotice ? (
+          <div className="duden-session-warning" role="status">
+            <span>{sessionNotice}</span>
+            <button type="button" className="duden-link-button" onClick={() => setSessionNotice("")}>
+              OK
+            </button>
+          </div>
+        ) : null}
         {showHelp ? (
           <div className="duden-overlay" role="dialog" aria-modal="true" onClick={closeHelp}>
             <div className="duden-help" onClick={(event) => event.stopPropagation()}>
@@ -1267,6 +1833,35 @@ export default function App() {
 
           <div className="duden-content">
             <section className="duden-entries">
+              {isAdmin && showUsers ? (
+                <UserManagement currentUser={currentUser} onClose={() => setShowUsers(false)} />
+              ) : null}
+              {canEdit && showImport ? (
+                <ImportDialog
+                  onClose={() => setShowImport(false)}
+                  onImported={() => Promise.all([loadEntries(), loadTags()])}
+                />
+              ) : null}
+              {canEdit && showTemplates && cardTemplates.length ? (
+                <CardTemplates
+                  templates={cardTemplates}
+                  canDelete={isAdmin}
+                  onChanged={loadCardTemplates}
+                  onClose={() => setShowTemplates(false)}
+                />
+              ) : null}
+              {canEdit && showCollections ? (
+                <CollectionsPanel
+                  collections={collections}
+                  canDelete={isAdmin}
+                  onChanged={() => Promise.all([loadCollections(), loadEntries()])}
+                  onClose={() => setShowCollections(false)}
+                />
+              ) : null}
+              {isAdmin && showUsage ? <AiUsagePanel onClose={() => setShowUsage(false)} /> : null}
+              {isAdmin && showTrash ? (
+                <TrashPanel onClose={() => setShowTrash(false)} onRestored={() => loadEntries()} />
+              ) : null}
               <div className="duden-search">
                 <label htmlFor="search">Suche</label>
                 <div className="duden-input-wrap">
@@ -1275,7 +1870,10 @@ export default function App() {
                     type="search"
                     placeholder="Eintrag suchen"
                     value={query}
-                    onChange={(event) => setQuery(event.target.value)}
+                    onChange={(event) => {
+                      setQuery(event.target.value);
+                      closePermalink();
+                    }}
                   />
                   {query ? (
                     <button
@@ -1288,8 +1886,159 @@ export default function App() {
                     </button>
                   ) : null}
                 </div>
-                <span className="duden-count">{filteredEntries.length} Einträge</span>
+                <span className="duden-count">
+                  {filteredEntries.length}
+                  {nextCursor && !query.trim() && !permalinkEntry ? "+" : ""} Einträge
+                </span>
+              </div>
+              <div className="duden-filters">
+                <select
+                  value={tagFilter}
+                  onChange={(event) => selectTag(event.target.value)}
+                  aria-label="Nach Tag filtern"
+                >
+                  <option value="">alle Tags</option>
+                  {tagFilter && !knownTags.some((item) => item.tag === tagFilter) ? (
+                    <option value={tagFilter}>#{tagFilter}</option>
+                  ) : null}
+                  {knownTags.map((item) => (
+                    <option key={item.tag} value={item.tag}>
+                      #{item.tag} ({item.count})
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={activeCollection ? activeCollection.slug : collectionFilter}
+                  onChange={(event) => selectCollection(event.target.value)}
+                  aria-label="Nach Sammlung filtern"
+                >
+                  <option value="">alle Sammlungen</option>
+                  {collectionFilter && !activeCollection ? (
+                    <option value={collectionFilter}>{collectionFilter}</option>
+                  ) : null}
+                  {collections.map((collection) => (
+                    <option key={collection._id} value={collection.slug}>
+                      {collection.name} ({collection.count})
+                    </option>
+                  ))}
+                </select>
+                {tagFilter || collectionFilter ? (
+                  <button
+                    type="button"
+                    className="duden-link-button"
+                    onClick={() => {
+                      setTagFilter("");
+                      if (collectionFilter) selectCollection("");
+                    }}
+                  >
+                    Filter aufheben
+                  </button>
+                ) : null}
+              </div>
+              {activeCollection && !permalinkEntry ? (
+                <div className="duden-collection-intro">
+                  <h2>{activeCollection.name}</h2>
+                  {activeCollection.description ? <p>{activeCollection.description}</p> : null}
+                  <button type="button" className="duden-link-button" onClick={copyCollectionLink}>
+                    {collectionLinkCopied ? "Link kopiert" : "Link zur Sammlung kopieren"}
+                  </button>
+                </div>
+              ) : null}
+              <div className="duden-export">
+                <span>
+                  {query.trim()
+                    ? "Treffer exportieren:"
+                    : tagFilter || collectionFilter
+                      ? "Auswahl exportieren:"
+                      : "Alle Einträge exportieren:"}
+                </span>
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <a key={format} className="duden-link-button" href={exportUrl(format)} download>
+                    {label}
+                  </a>
+                ))}
+                <select
+                  value={exportPos}
+                  onChange={(event) => setExportPos(event.target.value)}
+                  aria-label="Wortart für den Export"
+                >
+                  <option value="">alle Wortarten</option>
+                  {PART_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {isLoggedIn ? (
+                  <a
+                    className="duden-link-button"
+                    href="/api/book.pdf"
+                    download
+                    title="Druckfertiges Wörterbuch im A5-Format"
+                  >
+                    Buch (PDF)
+                  </a>
+                ) : null}
+                <span>Alternativen:</span>
+                {AI_SITUATION_META.map((meta) => (
+                  <label key={meta.key} title={meta.label}>
+                    <input
+                      type="checkbox"
+                      checked={exportSituations.includes(meta.key)}
+                      onChange={() => toggleExportSituation(meta.key)}
+                    />
+                    {meta.icon}
+                  </label>
+                ))}
               </div>
+              {isLoggedIn ? (
+                <div className="duden-export">
+                  <span>Druckbogen ({printSelection.length} Karten):</span>
+                  <select
+                    value={printSize}
+                    onChange={(event) => setPrintSize(event.target.value)}
+                    aria-label="Kartengröße"
+                  >
+                    {PRINT_SIZES.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label title="Vorderseite mit dem Stichwort, Rückseite mit den Details">
+                    <input
+                      type="checkbox"
+                      checked={printDuplex}
+                      onChange={(event) => setPrintDuplex(event.target.checked)}
+                    />
+                    Duplex
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={printCutMarks}
+                      onChange={(event) => setPrintCutMarks(event.target.checked)}
+                    />
+                    Schnittmarken
+                  </label>
+                  <button
+                    type="button"
+                    className="duden-link-button"
+                    onClick={downloadPrintSheets}
+                    disabled={printSelection.length === 0 || printStatus === "loading"}
+                  >
+                    {printStatus === "loading" ? "Wird erstellt …" : "PDF erstellen"}
+                  </button>
+                  <button type="button" className="duden-link-button" onClick={selectAllForPrint}>
+                    Alle angezeigten
+                  </button>
+                  {printSelection.length > 0 ? (
+                    <button type="button" className="duden-link-button" onClick={() => setPrintSelection([])}>
+                      Auswahl aufheben
+                    </button>
+                  ) : null}
+                </div>
+              ) : null}
 
               {status === "loading" && (
                 <p className="duden-status" role="status">
@@ -1298,26 +2047,143 @@ export default function App() {
               )}
               {error && <p className="duden-error">{error}</p>}
 
+              {permalinkEntry && !query.trim() ? (
+                <p className="duden-status duden-permalink-note">
+                  Einzelner Eintrag ·{" "}
+                  <button type="button" className="duden-link-button" onClick={closePermalink}>
+                    Alle Einträge anzeigen
+                  </button>
+                </p>
+              ) : null}
               <div className="duden-list">
                 {filteredEntries.length === 0 && status !== "loading" ? (
-                  <p className="duden-status">Noch keine Einträge vorhanden.</p>
+                  <div className="duden-status">
+                    <p>{query.trim() ? "Keine Treffer gefunden." : "Noch keine Einträge vorhanden."}</p>
+                    {query.trim() && searchHints.suggestions.length > 0 ? (
+                      <p className="duden-did-you-mean">
+                        Meinten Sie{" "}
+                        {searchHints.suggestions.map((suggestion, index) => (
+                          <span key={suggestion._id}>
+                            {index > 0 ? ", " : ""}
+                            <button
+                              type="button"
+                              className="duden-link-button"
+                              onClick={() => setQuery(suggestion.term)}
+                            >
+                              {suggestion.term}
+                            </button>
+                          </span>
+                        ))}
+                        ?
+                      </p>
+                    ) : null}
+                    {query.trim() && searchHints.correction && !searchHints.suggestions.length ? (
+                      <p className="duden-did-you-mean">
+                        Meinten Sie{" "}
+                        <button
+                          type="button"
+                          className="duden-link-button"
+                          onClick={() => setQuery(searchHints.correction)}
+                        >
+                          {searchHints.correction}
+                        </button>
+                        ?
+                      </p>
+                    ) : null}
+                    {query.trim() && searchResults && canEdit && createCandidate ? (
+                      <button
+                        type="button"
+                        className="duden-secondary"
+                        onClick={() => startCreate(createCandidate)}
+                      >
+                        „{createCandidate}“ als neuen Eintrag anlegen
+                      </button>
+                    ) : null}
+                  </div>
                 ) : (
                   filteredEntries.map((entry, index) => (
                     <article
                       className="duden-entry"
                       key={entry._id}
-                      style={{ animationDelay: `${index * 70}ms` }}
+                      style={{ animationDelay: `${(index % ENTRY_PAGE_SIZE) * 70}ms` }}
                     >
                       <div className="duden-entry-head">
-                        <h3>{displayTerm(entry)}</h3>
+                        <h3>
+                          {(() => {
+                            const termSnippet = (searchSnippets[entry._id] || []).find(
+                              (snippet) => snippet.field === "term"
+                            );
+                            const label = termSnippet ? (
+                              <>
+                                <Highlighted snippet={termSnippet} />
+                                {displayTerm(entry).slice(asText(entry.term).trim().length)}
+                              </>
+                            ) : (
+                              displayTerm(entry)
+                            );
+                            if (!entry.slug) return label;
+                            return (
+                              <a
+                                className="duden-permalink"
+                                href={`/wort/${entry.slug}`}
+                                onClick={(event) => followPermalink(event, entry)}
+                                title="Link zu diesem Eintrag"
+                              >
+                                {label}
+                              </a>
+                            );
+                          })()}
+                        </h3>
                         <div className="duden-entry-icons">
+                          {isLoggedIn ? (
+                            <label className="duden-print-select" title="Für den Druckbogen auswählen">
+                              <input
+                                type="checkbox"
+                                checked={printSelection.includes(entry._id)}
+                                onChange={() => togglePrintSelection(entry._id)}
+                                aria-label="Für den Druckbogen auswählen"
+                              />
+                            </label>
+                          ) : null}
+                          <span className="duden-card-picker">
+                            <button
+                              type="button"
+                              className="duden-card duden-card--icon"
+                              onClick={() =>
+                                cardTemplates.length > 1
+                                  ? setCardMenuId((current) => (current === entry._id ? null : entry._id))
+                                  : downloadCard(entry)
+                              }
+                              title="Lernkarte herunterladen"
+                              aria-label="Lernkarte herunterladen"
+                              aria-haspopup={cardTemplates.length > 1 ? "menu" : undefined}
+                              aria-expanded={cardTemplates.length > 1 ? cardMenuId === entry._id : undefined}
+                            />
+                            {cardMenuId === entry._id ? (
+                              <span className="duden-card-menu" role="menu">
+                                {cardTemplates.map((template) => (
+                                  <button
+                                    key={template._id}
+                                    type="button"
+                                    role="menuitemradio"
+                                    aria-checked={template._id === cardTemplateId}
+                                    onClick={() => downloadCard(entry, template._id)}
+                                  >
+                                    {template.name}
+                                  </button>
+                                ))}
+                              </span>
+                            ) : null}
+                          </span>
                           <button
                             type="button"
-                            className="duden-card duden-card--icon"
-                            onClick={() => downloadCard(entry)}
-                            title="Lernkarte herunterladen"
-                            aria-label="Lernkarte herunterladen"
-                          />
+                            className="duden-icon-btn"
+                            onClick={() => shareCard(entry)}
+                            title="Link zur Lernkarte kopieren"
+                            aria-label="Link zur Lernkarte kopieren"
+                          >
+                            🔗
+                          </button>
                           {dudenLink(entry) ? (
                             <a
                               className="duden-icon-btn"
@@ -1330,7 +2196,7 @@ export default function App() {
                               <img src={dIcon} alt="" className="duden-icon-img" />
                             </a>
                           ) : null}
-                          {isLoggedIn && editorMode ? (
+                          {canEdit && editorMode ? (
                             <>
                               <button
                                 type="button"
@@ -1341,15 +2207,17 @@ export default function App() {
                               >
                                 ✎
                               </button>
-                              <button
-                                type="button"
-                                className="duden-icon-btn duden-danger"
-                                onClick={() => deleteEntry(entry)}
-                                title="Eintrag löschen"
-                                aria-label="Eintrag löschen"
-                              >
-                                🗑
-                              </button>
+                              {isAdmin ? (
+                                <button
+                                  type="button"
+                                  className="duden-icon-btn duden-danger"
+                                  onClick={() => deleteEntry(entry)}
+                                  title="Eintrag löschen"
+                                  aria-label="Eintrag löschen"
+                                >
+                                  🗑
+                                </button>
+                              ) : null}
                             </>
                           ) : null}
                         </div>
@@ -1357,20 +2225,88 @@ export default function App() {
                       <p className="duden-entry-type">
                         {partLabel(entry)}
                       </p>
-                      <div className="duden-entry-block">
-                        <span>Bedeutung:</span>
-                        <p>{entry.definition}</p>
-                      </div>
-                      {entry.example ? (
+                      {(searchSnippets[entry._id] || [])
+                        .filter((snippet) => snippet.field !== "term")
+                        .slice(0, 1)
+                        .map((snippet) => (
+                          <p className="duden-entry-snippet" key={`snippet-${snippet.field}`}>
+                            <span>Treffer in {SEARCH_FIELD_LABELS[snippet.field] || snippet.field}:</span>{" "}
+                            <Highlighted snippet={snippet} />
+                          </p>
+                        ))}
+                      {asArray(entry.senses).length > 1 ? (
                         <div className="duden-entry-block">
-                          <span>Gebrauch:</span>
-                          <p>{entry.example}</p>
+                          <span>Bedeutungen:</span>
+                          <ol className="duden-senses">
+                            {entry.senses.map((sense, index) => (
+                              <li key={index}>
+                                <p>
+                                  {sense.register ? <em className="duden-sense-register">{sense.register}</em> : null}
+                                  {sense.definition}
+                                </p>
+                                {asArray(sense.examples).length ? (
+                                  <p className="duden-sense-example">{sense.examples.join(" · ")}</p>
+                                ) : null}
+                                {asArray(sense.synonyms).length ? (
+                                  <p>
+                                    <span>Synonyme:</span> {sense.synonyms.join(", ")}
+                                  </p>
+                                ) : null}
+                              </li>
+                            ))}
+                          </ol>
                         </div>
-                      ) : null}
-                      {entry.synonyms ? (
-                        <div className="duden-entry-block">
-                          <span>Synonyme:</span>
-                          <p>{entry.synonyms}</p>
+                      ) : (
+                        <>
+                          <div className="duden-entry-block">
+                            <span>Bedeutung:</span>
+                            <p>
+                              {asArray(entry.senses)[0]?.register ? (
+                                <em className="duden-sense-register">{entry.senses[0].register}</em>
+                              ) : null}
+                              {entry.definition}
+                            </p>
+                          </div>
+                          {entry.example ? (
+                            <div className="duden-entry-block">
+                              <span>Gebrauch:</span>
+                              <p>{entry.example}</p>
+                            </div>
+                          ) : null}
+                          {entry.synonyms ? (
+                            <div className="duden-entry-block">
+                              <span>Synonyme:</span>
+                              <p>{entry.synonyms}</p>
+                            </div>
+                          ) : null}
+                        </>
+                      )}
+                      {asArray(entry.tags).length || asArray(entry.collections).length ? (
+                        <div className="duden-entry-tags">
+                          {collections
+                            .filter((collection) => asArray(entry.collections).includes(collection._id))
+                            .map((collection) => (
+                              <button
+                                key={collection._id}
+                                type="button"
+                                className="duden-tag duden-tag--collection"
+                                onClick={() => selectCollection(collection.slug)}
+                                title={collection.description || "Sammlung anzeigen"}
+                              >
+                                {collection.name}
+                              </button>
+                            ))}
+                          {asArray(entry.tags).map((tag) => (
+                            <button
+                              key={tag}
+                              type="button"
+                              className="duden-tag"
+                              onClick={() => selectTag(tag)}
+                              title="Alle Einträge mit diesem Tag"
+                            >
+                              #{tag}
+                            </button>
+                          ))}
                         </div>
                       ) : null}
                       {(() => {
@@ -1401,7 +2337,7 @@ export default function App() {
                           {synStatusMessage ? (
                             <span
                               className={
-                                synStatusMessage.includes("passen jetzt")
+                                panel?.statusOk
                                   ? "duden-status"
                                   : "duden-error"
                               }
@@ -1409,19 +2345,19 @@ export default function App() {
                               {synStatusMessage}
                             </span>
                           ) : null}
-                          {isLoggedIn && editorMode ? (
+                          {canEdit && editorMode ? (
                             <div className="duden-ai-panel-actions">
                               <button
                                 type="button"
                                 className="duden-icon-btn"
                                 onClick={() => requestAiAlternatives(entry)}
-                                disabled={panel?.status === "loading"}
+                                disabled={panel?.status === "loading" || retrySeconds("ai") > 0}
                                 title="KI erneut abfragen"
                                 aria-label="KI erneut abfragen"
                               >
                                 ★
                               </button>
-                              {panel?.count > 0 ? (
+                              {panel?.count > 0 && isAdmin ? (
                                 <button
                                   type="button"
                                   className="duden-icon-btn duden-danger"
@@ -1437,7 +2373,13 @@ export default function App() {
                           ) : null}
                         </div>
                         {panel?.status === "error" ? (
-                              <p className="duden-error">{panel?.error}</p>
+                              <p className="duden-error">
+                                {!panel?.rateLimited
+                                  ? panel?.error
+                                  : retrySeconds("ai") > 0
+                                    ? rateLimitMessage("ai", retrySeconds("ai"))
+                                    : "Du kannst die KI jetzt erneut abfragen."}
+                              </p>
                             ) : null}
                             {isOpen ? (
                               <div className="duden-ai-panel-body">
@@ -1498,9 +2440,21 @@ export default function App() {
                   ))
                 )}
               </div>
+              {nextCursor && !query.trim() && !permalinkEntry ? (
+                <div className="duden-list-more" ref={listEndRef}>
+                  <button
+                    type="button"
+                    className="duden-secondary"
+                    onClick={loadMoreEntries}
+                    disabled={loadingMore}
+                  >
+                    {loadingMore ? "Lade weitere Einträge ..." : "Weitere Einträge laden"}
+                  </button>
+                </div>
+              ) : null}
             </section>
 
-            {isLoggedIn && editorMode ? (
+            {canEdit && editorMode ? (
               <aside className="duden-side">
                 <form id="duden-form" onSubmit={submitEntry} className="duden-form">
                   <div className="duden-form-header">
@@ -1548,6 +2502,7 @@ export default function App() {
                               .filter(Boolean)
                               .join(", ")}
                             ?
+                            {reviewResult?.source === "hunspell" ? " (Offline-Wörterbuch)" : ""}
                           </p>
                           {items.map((item, index) => {
                             const target = item.to || item.suggestion || item.corrected;
@@ -1609,7 +2564,7 @@ export default function App() {
                     <input type="hidden" value={form.article} readOnly />
                   ) : null}
                   <label>
-                    Bedeutung
+                    Bedeutung{asArray(form.senses).length ? " 1" : ""}
                     <textarea
                       value={form.definition}
                       onChange={updateForm("definition")}
@@ -1634,6 +2589,17 @@ export default function App() {
                       </div>
                     ) : null}
                   </label>
+                  <label>
+                    Stil (optional)
+                    <input
+                      type="text"
+                      value={form.register}
+                      onChange={updateForm("register")}
+                      list="duden-register-options"
+                      maxLength={40}
+                      placeholder="z. B. umgangssprachlich"
+                    />
+                  </label>
                   <label>
                     Gebrauch (optional)
                     <textarea
@@ -1684,11 +2650,55 @@ export default function App() {
                       </div>
                     ) : null}
                   </label>
+                  <div className="duden-pos">
+                    <span>Weitere Bedeutungen</span>
+                    <SenseEditor
+                      senses={asArray(form.senses)}
+                      onChange={(senses) => setForm((current) => ({ ...current, senses }))}
+                    />
+                  </div>
+                  <div className="duden-pos">
+                    <span>Tags (optional)</span>
+                    <TagInput
+                      tags={asArray(form.tags)}
+                      knownTags={knownTags}
+                      onChange={(tags) => setForm((current) => ({ ...current, tags }))}
+                    />
+                  </div>
+                  {collections.length ? (
+                    <div className="duden-pos">
+                      <span>Sammlungen</span>
+                      <div className="duden-pos-pills" role="group" aria-label="Sammlungen">
+                        {collections.map((collection) => {
+                          const active = asArray(form.collections).includes(collection._id);
+                          return (
+                            <button
+                              key={collection._id}
+                              type="button"
+                              className={`duden-pos-pill${active ? " is-active" : ""}`}
+                              onClick={() =>
+                                setForm((current) => ({
+                                  ...current,
+                                  collections: active
+                                    ? asArray(current.collections).filter((id) => id !== collection._id)
+                                    : [...asArray(current.collections), collection._id]
+                                }))
+                              }
+                              aria-pressed={active}
+                              title={collection.description || undefined}
+                            >
+                              {collection.name}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ) : null}
                   <div className="duden-ai">
                     <button
                       type="button"
                       className="duden-secondary"
-                      onClick={completeWithAi}
+                      onClick={() => completeWithAi()}
                       disabled={aiStatus === "loading"}
                     >
                       {aiButtonLabel()}
@@ -1696,17 +2706,39 @@ export default function App() {
                     {aiMessage ? (
                       <p className={aiStatus === "error" ? "duden-error" : "duden-status"}>
                         {aiMessage}
+                        {aiFromCache && aiStatus === "success" ? (
+                          <>
+                            {" "}
+                            (aus dem Cache){" "}
+                            <button
+                              type="button"
+                              className="duden-link-button"
+                              onClick={() => completeWithAi({ refresh: true })}
+                            >
+                              Neu abfragen
+                            </button>
+                          </>
+                        ) : null}
                       </p>
                     ) : null}
                   </div>
                   <button type="submit" className="duden-save" disabled={status === "saving"}>
                     {status === "saving" ? "Speichern ..." : "Eintrag speichern"}
                   </button>
-                  {editingId && isLoggedIn ? (
+                  {editingId && canEdit ? (
                     <button type="button" className="duden-secondary" onClick={cancelEdit}>
                       Bearbeitung abbrechen
                     </button>
                   ) : null}
+                  {editingId && canEdit ? (
+                    <RevisionHistory
+                      entryId={editingId}
+                      onRestored={(restored) => {
+                        startEdit(restored);
+                        loadEntries();
+                      }}
+                    />
+                  ) : null}
                 </form>
               </aside>
             ) : null}
@@ -0,0 +1,352 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const SECTION_LABELS = {
+  definition: "Bedeutung",
+  example: "Gebrauch",
+  synonyms: "Synonyme",
+  situations: "Situative Alternativen"
+};
+
+const COLOR_LABELS = {
+  background: "Hintergrund",
+  band: "Kopfband",
+  text: "Schrift",
+  muted: "Nebenschrift",
+  border: "Rahmen"
+};
+
+const FONT_OPTIONS = [
+  { value: "serif", label: "Serif (Libre Baskerville)" },
+  { value: "sans", label: "Sans (Source Sans 3)" }
+];
+
+const ERROR_MESSAGES = {
+  "template name already exists": "Eine Vorlage mit diesem Namen gibt es bereits.",
+  "template not found": "Die Vorlage gibt es nicht mehr.",
+  "too many alternatives for the card": "Der Beispieltext passt nicht auf dieses Format."
+};
+
+const PREVIEW_DELAY_MS = 400;
+
+// Only the fields the API stores; _id, timestamps and authors stay out of the form.
+const templateForm = (template) => ({
+  name: template.builtIn ? "" : template.name,
+  width: template.width,
+  height: template.height,
+  colors: { ...template.colors },
+  fonts: { ...template.fonts },
+  sections: [...template.sections],
+  showLogo: template.showLogo,
+  showQr: template.showQr,
+  title: template.title,
+  footer: template.footer
+});
+
+export default function CardTemplates({ templates, canDelete, onChanged, onClose }) {
+  const [selectedId, setSelectedId] = useState("");
+  const [form, setForm] = useState(() => templateForm(templates[0]));
+  const [previewUrl, setPreviewUrl] = useState("");
+  const [previewError, setPreviewError] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [message, setMessage] = useState("");
+
+  const request = async (url, options = {}) => {
+    const response = await apiFetch(url, {
+      credentials: "include",
+      ...options,
+      headers: options.body ? { "Content-Type": "application/json" } : undefined
+    });
+    if (response.ok && response.headers.get("content-type")?.startsWith("image/")) {
+      return response.blob();
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = Array.isArray(payload.details) ? ` (${payload.details.join("; ")})` : "";
+      throw new Error(`${ERROR_MESSAGES[payload.error] || payload.error || "Aktion fehlgeschlagen"}${details}`);
+    }
+    return payload;
+  };
+
+  // Empty id starts a new template from the standard card.
+  const selectTemplate = (id) => {
+    const template = templates.find((item) => item._id === id) || templates[0];
+    setSelectedId(id);
+    setForm(templateForm(template));
+    setMessage("");
+  };
+
+  // The old image stays until the next one is ready, so the preview does not flicker.
+  useEffect(() => () => previewUrl && URL.revokeObjectURL(previewUrl), [previewUrl]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const blob = await request("/api/card-templates/preview", {
+          method: "POST",
+          body: JSON.stringify({ template: form })
+        });
+        if (cancelled) return;
+        setPreviewUrl(URL.createObjectURL(blob));
+        setPreviewError("");
+      } catch (err) {
+        if (!cancelled) setPreviewError(err.message);
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [form]);
+
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+  const updateGroup = (group, key, value) =>
+    setForm((current) => ({ ...current, [group]: { ...current[group], [key]: value } }));
+
+  const toggleSection = (section) =>
+    setForm((current) => ({
+      ...current,
+      sections: current.sections.includes(section)
+        ? current.sections.filter((item) => item !== section)
+        : [...current.sections, section]
+    }));
+
+  const moveSection = (index, offset) =>
+    setForm((current) => {
+      const sections = [...current.sections];
+      [sections[index], sections[index + offset]] = [sections[index + offset], sections[index]];
+      return { ...current, sections };
+    });
+
+  const run = async (action, successMessage) => {
+    setStatus("working");
+    setMessage("");
+    try {
+      const result = await action();
+      setMessage(successMessage);
+      setStatus("idle");
+      await onChanged();
+      return result;
+    } catch (err) {
+      setMessage(err.message);
+      setStatus("error");
+      return null;
+    }
+  };
+
+  const saveTemplate = async (event) => {
+    event.preventDefault();
+    const body = JSON.stringify({ ...form, name: form.name.trim() });
+    const saved = await run(
+      () =>
+        selectedId
+          ? request(`/api/card-templates/${selectedId}`, { method: "PUT", body })
+          : request("/api/card-templates", { method: "POST", body }),
+      `Vorlage „${form.name.trim()}“ gespeichert.`
+    );
+    if (saved) setSelectedId(saved._id);
+  };
+
+  const removeTemplate = async () => {
+    if (!window.confirm(`Vorlage „${form.name}“ löschen?`)) return;
+    const removed = await run(
+      () => request(`/api/card-templates/${selectedId}`, { method: "DELETE" }),
+      `Vorlage „${form.name}“ gelöscht.`
+    );
+    if (removed) selectTemplate("");
+  };
+
+  const unusedSections = Object.keys(SECTION_LABELS).filter((section) => !form.sections.includes(section));
+
+  return (
+    <div className="duden-templates">
+      <div className="duden-form-header">
+        <h2>Kartenvorlagen</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      <p className="duden-status">
+        Vorlagen legen Größe, Farben, Schriften und Inhalt der Lernkarten fest. Die Standardkarte lässt sich
+        nicht ändern, aber als Ausgangspunkt für eine neue Vorlage nehmen.
+      </p>
+      <label className="duden-templates-pick">
+        Bearbeiten
+        <select value={selectedId} onChange={(event) => selectTemplate(event.target.value)}>
+          <option value="">Neue Vorlage</option>
+          {templates
+            .filter((template) => !template.builtIn)
+            .map((template) => (
+              <option key={template._id} value={template._id}>
+                {template.name}
+              </option>
+            ))}
+        </select>
+      </label>
+      <form className="duden-templates-form" onSubmit={saveTemplate}>
+        <div className="duden-templates-fields">
+          <label>
+            Name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(event) => update({ name: event.target.value })}
+              maxLength={60}
+              required
+            />
+          </label>
+          <div className="duden-templates-row">
+            <label>
+              Breite (px)
+              <input
+                type="number"
+                min={400}
+                max={1800}
+                value={form.width}
+                onChange={(event) => update({ width: Number(event.target.value) })}
+              />
+            </label>
+            <label>
+              Höhe (px)
+              <input
+                type="number"
+                min={300}
+                max={1800}
+                value={form.height}
+                onChange={(event) => update({ height: Number(event.target.value) })}
+              />
+            </label>
+          </div>
+          <div className="duden-templates-row">
+            {Object.entries(COLOR_LABELS).map(([key, label]) => (
+              <label key={key}>
+                {label}
+                <input
+                  type="color"
+                  value={form.colors[key]}
+                  onChange={(event) => updateGroup("colors", key, event.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="duden-templates-row">
+            <label>
+              Überschrift
+              <select value={form.fonts.heading} onChange={(event) => updateGroup("fonts", "heading", event.target.value)}>
+                {FONT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Text
+              <select value={form.fonts.body} onChange={(event) => updateGroup("fonts", "body", event.target.value)}>
+                {FONT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <fieldset className="duden-templates-sections">
+            <legend>Inhalt (Reihenfolge auf der Karte)</legend>
+            {form.sections.map((section, index) => (
+              <div key={section} className="duden-templates-section">
+                <label>
+                  <input type="checkbox" checked onChange={() => toggleSection(section)} />
+                  {SECTION_LABELS[section]}
+                </label>
+                <button
+                  type="button"
+                  className="duden-icon-btn"
+                  onClick={() => moveSection(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`${SECTION_LABELS[section]} nach oben`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="duden-icon-btn"
+                  onClick={() => moveSection(index, 1)}
+                  disabled={index === form.sections.length - 1}
+                  aria-label={`${SECTION_LABELS[section]} nach unten`}
+                >
+                  ↓
+                </button>
+              </div>
+            ))}
+            {unusedSections.map((section) => (
+              <label key={section} className="duden-templates-section">
+                <input type="checkbox" checked={false} onChange={() => toggleSection(section)} />
+                {SECTION_LABELS[section]}
+              </label>
+            ))}
+          </fieldset>
+          <div className="duden-templates-row">
+            <label>
+              <input
+                type="checkbox"
+                checked={form.showLogo}
+                onChange={(event) => update({ showLogo: event.target.checked })}
+              />
+              Logo
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={form.showQr}
+                onChange={(event) => update({ showQr: event.target.checked })}
+              />
+              QR-Code
+            </label>
+          </div>
+          <label>
+            Titel im Kopfband
+            <input
+              type="text"
+              value={form.title}
+              onChange={(event) => update({ title: event.target.value })}
+              maxLength={80}
+            />
+          </label>
+          <label>
+            Fußzeile
+            <input
+              type="text"
+              value={form.footer}
+              onChange={(event) => update({ footer: event.target.value })}
+              maxLength={80}
+            />
+          </label>
+          <div className="duden-templates-row">
+            <button type="submit" className="duden-secondary" disabled={status === "working"}>
+              {selectedId ? "Speichern" : "Als neue Vorlage anlegen"}
+            </button>
+            {selectedId && canDelete ? (
+              <button
+                type="button"
+                className="duden-icon-btn duden-danger"
+                onClick={removeTemplate}
+                disabled={status === "working"}
+                title="Vorlage löschen"
+                aria-label="Vorlage löschen"
+              >
+                🗑
+              </button>
+            ) : null}
+          </div>
+          {message ? <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p> : null}
+        </div>
+        <div className="duden-templates-preview">
+          {previewUrl ? <img src={previewUrl} alt="Vorschau der Lernkarte" /> : null}
+          {previewError ? <p className="duden-error">{previewError}</p> : null}
+        </div>
+      </form>
+    </div>
+  );
+}
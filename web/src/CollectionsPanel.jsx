@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { apiFetch } from "./api.js";
+
+const ERROR_MESSAGES = {
+  "collection name already exists": "Eine Sammlung mit diesem Namen gibt es bereits.",
+  "collection not found": "Die Sammlung gibt es nicht mehr."
+};
+
+const emptyCollection = { name: "", description: "" };
+
+export default function CollectionsPanel({ collections, canDelete, onChanged, onClose }) {
+  const [selectedId, setSelectedId] = useState("");
+  const [form, setForm] = useState(emptyCollection);
+  const [status, setStatus] = useState("idle");
+  const [message, setMessage] = useState("");
+
+  const selected = collections.find((collection) => collection._id === selectedId);
+
+  const request = async (url, options = {}) => {
+    const response = await apiFetch(url, {
+      credentials: "include",
+      ...options,
+      headers: options.body ? { "Content-Type": "application/json" } : undefined
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = Array.isArray(payload.details) ? ` (${payload.details.join("; ")})` : "";
+      throw new Error(`${ERROR_MESSAGES[payload.error] || payload.error || "Aktion fehlgeschlagen"}${details}`);
+    }
+    return payload;
+  };
+
+  // Empty id starts a new collection.
+  const selectCollection = (id) => {
+    const collection = collections.find((item) => item._id === id);
+    setSelectedId(collection ? id : "");
+    setForm(collection ? { name: collection.name, description: collection.description || "" } : emptyCollection);
+    setMessage("");
+  };
+
+  const run = async (action, successMessage) => {
+    setStatus("working");
+    setMessage("");
+    try {
+      const result = await action();
+      setMessage(successMessage);
+      setStatus("idle");
+      await onChanged();
+      return result;
+    } catch (err) {
+      setMessage(err.message);
+      setStatus("error");
+      return null;
+    }
+  };
+
+  const saveCollection = async (event) => {
+    event.preventDefault();
+    const body = JSON.stringify({ name: form.name.trim(), description: form.description.trim() });
+    const saved = await run(
+      () =>
+        selectedId
+          ? request(`/api/collections/${selectedId}`, { method: "PUT", body })
+          : request("/api/collections", { method: "POST", body }),
+      `Sammlung „${form.name.trim()}“ gespeichert.`
+    );
+    if (saved) setSelectedId(saved._id);
+  };
+
+  const removeCollection = async () => {
+    if (!window.confirm(`Sammlung „${form.name}“ löschen? Die Einträge bleiben erhalten.`)) return;
+    const removed = await run(
+      () => request(`/api/collections/${selectedId}`, { method: "DELETE" }),
+      `Sammlung „${form.name}“ gelöscht.`
+    );
+    if (removed) selectCollection("");
+  };
+
+  const shareUrl = selected ? `${window.location.origin}/sammlung/${selected.slug}` : "";
+
+  return (
+    <div className="duden-templates">
+      <div className="duden-form-header">
+        <h2>Sammlungen</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      <p className="duden-status">
+        Sammlungen fassen Einträge zu einem Thema zusammen, etwa „Jugendsprache“ oder „Büro“. Einträge werden im
+        Formular einer Sammlung zugeordnet; jede Sammlung hat einen eigenen Link und lässt sich exportieren.
+      </p>
+      <label className="duden-templates-pick">
+        Bearbeiten
+        <select value={selectedId} onChange={(event) => selectCollection(event.target.value)}>
+          <option value="">Neue Sammlung</option>
+          {collections.map((collection) => (
+            <option key={collection._id} value={collection._id}>
+              {collection.name} ({collection.count})
+            </option>
+          ))}
+        </select>
+      </label>
+      <form className="duden-collections-form" onSubmit={saveCollection}>
+        <label>
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={(event) => setForm((current) => ({ ...current, name: event.target.value }))}
+            maxLength={60}
+            required
+          />
+        </label>
+        <label>
+          Beschreibung
+          <textarea
+            value={form.description}
+            onChange={(event) => setForm((current) => ({ ...current, description: event.target.value }))}
+            maxLength={500}
+            rows="3"
+          />
+        </label>
+        {selected ? (
+          <p className="duden-status">
+            Link: <a href={`/sammlung/${selected.slug}`}>{shareUrl}</a>
+          </p>
+        ) : null}
+        <div className="duden-templates-row">
+          <button type="submit" className="duden-secondary" disabled={status === "working"}>
+            {selectedId ? "Speichern" : "Sammlung anlegen"}
+          </button>
+          {selectedId && canDelete ? (
+            <button
+              type="button"
+              className="duden-icon-btn duden-danger"
+              onClick={removeCollection}
+              disabled={status === "working"}
+              title="Sammlung löschen"
+              aria-label="Sammlung löschen"
+            >
+              🗑
+            </button>
+          ) : null}
+        </div>
+        {message ? <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p> : null}
+      </form>
+    </div>
+  );
+}
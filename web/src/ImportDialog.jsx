@@ -0,0 +1,203 @@
+import { useState } from "react";
+import { apiFetch } from "./api.js";
+
+const FIELD_LABELS = {
+  term: "Begriff",
+  definition: "Bedeutung",
+  example: "Gebrauch",
+  synonyms: "Synonyme",
+  senses: "Bedeutungen (nummeriert)",
+  partOfSpeech: "Wortart",
+  article: "Artikel",
+  tags: "Tags"
+};
+
+const STATUS_LABELS = {
+  created: "neu",
+  updated: "aktualisiert",
+  skipped: "übersprungen",
+  error: "Fehler"
+};
+
+const REASON_LABELS = {
+  "duplicate in file": "doppelt in der Datei",
+  "term already exists": "Begriff existiert bereits",
+  unchanged: "keine Änderung"
+};
+
+const ERROR_LABELS = {
+  "term and definition are required": "Begriff und Bedeutung fehlen",
+  "invalid senses": "Bedeutungen nicht lesbar",
+  "term already exists": "Begriff existiert bereits"
+};
+
+const detectFormat = (file) => (/\.json$/i.test(file.name) ? "json" : "csv");
+
+export default function ImportDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState("");
+  const [format, setFormat] = useState("csv");
+  const [mapping, setMapping] = useState(null);
+  const [duplicates, setDuplicates] = useState("skip");
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [message, setMessage] = useState("");
+
+  const runImport = async ({ dryRun, nextMapping = mapping, nextDuplicates = duplicates, text = content, type = format }) => {
+    setStatus("working");
+    setMessage("");
+    try {
+      const response = await apiFetch("/api/entries/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          format: type,
+          content: text,
+          mapping: nextMapping || undefined,
+          duplicates: nextDuplicates,
+          dryRun
+        })
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Import fehlgeschlagen");
+      }
+      setReport(payload);
+      // Keep unmapped fields explicit so the server does not guess them again.
+      setMapping(
+        Object.fromEntries(Object.keys(FIELD_LABELS).map((field) => [field, payload.mapping?.[field] || ""]))
+      );
+      setStatus(dryRun ? "preview" : "done");
+      if (!dryRun) {
+        setMessage("Import abgeschlossen.");
+        onImported?.(payload);
+      }
+    } catch (err) {
+      setMessage(err.message || "Import fehlgeschlagen");
+      setStatus("error");
+    }
+  };
+
+  const chooseFile = async (event) => {
+    const selected = event.target.files?.[0];
+    if (!selected) return;
+    const text = await selected.text();
+    const type = detectFormat(selected);
+    setFile(selected);
+    setContent(text);
+    setFormat(type);
+    setMapping(null);
+    setReport(null);
+    await runImport({ dryRun: true, nextMapping: null, text, type });
+  };
+
+  const changeMapping = (field, column) => {
+    const nextMapping = { ...mapping, [field]: column };
+    setMapping(nextMapping);
+    runImport({ dryRun: true, nextMapping });
+  };
+
+  const changeDuplicates = (value) => {
+    setDuplicates(value);
+    if (content) runImport({ dryRun: true, nextDuplicates: value });
+  };
+
+  const summary = report?.summary;
+  const pending = summary ? summary.created + summary.updated : 0;
+
+  return (
+    <div className="duden-import">
+      <div className="duden-form-header">
+        <h2>Einträge importieren</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      <p className="duden-status">
+        CSV (Trennzeichen ; , oder Tab, erste Zeile mit Spaltennamen) oder JSON (Liste von Einträgen).
+        Vor dem Speichern wird ein Probelauf angezeigt.
+      </p>
+      <label className="duden-import-file">
+        Datei
+        <input type="file" accept=".csv,.txt,.json,text/csv,application/json" onChange={chooseFile} />
+      </label>
+      {file && report ? (
+        <>
+          <fieldset className="duden-import-mapping">
+            <legend>Spaltenzuordnung</legend>
+            {Object.entries(FIELD_LABELS).map(([field, label]) => (
+              <label key={field}>
+                {label}
+                <select
+                  value={mapping?.[field] || ""}
+                  onChange={(event) => changeMapping(field, event.target.value)}
+                  disabled={status === "working"}
+                >
+                  <option value="">– nicht importieren –</option>
+                  {report.columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+          <label className="duden-import-duplicates">
+            Vorhandene Begriffe
+            <select
+              value={duplicates}
+              onChange={(event) => changeDuplicates(event.target.value)}
+              disabled={status === "working"}
+            >
+              <option value="skip">überspringen</option>
+              <option value="update">mit ausgefüllten Spalten aktualisieren</option>
+            </select>
+          </label>
+        </>
+      ) : null}
+      {status === "working" ? <p className="duden-status">Datei wird geprüft ...</p> : null}
+      {message ? <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p> : null}
+      {summary ? (
+        <>
+          <p className="duden-status">
+            {report.dryRun ? "Probelauf: " : "Ergebnis: "}
+            {summary.created} neu · {summary.updated} aktualisiert · {summary.skipped} übersprungen ·{" "}
+            {summary.error} Fehler
+          </p>
+          {report.dryRun ? (
+            <button
+              type="button"
+              className="duden-secondary"
+              onClick={() => runImport({ dryRun: false })}
+              disabled={status === "working" || pending === 0}
+            >
+              {pending} Einträge übernehmen
+            </button>
+          ) : null}
+          <table className="duden-import-report">
+            <thead>
+              <tr>
+                <th>Zeile</th>
+                <th>Begriff</th>
+                <th>Ergebnis</th>
+                <th>Hinweis</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.row} className={`duden-import-${row.status}`}>
+                  <td>{row.row}</td>
+                  <td>{row.term || "–"}</td>
+                  <td>{STATUS_LABELS[row.status] || row.status}</td>
+                  <td>{ERROR_LABELS[row.error] || row.error || REASON_LABELS[row.reason] || row.reason || ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const FIELD_LABELS = {
+  term: "Lemma",
+  definition: "Bedeutung",
+  example: "Gebrauch",
+  synonyms: "Synonyme",
+  senses: "Bedeutungen",
+  partOfSpeech: "Wortart",
+  article: "Artikel",
+  tags: "Tags"
+};
+
+const ACTION_LABELS = {
+  create: "Angelegt",
+  update: "Geändert",
+  delete: "Gelöscht"
+};
+
+const SOURCE_LABELS = {
+  manual: "manuell",
+  "ai-complete": "KI-Vervollständigung",
+  "spellcheck-suggestion": "Rechtschreibvorschlag",
+  import: "Import",
+  restore: "Wiederherstellung"
+};
+
+// Senses are listed as "1. …; 2. …" with their register in parentheses.
+const formatSense = (sense, index) =>
+  `${index + 1}. ${sense.register ? `(${sense.register}) ` : ""}${sense.definition}`;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (!Array.isArray(value)) return String(value);
+  return value.some((item) => item && typeof item === "object")
+    ? value.map(formatSense).join("; ")
+    : value.join(", ");
+};
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("de-DE", { dateStyle: "medium", timeStyle: "short" });
+};
+
+export default function RevisionHistory({ entryId, onRestored }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [status, setStatus] = useState("idle");
+  const [message, setMessage] = useState("");
+
+  const loadRevisions = async () => {
+    setStatus("loading");
+    setMessage("");
+    try {
+      const response = await fetch(`/api/entries/${entryId}/revisions`, { credentials: "include" });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Verlauf konnte nicht geladen werden");
+      }
+      setRevisions(Array.isArray(payload.revisions) ? payload.revisions : []);
+      setStatus("idle");
+    } catch (err) {
+      setMessage(err.message || "Verlauf konnte nicht geladen werden");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    setRevisions([]);
+    if (open && entryId) loadRevisions();
+  }, [open, entryId]);
+
+  const restoreRevision = async (revision) => {
+    const ok = window.confirm("Stand vor dieser Änderung wiederherstellen?");
+    if (!ok) return;
+    setStatus("restoring");
+    setMessage("");
+    try {
+      const response = await apiFetch(
+        `/api/entries/${entryId}/revisions/${revision._id}/restore`,
+        { method: "POST", credentials: "include" }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Wiederherstellen fehlgeschlagen");
+      }
+      setMessage("Stand wiederhergestellt.");
+      await loadRevisions();
+      onRestored?.(payload);
+    } catch (err) {
+      setMessage(err.message || "Wiederherstellen fehlgeschlagen");
+      setStatus("error");
+    }
+  };
+
+  if (!entryId) return null;
+
+  return (
+    <div className="duden-revisions">
+      <button type="button" className="duden-secondary" onClick={() => setOpen((prev) => !prev)}>
+        {open ? "Verlauf ausblenden" : "Verlauf anzeigen"}
+      </button>
+      {open ? (
+        <div className="duden-revisions-list">
+          {status === "loading" ? <p className="duden-status">Verlauf wird geladen ...</p> : null}
+          {message ? (
+            <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p>
+          ) : null}
+          {status !== "loading" && revisions.length === 0 ? (
+            <p className="duden-status">Noch keine Änderungen gespeichert.</p>
+          ) : null}
+          {revisions.map((revision) => (
+            <div className="duden-revision" key={revision._id}>
+              <div className="duden-revision-head">
+                <strong>{ACTION_LABELS[revision.action] || revision.action}</strong>
+                <span>
+                  {formatDate(revision.createdAt)} · {SOURCE_LABELS[revision.source] || revision.source}
+                  {revision.user ? ` · ${revision.user}` : ""}
+                </span>
+              </div>
+              {revision.action === "update" ? (
+                <dl className="duden-revision-diff">
+                  {(revision.changes || []).map((change) => (
+                    <div key={change.field}>
+                      <dt>{FIELD_LABELS[change.field] || change.field}</dt>
+                      <dd>
+                        <del>{formatValue(change.from)}</del>
+                        <ins>{formatValue(change.to)}</ins>
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              ) : null}
+              {revision.previous ? (
+                <button
+                  type="button"
+                  className="duden-link-button"
+                  onClick={() => restoreRevision(revision)}
+                  disabled={status === "restoring"}
+                >
+                  Stand davor wiederherstellen
+                </button>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+const MAX_SENSES = 10;
+
+// Usual Duden style labels; any other text is allowed as well.
+const REGISTERS = ["umgangssprachlich", "salopp", "gehoben", "veraltet", "fachsprachlich", "scherzhaft", "abwertend"];
+
+const emptySense = { definition: "", examples: "", synonyms: "", register: "" };
+
+// The meanings after the first one, numbered from 2. Examples go one per line, synonyms are
+// separated by commas, like in the fields of the first meaning.
+export default function SenseEditor({ senses, onChange }) {
+  const updateSense = (index, field) => (event) =>
+    onChange(senses.map((sense, position) => (position === index ? { ...sense, [field]: event.target.value } : sense)));
+
+  const removeSense = (index) => onChange(senses.filter((_, position) => position !== index));
+
+  return (
+    <div className="duden-senses-editor">
+      {senses.map((sense, index) => (
+        <fieldset key={index} className="duden-sense-fields">
+          <legend>
+            Bedeutung {index + 2}
+            <button
+              type="button"
+              className="duden-link-button"
+              onClick={() => removeSense(index)}
+              aria-label={`Bedeutung ${index + 2} entfernen`}
+            >
+              Entfernen
+            </button>
+          </legend>
+          <label>
+            Bedeutung
+            <textarea value={sense.definition} onChange={updateSense(index, "definition")} rows="2" required />
+          </label>
+          <label>
+            Gebrauch (optional, ein Beispiel pro Zeile)
+            <textarea value={sense.examples} onChange={updateSense(index, "examples")} rows="2" />
+          </label>
+          <div className="duden-sense-row">
+            <label>
+              Synonyme (optional)
+              <input type="text" value={sense.synonyms} onChange={updateSense(index, "synonyms")} />
+            </label>
+            <label>
+              Stil (optional)
+              <input
+                type="text"
+                value={sense.register}
+                onChange={updateSense(index, "register")}
+                list="duden-register-options"
+                maxLength={40}
+                placeholder="z. B. umgangssprachlich"
+              />
+            </label>
+          </div>
+        </fieldset>
+      ))}
+      <button
+        type="button"
+        className="duden-secondary"
+        onClick={() => onChange([...senses, emptySense])}
+        disabled={senses.length + 1 >= MAX_SENSES}
+      >
+        Weitere Bedeutung
+      </button>
+      <datalist id="duden-register-options">
+        {REGISTERS.map((register) => (
+          <option key={register} value={register} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
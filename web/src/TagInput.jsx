@@ -0,0 +1,69 @@
+import { useState } from "react";
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+
+// Same rules as the API: lowercase, without a leading # and at most 40 characters.
+const normalizeTag = (value) =>
+  String(value || "")
+    .replace(/^\s*#+/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLocaleLowerCase("de")
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+
+// Chips for the tags of an entry; Enter or a comma adds the typed tag, the browser suggests tags
+// that are already in use.
+export default function TagInput({ tags, knownTags, onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const addTags = (value) => {
+    const added = String(value).split(",").map(normalizeTag).filter(Boolean);
+    if (added.length) onChange(Array.from(new Set([...tags, ...added])).slice(0, MAX_TAGS));
+    setDraft("");
+  };
+
+  const removeTag = (tag) => onChange(tags.filter((item) => item !== tag));
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter" || event.key === ",") {
+      event.preventDefault();
+      addTags(draft);
+    } else if (event.key === "Backspace" && !draft && tags.length) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="duden-tag-input">
+      {tags.map((tag) => (
+        <span key={tag} className="duden-tag">
+          {tag}
+          <button type="button" onClick={() => removeTag(tag)} aria-label={`Tag „${tag}“ entfernen`}>
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        list="duden-tag-options"
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => addTags(draft)}
+        placeholder={tags.length ? "" : "z. B. büro, small talk"}
+        maxLength={MAX_TAG_LENGTH}
+        disabled={tags.length >= MAX_TAGS}
+        aria-label="Tag hinzufügen"
+      />
+      <datalist id="duden-tag-options">
+        {knownTags
+          .filter((item) => !tags.includes(item.tag))
+          .map((item) => (
+            <option key={item.tag} value={item.tag} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("de-DE", { dateStyle: "medium" });
+};
+
+export default function TrashPanel({ onClose, onRestored }) {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [message, setMessage] = useState("");
+
+  const loadTrash = async () => {
+    setStatus("loading");
+    try {
+      const response = await fetch("/api/trash", { credentials: "include" });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Papierkorb konnte nicht geladen werden");
+      }
+      setItems(Array.isArray(payload.items) ? payload.items : []);
+      setRetentionDays(payload.retentionDays || null);
+      setStatus("idle");
+    } catch (err) {
+      setMessage(err.message || "Papierkorb konnte nicht geladen werden");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const runAction = async (item, method, url, successMessage, fallbackError) => {
+    setStatus("working");
+    setMessage("");
+    try {
+      const response = await apiFetch(url, { method, credentials: "include" });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          response.status === 409
+            ? `„${item.term}“ existiert bereits. Bitte zuerst den vorhandenen Eintrag umbenennen oder löschen.`
+            : payload.error || fallbackError
+        );
+      }
+      setMessage(successMessage);
+      await loadTrash();
+      return payload;
+    } catch (err) {
+      setMessage(err.message || fallbackError);
+      setStatus("error");
+      return null;
+    }
+  };
+
+  const restoreItem = async (item) => {
+    const restored = await runAction(
+      item,
+      "POST",
+      `/api/trash/${item._id}/restore`,
+      `„${item.term}“ wiederhergestellt.`,
+      "Wiederherstellen fehlgeschlagen"
+    );
+    if (restored) onRestored?.(restored);
+  };
+
+  const purgeItem = async (item) => {
+    if (!window.confirm(`„${item.term}“ endgültig löschen? Das kann nicht rückgängig gemacht werden.`)) {
+      return;
+    }
+    await runAction(
+      item,
+      "DELETE",
+      `/api/trash/${item._id}`,
+      `„${item.term}“ endgültig gelöscht.`,
+      "Endgültiges Löschen fehlgeschlagen"
+    );
+  };
+
+  return (
+    <div className="duden-trash">
+      <div className="duden-form-header">
+        <h2>Papierkorb</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      {retentionDays ? (
+        <p className="duden-status">
+          Gelöschte Einträge werden nach {retentionDays} Tagen endgültig entfernt.
+        </p>
+      ) : null}
+      {status === "loading" ? <p className="duden-status">Papierkorb wird geladen ...</p> : null}
+      {message ? (
+        <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p>
+      ) : null}
+      {status !== "loading" && items.length === 0 ? (
+        <p className="duden-status">Der Papierkorb ist leer.</p>
+      ) : null}
+      {items.map((item) => (
+        <div className="duden-trash-item" key={item._id}>
+          <div>
+            <strong>{item.term}</strong>
+            {item.article ? `, ${item.article}` : ""}
+            <p className="duden-status">
+              Gelöscht am {formatDate(item.deletedAt)}
+              {item.alternativesCount ? ` · ${item.alternativesCount} Alternativen` : ""}
+              {item.purgeAt ? ` · endgültig am ${formatDate(item.purgeAt)}` : ""}
+            </p>
+          </div>
+          <div className="duden-trash-actions">
+            <button
+              type="button"
+              className="duden-secondary"
+              onClick={() => restoreItem(item)}
+              disabled={status === "working"}
+            >
+              Wiederherstellen
+            </button>
+            <button
+              type="button"
+              className="duden-icon-btn duden-danger"
+              onClick={() => purgeItem(item)}
+              disabled={status === "working"}
+              title="Endgültig löschen"
+              aria-label="Endgültig löschen"
+            >
+              🗑
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
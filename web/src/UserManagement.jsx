@@ -0,0 +1,188 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const ROLE_OPTIONS = [
+  { value: "viewer", label: "Leser" },
+  { value: "editor", label: "Editor" },
+  { value: "admin", label: "Admin" }
+];
+
+const ERROR_MESSAGES = {
+  "invalid username": "Benutzername: 2–32 Zeichen, nur a–z, 0–9, Punkt, Unterstrich, Bindestrich.",
+  "password too short": "Das Passwort muss mindestens 8 Zeichen lang sein.",
+  "invalid role": "Unbekannte Rolle.",
+  "username already exists": "Diesen Benutzernamen gibt es bereits.",
+  "at least one admin is required": "Es muss mindestens ein Admin bleiben."
+};
+
+const emptyUserForm = { username: "", password: "", role: "editor" };
+
+export default function UserManagement({ currentUser, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(emptyUserForm);
+  const [status, setStatus] = useState("loading");
+  const [message, setMessage] = useState("");
+
+  const request = async (url, options = {}) => {
+    const response = await apiFetch(url, {
+      credentials: "include",
+      ...options,
+      headers: options.body ? { "Content-Type": "application/json" } : undefined
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(ERROR_MESSAGES[payload.error] || payload.error || "Aktion fehlgeschlagen");
+    }
+    return payload;
+  };
+
+  const loadUsers = async () => {
+    try {
+      const payload = await request("/api/users");
+      setUsers(Array.isArray(payload.users) ? payload.users : []);
+      setStatus("idle");
+    } catch (err) {
+      setMessage(err.message);
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const run = async (action, successMessage) => {
+    setStatus("working");
+    setMessage("");
+    try {
+      await action();
+      setMessage(successMessage);
+      await loadUsers();
+      return true;
+    } catch (err) {
+      setMessage(err.message);
+      setStatus("error");
+      return false;
+    }
+  };
+
+  const createUser = async (event) => {
+    event.preventDefault();
+    const username = form.username.trim().toLowerCase();
+    const created = await run(
+      () => request("/api/users", { method: "POST", body: JSON.stringify({ ...form, username }) }),
+      `Benutzer „${username}“ angelegt.`
+    );
+    if (created) setForm(emptyUserForm);
+  };
+
+  const changeRole = (user, role) =>
+    run(
+      () => request(`/api/users/${user._id}`, { method: "PUT", body: JSON.stringify({ role }) }),
+      `Rolle von „${user.username}“ geändert.`
+    );
+
+  const resetPassword = (user) => {
+    const password = window.prompt(`Neues Passwort für „${user.username}“ (mindestens 8 Zeichen):`);
+    if (!password) return;
+    run(
+      () => request(`/api/users/${user._id}`, { method: "PUT", body: JSON.stringify({ password }) }),
+      `Passwort von „${user.username}“ geändert.`
+    );
+  };
+
+  const removeUser = (user) => {
+    if (!window.confirm(`Benutzer „${user.username}“ löschen?`)) return;
+    run(
+      () => request(`/api/users/${user._id}`, { method: "DELETE" }),
+      `Benutzer „${user.username}“ gelöscht.`
+    );
+  };
+
+  return (
+    <div className="duden-users">
+      <div className="duden-form-header">
+        <h2>Benutzer</h2>
+        <button type="button" className="duden-link-button" onClick={onClose}>
+          Schließen
+        </button>
+      </div>
+      <p className="duden-status">
+        Leser können sich nur anmelden, Editoren Einträge anlegen, bearbeiten und die KI nutzen,
+        Admins zusätzlich löschen und Benutzer verwalten.
+      </p>
+      {status === "loading" ? <p className="duden-status">Benutzer werden geladen ...</p> : null}
+      {message ? (
+        <p className={status === "error" ? "duden-error" : "duden-status"}>{message}</p>
+      ) : null}
+      {users.map((user) => (
+        <div className="duden-users-row" key={user._id}>
+          <strong>
+            {user.username}
+            {currentUser?.username === user.username ? " (du)" : ""}
+          </strong>
+          <select
+            value={user.role}
+            onChange={(event) => changeRole(user, event.target.value)}
+            disabled={status === "working"}
+            aria-label={`Rolle von ${user.username}`}
+          >
+            {ROLE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="duden-link-button"
+            onClick={() => resetPassword(user)}
+            disabled={status === "working"}
+          >
+            Passwort
+          </button>
+          <button
+            type="button"
+            className="duden-icon-btn duden-danger"
+            onClick={() => removeUser(user)}
+            disabled={status === "working"}
+            title="Benutzer löschen"
+            aria-label="Benutzer löschen"
+          >
+            🗑
+          </button>
+        </div>
+      ))}
+      <form className="duden-users-form" onSubmit={createUser}>
+        <input
+          type="text"
+          value={form.username}
+          onChange={(event) => setForm((current) => ({ ...current, username: event.target.value }))}
+          placeholder="Benutzername"
+          autoComplete="off"
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={(event) => setForm((current) => ({ ...current, password: event.target.value }))}
+          placeholder="Passwort"
+          autoComplete="new-password"
+        />
+        <select
+          value={form.role}
+          onChange={(event) => setForm((current) => ({ ...current, role: event.target.value }))}
+          aria-label="Rolle"
+        >
+          {ROLE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="duden-secondary" disabled={status === "working"}>
+          Anlegen
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// Every request carries the session cookie; writes also send the CSRF token of that session.
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+let csrfToken = null;
+
+export const setCsrfToken = (token) => {
+  csrfToken = token || null;
+};
+
+const refreshCsrfToken = async () => {
+  const response = await fetch("/api/auth/status", { credentials: "include" }).catch(() => null);
+  const payload = response?.ok ? await response.json().catch(() => ({})) : {};
+  setCsrfToken(payload.csrfToken);
+  return csrfToken;
+};
+
+const send = (url, options, method) => {
+  const headers = { ...(options.headers || {}) };
+  if (!SAFE_METHODS.includes(method) && csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  return fetch(url, { credentials: "include", ...options, headers });
+};
+
+export const apiFetch = async (url, options = {}) => {
+  const method = String(options.method || "GET").toUpperCase();
+  const response = await send(url, options, method);
+  if (response.status !== 403 || SAFE_METHODS.includes(method)) return response;
+  // A token from another tab or an older session is refreshed once before giving up.
+  const payload = await response.clone().json().catch(() => ({}));
+  if (payload.reason !== "invalid csrf token") return response;
+  const previous = csrfToken;
+  if (!(await refreshCsrfToken()) || csrfToken === previous) return response;
+  return send(url, options, method);
+};
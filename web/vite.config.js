@@ -1,8 +1,108 @@
+import fs from "node:fs";
+import path from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// API_URL for running the dev server outside Docker Compose.
+const API_TARGET = process.env.API_URL || "http://api:4000";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Collections have no card, so their previews go without an image.
+const imageTags = (meta, title) =>
+  meta.image
+    ? `
+    <meta property="og:image" content="${escapeHtml(meta.image)}" />
+    <meta property="og:image:type" content="image/png" />
+    <meta property="og:image:width" content="${meta.imageWidth}" />
+    <meta property="og:image:height" content="${meta.imageHeight}" />
+    <meta property="og:image:alt" content="Lernkarte: ${title}" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <meta name="twitter:image" content="${escapeHtml(meta.image)}" />`
+    : `
+    <meta name="twitter:card" content="summary" />`;
+
+const permalinkHead = (meta) => {
+  const title = escapeHtml(meta.title);
+  const description = escapeHtml(meta.description);
+  return `<title>${title} · warefs-duden</title>
+    <meta name="description" content="${description}" />
+    <link rel="canonical" href="${escapeHtml(meta.url)}" />
+    <meta property="og:type" content="article" />
+    <meta property="og:site_name" content="warefs-duden" />
+    <meta property="og:locale" content="de_DE" />
+    <meta property="og:title" content="${title}" />
+    <meta property="og:description" content="${description}" />
+    <meta property="og:url" content="${escapeHtml(meta.url)}" />
+    <meta name="twitter:title" content="${title}" />
+    <meta name="twitter:description" content="${description}" />${imageTags(meta, title)}`;
+};
+
+// App routes with link previews and the API endpoint that knows their title and description.
+const PERMALINK_ROUTES = [
+  { pattern: /^\/wort\/([^/?#]+)\/?(?:\?.*)?$/, prefix: "/wort", api: "/api/permalinks" },
+  { pattern: /^\/sammlung\/([^/?#]+)\/?(?:\?.*)?$/, prefix: "/sammlung", api: "/api/collections" }
+];
+
+// /wort/:slug and /sammlung/:slug are routes of the app, but messengers do not run JavaScript: the
+// dev and preview servers ask the API for the entry or collection and put its title and OpenGraph
+// tags into index.html. Old slugs redirect to the current one.
+const permalinkMiddleware = (loadIndexHtml) => async (req, res, next) => {
+  const route = PERMALINK_ROUTES.find((item) => item.pattern.test(req.url || ""));
+  if (!route || req.method !== "GET") {
+    next();
+    return;
+  }
+  const match = route.pattern.exec(req.url);
+  try {
+    const response = await fetch(`${API_TARGET}${route.api}/${match[1]}`, {
+      redirect: "manual",
+      headers: {
+        "X-Forwarded-Host": req.headers["x-forwarded-host"] || req.headers.host || "",
+        "X-Forwarded-Proto": req.headers["x-forwarded-proto"] || "http"
+      }
+    });
+    if (response.status === 301) {
+      const slug = (response.headers.get("location") || "").split("/").pop();
+      res.writeHead(301, { Location: `${route.prefix}/${slug}` });
+      res.end();
+      return;
+    }
+    let html = await loadIndexHtml(req.url);
+    if (response.ok) {
+      const { meta } = await response.json();
+      html = html.replace(/<title>[^<]*<\/title>/, permalinkHead(meta));
+    }
+    // Unknown slugs still get the app, which says that the entry or collection does not exist.
+    res.statusCode = response.ok ? 200 : 404;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.end(html);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const permalinkMeta = () => ({
+  name: "warefs-permalink-meta",
+  configureServer(server) {
+    server.middlewares.use(
+      permalinkMiddleware((url) =>
+        server.transformIndexHtml(url, fs.readFileSync(path.resolve(server.config.root, "index.html"), "utf8"))
+      )
+    );
+  },
+  configurePreviewServer(server) {
+    const indexHtml = path.resolve(server.config.root, server.config.build.outDir, "index.html");
+    server.middlewares.use(permalinkMiddleware(async () => fs.readFileSync(indexHtml, "utf8")));
+  }
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), permalinkMeta()],
   server: {
     host: true,
     port: 80,
@@ -14,8 +114,16 @@ export default defineConfig({
     },
     proxy: {
       "/api": {
-        target: "http://api:4000",
-        changeOrigin: true
+        target: API_TARGET,
+        changeOrigin: true,
+        // Lets the API compare the browser origin with the host the app was opened on.
+        xfwd: true
+      },
+      // Share pages for learning cards are rendered by the API.
+      "/karte": {
+        target: API_TARGET,
+        changeOrigin: true,
+        xfwd: true
       }
     }
   }